@@ -0,0 +1,9 @@
+// Licence MIT pour le contrat
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.28;
+
+// Import des contrats de proxy d'OpenZeppelin pour que Hardhat compile leurs artefacts,
+// utilisés par le module Ignition VotingUpgradeable
+import "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol";
+import "@openzeppelin/contracts/proxy/transparent/ProxyAdmin.sol";
@@ -0,0 +1,1376 @@
+// Licence MIT pour le contrat
+// SPDX-License-Identifier: MIT
+
+// Définition de la version du compilateur Solidity à utiliser
+pragma solidity 0.8.28;
+
+// Import du contrat AccessControlUpgradeable d'OpenZeppelin qui gère les rôles
+// (sa variante initialisable sert aussi bien au contrat classique qu'au contrat derrière un proxy)
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+// Imports pour les votes et propositions signés (EIP-712) et relayés par un tiers
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/NoncesUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/MulticallUpgradeable.sol";
+// Import de la pause d'urgence des fonctions des votants
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+// Import de l'interface des jetons de vote (ERC20Votes) pour les sessions pondérées par jeton
+import "@openzeppelin/contracts/interfaces/IERC5805.sol";
+// Bibliothèques externes du dépouillement et des règles de vote, liées au déploiement pour rester sous la taille
+// maximale d'un contrat
+import "./VotingTally.sol";
+import "./VotingRules.sol";
+
+/**
+ * @title Logique commune des contrats de vote
+ * @author Votre nom
+ * @notice Gère un processus de vote avec enregistrement des votants et des propositions
+ * @dev Contrat abstrait partagé par Voting (déploiement classique) et VotingUpgradeable (derrière un proxy).
+ * Les votants peuvent aussi signer leurs votes et propositions (EIP-712) pour qu'un relayeur les envoie
+ * à leur place, éventuellement par lots avec multicall.
+ * Une session peut se dérouler à bulletins secrets (commit-reveal) : les votants publient l'empreinte de leur vote,
+ * puis le révèlent pendant une phase dédiée avant la fin du vote ; les votes non révélés ne sont pas comptés.
+ * Un votant peut déléguer sa voix à un autre votant de la session, qui vote alors avec le poids de ses délégants.
+ * Une session peut suivre un calendrier : chaque phase se ferme à sa date limite, et n'importe qui peut alors
+ * faire passer la session à la phase suivante (l'opérateur n'a plus à être en ligne).
+ * Une session peut être pondérée par un jeton ERC20Votes : chaque vote pèse les voix du votant dans ce jeton
+ * à un instantané pris à l'ouverture du vote.
+ * L'administration est répartie en rôles : l'administrateur (DEFAULT_ADMIN_ROLE) attribue les rôles, crée et configure
+ * les sessions ; les enregistreurs (REGISTRAR_ROLE) enregistrent les votants ; les opérateurs (OPERATOR_ROLE) font
+ * avancer les sessions et les dépouillent.
+ * Plusieurs sessions peuvent se dérouler en même temps : chaque fonction qui modifie une session prend son identifiant,
+ * et chaque session peut avoir son propre administrateur, qui y exerce les trois rôles sans les avoir sur le contrat.
+ * En cas d'urgence, l'administrateur suspend les fonctions des votants de toutes les sessions (pause), et une session
+ * en cours peut être annulée : elle passe à l'état final Cancelled.
+ * AccessControlUpgradeable, PausableUpgradeable, EIP712Upgradeable, NoncesUpgradeable et Initializable rangent leurs variables dans des emplacements dédiés (ERC-7201) :
+ * les variables de ce contrat occupent donc seules les premiers slots. Pour rester compatible avec les
+ * déploiements existants, de nouvelles variables ne peuvent être ajoutées qu'après les variables existantes,
+ * et les contrats dérivés ne doivent pas en déclarer.
+ */
+abstract contract VotingBase is AccessControlUpgradeable, EIP712Upgradeable, NoncesUpgradeable, MulticallUpgradeable, PausableUpgradeable {
+    // ::::::::::::: CUSTOM ERRORS ::::::::::::: //
+
+    // Erreurs liées aux sessions de vote
+    error SessionNotFound();
+    error SessionNotTallied();
+    error SessionAlreadyTallied();
+    error CancelledSession();
+
+    // Erreurs liées aux votants
+    error NotVoter();
+    error AlreadyRegistered();
+    error VotersRegistrationClosed();
+    error AllowlistNotSet();
+    error InvalidMerkleProof();
+    error VoterInDelegation();
+    
+    // Erreurs liées aux propositions
+    error EmptyProposal();
+    error ProposalsNotAllowed();
+    error ProposalNotFound();
+    error NotProposer();
+    error WithdrawnProposal();
+    
+    // Erreurs liées au vote
+    error AlreadyVoted();
+    error VotingNotStarted();
+    error VotingAlreadyStarted();
+
+    // Erreurs liées à la délégation
+    error SelfDelegation();
+    error DelegationLoop();
+    error DelegationClosed();
+
+    // Erreurs liées au vote secret (commit-reveal)
+    error CommitRevealDisabled();
+    error CommitRevealRequired();
+    error InvalidCommitment();
+    error NoCommitment();
+    error InvalidReveal();
+    error RevealNotStarted();
+
+    // Erreurs liées aux messages signés
+    error SignatureExpired();
+    error InvalidSignature();
+    
+    // Erreurs liées au workflow
+    error RegistrationNotStarted();
+    error ProposalsRegistrationNotEnded();
+    error VotingSessionNotEnded();
+
+    // Erreurs liées au calendrier des sessions
+    error InvalidSchedule();
+    error PhaseExpired();
+    error TransitionNotDue(uint64 dueTime);
+
+    // Erreurs liées aux modes de scrutin
+    error WrongVotingMethod();
+    error InvalidBallot();
+
+    // Erreurs liées aux sessions pondérées par jeton
+    error NoVotingPower();
+    error TokenDelegationRequired();
+
+    // Erreurs liées aux conditions de validité des sessions
+    error InvalidThresholds();
+
+    // Erreurs liées au dépouillement
+    error NoWinner();
+    error NoPendingTie();
+    error NotTiedProposal();
+
+    // Structure qui définit les propriétés d'un votant
+    struct Voter {
+        // Booléen indiquant si le votant est enregistré dans le système
+        bool isRegistered;
+        // Booléen indiquant si le votant a déjà voté
+        bool hasVoted;
+        // Identifiant de la proposition pour laquelle le votant a voté
+        // Utilisation de uint32 pour optimiser le gas (packing)
+        uint32 votedProposalId;
+        // Votant auquel la voix a été déléguée (au bout de la chaîne de délégations au moment de la délégation)
+        address delegate;
+        // Nombre de voix reçues par délégation, qui s'ajoutent à celle du votant
+        // (les champs ajoutés tiennent dans le même slot que les précédents)
+        uint32 delegatedWeight;
+    }
+
+    // Structure qui définit les propriétés d'une proposition
+    struct Proposal {
+        // Description textuelle de la proposition
+        string description;
+        // Compteur du nombre de votes reçus par la proposition
+        uint voteCount;
+        // Votant qui a soumis la proposition (adresse nulle pour GENESIS)
+        address proposer;
+        // Proposition retirée par son auteur : elle garde son identifiant mais ne peut plus recevoir de voix
+        bool withdrawn;
+    }
+
+    // Il faut gérer plusieurs sessions de vote, donc on crée une structure pour les sessions
+    struct VotingSession {
+        string name;
+        Proposal[] proposals;
+        uint32 winningProposalID;
+        WorkflowStatus workflowStatus;
+    }
+
+    // Calendrier d'une session (timestamps) : ouverture et fermeture des propositions et du vote,
+    // et fin de la révélation des votes pour une session à bulletins secrets (0 : fin décidée par un opérateur)
+    struct Schedule {
+        uint64 proposalsStart;
+        uint64 proposalsEnd;
+        uint64 votingStart;
+        uint64 votingEnd;
+        uint64 revealEnd;
+    }
+
+    // Conditions de validité d'une session (0 : pas de condition) : un quorum en nombre de votants et en part des
+    // votants inscrits, et une part minimum des voix exprimées pour le gagnant. Les parts sont en points de base
+    // (10000 = 100 %).
+    struct Thresholds {
+        uint32 quorumVoters;
+        uint16 quorumBps;
+        uint16 winnerShareBps;
+    }
+
+    // Participation à une session : votants inscrits, votants dont la voix est comptée (avec les délégants représentés
+    // par un votant) et poids total des voix exprimées (les voix du jeton dans une session pondérée par jeton)
+    struct Participation {
+        uint32 registeredVoters;
+        uint32 votesCast;
+        uint castWeight;
+    }
+
+    // Propositions en tête d'une session, suivies à chaque voix ajoutée pour que le dépouillement ne parcoure pas toutes
+    // les propositions : les count premières de proposalIds ont maxVotes voix (les suivantes sont d'anciennes têtes,
+    // réécrites plutôt qu'effacées)
+    struct Leaders {
+        uint maxVotes;
+        uint32 count;
+        uint32[] proposalIds;
+    }
+
+    // Session d'un proxy à migrer, et sa participation comptée hors chaîne d'après ses événements (lib/migration.js)
+    struct SessionMigration {
+        uint32 sessionId;
+        Participation participation;
+    }
+
+    // Résumé d'une session renvoyé par les getters de consultation de l'historique
+    struct SessionSummary {
+        uint32 sessionId;
+        string name;
+        WorkflowStatus status;
+        uint32 proposalsCount;
+        uint32 winningProposalId;
+        uint32 registeredVoters;
+        uint32 votesCast;
+    }
+
+    // Énumération qui définit tous les états possibles du processus de vote
+    enum  WorkflowStatus {
+        // État initial : enregistrement des votants
+        RegisteringVoters,
+        // État : début de l'enregistrement des propositions
+        ProposalsRegistrationStarted,
+        // État : fin de l'enregistrement des propositions
+        ProposalsRegistrationEnded,
+        // État : début de la session de vote
+        VotingSessionStarted,
+        // État : fin de la session de vote
+        VotingSessionEnded,
+        // État final : votes comptabilisés
+        VotesTallied,
+        // État des sessions à bulletins secrets, entre VotingSessionStarted et VotingSessionEnded : révélation des votes
+        // (ajouté en dernier pour ne pas changer la valeur des états existants)
+        RevealingVotes,
+        // État final d'une session annulée avant son dépouillement : elle n'a pas de gagnant
+        Cancelled
+    }
+
+    // Règle de départage d'une égalité au dépouillement
+    enum TiePolicy {
+        // La proposition d'identifiant le plus bas l'emporte (règle par défaut)
+        LowestId,
+        // Un second tour est créé avec les seules propositions à égalité
+        Runoff,
+        // L'administrateur choisit le gagnant parmi les propositions à égalité
+        OwnerDecision
+    }
+
+    // Raison pour laquelle une session dépouillée est close sans résultat
+    enum NoResultReason {
+        // La session a un résultat, ou personne n'a voté
+        None,
+        // Trop peu de votants
+        QuorumNotReached,
+        // La proposition arrivée en tête n'a pas la part des voix demandée
+        WinnerShareNotReached
+    }
+
+    // Mode de scrutin d'une session, choisi à sa création
+    enum VotingMethod {
+        // Scrutin uninominal : une voix pour une seule proposition (setVote)
+        Plurality,
+        // Vote par approbation : une voix pour chaque proposition approuvée (setApprovalVote)
+        Approval,
+        // Vote préférentiel, dépouillé par éliminations successives (setRankedVote)
+        InstantRunoff
+    }
+
+    // On limite le nombre de propositions et la longueur des descriptions    
+    uint32 public constant MAX_PROPOSALS = 10000;
+    // Le dépouillement préférentiel parcourt les propositions à chaque tour : les sessions par approbation ou
+    // préférentielles gardent la limite d'avant le suivi des propositions en tête
+    uint32 public constant MAX_BALLOT_PROPOSALS = 1000;
+    uint32 public constant MAX_DESCRIPTION_LENGTH = 1000;    
+    // Nombre maximum de propositions approuvées ou classées dans un bulletin
+    uint32 public constant MAX_BALLOT_CHOICES = 32;
+
+    // Types des messages signés (EIP-712). Le nonce du votant empêche de rejouer un message,
+    // la session du message empêche de l'utiliser dans une autre session.
+    bytes32 public constant BALLOT_TYPEHASH =
+        keccak256("Ballot(address voter,uint32 sessionId,uint32 proposalId,uint256 nonce,uint256 deadline)");
+    bytes32 public constant PROPOSAL_TYPEHASH =
+        keccak256("ProposalSubmission(address voter,uint32 sessionId,string description,uint256 nonce,uint256 deadline)");
+
+    // Rôles d'administration, attribués et retirés par l'administrateur (DEFAULT_ADMIN_ROLE) :
+    // les enregistreurs enregistrent les votants, les opérateurs font avancer les sessions
+    bytes32 public constant REGISTRAR_ROLE = keccak256("REGISTRAR_ROLE");
+    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
+
+    // Dernière session créée, que consultent les getters sans identifiant de session
+    uint32 public currentSessionId;
+    uint32 public totalSessions;
+    mapping(uint32 => VotingSession) public sessions;
+
+    // Mapping qui associe chaque adresse à un votant (pour chaque session)
+    mapping(uint32 => mapping(address => Voter)) public voters;
+
+    // Racine de l'arbre de Merkle des adresses autorisées à s'enregistrer elles-mêmes (pour chaque session)
+    mapping(uint32 => bytes32) public voterMerkleRoots;
+
+    // Sessions à bulletins secrets, et empreinte du vote de chaque votant (pour chaque session)
+    mapping(uint32 => bool) public commitRevealSessions;
+    mapping(uint32 => mapping(address => bytes32)) public voteCommitments;
+
+    // Calendrier de chaque session (votingEnd à 0 : pas de calendrier, un opérateur fait avancer la session)
+    mapping(uint32 => Schedule) public schedules;
+
+    // Règle de départage de chaque session, et propositions arrivées à égalité au dépouillement (vide : pas d'égalité)
+    mapping(uint32 => TiePolicy) public tiePolicies;
+    mapping(uint32 => uint32[]) internal tiedProposals;
+    // Second tour créé pour départager une session (0 : pas de second tour), et sessions qui sont des seconds tours
+    mapping(uint32 => uint32) public runoffSessions;
+    mapping(uint32 => bool) public isRunoffSession;
+
+    // Mode de scrutin de chaque session, et bulletins des votes par approbation ou préférentiels
+    // (propositions approuvées, ou classées de la préférée à la moins appréciée)
+    mapping(uint32 => VotingMethod) public votingMethods;
+    mapping(uint32 => mapping(address => uint32[])) internal ballots;
+    // Votants des sessions préférentielles, dont les bulletins sont relus à chaque tour du dépouillement
+    mapping(uint32 => address[]) internal rankedVoters;
+
+    // Jeton de vote des sessions pondérées par jeton (adresse nulle : une voix par votant), instantané de ses voix pris
+    // à l'ouverture du vote (clock() du jeton), et voix du jeton comptées pour chaque votant
+    mapping(uint32 => IERC5805) public votingTokens;
+    mapping(uint32 => uint48) public votingSnapshots;
+    mapping(uint32 => mapping(address => uint)) public votingPowers;
+
+    // Conditions de validité de chaque session, sa participation, et la raison de son absence de résultat
+    mapping(uint32 => Thresholds) public thresholds;
+    mapping(uint32 => Participation) public participations;
+    mapping(uint32 => NoResultReason) public noResults;
+
+    // Administrateur propre à chaque session (adresse nulle : seuls les rôles du contrat administrent la session)
+    mapping(uint32 => address) public sessionAdmins;
+
+    // Propositions en tête de chaque session, hors vote préférentiel (compté au dépouillement)
+    mapping(uint32 => Leaders) internal leaders;
+
+    // Événement émis quand une nouvelle session de vote est créée
+    event SessionCreated(uint32 indexed sessionId, string sessionName);
+    // Événement émis quand un nouveau votant est enregistré
+    event VoterRegistered(uint32 indexed sessionId, address indexed voterAddress); 
+    // Événement émis quand un votant est retiré de la session avant la phase des propositions
+    event VoterRemoved(uint32 indexed sessionId, address indexed voterAddress);
+    // Événement émis quand un votant déjà enregistré est ignoré lors d'un enregistrement par lot
+    event VoterAlreadyRegistered(uint32 indexed sessionId, address indexed voterAddress);
+    // Événement émis quand la racine de la liste des votants autorisés est publiée
+    event VoterMerkleRootSet(uint32 indexed sessionId, bytes32 merkleRoot);
+    // Événement émis quand l'état du workflow change
+    event WorkflowStatusChange(uint32 indexed sessionId, WorkflowStatus previousStatus, WorkflowStatus newStatus);
+    // Événement émis quand une nouvelle proposition est enregistrée
+    event ProposalRegistered(uint32 indexed sessionId, uint proposalId);
+    // Événement émis quand l'auteur d'une proposition la retire
+    event ProposalWithdrawn(uint32 indexed sessionId, uint proposalId);
+    // Événement émis quand un votant vote (à la révélation pour une session à bulletins secrets)
+    event Voted (uint32 indexed sessionId, address indexed voter, uint proposalId);
+    // Événement émis quand un votant délègue sa voix, et celles qu'il a reçues (weight), au votant delegate
+    event VoteDelegated(uint32 indexed sessionId, address indexed delegator, address indexed delegate, uint32 weight);
+    // Événement émis quand le mode de vote secret d'une session est activé ou désactivé
+    event CommitRevealSet(uint32 indexed sessionId, bool enabled);
+    // Événement émis quand le calendrier d'une session est fixé (ou supprimé, avec des dates à 0)
+    event ScheduleSet(uint32 indexed sessionId, Schedule schedule);
+    // Événement émis quand un votant publie l'empreinte de son vote secret
+    event VoteCommitted(uint32 indexed sessionId, address indexed voter, bytes32 commitment);
+    // Événement émis quand la règle de départage d'une session est choisie
+    event TiePolicySet(uint32 indexed sessionId, TiePolicy policy);
+    // Événement émis au dépouillement quand plusieurs propositions arrivent en tête avec le même nombre de voix
+    event TieDetected(uint32 indexed sessionId, uint32[] proposalIds);
+    // Événement émis quand une égalité est départagée (plus petit identifiant ou décision de l'administrateur)
+    event TieResolved(uint32 indexed sessionId, uint32 proposalId);
+    // Événement émis quand un second tour est créé pour départager une session
+    event RunoffSessionCreated(uint32 indexed sessionId, uint32 indexed runoffSessionId);
+    // Événement émis quand une session est créée avec un autre mode de scrutin que le scrutin uninominal
+    event VotingMethodSet(uint32 indexed sessionId, VotingMethod method);
+    // Événement émis quand un votant dépose un bulletin par approbation ou préférentiel
+    event BallotCast(uint32 indexed sessionId, address indexed voter, uint32[] proposalIds);
+    // Événement émis quand le jeton de vote d'une session est choisi (adresse nulle : une voix par votant)
+    event VotingTokenSet(uint32 indexed sessionId, address token);
+    // Événement émis avant le vote d'une session pondérée par jeton, avec les voix du votant à l'instantané
+    event VotingPowerUsed(uint32 indexed sessionId, address indexed voter, uint weight);
+    // Événement émis quand les conditions de validité d'une session sont fixées
+    event ThresholdsSet(uint32 indexed sessionId, Thresholds thresholds);
+    // Événement émis au dépouillement d'une session qui ne remplit pas ses conditions de validité : elle n'a pas de gagnant
+    event NoResult(uint32 indexed sessionId, NoResultReason reason);
+    // Événement émis quand l'administrateur d'une session est désigné (adresse nulle : il est retiré)
+    event SessionAdminSet(uint32 indexed sessionId, address indexed admin);
+    // Événement émis quand une session est annulée, avec la raison donnée par son administrateur
+    event SessionCancelled(uint32 indexed sessionId, string reason);
+
+    /**
+     * @notice Donne tous les rôles à l'administrateur initial et crée la première session
+     * @param _sessionName Le nom de la première session ("Session 1" si vide)
+     * @param _initialAdmin L'administrateur du contrat, aussi enregistreur et opérateur
+     */
+    function __Voting_init(string memory _sessionName, address _initialAdmin) internal onlyInitializing {
+        // Le domaine EIP-712 est constant (_EIP712Name, _EIP712Version) : __EIP712_init n'a rien à enregistrer
+        bytes32[3] memory roles = [DEFAULT_ADMIN_ROLE, REGISTRAR_ROLE, OPERATOR_ROLE];
+        for (uint i = 0; i < 3; ++i) _grantRole(roles[i], _initialAdmin);
+
+        _createSession(_sessionName, VotingMethod.Plurality);
+    }
+    
+    // Modificateur qui vérifie si l'appelant est un votant enregistré de la session
+    modifier onlyVoters(uint32 _sessionId) {
+        // Vérifie si l'adresse de l'appelant est enregistrée comme votant
+        _checkVoter(_sessionId, msg.sender);
+        // Continue l'exécution de la fonction si la condition est remplie
+        _;
+    }
+
+    // Modificateur des fonctions des votants : elles sont bloquées pendant une pause et dans une session annulée
+    modifier whenSessionOpen(uint32 _sessionId) {
+        _checkSessionOpen(_sessionId);
+        _;
+    }
+
+    // Modificateur qui vérifie que la session existe et que l'appelant est son administrateur ou a le rôle sur le contrat
+    modifier onlySessionRole(uint32 _sessionId, bytes32 _role) {
+        _checkSessionRole(_sessionId, _role);
+        _;
+    }
+    
+    // ::::::::::::: GETTERS ::::::::::::: //
+
+    // Les getters sans identifiant de session lisent la dernière session créée (currentSessionId)
+
+    function workflowStatus() external view returns (WorkflowStatus) {
+        return sessions[currentSessionId].workflowStatus;
+    }
+
+    function getCurrentSession() external view returns (
+        uint32 sessionId,
+        string memory name,
+        WorkflowStatus status,
+        uint32 proposalsCount,
+        uint32 winningProposalId,
+        uint32 registeredVoters,
+        uint32 votesCast
+    ) {
+        SessionSummary memory summary = _sessionSummary(currentSessionId);
+        return (
+            summary.sessionId,
+            summary.name,
+            summary.status,
+            summary.proposalsCount,
+            summary.winningProposalId,
+            summary.registeredVoters,
+            summary.votesCast
+        );
+    }
+
+    function winningProposalID() external view returns (uint32) {
+        return sessions[currentSessionId].winningProposalID;
+    }
+
+    /**
+     * @notice Récupère les informations d'un votant de la dernière session
+     * @param _addr L'adresse du votant à consulter
+     * @return Voter Les informations complètes du votant
+     */
+    function getVoter(address _addr) external view returns (Voter memory) {
+        return voters[currentSessionId][_addr];
+    }
+
+    /**
+     * @notice Récupère les détails d'une proposition de la dernière session
+     * @param _id L'identifiant de la proposition
+     * @return Proposal Les informations de la proposition
+     */
+    function getOneProposal(uint _id) external view returns (Proposal memory) {
+        return sessions[currentSessionId].proposals[_id];
+    }
+
+    /**
+     * @notice Récupère les informations d'un votant d'une session
+     * @param _sessionId L'identifiant de la session
+     * @param _addr L'adresse du votant à consulter
+     * @return Voter Les informations complètes du votant
+     */
+    function getVoter(uint32 _sessionId, address _addr) external view sessionExists(_sessionId) returns (Voter memory) {
+        // Retourne les informations du votant à l'adresse spécifiée
+        return voters[_sessionId][_addr];
+    }
+    
+    /**
+     * @notice Récupère les détails d'une proposition d'une session
+     * @param _sessionId L'identifiant de la session
+     * @param _id L'identifiant de la proposition
+     * @return Proposal Les informations de la proposition
+     */
+    function getOneProposal(uint32 _sessionId, uint _id) external view sessionExists(_sessionId) returns (Proposal memory) {
+        // Retourne la proposition à l'index spécifié
+        return sessions[_sessionId].proposals[_id];
+    }
+
+    // ::::::::::::: SESSIONS HISTORY ::::::::::::: //
+
+    // Modificateur qui vérifie que la session demandée existe
+    modifier sessionExists(uint32 _sessionId) {
+        if (_sessionId >= totalSessions) revert SessionNotFound();
+        _;
+    }
+
+    /**
+     * @notice Récupère le résumé d'une session, en cours ou passée
+     * @param _sessionId L'identifiant de la session
+     * @return SessionSummary Le nom, l'état, le nombre de propositions, le gagnant et la participation de la session
+     */
+    function getSession(uint32 _sessionId) external view sessionExists(_sessionId) returns (SessionSummary memory) {
+        return _sessionSummary(_sessionId);
+    }
+
+    /**
+     * @notice Liste les sessions par page
+     * @param _offset L'identifiant de la première session à renvoyer
+     * @param _limit Le nombre maximum de sessions à renvoyer
+     * @return summaries Les résumés des sessions (tableau vide au-delà de la dernière session)
+     */
+    function getSessions(uint32 _offset, uint32 _limit) external view returns (SessionSummary[] memory summaries) {
+        uint32 count = _pageSize(totalSessions, _offset, _limit);
+        summaries = new SessionSummary[](count);
+        for (uint32 i = 0; i < count;) {
+            summaries[i] = _sessionSummary(_offset + i);
+            unchecked { ++i; }
+        }
+    }
+
+    /**
+     * @notice Liste les propositions d'une session par page
+     * @param _sessionId L'identifiant de la session
+     * @param _offset L'identifiant de la première proposition à renvoyer
+     * @param _limit Le nombre maximum de propositions à renvoyer
+     * @return proposals Les propositions (tableau vide au-delà de la dernière proposition)
+     */
+    function getProposals(uint32 _sessionId, uint32 _offset, uint32 _limit) external view sessionExists(_sessionId) returns (Proposal[] memory proposals) {
+        Proposal[] storage sessionProposals = sessions[_sessionId].proposals;
+        uint32 count = _pageSize(uint32(sessionProposals.length), _offset, _limit);
+        proposals = new Proposal[](count);
+        for (uint32 i = 0; i < count;) {
+            proposals[i] = sessionProposals[_offset + i];
+            unchecked { ++i; }
+        }
+    }
+
+    /**
+     * @notice Récupère la proposition gagnante d'une session dépouillée
+     * @dev Revert avec NoWinner si personne n'a voté, si une égalité n'est pas départagée ou si la session n'a pas de
+     * résultat (conditions de validité non remplies)
+     * @param _sessionId L'identifiant de la session
+     * @return proposalId L'identifiant de la proposition gagnante
+     * @return proposal La proposition gagnante
+     */
+    function getSessionWinner(uint32 _sessionId) external view sessionExists(_sessionId) returns (uint32 proposalId, Proposal memory proposal) {
+        VotingSession storage session = sessions[_sessionId];
+        if (session.workflowStatus != WorkflowStatus.VotesTallied) revert SessionNotTallied();
+        proposalId = session.winningProposalID;
+        if (proposalId == 0) revert NoWinner();
+        proposal = session.proposals[proposalId];
+    }
+
+    /**
+     * @notice Indique si le dépouillement d'une session a abouti à une égalité
+     * @param _sessionId L'identifiant de la session
+     * @return isTie true si plusieurs propositions sont arrivées en tête
+     * @return proposalIds Les propositions à égalité, par identifiant croissant
+     */
+    function getTie(uint32 _sessionId) external view sessionExists(_sessionId) returns (bool isTie, uint32[] memory proposalIds) {
+        proposalIds = tiedProposals[_sessionId];
+        isTie = proposalIds.length != 0;
+    }
+
+    /**
+     * @notice Récupère le bulletin d'un votant dans une session par approbation ou préférentielle
+     * @param _sessionId L'identifiant de la session
+     * @param _addr L'adresse du votant
+     * @return Les propositions approuvées, ou classées par ordre de préférence (vide si le votant n'a pas voté)
+     */
+    function getBallot(uint32 _sessionId, address _addr) external view sessionExists(_sessionId) returns (uint32[] memory) {
+        return ballots[_sessionId][_addr];
+    }
+
+    function _sessionSummary(uint32 _sessionId) internal view returns (SessionSummary memory) {
+        VotingSession storage session = sessions[_sessionId];
+        Participation storage participation = participations[_sessionId];
+        return SessionSummary(
+            _sessionId,
+            session.name,
+            session.workflowStatus,
+            uint32(session.proposals.length),
+            session.winningProposalID,
+            participation.registeredVoters,
+            participation.votesCast
+        );
+    }
+
+    // Nombre d'éléments d'une page, borné par la taille de la liste
+    function _pageSize(uint32 _length, uint32 _offset, uint32 _limit) internal pure returns (uint32) {
+        if (_offset >= _length) return 0;
+        uint32 remaining = _length - _offset;
+        return _limit < remaining ? _limit : remaining;
+    }
+
+    // ::::::::::::: REGISTRATION ::::::::::::: // 
+
+    // Vérifie que la session enregistre encore les votants (avant la date d'ouverture des propositions)
+    function _checkRegistering(uint32 _sessionId) internal view {
+        _checkNotCancelled(_sessionId);
+        if (sessions[_sessionId].workflowStatus != WorkflowStatus.RegisteringVoters) revert VotersRegistrationClosed();
+        _checkDeadline(schedules[_sessionId].proposalsStart);
+    }
+
+    /**
+     * @notice Enregistre un nouveau votant dans le système
+     * @dev Fonction réservée aux enregistreurs, utilisable uniquement pendant la phase d'enregistrement
+     * @param _sessionId L'identifiant de la session
+     * @param _addr L'adresse du votant à enregistrer
+     */
+    function addVoter(uint32 _sessionId, address _addr) external onlySessionRole(_sessionId, REGISTRAR_ROLE) {
+        _checkRegistering(_sessionId);
+        if (!_registerVoter(_sessionId, _addr)) revert AlreadyRegistered();
+    }
+
+    /**
+     * @notice Enregistre plusieurs votants en une seule transaction
+     * @dev Les adresses déjà enregistrées sont ignorées (événement VoterAlreadyRegistered) au lieu de faire échouer tout le lot
+     * @param _sessionId L'identifiant de la session
+     * @param _addrs Les adresses des votants à enregistrer
+     * @return registered Le nombre de votants effectivement enregistrés
+     */
+    function addVoters(uint32 _sessionId, address[] calldata _addrs) external onlySessionRole(_sessionId, REGISTRAR_ROLE) returns (uint32 registered) {
+        _checkRegistering(_sessionId);
+
+        uint length = _addrs.length;
+        for (uint i = 0; i < length;) {
+            if (_registerVoter(_sessionId, _addrs[i])) {
+                unchecked { ++registered; }
+            } else {
+                emit VoterAlreadyRegistered(_sessionId, _addrs[i]);
+            }
+            unchecked { ++i; }
+        }
+    }
+
+    // Enregistre un votant dans une session ; renvoie false s'il l'était déjà
+    function _registerVoter(uint32 _sessionId, address _addr) internal returns (bool) {
+        Voter storage voter = voters[_sessionId][_addr];
+        if (voter.isRegistered) return false;
+        voter.isRegistered = true;
+        ++participations[_sessionId].registeredVoters;
+        emit VoterRegistered(_sessionId, _addr);
+        return true;
+    }
+
+    /**
+     * @notice Retire un votant d'une session, pendant la phase d'enregistrement
+     * @dev Un votant qui a délégué sa voix ou en a reçu ne peut pas être retiré : les voix des autres votants en dépendent.
+     * Le votant retiré peut être enregistré à nouveau.
+     * @param _sessionId L'identifiant de la session
+     * @param _addr L'adresse du votant à retirer
+     */
+    function removeVoter(uint32 _sessionId, address _addr) external onlySessionRole(_sessionId, REGISTRAR_ROLE) {
+        _checkRegistering(_sessionId);
+        VotingRules.removeVoter(voters[_sessionId], participations[_sessionId], _addr);
+        emit VoterRemoved(_sessionId, _addr);
+    }
+
+    /**
+     * @notice Publie la racine de l'arbre de Merkle des votants autorisés à s'enregistrer eux-mêmes
+     * @dev Les feuilles sont celles d'un StandardMerkleTree d'OpenZeppelin de type ["address"].
+     * La racine peut être remplacée tant que la session enregistre les votants, bytes32(0) désactive l'auto-enregistrement.
+     * @param _sessionId L'identifiant de la session
+     * @param _root La racine de l'arbre
+     */
+    function setVoterMerkleRoot(uint32 _sessionId, bytes32 _root) external onlySessionRole(_sessionId, REGISTRAR_ROLE) {
+        _checkNotCancelled(_sessionId);
+        if (sessions[_sessionId].workflowStatus != WorkflowStatus.RegisteringVoters) revert VotersRegistrationClosed();
+        voterMerkleRoots[_sessionId] = _root;
+        emit VoterMerkleRootSet(_sessionId, _root);
+    }
+
+    /**
+     * @notice Enregistre l'appelant comme votant d'une session s'il fait partie de la liste publiée
+     * @dev Une session sans liste publiée, ou qui n'existe pas, revert avec AllowlistNotSet
+     * @param _sessionId L'identifiant de la session
+     * @param _proof La preuve de Merkle de l'adresse de l'appelant
+     */
+    function registerWithProof(uint32 _sessionId, bytes32[] calldata _proof) external whenSessionOpen(_sessionId) {
+        _checkRegistering(_sessionId);
+
+        VotingRules.checkProof(_proof, voterMerkleRoots[_sessionId], msg.sender);
+        if (!_registerVoter(_sessionId, msg.sender)) revert AlreadyRegistered();
+    }
+
+    // ::::::::::::: PROPOSAL ::::::::::::: // 
+
+    /**
+     * @notice Permet aux votants d'une session d'y soumettre une nouvelle proposition
+     * @param _sessionId L'identifiant de la session
+     * @param _desc La description de la proposition (max 1000 caractères)
+     */
+    function addProposal(uint32 _sessionId, string calldata _desc) external whenSessionOpen(_sessionId) onlyVoters(_sessionId) {
+        _addProposal(_sessionId, msg.sender, _desc);
+    }
+
+    /**
+     * @notice Soumet la proposition signée d'un votant (message EIP-712 ProposalSubmission)
+     * @dev Peut être envoyée par n'importe qui : le votant n'a pas besoin d'ETH
+     * @param _sessionId La session du message
+     * @param _voter Le votant qui a signé la proposition
+     * @param _desc La description de la proposition
+     * @param _deadline Date limite (timestamp) d'utilisation de la signature
+     * @param _signature La signature du votant (EOA ou contrat ERC-1271)
+     */
+    function addProposalBySig(uint32 _sessionId, address _voter, string calldata _desc, uint256 _deadline, bytes calldata _signature) external whenSessionOpen(_sessionId) {
+        bytes32 structHash = keccak256(abi.encode(
+            PROPOSAL_TYPEHASH, _voter, _sessionId, keccak256(bytes(_desc)), _useNonce(_voter), _deadline
+        ));
+        _checkSignature(_voter, structHash, _deadline, _signature);
+        _checkVoter(_sessionId, _voter);
+        _addProposal(_sessionId, _voter, _desc);
+    }
+
+    function _addProposal(uint32 _sessionId, address _proposer, string calldata _desc) internal {
+        Proposal[] storage proposals = sessions[_sessionId].proposals;
+        uint32 maxProposals = votingMethods[_sessionId] == VotingMethod.Plurality ? MAX_PROPOSALS : MAX_BALLOT_PROPOSALS;
+        require(proposals.length < maxProposals, "Too many proposals");
+        require(bytes(_desc).length < MAX_DESCRIPTION_LENGTH, "Description too long");
+        
+        _checkProposalsOpen(_sessionId);
+        if (bytes(_desc).length == 0) revert EmptyProposal();
+
+        proposals.push(Proposal(_desc, 0, _proposer, false));
+
+        unchecked {
+            emit ProposalRegistered(_sessionId, proposals.length-1);
+        }
+    }
+
+    /**
+     * @notice Retire une proposition de l'appelant, tant que la phase des propositions de sa session est ouverte
+     * @dev La proposition garde son identifiant (les suivantes ne changent pas) mais ne peut plus recevoir de voix
+     * @param _sessionId L'identifiant de la session
+     * @param _id L'identifiant de la proposition
+     */
+    function withdrawProposal(uint32 _sessionId, uint32 _id) external whenSessionOpen(_sessionId) {
+        _checkProposalsOpen(_sessionId);
+        VotingRules.withdrawProposal(sessions[_sessionId].proposals, _id, msg.sender);
+        emit ProposalWithdrawn(_sessionId, _id);
+    }
+
+    // Vérifie que la session accepte les propositions (un second tour ne départage que les propositions à égalité)
+    function _checkProposalsOpen(uint32 _sessionId) internal view {
+        if (sessions[_sessionId].workflowStatus != WorkflowStatus.ProposalsRegistrationStarted
+            || isRunoffSession[_sessionId]) revert ProposalsNotAllowed();
+        _checkDeadline(schedules[_sessionId].proposalsEnd);
+    }
+
+    // ::::::::::::: VOTE ::::::::::::: //
+
+    /**
+     * @notice Permet à un votant de voter pour une proposition
+     * @param _sessionId L'identifiant de la session
+     * @param _id L'identifiant de la proposition choisie
+     */
+    function setVote(uint32 _sessionId, uint32 _id) external whenSessionOpen(_sessionId) onlyVoters(_sessionId) {
+        _setVote(_sessionId, msg.sender, _id);
+    }
+
+    /**
+     * @notice Enregistre le vote signé d'un votant (message EIP-712 Ballot)
+     * @dev Peut être envoyée par n'importe qui : le votant n'a pas besoin d'ETH
+     * @param _sessionId La session du message
+     * @param _voter Le votant qui a signé le bulletin
+     * @param _id L'identifiant de la proposition choisie
+     * @param _deadline Date limite (timestamp) d'utilisation de la signature
+     * @param _signature La signature du votant (EOA ou contrat ERC-1271)
+     */
+    function setVoteBySig(uint32 _sessionId, address _voter, uint32 _id, uint256 _deadline, bytes calldata _signature) external whenSessionOpen(_sessionId) {
+        bytes32 structHash = keccak256(abi.encode(BALLOT_TYPEHASH, _voter, _sessionId, _id, _useNonce(_voter), _deadline));
+        _checkSignature(_voter, structHash, _deadline, _signature);
+        _checkVoter(_sessionId, _voter);
+        _setVote(_sessionId, _voter, _id);
+    }
+
+    function _setVote(uint32 _sessionId, address _voter, uint32 _id) internal {
+
+        // Vérifie si on est dans la phase de vote
+        if (sessions[_sessionId].workflowStatus != WorkflowStatus.VotingSessionStarted) revert VotingNotStarted();
+        _checkDeadline(schedules[_sessionId].votingEnd);
+        if (votingMethods[_sessionId] != VotingMethod.Plurality) revert WrongVotingMethod();
+        // Un vote en clair n'est pas permis dans une session à bulletins secrets
+        if (commitRevealSessions[_sessionId]) revert CommitRevealRequired();
+        // Vérifie si le votant n'a pas déjà voté
+        if (voters[_sessionId][_voter].hasVoted) revert AlreadyVoted();
+        _checkVotable(_sessionId, _id);
+
+        _recordVote(_sessionId, _voter, _id);
+    }
+
+    // Vérifie que la proposition existe et n'a pas été retirée
+    function _checkVotable(uint32 _sessionId, uint32 _id) internal view {
+        Proposal[] storage proposals = sessions[_sessionId].proposals;
+        if (_id >= proposals.length) revert ProposalNotFound();
+        if (proposals[_id].withdrawn) revert WithdrawnProposal();
+    }
+
+    function _recordVote(uint32 _sessionId, address _voter, uint32 _id) internal {
+        Voter storage voter = voters[_sessionId][_voter];
+        // Enregistre le vote du votant
+        voter.votedProposalId = _id;
+        // Marque le votant comme ayant voté
+        voter.hasVoted = true;
+        // Ajoute au compteur de votes de la proposition le poids du vote
+        _addVotes(_sessionId, _id, _votingPower(_sessionId, _voter));
+
+        // Émet l'événement de vote
+        emit Voted(_sessionId, _voter, _id);
+    }
+
+    // ::::::::::::: BALLOTS (APPROVAL, INSTANT RUNOFF) ::::::::::::: //
+
+    /**
+     * @notice Vote par approbation : chaque proposition approuvée reçoit la voix du votant
+     * @param _sessionId L'identifiant de la session
+     * @param _ids Les propositions approuvées, sans doublon (GENESIS exclue)
+     */
+    function setApprovalVote(uint32 _sessionId, uint32[] calldata _ids) external whenSessionOpen(_sessionId) onlyVoters(_sessionId) {
+        uint weight = _castBallot(_sessionId, VotingMethod.Approval, _ids);
+
+        for (uint i = 0; i < _ids.length;) {
+            _addVotes(_sessionId, _ids[i], weight);
+            unchecked { ++i; }
+        }
+    }
+
+    // Ajoute des voix à une proposition et met à jour les propositions en tête
+    function _addVotes(uint32 _sessionId, uint32 _id, uint _weight) internal {
+        VotingTally.addVotes(sessions[_sessionId].proposals, leaders[_sessionId], _id, _weight);
+    }
+
+    /**
+     * @notice Vote préférentiel : classe des propositions par ordre de préférence
+     * @dev Les bulletins ne sont comptés qu'au dépouillement (tallyVotes)
+     * @param _sessionId L'identifiant de la session
+     * @param _ids Les propositions, de la préférée à la moins appréciée, sans doublon (GENESIS exclue)
+     */
+    function setRankedVote(uint32 _sessionId, uint32[] calldata _ids) external whenSessionOpen(_sessionId) onlyVoters(_sessionId) {
+        _castBallot(_sessionId, VotingMethod.InstantRunoff, _ids);
+        rankedVoters[_sessionId].push(msg.sender);
+    }
+
+    // Vérifie et enregistre un bulletin, et renvoie son poids ; votedProposalId est le premier choix du votant
+    function _castBallot(uint32 _sessionId, VotingMethod _method, uint32[] calldata _ids) internal returns (uint weight) {
+        if (sessions[_sessionId].workflowStatus != WorkflowStatus.VotingSessionStarted) revert VotingNotStarted();
+        _checkDeadline(schedules[_sessionId].votingEnd);
+        if (votingMethods[_sessionId] != _method) revert WrongVotingMethod();
+        VotingRules.recordBallot(
+            voters[_sessionId][msg.sender],
+            ballots[_sessionId],
+            sessions[_sessionId].proposals,
+            msg.sender,
+            _ids,
+            MAX_BALLOT_CHOICES
+        );
+        weight = _votingPower(_sessionId, msg.sender);
+        emit BallotCast(_sessionId, msg.sender, _ids);
+    }
+
+    // ::::::::::::: TOKEN-WEIGHTED VOTING ::::::::::::: //
+
+    /**
+     * @notice Pondère les votes d'une session par un jeton ERC20Votes, avant l'ouverture du vote
+     * @dev Les voix de chaque votant sont lues à l'instantané pris à l'ouverture du vote (la fin du bloc, ou de la
+     * seconde selon l'horloge du jeton, qui la précède) : des jetons transférés ensuite ne votent pas une seconde fois.
+     * Les voix se délèguent alors avec le jeton, et non avec delegateVote.
+     * @param _sessionId L'identifiant de la session
+     * @param _token Le jeton de vote (adresse nulle : une voix par votant)
+     */
+    function setVotingToken(uint32 _sessionId, IERC5805 _token) external onlySessionRole(_sessionId, DEFAULT_ADMIN_ROLE) {
+        _checkVotingNotStarted(_sessionId);
+        // Refuse une adresse qui n'est pas un jeton de vote
+        if (address(_token) != address(0)) _token.clock();
+        votingTokens[_sessionId] = _token;
+        emit VotingTokenSet(_sessionId, address(_token));
+    }
+
+    // Poids du vote d'un votant : sa voix et celles qui lui ont été déléguées, ou ses voix du jeton à l'instantané.
+    // Appelée une fois par vote compté, elle l'ajoute à la participation de la session.
+    function _votingPower(uint32 _sessionId, address _voter) internal returns (uint weight) {
+        IERC5805 token = votingTokens[_sessionId];
+        uint32 represented = 1 + voters[_sessionId][_voter].delegatedWeight;
+        if (address(token) == address(0)) {
+            weight = represented;
+        } else {
+            weight = token.getPastVotes(_voter, votingSnapshots[_sessionId]);
+            if (weight == 0) revert NoVotingPower();
+            votingPowers[_sessionId][_voter] = weight;
+            emit VotingPowerUsed(_sessionId, _voter, weight);
+        }
+        _countVotes(_sessionId, represented, weight);
+    }
+
+    // Ajoute des votants et leurs voix à la participation d'une session
+    function _countVotes(uint32 _sessionId, uint32 _voters, uint _weight) internal {
+        Participation storage participation = participations[_sessionId];
+        participation.votesCast += _voters;
+        participation.castWeight += _weight;
+    }
+
+    // ::::::::::::: DELEGATION ::::::::::::: //
+
+    /**
+     * @notice Délègue la voix de l'appelant, et celles qui lui ont été déléguées, à un autre votant de la session
+     * @dev Possible jusqu'à la fin de la phase de vote, tant que l'appelant n'a pas voté. La chaîne de délégations
+     * du destinataire est suivie jusqu'au votant qui votera ; si celui-ci a déjà voté, les voix sont ajoutées
+     * directement à sa proposition (à chaque proposition approuvée ; au dépouillement pour un bulletin préférentiel).
+     * Dans une session à bulletins secrets, elles ne comptent que si ce votant révèle son vote.
+     * @param _sessionId L'identifiant de la session
+     * @param _to Le votant à qui déléguer
+     */
+    function delegateVote(uint32 _sessionId, address _to) external whenSessionOpen(_sessionId) onlyVoters(_sessionId) {
+        // RevealingVotes est aussi après VotingSessionStarted dans l'énumération
+        if (sessions[_sessionId].workflowStatus > WorkflowStatus.VotingSessionStarted) revert DelegationClosed();
+        _checkDeadline(schedules[_sessionId].votingEnd);
+
+        if (address(votingTokens[_sessionId]) != address(0)) revert TokenDelegationRequired();
+
+        Voter storage sender = voters[_sessionId][msg.sender];
+        if (sender.hasVoted || voteCommitments[_sessionId][msg.sender] != bytes32(0)) revert AlreadyVoted();
+        if (_to == msg.sender) revert SelfDelegation();
+        _checkVoter(_sessionId, _to);
+
+        (address delegate, uint32 weight) = VotingRules.delegate(
+            voters[_sessionId],
+            ballots[_sessionId],
+            sessions[_sessionId].proposals,
+            leaders[_sessionId],
+            participations[_sessionId],
+            votingMethods[_sessionId],
+            msg.sender,
+            _to
+        );
+        emit VoteDelegated(_sessionId, msg.sender, delegate, weight);
+    }
+
+    // ::::::::::::: SECRET BALLOT (COMMIT-REVEAL) ::::::::::::: //
+
+    /**
+     * @notice Active ou désactive le vote à bulletins secrets pour une session
+     * @dev Le mode ne peut plus changer une fois le vote commencé, et seul le scrutin uninominal vote en secret
+     * @param _sessionId L'identifiant de la session
+     * @param _enabled true pour voter par commit-reveal
+     */
+    function setCommitReveal(uint32 _sessionId, bool _enabled) external onlySessionRole(_sessionId, DEFAULT_ADMIN_ROLE) {
+        if (_enabled && votingMethods[_sessionId] != VotingMethod.Plurality) revert WrongVotingMethod();
+        _checkVotingNotStarted(_sessionId);
+        commitRevealSessions[_sessionId] = _enabled;
+        emit CommitRevealSet(_sessionId, _enabled);
+    }
+
+    /**
+     * @notice Calcule l'empreinte d'un vote secret
+     * @dev L'adresse du votant et la session empêchent de réutiliser l'empreinte d'un autre votant ou d'une autre session
+     * @param _voter Le votant
+     * @param _sessionId La session
+     * @param _id L'identifiant de la proposition choisie
+     * @param _salt Un secret aléatoire connu du seul votant jusqu'à la révélation
+     */
+    function computeCommitment(address _voter, uint32 _sessionId, uint32 _id, bytes32 _salt) public pure returns (bytes32) {
+        return keccak256(abi.encode(_voter, _sessionId, _id, _salt));
+    }
+
+    /**
+     * @notice Publie l'empreinte du vote de l'appelant, pendant la session de vote
+     * @param _sessionId L'identifiant de la session
+     * @param _commitment L'empreinte renvoyée par computeCommitment
+     */
+    function commitVote(uint32 _sessionId, bytes32 _commitment) external whenSessionOpen(_sessionId) onlyVoters(_sessionId) {
+        if (sessions[_sessionId].workflowStatus != WorkflowStatus.VotingSessionStarted) revert VotingNotStarted();
+        _checkDeadline(schedules[_sessionId].votingEnd);
+        if (!commitRevealSessions[_sessionId]) revert CommitRevealDisabled();
+        if (_commitment == bytes32(0)) revert InvalidCommitment();
+        // Un votant qui a délégué sa voix est marqué comme ayant voté
+        if (voteCommitments[_sessionId][msg.sender] != bytes32(0) || voters[_sessionId][msg.sender].hasVoted) revert AlreadyVoted();
+
+        voteCommitments[_sessionId][msg.sender] = _commitment;
+        emit VoteCommitted(_sessionId, msg.sender, _commitment);
+    }
+
+    /**
+     * @notice Révèle le vote de l'appelant, qui est alors compté
+     * @param _sessionId L'identifiant de la session
+     * @param _id L'identifiant de la proposition choisie lors du commit
+     * @param _salt Le secret utilisé pour calculer l'empreinte
+     */
+    function revealVote(uint32 _sessionId, uint32 _id, bytes32 _salt) external whenSessionOpen(_sessionId) onlyVoters(_sessionId) {
+        if (sessions[_sessionId].workflowStatus != WorkflowStatus.RevealingVotes) revert RevealNotStarted();
+        _checkDeadline(schedules[_sessionId].revealEnd);
+
+        bytes32 commitment = voteCommitments[_sessionId][msg.sender];
+        if (commitment == bytes32(0)) revert NoCommitment();
+        if (voters[_sessionId][msg.sender].hasVoted) revert AlreadyVoted();
+        if (computeCommitment(msg.sender, _sessionId, _id, _salt) != commitment) revert InvalidReveal();
+        // Une empreinte valide peut désigner une proposition inexistante ou retirée : le vote n'est alors jamais compté
+        _checkVotable(_sessionId, _id);
+
+        _recordVote(_sessionId, msg.sender, _id);
+    }
+
+    // ::::::::::::: SIGNATURES ::::::::::::: //
+
+    // Vérifie qu'une adresse est un votant enregistré de la session
+    function _checkVoter(uint32 _sessionId, address _voter) internal view {
+        if (!voters[_sessionId][_voter].isRegistered) revert NotVoter();
+    }
+
+    // Vérifie la date limite et la signature d'un message EIP-712 du votant
+    function _checkSignature(address _voter, bytes32 _structHash, uint256 _deadline, bytes calldata _signature) internal view {
+        VotingRules.checkSignature(_voter, _hashTypedDataV4(_structHash), _deadline, _signature);
+    }
+
+    // Le domaine EIP-712 est constant : il reste valide sur un proxy initialisé avant l'ajout des signatures
+    function _EIP712Name() internal pure override returns (string memory) {
+        return "Voting";
+    }
+
+    function _EIP712Version() internal pure override returns (string memory) {
+        return "1";
+    }
+
+    // ::::::::::::: SCHEDULE ::::::::::::: //
+
+    /**
+     * @notice Fixe le calendrier d'une session, pendant l'enregistrement des votants
+     * @dev Les phases se suivent : proposalsStart < proposalsEnd <= votingStart < votingEnd, et revealEnd (sessions
+     * à bulletins secrets) est 0 ou après votingEnd. Des dates toutes à 0 suppriment le calendrier.
+     * @param _sessionId L'identifiant de la session
+     * @param _schedule Les timestamps d'ouverture et de fermeture des phases
+     */
+    function setSchedule(uint32 _sessionId, Schedule calldata _schedule) external onlySessionRole(_sessionId, DEFAULT_ADMIN_ROLE) {
+        // Une fois la date d'ouverture des propositions passée, n'importe qui peut démarrer la phase suivante
+        _checkRegistering(_sessionId);
+
+        VotingRules.setSchedule(schedules, _sessionId, _schedule);
+    }
+
+    // Refuse l'action si la date limite de la phase est passée (0 : pas de date limite)
+    function _checkDeadline(uint64 _deadline) internal view {
+        if (_deadline != 0 && block.timestamp >= _deadline) revert PhaseExpired();
+    }
+
+    // Sans calendrier (ou sans date pour cette transition), seul un opérateur ou l'administrateur de la session la fait
+    // avancer ; avec un calendrier, n'importe qui le peut une fois la date atteinte, et personne avant
+    function _checkTransition(uint32 _sessionId, uint64 _dueTime) internal view {
+        _checkNotCancelled(_sessionId);
+        if (schedules[_sessionId].votingEnd == 0 || _dueTime == 0) {
+            _checkSessionRole(_sessionId, OPERATOR_ROLE);
+        } else if (block.timestamp < _dueTime) {
+            revert TransitionNotDue(_dueTime);
+        }
+    }
+
+    // Les règles d'une session ne peuvent plus changer une fois le vote commencé
+    function _checkVotingNotStarted(uint32 _sessionId) internal view {
+        _checkNotCancelled(_sessionId);
+        // RevealingVotes et les états suivants sont aussi après VotingSessionStarted dans l'énumération
+        if (sessions[_sessionId].workflowStatus >= WorkflowStatus.VotingSessionStarted) revert VotingAlreadyStarted();
+    }
+
+    // ::::::::::::: THRESHOLDS ::::::::::::: //
+
+    /**
+     * @notice Fixe les conditions de validité d'une session, avant l'ouverture du vote
+     * @dev Au dépouillement, une session qui ne les remplit pas est close sans gagnant (événement NoResult). Le quorum
+     * compte les votants dont la voix est comptée, délégants représentés compris ; la part du gagnant est rapportée au
+     * poids total des voix exprimées (en vote préférentiel, les bulletins épuisés au dernier tour comptent).
+     * @param _thresholds Le quorum en votants et en points de base des inscrits, et la part minimum du gagnant en
+     * points de base (0 : pas de condition)
+     * @param _sessionId L'identifiant de la session
+     */
+    function setThresholds(uint32 _sessionId, Thresholds calldata _thresholds) external onlySessionRole(_sessionId, DEFAULT_ADMIN_ROLE) {
+        _checkVotingNotStarted(_sessionId);
+        VotingRules.setThresholds(thresholds, _sessionId, _thresholds);
+    }
+
+    // ::::::::::::: TIE-BREAK ::::::::::::: //
+
+    /**
+     * @notice Choisit la règle de départage d'une égalité pour une session
+     * @dev La règle ne peut plus changer une fois le vote commencé
+     * @param _sessionId L'identifiant de la session
+     * @param _policy LowestId (par défaut), Runoff ou OwnerDecision
+     */
+    function setTiePolicy(uint32 _sessionId, TiePolicy _policy) external onlySessionRole(_sessionId, DEFAULT_ADMIN_ROLE) {
+        _checkVotingNotStarted(_sessionId);
+        tiePolicies[_sessionId] = _policy;
+        emit TiePolicySet(_sessionId, _policy);
+    }
+
+    /**
+     * @notice Départage une égalité d'une session (règle OwnerDecision)
+     * @param _sessionId L'identifiant de la session
+     * @param _id La proposition gagnante, parmi les propositions à égalité
+     */
+    function resolveTie(uint32 _sessionId, uint32 _id) external onlySessionRole(_sessionId, DEFAULT_ADMIN_ROLE) {
+        if (!_isTiePending(_sessionId)) revert NoPendingTie();
+
+        uint32[] storage tied = tiedProposals[_sessionId];
+        uint length = tied.length;
+        for (uint i = 0; i < length;) {
+            if (tied[i] == _id) {
+                sessions[_sessionId].winningProposalID = _id;
+                emit TieResolved(_sessionId, _id);
+                return;
+            }
+            unchecked { ++i; }
+        }
+        revert NotTiedProposal();
+    }
+
+    // Une égalité attend la décision de l'administrateur tant que le gagnant est GENESIS
+    function _isTiePending(uint32 _sessionId) internal view returns (bool) {
+        return tiePolicies[_sessionId] == TiePolicy.OwnerDecision
+            && tiedProposals[_sessionId].length != 0
+            && sessions[_sessionId].winningProposalID == 0;
+    }
+
+    // Crée le second tour d'une session : il reprend les propositions à égalité (avec de nouveaux identifiants), le mode
+    // de scrutin, le jeton de vote, les conditions de validité et l'administrateur de la session, mais les votants sont
+    // à enregistrer et la règle de départage est LowestId
+    function _createRunoff(uint32 _sessionId, uint32[] memory _tied) internal {
+        uint32 runoffId = _createSession(string.concat("Runoff: ", sessions[_sessionId].name), votingMethods[_sessionId]);
+        isRunoffSession[runoffId] = true;
+        runoffSessions[_sessionId] = runoffId;
+        emit RunoffSessionCreated(_sessionId, runoffId);
+        address admin = sessionAdmins[_sessionId];
+        if (admin != address(0)) _setSessionAdmin(runoffId, admin);
+
+        VotingTally.copyToRunoff(
+            sessions[_sessionId].proposals,
+            sessions[runoffId].proposals,
+            _tied,
+            votingTokens,
+            thresholds,
+            _sessionId,
+            runoffId
+        );
+    }
+
+    // ::::::::::::: EMERGENCY ::::::::::::: //
+
+    /**
+     * @notice Suspend les fonctions des votants de toutes les sessions : enregistrement par preuve, propositions,
+     * votes, délégations et bulletins secrets revert avec EnforcedPause
+     * @dev L'administration et les transitions restent possibles, pour annuler une session ou la mener à son terme
+     */
+    function pause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @notice Lève la pause des fonctions des votants
+     */
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @notice Annule une session avant son dépouillement : elle passe à l'état final Cancelled, sans gagnant
+     * @dev Les votes déjà enregistrés restent consultables mais ne sont jamais dépouillés. Les autres sessions ne sont
+     * pas concernées, et une nouvelle session peut être créée aussitôt.
+     * @param _sessionId L'identifiant de la session
+     * @param _reason La raison de l'annulation, publiée dans l'événement SessionCancelled
+     */
+    function cancelSession(uint32 _sessionId, string calldata _reason) external onlySessionRole(_sessionId, DEFAULT_ADMIN_ROLE) {
+        VotingSession storage session = sessions[_sessionId];
+        WorkflowStatus previousStatus = session.workflowStatus;
+        if (previousStatus == WorkflowStatus.Cancelled) revert CancelledSession();
+        if (previousStatus == WorkflowStatus.VotesTallied) revert SessionAlreadyTallied();
+
+        session.workflowStatus = WorkflowStatus.Cancelled;
+        emit WorkflowStatusChange(_sessionId, previousStatus, WorkflowStatus.Cancelled);
+        emit SessionCancelled(_sessionId, _reason);
+    }
+
+    // Vérifie que le contrat n'est pas en pause et que la session n'est pas annulée
+    function _checkSessionOpen(uint32 _sessionId) internal view {
+        _requireNotPaused();
+        _checkNotCancelled(_sessionId);
+    }
+
+    // Une session annulée refuse toute action avec CancelledSession, avant les erreurs propres à chaque phase
+    function _checkNotCancelled(uint32 _sessionId) internal view {
+        if (sessions[_sessionId].workflowStatus == WorkflowStatus.Cancelled) revert CancelledSession();
+    }
+
+    // ::::::::::::: ROLES ::::::::::::: //
+
+    // Vérifie que la session existe et que l'appelant est son administrateur, ou a le rôle sur le contrat
+    function _checkSessionRole(uint32 _sessionId, bytes32 _role) internal view {
+        if (_sessionId >= totalSessions) revert SessionNotFound();
+        if (msg.sender != sessionAdmins[_sessionId]) _checkRole(_role);
+    }
+
+    /**
+     * @notice Désigne l'administrateur d'une session, qui y exerce les rôles d'administrateur, d'enregistreur et
+     * d'opérateur sans les avoir sur le contrat
+     * @dev Réservée à l'administrateur du contrat et à l'administrateur actuel de la session, qui peut ainsi la
+     * confier à un autre compte ; l'adresse nulle retire l'administrateur de la session
+     * @param _sessionId L'identifiant de la session
+     * @param _admin Le nouvel administrateur de la session
+     */
+    function setSessionAdmin(uint32 _sessionId, address _admin) external onlySessionRole(_sessionId, DEFAULT_ADMIN_ROLE) {
+        _setSessionAdmin(_sessionId, _admin);
+    }
+
+    function _setSessionAdmin(uint32 _sessionId, address _admin) internal {
+        sessionAdmins[_sessionId] = _admin;
+        emit SessionAdminSet(_sessionId, _admin);
+    }
+
+    /**
+     * @notice Cède à un autre compte tous les rôles de l'appelant (administrateur, et enregistreur ou opérateur)
+     * @dev Utilisé en fin de déploiement pour remettre le contrat à son administrateur final ; sans effet si _to est
+     * l'appelant
+     * @param _to Le compte qui reçoit les rôles
+     */
+    function transferRoles(address _to) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_to == msg.sender) return;
+        bytes32[3] memory roles = [REGISTRAR_ROLE, OPERATOR_ROLE, DEFAULT_ADMIN_ROLE];
+        for (uint i = 0; i < 3;) {
+            if (hasRole(roles[i], msg.sender)) {
+                _grantRole(roles[i], _to);
+                _revokeRole(roles[i], msg.sender);
+            }
+            unchecked { ++i; }
+        }
+    }
+
+    // ::::::::::::: STATE ::::::::::::: //
+
+    function startNewVotingSession(string calldata _sessionName) external onlyRole(DEFAULT_ADMIN_ROLE) returns (uint32) {
+        return _createSession(_sessionName, VotingMethod.Plurality);
+    }
+
+    /**
+     * @notice Crée une nouvelle session avec un mode de scrutin donné
+     * @dev Les sessions sont indépendantes : une session peut être créée pendant que d'autres sont en cours
+     * @param _sessionName Le nom de la session ("Session <n>" si vide)
+     * @param _method Plurality (setVote), Approval (setApprovalVote) ou InstantRunoff (setRankedVote)
+     * @return L'identifiant de la session créée
+     */
+    function startNewVotingSession(string calldata _sessionName, VotingMethod _method) external onlyRole(DEFAULT_ADMIN_ROLE) returns (uint32) {
+        return _createSession(_sessionName, _method);
+    }
+
+    // Crée une nouvelle session, qui devient la dernière session (currentSessionId)
+    function _createSession(string memory _sessionName, VotingMethod _method) internal returns (uint32 sessionId) {
+        sessionId = totalSessions;
+        currentSessionId = sessionId;
+        totalSessions++;
+        VotingRules.createSession(sessions[sessionId], votingMethods, sessionId, _sessionName, _method);
+    }
+
+    /**
+     * @notice Démarre la phase d'enregistrement des propositions
+     * @dev Ajoute automatiquement la proposition GENESIS (déjà présente, avec les propositions à égalité, dans un second tour)
+     * @param _sessionId L'identifiant de la session
+     */
+    function startProposalsRegistering(uint32 _sessionId) external {
+        _checkTransition(_sessionId, schedules[_sessionId].proposalsStart);
+        if (sessions[_sessionId].workflowStatus != WorkflowStatus.RegisteringVoters) revert RegistrationNotStarted();
+        
+        sessions[_sessionId].workflowStatus = WorkflowStatus.ProposalsRegistrationStarted;
+        if (!isRunoffSession[_sessionId]) sessions[_sessionId].proposals.push(Proposal("GENESIS", 0, address(0), false));
+        
+        emit WorkflowStatusChange(_sessionId, WorkflowStatus.RegisteringVoters, WorkflowStatus.ProposalsRegistrationStarted);
+    }
+
+    // Fonction pour terminer l'enregistrement des propositions d'une session
+    function endProposalsRegistering(uint32 _sessionId) external {
+        _checkTransition(_sessionId, schedules[_sessionId].proposalsEnd);
+        if (sessions[_sessionId].workflowStatus != WorkflowStatus.ProposalsRegistrationStarted) revert RegistrationNotStarted();
+        
+        sessions[_sessionId].workflowStatus = WorkflowStatus.ProposalsRegistrationEnded;
+        emit WorkflowStatusChange(_sessionId, WorkflowStatus.ProposalsRegistrationStarted, WorkflowStatus.ProposalsRegistrationEnded);
+    }
+
+    /**
+     * @notice Démarre la session de vote
+     * @dev Dans une session pondérée par jeton, fixe l'instantané des voix au dernier point de l'horloge du jeton
+     * (getPastVotes n'accepte que des points passés)
+     * @param _sessionId L'identifiant de la session
+     */
+    function startVotingSession(uint32 _sessionId) external {
+        _checkTransition(_sessionId, schedules[_sessionId].votingStart);
+        if (sessions[_sessionId].workflowStatus != WorkflowStatus.ProposalsRegistrationEnded) revert ProposalsRegistrationNotEnded();
+
+        IERC5805 token = votingTokens[_sessionId];
+        if (address(token) != address(0)) votingSnapshots[_sessionId] = token.clock() - 1;
+        
+        sessions[_sessionId].workflowStatus = WorkflowStatus.VotingSessionStarted;
+        emit WorkflowStatusChange(_sessionId, WorkflowStatus.ProposalsRegistrationEnded, WorkflowStatus.VotingSessionStarted);
+    }
+
+    /**
+     * @notice Termine la phase de commit d'une session à bulletins secrets et ouvre la révélation des votes
+     * @param _sessionId L'identifiant de la session
+     */
+    function startVotesRevealing(uint32 _sessionId) external {
+        _checkTransition(_sessionId, schedules[_sessionId].votingEnd);
+        if (sessions[_sessionId].workflowStatus != WorkflowStatus.VotingSessionStarted) revert VotingNotStarted();
+        if (!commitRevealSessions[_sessionId]) revert CommitRevealDisabled();
+
+        sessions[_sessionId].workflowStatus = WorkflowStatus.RevealingVotes;
+        emit WorkflowStatusChange(_sessionId, WorkflowStatus.VotingSessionStarted, WorkflowStatus.RevealingVotes);
+    }
+
+    /**
+     * @notice Termine la session de vote
+     * @dev Une session à bulletins secrets se termine après la révélation des votes
+     * @param _sessionId L'identifiant de la session
+     */
+    function endVotingSession(uint32 _sessionId) external {
+        WorkflowStatus previousStatus = sessions[_sessionId].workflowStatus;
+        Schedule storage schedule = schedules[_sessionId];
+        _checkTransition(_sessionId, commitRevealSessions[_sessionId] ? schedule.revealEnd : schedule.votingEnd);
+        if (commitRevealSessions[_sessionId]) {
+            if (previousStatus != WorkflowStatus.RevealingVotes) revert RevealNotStarted();
+        } else if (previousStatus != WorkflowStatus.VotingSessionStarted) {
+            revert VotingNotStarted();
+        }
+        
+        sessions[_sessionId].workflowStatus = WorkflowStatus.VotingSessionEnded;
+        emit WorkflowStatusChange(_sessionId, previousStatus, WorkflowStatus.VotingSessionEnded);
+    }
+
+    /**
+     * @notice Comptabilise les votes et détermine la proposition gagnante
+     * @dev GENESIS n'est jamais élue : sans aucun vote, winningProposalID reste à 0. En cas d'égalité, les propositions
+     * à égalité sont enregistrées et départagées selon la règle de la session (un second tour est créé comme nouvelle session).
+     * Une session préférentielle compte d'abord ses bulletins, et son dernier tour donne le nombre de voix des propositions.
+     * Une session qui ne remplit pas ses conditions de validité (quorum, part du gagnant) est close sans gagnant ni
+     * égalité, avec l'événement NoResult. Les propositions retirées ne reçoivent aucune voix (les votes et les bulletins
+     * les refusent) : elles ne sont jamais en tête.
+     * @param _sessionId L'identifiant de la session
+     */
+    function tallyVotes(uint32 _sessionId) external {
+        // La fin du vote est passée : avec un calendrier, n'importe qui peut dépouiller
+        _checkTransition(_sessionId, schedules[_sessionId].votingEnd);
+        VotingSession storage session = sessions[_sessionId];
+        if (session.workflowStatus != WorkflowStatus.VotingSessionEnded) revert VotingSessionNotEnded();
+        (uint32 _winningProposalId, uint32[] memory tied, NoResultReason reason) = VotingTally.tally(
+            session.proposals,
+            leaders[_sessionId],
+            thresholds[_sessionId],
+            participations[_sessionId],
+            rankedVoters[_sessionId],
+            ballots[_sessionId],
+            voters[_sessionId],
+            votingPowers[_sessionId],
+            tiedProposals[_sessionId],
+            votingMethods[_sessionId],
+            address(votingTokens[_sessionId]) != address(0)
+        );
+        if (reason != NoResultReason.None) noResults[_sessionId] = reason;
+        TiePolicy policy = tiePolicies[_sessionId];
+        if (tied.length != 0) {
+            // Le gagnant reste GENESIS jusqu'à la décision de l'administrateur ou le second tour
+            if (policy != TiePolicy.LowestId) _winningProposalId = 0;
+        }
+        
+        session.winningProposalID = _winningProposalId;
+        session.workflowStatus = WorkflowStatus.VotesTallied;
+        emit WorkflowStatusChange(_sessionId, WorkflowStatus.VotingSessionEnded, WorkflowStatus.VotesTallied);
+
+        if (reason != NoResultReason.None) emit NoResult(_sessionId, reason);
+        if (tied.length != 0) {
+            emit TieDetected(_sessionId, tied);
+            if (policy == TiePolicy.LowestId) emit TieResolved(_sessionId, _winningProposalId);
+            else if (policy == TiePolicy.Runoff) _createRunoff(_sessionId, tied);
+        }
+    }
+}
@@ -0,0 +1,245 @@
+// Licence MIT pour le contrat
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.28;
+
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "./VotingBase.sol";
+import "./VotingTally.sol";
+
+/**
+ * @title Règles des sessions de vote
+ * @author Votre nom
+ * @notice Création des sessions, vérification des calendriers, des signatures et des preuves d'inscription,
+ * enregistrement des bulletins par approbation ou préférentiels, retrait des votants et des propositions, et
+ * transmission des voix déléguées
+ * @dev Bibliothèque externe liée aux contrats de vote à leur déploiement, comme VotingTally : ses fonctions lisent et
+ * écrivent le stockage du contrat de vote qui les appelle (DELEGATECALL).
+ */
+library VotingRules {
+    /**
+     * @notice Nomme une nouvelle session et fixe son mode de scrutin
+     * @dev La session commence à l'état RegisteringVoters, la valeur par défaut de son workflowStatus
+     * @param _session La session, encore vide
+     * @param _votingMethods Les modes de scrutin des sessions
+     * @param _sessionId L'identifiant de la session
+     * @param _sessionName Le nom de la session ("Session <n>" si vide, n comptant à partir de 1)
+     * @param _method Le mode de scrutin de la session
+     */
+    function createSession(
+        VotingBase.VotingSession storage _session,
+        mapping(uint32 => VotingBase.VotingMethod) storage _votingMethods,
+        uint32 _sessionId,
+        string memory _sessionName,
+        VotingBase.VotingMethod _method
+    ) external {
+        string memory sessionName = bytes(_sessionName).length == 0
+            ? string.concat("Session ", Strings.toString(_sessionId + 1))
+            : _sessionName;
+        _session.name = sessionName;
+
+        emit VotingBase.SessionCreated(_sessionId, sessionName);
+        if (_method != VotingBase.VotingMethod.Plurality) {
+            _votingMethods[_sessionId] = _method;
+            emit VotingBase.VotingMethodSet(_sessionId, _method);
+        }
+    }
+
+    /**
+     * @notice Vérifie et enregistre le calendrier d'une session : les phases se suivent, ou toutes les dates sont à 0
+     * @param _schedules Les calendriers des sessions
+     * @param _sessionId L'identifiant de la session
+     * @param _schedule Les timestamps d'ouverture et de fermeture des phases
+     */
+    function setSchedule(
+        mapping(uint32 => VotingBase.Schedule) storage _schedules,
+        uint32 _sessionId,
+        VotingBase.Schedule calldata _schedule
+    ) external {
+        bool cleared = _schedule.proposalsStart == 0 && _schedule.proposalsEnd == 0 && _schedule.votingStart == 0
+            && _schedule.votingEnd == 0 && _schedule.revealEnd == 0;
+        if (!cleared && (
+            _schedule.proposalsStart == 0
+            || _schedule.proposalsStart >= _schedule.proposalsEnd
+            || _schedule.proposalsEnd > _schedule.votingStart
+            || _schedule.votingStart >= _schedule.votingEnd
+            || (_schedule.revealEnd != 0 && _schedule.revealEnd <= _schedule.votingEnd)
+        )) revert VotingBase.InvalidSchedule();
+
+        _schedules[_sessionId] = _schedule;
+        emit VotingBase.ScheduleSet(_sessionId, _schedule);
+    }
+
+    /**
+     * @notice Vérifie et enregistre les conditions de validité d'une session
+     * @param _thresholds Les conditions de validité des sessions
+     * @param _sessionId L'identifiant de la session
+     * @param _sessionThresholds Le quorum et la part minimum du gagnant, en points de base au plus 10000
+     */
+    function setThresholds(
+        mapping(uint32 => VotingBase.Thresholds) storage _thresholds,
+        uint32 _sessionId,
+        VotingBase.Thresholds calldata _sessionThresholds
+    ) external {
+        if (_sessionThresholds.quorumBps > 10000 || _sessionThresholds.winnerShareBps > 10000) revert VotingBase.InvalidThresholds();
+        _thresholds[_sessionId] = _sessionThresholds;
+        emit VotingBase.ThresholdsSet(_sessionId, _sessionThresholds);
+    }
+
+    /**
+     * @notice Vérifie la date limite et la signature d'un message EIP-712
+     * @param _signer Le signataire attendu (EOA ou contrat ERC-1271)
+     * @param _digest L'empreinte EIP-712 du message
+     * @param _deadline Date limite (timestamp) d'utilisation de la signature
+     * @param _signature La signature
+     */
+    function checkSignature(address _signer, bytes32 _digest, uint256 _deadline, bytes calldata _signature) external view {
+        if (block.timestamp > _deadline) revert VotingBase.SignatureExpired();
+        if (!SignatureChecker.isValidSignatureNow(_signer, _digest, _signature)) revert VotingBase.InvalidSignature();
+    }
+
+    /**
+     * @notice Vérifie qu'une adresse fait partie d'une liste publiée en arbre de Merkle
+     * @dev Les feuilles sont celles d'un StandardMerkleTree d'OpenZeppelin de type ["address"]
+     * @param _proof La preuve de Merkle de l'adresse
+     * @param _root La racine de l'arbre (bytes32(0) : pas de liste)
+     * @param _account L'adresse
+     */
+    function checkProof(bytes32[] calldata _proof, bytes32 _root, address _account) external pure {
+        if (_root == bytes32(0)) revert VotingBase.AllowlistNotSet();
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(_account))));
+        if (!MerkleProof.verifyCalldata(_proof, _root, leaf)) revert VotingBase.InvalidMerkleProof();
+    }
+
+    /**
+     * @notice Retire un votant d'une session
+     * @dev Un votant qui a délégué sa voix ou en a reçu ne peut pas être retiré : les voix des autres votants en
+     * dépendent. Pendant l'enregistrement des votants, hasVoted ne peut venir que d'une délégation.
+     * @param _voters Les votants de la session
+     * @param _participation La participation de la session
+     * @param _addr L'adresse du votant
+     */
+    function removeVoter(
+        mapping(address => VotingBase.Voter) storage _voters,
+        VotingBase.Participation storage _participation,
+        address _addr
+    ) external {
+        VotingBase.Voter storage voter = _voters[_addr];
+        if (!voter.isRegistered) revert VotingBase.NotVoter();
+        if (voter.hasVoted || voter.delegatedWeight != 0) revert VotingBase.VoterInDelegation();
+
+        delete _voters[_addr];
+        --_participation.registeredVoters;
+    }
+
+    /**
+     * @notice Retire une proposition à la demande de son auteur
+     * @param _proposals Les propositions de la session
+     * @param _id L'identifiant de la proposition
+     * @param _sender L'appelant, qui doit être l'auteur de la proposition
+     */
+    function withdrawProposal(VotingBase.Proposal[] storage _proposals, uint32 _id, address _sender) external {
+        if (_id >= _proposals.length) revert VotingBase.ProposalNotFound();
+        VotingBase.Proposal storage proposal = _proposals[_id];
+        if (proposal.proposer != _sender) revert VotingBase.NotProposer();
+        if (proposal.withdrawn) revert VotingBase.WithdrawnProposal();
+        proposal.withdrawn = true;
+    }
+
+    /**
+     * @notice Vérifie et enregistre le bulletin d'un votant : de 1 à _maxChoices propositions existantes et non
+     * retirées, sans doublon, GENESIS exclue
+     * @dev votedProposalId devient le premier choix du votant
+     * @param _voter Le votant, qui ne doit pas avoir voté
+     * @param _ballots Les bulletins de la session
+     * @param _proposals Les propositions de la session
+     * @param _addr L'adresse du votant
+     * @param _ids Les propositions du bulletin
+     * @param _maxChoices Le nombre maximum de propositions d'un bulletin
+     */
+    function recordBallot(
+        VotingBase.Voter storage _voter,
+        mapping(address => uint32[]) storage _ballots,
+        VotingBase.Proposal[] storage _proposals,
+        address _addr,
+        uint32[] calldata _ids,
+        uint _maxChoices
+    ) external {
+        if (_voter.hasVoted) revert VotingBase.AlreadyVoted();
+        uint length = _ids.length;
+        uint proposalsCount = _proposals.length;
+        if (length == 0 || length > _maxChoices) revert VotingBase.InvalidBallot();
+        for (uint i = 0; i < length;) {
+            if (_ids[i] == 0 || _ids[i] >= proposalsCount) revert VotingBase.ProposalNotFound();
+            if (_proposals[_ids[i]].withdrawn) revert VotingBase.WithdrawnProposal();
+            for (uint j = 0; j < i;) {
+                if (_ids[j] == _ids[i]) revert VotingBase.InvalidBallot();
+                unchecked { ++j; }
+            }
+            unchecked { ++i; }
+        }
+
+        _voter.hasVoted = true;
+        _voter.votedProposalId = _ids[0];
+        _ballots[_addr] = _ids;
+    }
+
+    /**
+     * @notice Transmet la voix d'un votant, et celles qu'il a reçues, au bout de la chaîne de délégations
+     * @dev Si le votant au bout de la chaîne a déjà voté, les voix vont directement à sa proposition (à chaque
+     * proposition approuvée ; au dépouillement pour un bulletin préférentiel) et sont comptées dans la participation.
+     * @param _voters Les votants de la session
+     * @param _ballots Les bulletins de la session
+     * @param _proposals Les propositions de la session
+     * @param _leaders Les propositions en tête de la session
+     * @param _participation La participation de la session
+     * @param _method Le mode de scrutin de la session
+     * @param _from Le votant qui délègue
+     * @param _to Le votant à qui il délègue
+     * @return last Le votant au bout de la chaîne
+     * @return weight Les voix transmises
+     */
+    function delegate(
+        mapping(address => VotingBase.Voter) storage _voters,
+        mapping(address => uint32[]) storage _ballots,
+        VotingBase.Proposal[] storage _proposals,
+        VotingBase.Leaders storage _leaders,
+        VotingBase.Participation storage _participation,
+        VotingBase.VotingMethod _method,
+        address _from,
+        address _to
+    ) external returns (address last, uint32 weight) {
+        // Suit la chaîne de délégations : une boucle ramènerait à l'appelant
+        last = _to;
+        while (_voters[last].delegate != address(0)) {
+            last = _voters[last].delegate;
+            if (last == _from) revert VotingBase.DelegationLoop();
+        }
+
+        VotingBase.Voter storage sender = _voters[_from];
+        weight = 1 + sender.delegatedWeight;
+        sender.hasVoted = true;
+        sender.delegate = last;
+
+        VotingBase.Voter storage delegateVoter = _voters[last];
+        // Les voix transmises à un votant qui a déjà voté sont exprimées dès maintenant
+        if (delegateVoter.hasVoted) {
+            _participation.votesCast += weight;
+            _participation.castWeight += weight;
+        }
+        if (!delegateVoter.hasVoted || _method == VotingBase.VotingMethod.InstantRunoff) {
+            // Le poids d'un bulletin préférentiel est lu au dépouillement
+            delegateVoter.delegatedWeight += weight;
+        } else if (_method == VotingBase.VotingMethod.Approval) {
+            uint32[] storage approved = _ballots[last];
+            for (uint i = 0; i < approved.length;) {
+                VotingTally.addVotes(_proposals, _leaders, approved[i], weight);
+                unchecked { ++i; }
+            }
+        } else {
+            VotingTally.addVotes(_proposals, _leaders, delegateVoter.votedProposalId, weight);
+        }
+    }
+}
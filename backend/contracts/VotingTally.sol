@@ -0,0 +1,321 @@
+// Licence MIT pour le contrat
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.28;
+
+import "@openzeppelin/contracts/interfaces/IERC5805.sol";
+import "./VotingBase.sol";
+
+/**
+ * @title Dépouillement des sessions de vote
+ * @author Votre nom
+ * @notice Suivi des propositions en tête au fil des votes, recherche du gagnant et des égalités, conditions de
+ * validité, création des seconds tours, et décompte par tours des bulletins préférentiels
+ * @dev Bibliothèque externe, liée aux contrats de vote à leur déploiement : son code n'entre pas dans leur taille,
+ * limitée à 24 Ko. Ses fonctions lisent et écrivent le stockage du contrat de vote qui les appelle (DELEGATECALL).
+ * Les mêmes règles sont implémentées en JavaScript par le dépouillement de référence du SDK (sdk/src/counting.js).
+ */
+library VotingTally {
+    /**
+     * @notice Ajoute des voix à une proposition et met à jour les propositions en tête de la session
+     * @dev Les voix d'une proposition ne font qu'augmenter : une proposition qui dépasse la tête la remplace, une
+     * proposition qui la rejoint s'y ajoute. GENESIS (0) n'est jamais en tête. Fonction interne, intégrée au code de ses
+     * appelants.
+     * @param _proposals Les propositions de la session
+     * @param _leaders Les propositions en tête de la session
+     * @param _id La proposition
+     * @param _weight Les voix ajoutées
+     */
+    function addVotes(
+        VotingBase.Proposal[] storage _proposals,
+        VotingBase.Leaders storage _leaders,
+        uint32 _id,
+        uint _weight
+    ) internal {
+        uint votes = _proposals[_id].voteCount + _weight;
+        _proposals[_id].voteCount = votes;
+
+        if (_id == 0 || _weight == 0) return;
+        _addLeader(_leaders, _id, votes);
+    }
+
+    /**
+     * @notice Reprend la participation de sessions d'un proxy mis à jour, et recalcule leurs propositions en tête à
+     * partir des voix de leurs propositions
+     * @dev Pour un proxy mis à jour depuis une implémentation qui ne les suivait pas. Parcourt toutes les propositions
+     * de chaque session.
+     * @param _sessions Les sessions du contrat
+     * @param _leaders Les propositions en tête de chaque session
+     * @param _participations La participation de chaque session
+     * @param _migrations Les sessions à migrer, avec leur participation
+     */
+    function migrateSessions(
+        mapping(uint32 => VotingBase.VotingSession) storage _sessions,
+        mapping(uint32 => VotingBase.Leaders) storage _leaders,
+        mapping(uint32 => VotingBase.Participation) storage _participations,
+        VotingBase.SessionMigration[] calldata _migrations
+    ) external {
+        for (uint i = 0; i < _migrations.length;) {
+            uint32 sessionId = _migrations[i].sessionId;
+            _participations[sessionId] = _migrations[i].participation;
+
+            VotingBase.Proposal[] storage proposals = _sessions[sessionId].proposals;
+            VotingBase.Leaders storage leaders = _leaders[sessionId];
+            leaders.maxVotes = 0;
+            leaders.count = 0;
+            uint length = proposals.length;
+            for (uint32 id = 1; id < length;) {
+                uint votes = proposals[id].voteCount;
+                if (votes != 0) _addLeader(leaders, id, votes);
+                unchecked { ++id; }
+            }
+            unchecked { ++i; }
+        }
+    }
+
+    // Ajoute une proposition aux propositions en tête si ses voix (non nulles) les rejoignent ou les dépassent
+    function _addLeader(VotingBase.Leaders storage _leaders, uint32 _id, uint _votes) private {
+        uint maxVotes = _leaders.maxVotes;
+        if (_votes < maxVotes) return;
+        uint32 count = _leaders.count;
+        if (_votes > maxVotes) {
+            _leaders.maxVotes = _votes;
+            count = 0;
+        }
+        if (count < _leaders.proposalIds.length) _leaders.proposalIds[count] = _id;
+        else _leaders.proposalIds.push(_id);
+        _leaders.count = count + 1;
+    }
+
+    /**
+     * @notice Dépouille une session : compte les bulletins préférentiels, puis cherche le gagnant, c'est-à-dire les
+     * propositions arrivées en tête, si la session remplit ses conditions de validité
+     * @dev Hors vote préférentiel, les propositions en tête sont suivies au fil des votes : le coût du dépouillement ne
+     * dépend pas du nombre de propositions. Les propositions à égalité sont aussi enregistrées dans _tiedProposals.
+     * @param _proposals Les propositions de la session
+     * @param _leaders Les propositions en tête de la session
+     * @param _thresholds Les conditions de validité de la session
+     * @param _participation La participation de la session
+     * @param _rankedVoters Les votants qui ont déposé un bulletin préférentiel
+     * @param _ballots Les bulletins de la session
+     * @param _voters Les votants de la session, dont les voix reçues par délégation
+     * @param _votingPowers Les voix du jeton de chaque votant, dans une session pondérée par jeton
+     * @param _tiedProposals Les propositions à égalité de la session, encore vides
+     * @param _method Le mode de scrutin de la session
+     * @param _tokenWeighted true si la session est pondérée par jeton
+     * @return winner La première proposition en tête (0 s'il n'y a aucune voix ou pas de résultat)
+     * @return tied Les propositions à égalité en tête, par identifiant croissant (vide s'il n'y a pas d'égalité ou pas
+     * de résultat)
+     * @return reason La condition de validité non remplie (None si la session a un résultat)
+     */
+    function tally(
+        VotingBase.Proposal[] storage _proposals,
+        VotingBase.Leaders storage _leaders,
+        VotingBase.Thresholds storage _thresholds,
+        VotingBase.Participation storage _participation,
+        address[] storage _rankedVoters,
+        mapping(address => uint32[]) storage _ballots,
+        mapping(address => VotingBase.Voter) storage _voters,
+        mapping(address => uint) storage _votingPowers,
+        uint32[] storage _tiedProposals,
+        VotingBase.VotingMethod _method,
+        bool _tokenWeighted
+    ) external returns (uint32 winner, uint32[] memory tied, VotingBase.NoResultReason reason) {
+        if (_method == VotingBase.VotingMethod.InstantRunoff) {
+            (winner, tied) = _countInstantRunoff(_proposals, _rankedVoters, _ballots, _voters, _votingPowers, _tokenWeighted);
+        } else {
+            (winner, tied) = _sortLeaders(_leaders);
+        }
+        reason = _checkThresholds(_thresholds, _participation, _proposals[winner].voteCount);
+        if (reason != VotingBase.NoResultReason.None) {
+            winner = 0;
+            tied = new uint32[](0);
+        }
+        for (uint t = 0; t < tied.length;) {
+            _tiedProposals.push(tied[t]);
+            unchecked { ++t; }
+        }
+    }
+
+    // Trie par identifiant croissant les propositions en tête, arrivées dans l'ordre des votes : la première l'emporte
+    function _sortLeaders(VotingBase.Leaders storage _leaders) private view returns (uint32 winner, uint32[] memory tied) {
+        uint32 count = _leaders.count;
+        if (count == 0) return (0, tied);
+
+        uint32[] memory sorted = new uint32[](count);
+        for (uint i = 0; i < count;) {
+            uint32 id = _leaders.proposalIds[i];
+            uint j = i;
+            for (; j > 0 && sorted[j - 1] > id; --j) sorted[j] = sorted[j - 1];
+            sorted[j] = id;
+            unchecked { ++i; }
+        }
+        winner = sorted[0];
+        if (count > 1) tied = sorted;
+    }
+
+    // Vérifie les conditions de validité d'une session (0 : pas de condition) ; _winnerVotes est 0 sans aucune voix
+    function _checkThresholds(
+        VotingBase.Thresholds storage _thresholds,
+        VotingBase.Participation storage _participation,
+        uint _winnerVotes
+    ) private view returns (VotingBase.NoResultReason) {
+        uint votesCast = _participation.votesCast;
+        if (votesCast < _thresholds.quorumVoters || votesCast * 10000 < uint(_thresholds.quorumBps) * _participation.registeredVoters) {
+            return VotingBase.NoResultReason.QuorumNotReached;
+        }
+        // Sans aucune voix, il n'y a pas de gagnant à écarter
+        if (_winnerVotes != 0 && _winnerVotes * 10000 < uint(_thresholds.winnerShareBps) * _participation.castWeight) {
+            return VotingBase.NoResultReason.WinnerShareNotReached;
+        }
+        return VotingBase.NoResultReason.None;
+    }
+
+    /**
+     * @notice Reprend dans un second tour les propositions à égalité d'une session, son jeton de vote et ses conditions
+     * de validité
+     * @dev Les propositions reçoivent de nouveaux identifiants, à partir de 1 après GENESIS, dans l'ordre de _tied
+     * @param _proposals Les propositions de la session départagée
+     * @param _runoffProposals Les propositions du second tour, encore vides
+     * @param _tied Les propositions à égalité
+     * @param _votingTokens Le jeton de vote de chaque session
+     * @param _thresholds Les conditions de validité de chaque session
+     * @param _sessionId La session départagée
+     * @param _runoffId Le second tour
+     */
+    function copyToRunoff(
+        VotingBase.Proposal[] storage _proposals,
+        VotingBase.Proposal[] storage _runoffProposals,
+        uint32[] memory _tied,
+        mapping(uint32 => IERC5805) storage _votingTokens,
+        mapping(uint32 => VotingBase.Thresholds) storage _thresholds,
+        uint32 _sessionId,
+        uint32 _runoffId
+    ) external {
+        _runoffProposals.push(VotingBase.Proposal("GENESIS", 0, address(0), false));
+        for (uint i = 0; i < _tied.length;) {
+            VotingBase.Proposal storage tiedProposal = _proposals[_tied[i]];
+            _runoffProposals.push(VotingBase.Proposal(tiedProposal.description, 0, tiedProposal.proposer, false));
+            unchecked { ++i; }
+        }
+
+        IERC5805 token = _votingTokens[_sessionId];
+        if (address(token) != address(0)) {
+            _votingTokens[_runoffId] = token;
+            emit VotingBase.VotingTokenSet(_runoffId, address(token));
+        }
+        VotingBase.Thresholds storage sessionThresholds = _thresholds[_sessionId];
+        if (sessionThresholds.quorumVoters != 0 || sessionThresholds.quorumBps != 0 || sessionThresholds.winnerShareBps != 0) {
+            _thresholds[_runoffId] = sessionThresholds;
+            emit VotingBase.ThresholdsSet(_runoffId, sessionThresholds);
+        }
+    }
+
+    /**
+     * @notice Compte des bulletins préférentiels par tours, et enregistre le dernier tour dans voteCount
+     * @dev À chaque tour, chaque bulletin va à sa proposition préférée encore en lice. Le dépouillement s'arrête quand
+     * une proposition a la majorité des voix du tour, ou quand les propositions en lice sont à égalité. Sinon la
+     * proposition la moins soutenue est éliminée (à égalité, celle d'identifiant le plus haut), avec d'un coup toutes
+     * celles sans voix, ce qui ne change pas le résultat. Seules les propositions en lice sont parcourues après le
+     * premier tour, et les tableaux en mémoire sont réutilisés d'un tour à l'autre.
+     * @return winner La première proposition en tête du dernier tour (0 s'il n'y a aucune voix)
+     * @return tied Les propositions à égalité en tête du dernier tour, par identifiant croissant
+     */
+    function _countInstantRunoff(
+        VotingBase.Proposal[] storage _proposals,
+        address[] storage _rankedVoters,
+        mapping(address => uint32[]) storage _ballots,
+        mapping(address => VotingBase.Voter) storage _voters,
+        mapping(address => uint) storage _votingPowers,
+        bool _tokenWeighted
+    ) private returns (uint32 winner, uint32[] memory tied) {
+        uint32 proposalsCount = uint32(_proposals.length);
+        uint votersCount = _rankedVoters.length;
+
+        // Les voix déléguées après le vote comptent aussi : le poids des bulletins est lu au dépouillement
+        uint[] memory weights = new uint[](votersCount);
+        for (uint v = 0; v < votersCount;) {
+            address voter = _rankedVoters[v];
+            weights[v] = _tokenWeighted ? _votingPowers[voter] : 1 + uint(_voters[voter].delegatedWeight);
+            unchecked { ++v; }
+        }
+
+        // Propositions en lice, par identifiant croissant (GENESIS exclue)
+        uint runningCount = proposalsCount > 0 ? proposalsCount - 1 : 0;
+        uint32[] memory running = new uint32[](runningCount);
+        for (uint32 p = 1; p < proposalsCount;) {
+            running[p - 1] = p;
+            unchecked { ++p; }
+        }
+        bool[] memory eliminated = new bool[](proposalsCount);
+        uint[] memory counts = new uint[](proposalsCount);
+        if (proposalsCount != 0) eliminated[0] = true;
+        uint maxVotes;
+
+        while (true) {
+            for (uint c = 0; c < runningCount;) {
+                counts[running[c]] = 0;
+                unchecked { ++c; }
+            }
+            uint total;
+            for (uint v = 0; v < votersCount;) {
+                uint32[] storage ranking = _ballots[_rankedVoters[v]];
+                for (uint r = 0; r < ranking.length;) {
+                    uint32 choice = ranking[r];
+                    if (!eliminated[choice]) {
+                        counts[choice] += weights[v];
+                        total += weights[v];
+                        break;
+                    }
+                    unchecked { ++r; }
+                }
+                unchecked { ++v; }
+            }
+
+            maxVotes = 0;
+            uint minVotes = type(uint).max;
+            uint32 lowest;
+            for (uint c = 0; c < runningCount;) {
+                uint32 p = running[c];
+                if (counts[p] > maxVotes) maxVotes = counts[p];
+                if (counts[p] <= minVotes) {
+                    minVotes = counts[p];
+                    lowest = p;
+                }
+                unchecked { ++c; }
+            }
+            if (maxVotes == 0 || maxVotes * 2 > total || maxVotes == minVotes) break;
+
+            // Seule la moins soutenue a pu n'avoir aucune voix si minVotes n'est pas nul
+            uint kept;
+            for (uint c = 0; c < runningCount;) {
+                uint32 p = running[c];
+                if (p == lowest || counts[p] == 0) eliminated[p] = true;
+                else running[kept++] = p;
+                unchecked { ++c; }
+            }
+            runningCount = kept;
+        }
+
+        // Enregistre le dernier tour, et cherche les propositions en tête
+        uint tiesCount;
+        for (uint c = 0; c < runningCount;) {
+            uint32 p = running[c];
+            if (counts[p] != 0) {
+                _proposals[p].voteCount = counts[p];
+                if (counts[p] == maxVotes) {
+                    if (tiesCount == 0) winner = p;
+                    running[tiesCount++] = p;
+                }
+            }
+            unchecked { ++c; }
+        }
+        if (tiesCount > 1) {
+            tied = new uint32[](tiesCount);
+            for (uint t = 0; t < tiesCount;) {
+                tied[t] = running[t];
+                unchecked { ++t; }
+            }
+        }
+    }
+}
@@ -0,0 +1,52 @@
+// Licence MIT pour le contrat
+// SPDX-License-Identifier: MIT
+
+// Définition de la version du compilateur Solidity à utiliser
+pragma solidity 0.8.28;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Utils.sol";
+import "./VotingBase.sol";
+
+/**
+ * @title Contrat de vote décentralisé, modifiable
+ * @author Votre nom
+ * @notice Même processus de vote que Voting, déployé derrière un TransparentUpgradeableProxy
+ * pour que les corrections du contrat conservent l'historique des sessions
+ * @dev L'implémentation n'est jamais utilisée directement : ses initialiseurs sont désactivés
+ */
+contract VotingUpgradeable is VotingBase {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @notice Initialise le proxy : administrateur et première session
+     * @dev Le domaine EIP-712 est constant : __Voting_init n'appelle pas __EIP712_init
+     * @param _sessionName Le nom de la première session ("Session 1" si vide)
+     * @param _initialAdmin L'administrateur du contrat, aussi enregistreur et opérateur
+     * @custom:oz-upgrades-unsafe-allow missing-initializer-call incorrect-initializer-order
+     */
+    function initialize(string calldata _sessionName, address _initialAdmin) external initializer {
+        __Voting_init(_sessionName, _initialAdmin);
+    }
+
+    // Erreur levée quand migrateSessions n'est pas appelée par le ProxyAdmin
+    error NotProxyAdmin();
+
+    /**
+     * @notice Complète les sessions en cours d'un proxy mis à jour depuis une implémentation qui ne suivait ni la
+     * participation ni les propositions en tête : sans elles, un votant enregistré avant la mise à jour ne pourrait
+     * pas être retiré, le quorum ne compterait que les votants suivants, et le dépouillement ignorerait les voix déjà
+     * reçues
+     * @dev Appelée par upgradeAndCall lors de la mise à jour (module VotingUpgrade), seule façon pour le ProxyAdmin
+     * d'appeler le contrat : les votants ne sont pas énumérables on-chain, et la participation donnée est reprise telle
+     * quelle. Les propositions en tête sont recalculées en parcourant toutes les propositions de chaque session : seules
+     * les sessions pas encore dépouillées sont à donner.
+     * @param _sessions Les sessions à migrer, avec leur participation
+     */
+    function migrateSessions(SessionMigration[] calldata _sessions) external reinitializer(2) {
+        if (msg.sender != ERC1967Utils.getAdmin()) revert NotProxyAdmin();
+        VotingTally.migrateSessions(sessions, leaders, participations, _sessions);
+    }
+}
@@ -0,0 +1,49 @@
+// Licence MIT pour le contrat
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.28;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
+
+/**
+ * @title Jeton de gouvernance de test
+ * @notice Jeton ERC20Votes pour les sessions pondérées par jeton, en local et sur les réseaux de test
+ * @dev Module Ignition GovernanceTokenMock. Pour simplifier les essais, un détenteur qui n'a encore délégué ses voix
+ * à personne se les délègue à lui-même quand il reçoit des jetons : ses voix comptent sans transaction de délégation.
+ */
+contract GovernanceTokenMock is ERC20, ERC20Permit, ERC20Votes, Ownable {
+    /**
+     * @param _name Le nom du jeton
+     * @param _symbol Le symbole du jeton
+     * @param _holders Les détenteurs initiaux
+     * @param _amount Le montant attribué à chaque détenteur initial
+     */
+    constructor(string memory _name, string memory _symbol, address[] memory _holders, uint256 _amount)
+        ERC20(_name, _symbol)
+        ERC20Permit(_name)
+        Ownable(msg.sender)
+    {
+        for (uint i = 0; i < _holders.length; ++i) _mint(_holders[i], _amount);
+    }
+
+    /**
+     * @notice Crée des jetons (propriétaire uniquement)
+     * @param _to Le destinataire
+     * @param _amount Le montant
+     */
+    function mint(address _to, uint256 _amount) external onlyOwner {
+        _mint(_to, _amount);
+    }
+
+    function _update(address _from, address _to, uint256 _value) internal override(ERC20, ERC20Votes) {
+        super._update(_from, _to, _value);
+        if (_to != address(0) && delegates(_to) == address(0)) _delegate(_to, _to);
+    }
+
+    function nonces(address _owner) public view override(ERC20Permit, Nonces) returns (uint256) {
+        return super.nonces(_owner);
+    }
+}
@@ -0,0 +1,23 @@
+// Licence MIT pour le contrat
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.28;
+
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+
+/**
+ * @title Implémentation incompatible avec VotingUpgradeable, utilisée par les tests de mise à jour
+ * @dev Déclare une variable à l'emplacement de currentSessionId et totalSessions
+ */
+contract VotingUpgradeableBrokenMock is OwnableUpgradeable {
+    uint256 public counter;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(address _initialOwner) external initializer {
+        __Ownable_init(_initialOwner);
+    }
+}
@@ -0,0 +1,23 @@
+// Licence MIT pour le contrat
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.28;
+
+import "../VotingBase.sol";
+
+/**
+ * @title Implémentation antérieure au suivi de la participation et des propositions en tête, pour les tests de mise à jour
+ * @notice Même stockage que VotingUpgradeable, sans migrateSessions : forgetCounters remet une session dans l'état
+ * qu'une implémentation qui ne suivait ni la participation ni les propositions en tête aurait laissé
+ */
+contract VotingUpgradeableLegacyMock is VotingBase {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function forgetCounters(uint32 _sessionId) external {
+        delete leaders[_sessionId];
+        delete participations[_sessionId];
+    }
+}
@@ -0,0 +1,18 @@
+// Licence MIT pour le contrat
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.28;
+
+import "../VotingUpgradeable.sol";
+
+/**
+ * @title Nouvelle version de VotingUpgradeable, utilisée par les tests de mise à jour
+ * @dev Ajoute une fonction sans toucher aux variables existantes. Le proxy étant déjà initialisé,
+ * cette version n'a pas besoin de son propre initialiseur.
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract VotingUpgradeableV2Mock is VotingUpgradeable {
+    function version() external pure returns (uint32) {
+        return 2;
+    }
+}
@@ -1,12 +1,30 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("@nomicfoundation/hardhat-verify");
+require("@openzeppelin/hardhat-upgrades");
 require('dotenv').config()
+require("./tasks/abi");
+require("./tasks/deploy");
+require("./tasks/indexer");
+require("./tasks/keeper");
+require("./tasks/relayer");
+require("./tasks/report");
+require("./tasks/voting");
 const SEPOLIA_URL = process.env.SEPOLIA_URL || "";
 const PRIVATE_KEY = process.env.PRIVATE_KEY || "";
 const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY || "";
 
 module.exports = {
-  solidity: "0.8.28",
+  solidity: {
+    version: "0.8.28",
+    settings: {
+      // Sans optimiseur, et depuis les modes de scrutin sans le pipeline IR, le contrat Voting dépasse la taille
+      // maximale de 24 Ko
+      optimizer: { enabled: true, runs: 200 },
+      viaIR: true,
+      // PUSH0 (Shanghai) raccourcit le code ; Sepolia et le réseau principal sont passés à Cancun
+      evmVersion: "cancun",
+    },
+  },
   networks: {
     sepolia: {
       url: SEPOLIA_URL,
@@ -0,0 +1,19 @@
+// Jeton de gouvernance ERC20Votes de test, pour les sessions pondérées par jeton (voting:token)
+//
+// Paramètres :
+// - name, symbol : nom et symbole du jeton ("Governance Token", "GOV")
+// - holders : détenteurs initiaux, dont les voix comptent sans délégation
+// - amount : montant attribué à chaque détenteur (100 jetons par défaut, en unités de base)
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("GovernanceTokenMock", (m) => {
+  const name = m.getParameter("name", "Governance Token");
+  const symbol = m.getParameter("symbol", "GOV");
+  const holders = m.getParameter("holders", []);
+  const amount = m.getParameter("amount", 100n * 10n ** 18n);
+
+  const token = m.contract("GovernanceTokenMock", [name, symbol, holders, amount]);
+
+  return { token };
+});
@@ -1,11 +1,26 @@
 // This setup uses Hardhat Ignition to manage smart contract deployments.
 // Learn more about it at https://hardhat.org/ignition
+//
+// Paramètres (fichiers ignition/parameters/<network>.json) :
+// - sessionName : nom de la première session ("Session 1" si vide)
+// - voters : électeurs enregistrés dans la première session pendant le déploiement
+// - finalOwner : compte à qui le déployeur cède tous ses rôles (administrateur, enregistreur et opérateur) une fois
+//   le contrat configuré (un multisig par exemple)
 
 const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
 
 module.exports = buildModule("Voting", (m) => {
+  const sessionName = m.getParameter("sessionName", "");
+  const voters = m.getParameter("voters", []);
+  const finalOwner = m.getParameter("finalOwner", m.getAccount(0));
 
-  const voting = m.contract("Voting");
+  // Le dépouillement et les règles de vote sont des bibliothèques externes, liées au contrat
+  const libraries = { VotingTally: m.library("VotingTally"), VotingRules: m.library("VotingRules") };
+  const voting = m.contract("Voting", [sessionName], { libraries });
+
+  // Le déployeur enregistre les électeurs de la première session avant de céder ses rôles
+  const registration = m.call(voting, "addVoters", [0, voters]);
+  m.call(voting, "transferRoles", [finalOwner], { after: [registration] });
 
   return { voting };
 });
@@ -0,0 +1,40 @@
+// Mise à jour du contrat VotingUpgradeable : déploie la nouvelle implémentation et la branche sur le proxy
+//
+// Paramètres :
+// - proxy : adresse du TransparentUpgradeableProxy (VotingUpgradeable#TransparentUpgradeableProxy)
+// - proxyAdmin : adresse de son ProxyAdmin (VotingUpgradeable#ProxyAdmin)
+// - sessions : sessions ni dépouillées ni annulées, avec leur participation, que migrateSessions reprend (par défaut
+//   aucune ; voting:upgrade-parameters les compte d'après les événements du proxy)
+// La transaction upgradeAndCall doit être envoyée par le propriétaire du ProxyAdmin (--default-sender).
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+/**
+ * Construit un module de mise à jour vers une implémentation
+ * @param {string} moduleId Identifiant du module, à changer à chaque nouvelle mise à jour d'un même déploiement
+ * @param {string} contractName Nom du contrat de la nouvelle implémentation
+ * @param {{ initializer?: string, initializerArgs?: (m: object) => any[] }} [options] initializer : réinitialiseur de la
+ *   nouvelle implémentation, appelé par upgradeAndCall dans la même transaction que la mise à jour ; initializerArgs
+ *   construit ses arguments à partir des paramètres du module
+ */
+function buildUpgradeModule(moduleId, contractName, { initializer, initializerArgs = () => [] } = {}) {
+  return buildModule(moduleId, (m) => {
+    const proxyAddress = m.getParameter("proxy");
+    const proxyAdmin = m.contractAt("ProxyAdmin", m.getParameter("proxyAdmin"));
+
+    // La nouvelle implémentation est liée à sa propre copie des bibliothèques
+    const libraries = { VotingTally: m.library("VotingTally"), VotingRules: m.library("VotingRules") };
+    const implementation = m.contract(contractName, [], { libraries });
+    const data = initializer ? m.encodeFunctionCall(implementation, initializer, initializerArgs(m)) : "0x";
+    const upgrade = m.call(proxyAdmin, "upgradeAndCall", [proxyAddress, implementation, data]);
+
+    const voting = m.contractAt(contractName, proxyAddress, { id: "Voting", after: [upgrade] });
+    return { voting, implementation };
+  });
+}
+
+module.exports = buildUpgradeModule("VotingUpgrade", "VotingUpgradeable", {
+  initializer: "migrateSessions",
+  initializerArgs: (m) => [m.getParameter("sessions", [])],
+});
+module.exports.buildUpgradeModule = buildUpgradeModule;
@@ -0,0 +1,29 @@
+// Déploiement du contrat Voting derrière un TransparentUpgradeableProxy
+// Learn more about it at https://hardhat.org/ignition/docs/guides/upgradeable-proxies
+//
+// Paramètres : les mêmes que le module Voting (sessionName, voters, finalOwner).
+// finalOwner devient aussi propriétaire du ProxyAdmin, seul autorisé à mettre à jour le contrat.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("VotingUpgradeable", (m) => {
+  const sessionName = m.getParameter("sessionName", "");
+  const voters = m.getParameter("voters", []);
+  const finalOwner = m.getParameter("finalOwner", m.getAccount(0));
+
+  const libraries = { VotingTally: m.library("VotingTally"), VotingRules: m.library("VotingRules") };
+  const implementation = m.contract("VotingUpgradeable", [], { libraries });
+  // Le déployeur garde les rôles du contrat le temps de l'enregistrement des électeurs
+  const initialize = m.encodeFunctionCall(implementation, "initialize", [sessionName, m.getAccount(0)]);
+  const proxy = m.contract("TransparentUpgradeableProxy", [implementation, finalOwner, initialize]);
+
+  // Le proxy déploie son propre ProxyAdmin, dont l'adresse n'est connue que par l'événement AdminChanged
+  const proxyAdminAddress = m.readEventArgument(proxy, "AdminChanged", "newAdmin");
+  const proxyAdmin = m.contractAt("ProxyAdmin", proxyAdminAddress);
+
+  const voting = m.contractAt("VotingUpgradeable", proxy, { id: "Voting" });
+  const registration = m.call(voting, "addVoters", [0, voters]);
+  m.call(voting, "transferRoles", [finalOwner], { after: [registration] });
+
+  return { voting, implementation, proxy, proxyAdmin };
+});
@@ -0,0 +1,67 @@
+// Liste des votants autorisés à s'enregistrer eux-mêmes : arbre de Merkle et preuves par votant
+// Les feuilles sont celles d'un StandardMerkleTree d'OpenZeppelin de type ["address"],
+// vérifiées par Voting.registerWithProof.
+
+const fs = require("fs");
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
+const { getAddress } = require("ethers");
+
+const LEAF_ENCODING = ["address"];
+
+/**
+ * Construit l'arbre de Merkle d'une liste de votants
+ * @param {string[]} addresses Adresses uniques au format checksum (voir readVoterList)
+ * @returns {{ root: string, proofs: Record<string, string[]>, tree: StandardMerkleTree }}
+ *   proofs : la preuve de chaque votant, indexée par adresse
+ */
+function buildAllowlist(addresses) {
+  if (addresses.length === 0) throw new Error("The voter list is empty");
+
+  const tree = StandardMerkleTree.of(addresses.map((address) => [address]), LEAF_ENCODING);
+  const proofs = {};
+  for (const [index, [address]] of tree.entries()) {
+    proofs[address] = tree.getProof(index);
+  }
+  return { root: tree.root, proofs, tree };
+}
+
+/**
+ * Écrit la racine, les preuves et l'arbre complet (pour le recharger et le vérifier)
+ * @param {string} file
+ * @param {{ root: string, proofs: Record<string, string[]>, tree: StandardMerkleTree }} allowlist
+ */
+function writeAllowlist(file, { root, proofs, tree }) {
+  fs.writeFileSync(file, JSON.stringify({ root, proofs, tree: tree.dump() }, null, 2) + "\n");
+}
+
+/**
+ * Relit un fichier écrit par writeAllowlist et vérifie qu'il est cohérent avec son arbre
+ * @param {string} file
+ * @returns {{ root: string, proofs: Record<string, string[]>, tree: StandardMerkleTree }}
+ */
+function readAllowlist(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  const tree = StandardMerkleTree.load(data.tree);
+  tree.validate();
+  if (tree.root !== data.root) {
+    throw new Error(`The root of ${file} does not match its tree`);
+  }
+  return { root: data.root, proofs: data.proofs, tree };
+}
+
+/**
+ * Retourne la preuve d'un votant
+ * @param {{ proofs: Record<string, string[]> }} allowlist
+ * @param {string} address
+ * @returns {string[]|undefined} undefined si l'adresse n'est pas dans la liste
+ */
+function getProof({ proofs }, address) {
+  return proofs[getAddress(address)];
+}
+
+module.exports = {
+  buildAllowlist,
+  writeAllowlist,
+  readAllowlist,
+  getProof,
+};
@@ -0,0 +1,44 @@
+// Stockage local des secrets des votes à bulletins secrets (voting:commit, voting:reveal)
+// Le fichier contient de quoi révéler les votes avant la phase de révélation : il n'est lisible
+// que par son propriétaire et ne doit pas être partagé.
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Stockage clé-valeur dans un fichier JSON, avec l'interface de Web Storage attendue par BallotStore
+ */
+class FileStorage {
+  /** @param {string} file */
+  constructor(file) {
+    this.file = file;
+  }
+
+  getItem(key) {
+    return this._read()[key] ?? null;
+  }
+
+  setItem(key, value) {
+    this._write({ ...this._read(), [key]: String(value) });
+  }
+
+  removeItem(key) {
+    const items = this._read();
+    if (!(key in items)) return;
+    delete items[key];
+    this._write(items);
+  }
+
+  _read() {
+    return fs.existsSync(this.file) ? JSON.parse(fs.readFileSync(this.file, "utf8")) : {};
+  }
+
+  _write(items) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify(items, null, 2), { mode: 0o600 });
+  }
+}
+
+module.exports = {
+  FileStorage,
+};
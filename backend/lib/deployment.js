@@ -0,0 +1,211 @@
+const fs = require("fs");
+const path = require("path");
+const { getAddress, isAddress, ZeroAddress } = require("ethers");
+
+const { probeContract } = require("../sdk");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "ignition", "deployments");
+const PARAMETERS_DIR = path.join(__dirname, "..", "ignition", "parameters");
+// Identifiant du contrat dans le module Ignition (module "Voting", contrat "Voting")
+const VOTING_FUTURE_ID = "Voting#Voting";
+// Bibliothèques externes liées aux contrats de vote à leur déploiement
+const VOTING_LIBRARIES = ["VotingTally", "VotingRules"];
+
+/**
+ * Retourne le dossier de déploiement Ignition d'un réseau
+ * @param {number|bigint} chainId
+ * @returns {string}
+ */
+function getDeploymentDir(chainId) {
+  return path.join(DEPLOYMENTS_DIR, `chain-${chainId}`);
+}
+
+/**
+ * Lit l'adresse d'un contrat déployé par Ignition sur un réseau
+ * @param {number|bigint} chainId
+ * @param {string} futureId L'identifiant Ignition du contrat
+ * @returns {string} L'adresse du contrat
+ */
+function getDeployedAddress(chainId, futureId = VOTING_FUTURE_ID) {
+  const file = path.join(getDeploymentDir(chainId), "deployed_addresses.json");
+  if (!fs.existsSync(file)) {
+    throw new Error(`No Ignition deployment found for chain ${chainId} (missing ${path.relative(process.cwd(), file)})`);
+  }
+  const addresses = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!addresses[futureId]) {
+    throw new Error(`${futureId} is not part of the Ignition deployment for chain ${chainId}`);
+  }
+  return addresses[futureId];
+}
+
+/**
+ * Lit le numéro du bloc de déploiement d'un contrat dans le journal Ignition
+ * @param {number|bigint} chainId
+ * @param {string} futureId L'identifiant Ignition du contrat
+ * @returns {number|undefined} undefined si le journal ne contient pas la confirmation du déploiement
+ */
+function getDeploymentBlock(chainId, futureId = VOTING_FUTURE_ID) {
+  const file = path.join(getDeploymentDir(chainId), "journal.jsonl");
+  if (!fs.existsSync(file)) return undefined;
+
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (line.trim() === "") continue;
+    const entry = JSON.parse(line);
+    if (entry.type === "TRANSACTION_CONFIRM" && entry.futureId === futureId) {
+      return entry.receipt.blockNumber;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Détermine le contrat à lire et le bloc à partir duquel chercher ses événements
+ * @param {number|bigint} chainId
+ * @param {string} [address] Adresse explicite, sinon celle du déploiement Ignition
+ * @returns {{ address: string, fromBlock: number }}
+ *   fromBlock : bloc de déploiement du journal Ignition, ou 0 pour un autre contrat
+ */
+function resolveDeployment(chainId, address) {
+  let deployedAddress;
+  try {
+    deployedAddress = getDeployedAddress(chainId);
+  } catch (error) {
+    if (!address) throw error;
+  }
+  const target = address ? getAddress(address) : deployedAddress;
+  const fromBlock = target === deployedAddress ? getDeploymentBlock(chainId) : undefined;
+  return { address: target, fromBlock: fromBlock ?? 0 };
+}
+
+/**
+ * Retourne le fichier de paramètres Ignition d'un réseau
+ * @param {string} network Nom du réseau Hardhat
+ * @returns {string|undefined} undefined si le réseau n'a pas de fichier de paramètres
+ */
+function getParametersFile(network) {
+  const file = path.join(PARAMETERS_DIR, `${network}.json`);
+  return fs.existsSync(file) ? file : undefined;
+}
+
+/**
+ * Lit et valide les paramètres du module Ignition Voting
+ * @param {string} file Fichier JSON au format { "Voting": { sessionName, voters, finalOwner } }
+ * @returns {{ sessionName?: string, voters?: string[], finalOwner?: string }}
+ */
+function readDeploymentParameters(file) {
+  const { Voting: parameters = {} } = JSON.parse(fs.readFileSync(file, "utf8"));
+  const errors = [];
+
+  if (parameters.sessionName !== undefined && typeof parameters.sessionName !== "string") {
+    errors.push("sessionName must be a string");
+  }
+  if (parameters.voters !== undefined) {
+    if (!Array.isArray(parameters.voters)) {
+      errors.push("voters must be an array of addresses");
+    } else {
+      parameters.voters.forEach((voter, index) => {
+        if (!isAddress(voter)) errors.push(`voters[${index}]: invalid address "${voter}"`);
+      });
+      if (new Set(parameters.voters.map((voter) => String(voter).toLowerCase())).size !== parameters.voters.length) {
+        errors.push("voters contains duplicate addresses");
+      }
+    }
+  }
+  if (parameters.finalOwner !== undefined && (!isAddress(parameters.finalOwner) || parameters.finalOwner === ZeroAddress)) {
+    errors.push(`finalOwner: invalid address "${parameters.finalOwner}"`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid deployment parameters ${path.relative(process.cwd(), file)}:\n  ${errors.join("\n  ")}`);
+  }
+  return parameters;
+}
+
+/**
+ * Instancie le contrat Voting déployé sur le réseau courant, après avoir vérifié qu'il répond à l'ABI actuelle
+ * (le déploiement Sepolia est la version d'origine du contrat, sans rôles ni sessions concurrentes)
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {{ address?: string, signer?: import("ethers").Signer }} options
+ *   address : adresse explicite, sinon celle du déploiement Ignition
+ */
+async function getVotingContract(hre, { address, signer } = {}) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const target = address ?? getDeployedAddress(chainId);
+  if ((await hre.ethers.provider.getCode(target)) === "0x") {
+    throw new Error(`No contract deployed at ${target} on network ${hre.network.name}`);
+  }
+  const voting = await hre.ethers.getContractAt("Voting", target, signer);
+  if ((await probeContract(voting)) === null) {
+    throw new Error(
+      `The contract at ${target} on network ${hre.network.name} is not compatible with the current Voting ABI ` +
+      "(outdated version or another contract), redeploy it with voting:deploy or pass the address of a current deployment"
+    );
+  }
+  return voting;
+}
+
+/**
+ * Déploie les bibliothèques des contrats de vote et renvoie la fabrique d'un contrat de vote qui leur est liée,
+ * pour déployer sans Ignition (tests, scripts)
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} [contractName] Voting, VotingUpgradeable ou un contrat qui en dérive
+ * @param {import("ethers").Signer} [signer]
+ * @returns {Promise<import("ethers").ContractFactory>}
+ */
+async function getVotingFactory(hre, contractName = "Voting", signer = undefined) {
+  const libraries = {};
+  for (const name of VOTING_LIBRARIES) {
+    libraries[name] = await (await hre.ethers.deployContract(name, signer)).getAddress();
+  }
+  return hre.ethers.getContractFactory(contractName, { signer, libraries });
+}
+
+/**
+ * Déploie le contrat Voting et ses bibliothèques sans Ignition (tests, scripts)
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} [sessionName] Le nom de la première session ("Session 1" si vide)
+ * @param {import("ethers").Signer} [signer] Le déployeur, qui reçoit tous les rôles du contrat
+ */
+async function deployVoting(hre, sessionName = "", signer = undefined) {
+  const factory = await getVotingFactory(hre, "Voting", signer);
+  return factory.deploy(sessionName);
+}
+
+/**
+ * Sélectionne le compte qui signe les transactions
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} [from] Index du compte dans la config réseau, ou adresse. Par défaut le premier compte.
+ */
+async function resolveSigner(hre, from) {
+  const signers = await hre.ethers.getSigners();
+  if (from === undefined) {
+    if (signers.length === 0) throw new Error(`No account configured for network ${hre.network.name}`);
+    return signers[0];
+  }
+  if (/^\d+$/.test(from)) {
+    const signer = signers[Number(from)];
+    if (!signer) throw new Error(`No account #${from} on network ${hre.network.name} (${signers.length} configured)`);
+    return signer;
+  }
+  if (!hre.ethers.isAddress(from)) throw new Error(`Invalid signer: ${from}`);
+  const signer = signers.find((s) => s.address.toLowerCase() === from.toLowerCase());
+  if (!signer) throw new Error(`Account ${from} is not configured for network ${hre.network.name}`);
+  return signer;
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  PARAMETERS_DIR,
+  VOTING_FUTURE_ID,
+  VOTING_LIBRARIES,
+  getDeploymentDir,
+  getDeployedAddress,
+  getDeploymentBlock,
+  getParametersFile,
+  readDeploymentParameters,
+  resolveDeployment,
+  getVotingContract,
+  getVotingFactory,
+  deployVoting,
+  resolveSigner,
+};
@@ -0,0 +1,77 @@
+// Instantané des coûts en gas des fonctions du contrat, comparé aux mesures de la suite de benchmarks (test/gas.t.js)
+
+const fs = require("fs");
+
+// Hausse tolérée par défaut, en pourcentage de la mesure enregistrée
+const DEFAULT_TOLERANCE_PERCENT = 1;
+
+/**
+ * @typedef {{ tolerancePercent: number, gas: Record<string, number> }} GasSnapshot
+ * gas : le gas consommé par chaque mesure, nommée d'après la fonction et son contexte ("tallyVotes (Plurality, 10 voters)")
+ */
+
+/**
+ * Lit un instantané de gas
+ * @param {string} file
+ * @returns {GasSnapshot} Un instantané vide si le fichier n'existe pas encore
+ */
+function readGasSnapshot(file) {
+  if (!fs.existsSync(file)) return { tolerancePercent: DEFAULT_TOLERANCE_PERCENT, gas: {} };
+  const { tolerancePercent = DEFAULT_TOLERANCE_PERCENT, gas = {} } = JSON.parse(fs.readFileSync(file, "utf8"));
+  return { tolerancePercent, gas };
+}
+
+/**
+ * Écrit un instantané de gas, les mesures triées par nom pour des différences lisibles
+ * @param {string} file
+ * @param {GasSnapshot} snapshot
+ */
+function writeGasSnapshot(file, { tolerancePercent, gas }) {
+  const sorted = Object.fromEntries(Object.keys(gas).sort().map((name) => [name, gas[name]]));
+  fs.writeFileSync(file, `${JSON.stringify({ tolerancePercent, gas: sorted }, null, 2)}\n`);
+}
+
+/**
+ * Compare des mesures à un instantané
+ * @param {GasSnapshot} snapshot
+ * @param {Record<string, number>} measured
+ * @returns {{ regressions: { name: string, expected: number, actual: number }[], missing: string[], stale: string[] }}
+ *   regressions : les mesures plus chères que l'instantané au-delà de la tolérance,
+ *   missing : les mesures absentes de l'instantané,
+ *   stale : les entrées de l'instantané qui n'ont pas été mesurées (benchmark supprimé ou renommé)
+ */
+function compareGas({ tolerancePercent, gas }, measured) {
+  const regressions = [];
+  const missing = [];
+  for (const [name, actual] of Object.entries(measured)) {
+    const expected = gas[name];
+    if (expected === undefined) missing.push(name);
+    else if (actual > expected * (1 + tolerancePercent / 100)) regressions.push({ name, expected, actual });
+  }
+  const stale = Object.keys(gas).filter((name) => measured[name] === undefined);
+  return { regressions, missing, stale };
+}
+
+/**
+ * Décrit les écarts à l'instantané
+ * @param {ReturnType<typeof compareGas>} comparison
+ * @param {number} tolerancePercent
+ * @returns {string}
+ */
+function formatGasComparison({ regressions, missing, stale }, tolerancePercent) {
+  const lines = regressions.map(({ name, expected, actual }) => {
+    const increase = (((actual - expected) / expected) * 100).toFixed(2);
+    return `${name}: ${expected} -> ${actual} gas (+${increase}%, tolerance ${tolerancePercent}%)`;
+  });
+  for (const name of missing) lines.push(`${name}: not in the snapshot`);
+  for (const name of stale) lines.push(`${name}: in the snapshot but not measured`);
+  return lines.join("\n");
+}
+
+module.exports = {
+  DEFAULT_TOLERANCE_PERCENT,
+  readGasSnapshot,
+  writeGasSnapshot,
+  compareGas,
+  formatGasComparison,
+};
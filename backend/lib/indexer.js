@@ -0,0 +1,437 @@
+// Indexeur local des événements du contrat Voting
+// Les événements, enrichis des données lues on-chain (descriptions, gagnant, horodatage),
+// sont la source de vérité du store : l'historique des sessions en est dérivé. Annuler des
+// blocs réorganisés revient donc à supprimer leurs événements et à reconstruire l'historique.
+
+const fs = require("fs");
+const path = require("path");
+const { ZeroAddress } = require("ethers");
+
+const { VotingError, countInstantRunoff } = require("../sdk");
+
+const STORE_VERSION = 1;
+
+// Erreurs d'un nœud élagué (non archive), qui n'a plus l'état des anciens blocs
+const PRUNED_STATE_ERROR = /missing trie node|header not found|historical state|state is not available/i;
+
+// ethers range l'erreur JSON-RPC du nœud dans error.error ou error.info.error selon le provider
+function isPrunedStateError(error) {
+  return [error.message, error.error?.message, error.info?.error?.message].some((message) => PRUNED_STATE_ERROR.test(message ?? ""));
+}
+
+// ::::::::::::: HISTORY ::::::::::::: //
+
+// Le poids du vote d'un votant : sa voix et celles qui lui ont été déléguées, ou ses voix du jeton de vote (bigint)
+function voteWeight(session, voter) {
+  return session.votingToken ? BigInt(voter.votingPower ?? 0) : 1 + (voter.delegatedWeight ?? 0);
+}
+
+function addVotes(session, proposalId, weight) {
+  const proposal = session.proposals[proposalId];
+  if (!proposal) return;
+  proposal.voteCount = typeof weight === "bigint" ? BigInt(proposal.voteCount) + weight : proposal.voteCount + weight;
+}
+
+/**
+ * Reconstruit l'historique des sessions à partir des événements indexés
+ * @notice Les voix des propositions d'une session pondérée par jeton sont des montants du jeton, en chaînes décimales
+ * @param {object[]} events Les événements enrichis, dans l'ordre de la chaîne
+ * @returns {{ sessions: object[] }}
+ */
+function buildHistory(events) {
+  const sessions = new Map();
+  const getSession = (sessionId) => {
+    if (!sessions.has(sessionId)) {
+      sessions.set(sessionId, {
+        sessionId,
+        name: null,
+        status: "RegisteringVoters",
+        createdAt: null,
+        admin: null,
+        votingMethod: "Plurality",
+        votingToken: null,
+        winningProposalId: null,
+        voterMerkleRoot: null,
+        commitReveal: false,
+        schedule: null,
+        thresholds: null,
+        noResult: null,
+        cancelReason: null,
+        tiePolicy: "LowestId",
+        tiedProposalIds: [],
+        runoffSessionId: null,
+        runoffOf: null,
+        proposals: [],
+        voters: {},
+        votes: [],
+        transitions: [],
+      });
+    }
+    return sessions.get(sessionId);
+  };
+
+  for (const event of events) {
+    // Événements hors session (RoleGranted, RoleRevoked...)
+    if (event.sessionId === undefined) continue;
+    const session = getSession(event.sessionId);
+    const at = { blockNumber: event.blockNumber, timestamp: event.timestamp, transactionHash: event.transactionHash };
+
+    switch (event.name) {
+      case "SessionCreated":
+        session.name = event.sessionName;
+        session.createdAt = at;
+        break;
+      case "SessionAdminSet":
+        session.admin = event.admin === ZeroAddress ? null : event.admin;
+        break;
+      case "VoterRegistered":
+        session.voters[event.voterAddress] = {
+          registeredAt: at,
+          committedAt: null,
+          votedProposalId: null,
+          ballot: null,
+          votedAt: null,
+          delegate: null,
+          delegatedAt: null,
+          delegatedWeight: 0,
+          votingPower: null,
+        };
+        break;
+      case "VoterRemoved":
+        delete session.voters[event.voterAddress];
+        break;
+      case "VoterMerkleRootSet":
+        session.voterMerkleRoot = event.merkleRoot;
+        break;
+      case "CommitRevealSet":
+        session.commitReveal = event.enabled;
+        break;
+      case "VotingMethodSet":
+        session.votingMethod = event.method;
+        break;
+      case "VotingTokenSet":
+        session.votingToken = event.token === ZeroAddress ? null : event.token;
+        break;
+      case "VotingPowerUsed":
+        session.voters[event.voter] = { ...session.voters[event.voter], votingPower: event.weight };
+        break;
+      case "ScheduleSet":
+        session.schedule = event.schedule;
+        break;
+      case "ThresholdsSet":
+        session.thresholds = event.thresholds;
+        break;
+      case "NoResult":
+        session.noResult = event.reason;
+        break;
+      case "SessionCancelled":
+        session.cancelReason = event.reason;
+        break;
+      case "TiePolicySet":
+        session.tiePolicy = event.policy;
+        break;
+      case "TieDetected":
+        session.tiedProposalIds = event.proposalIds;
+        break;
+      case "TieResolved":
+        session.winningProposalId = event.proposalId;
+        break;
+      case "RunoffSessionCreated": {
+        // Le second tour reprend les propositions à égalité, sans événement ProposalRegistered
+        const runoff = getSession(event.runoffSessionId);
+        session.runoffSessionId = event.runoffSessionId;
+        runoff.runoffOf = event.sessionId;
+        runoff.proposals = [
+          { id: 0, description: "GENESIS", proposer: null, withdrawn: false, voteCount: 0, registeredAt: at },
+          ...session.tiedProposalIds.map((tiedId, index) => ({
+            id: index + 1,
+            description: session.proposals[tiedId]?.description ?? null,
+            proposer: session.proposals[tiedId]?.proposer ?? null,
+            withdrawn: false,
+            voteCount: 0,
+            registeredAt: at,
+          })),
+        ];
+        break;
+      }
+      case "VoteCommitted":
+        session.voters[event.voter] = { ...session.voters[event.voter], committedAt: at };
+        break;
+      case "ProposalRegistered":
+        session.proposals[event.proposalId] = {
+          id: event.proposalId,
+          description: event.description,
+          proposer: event.proposer,
+          withdrawn: false,
+          voteCount: 0,
+          registeredAt: at,
+        };
+        break;
+      case "ProposalWithdrawn":
+        if (session.proposals[event.proposalId]) session.proposals[event.proposalId].withdrawn = true;
+        break;
+      case "Voted": {
+        const voter = { ...session.voters[event.voter], votedProposalId: event.proposalId, votedAt: at };
+        session.voters[event.voter] = voter;
+        session.votes.push({ voter: event.voter, proposalId: event.proposalId, ...at });
+        addVotes(session, event.proposalId, voteWeight(session, voter));
+        break;
+      }
+      case "BallotCast": {
+        const voter = { ...session.voters[event.voter], votedProposalId: event.proposalIds[0], ballot: event.proposalIds, votedAt: at };
+        session.voters[event.voter] = voter;
+        session.votes.push({ voter: event.voter, proposalIds: event.proposalIds, ...at });
+        // Les bulletins préférentiels ne sont comptés qu'au dépouillement
+        if (session.votingMethod === "Approval") {
+          for (const id of event.proposalIds) addVotes(session, id, voteWeight(session, voter));
+        }
+        break;
+      }
+      case "VoteDelegated": {
+        session.voters[event.delegator] = { ...session.voters[event.delegator], delegate: event.delegate, delegatedAt: at };
+        const delegate = session.voters[event.delegate] ?? {};
+        // Le délégué a déjà voté : les voix s'ajoutent directement à sa proposition (à ses propositions approuvées)
+        if (delegate.votedAt && session.votingMethod !== "InstantRunoff") {
+          for (const id of delegate.ballot ?? [delegate.votedProposalId]) {
+            addVotes(session, id, event.weight);
+          }
+        } else {
+          session.voters[event.delegate] = { ...delegate, delegatedWeight: (delegate.delegatedWeight ?? 0) + event.weight };
+        }
+        break;
+      }
+      case "WorkflowStatusChange":
+        session.status = event.newStatus;
+        session.transitions.push({ previousStatus: event.previousStatus, newStatus: event.newStatus, ...at });
+        // La proposition GENESIS est ajoutée par le contrat sans événement ProposalRegistered (à la création d'un second tour)
+        if (event.newStatus === "ProposalsRegistrationStarted" && !session.proposals[0]) {
+          session.proposals[0] = { id: 0, description: "GENESIS", proposer: null, withdrawn: false, voteCount: 0, registeredAt: at };
+        }
+        if (event.newStatus === "VotesTallied") {
+          session.winningProposalId = event.winningProposalId;
+          if (session.votingMethod === "InstantRunoff") countRankedBallots(session);
+        }
+        break;
+    }
+  }
+
+  // Les montants du jeton dépassent la précision d'un number : le store JSON les garde en chaînes décimales
+  for (const session of sessions.values()) {
+    if (!session.votingToken) continue;
+    for (const proposal of session.proposals) {
+      if (proposal) proposal.voteCount = proposal.voteCount.toString();
+    }
+  }
+
+  return { sessions: [...sessions.values()].sort((a, b) => a.sessionId - b.sessionId) };
+}
+
+// Compte les bulletins préférentiels d'une session dépouillée : le dernier tour donne les voix des propositions
+function countRankedBallots(session) {
+  const ballots = Object.values(session.voters)
+    .filter((voter) => voter.ballot)
+    .map((voter) => ({ proposalIds: voter.ballot, weight: voteWeight(session, voter) }));
+  const { counts } = countInstantRunoff(ballots, session.proposals.length);
+  for (const proposal of session.proposals) {
+    if (proposal) proposal.voteCount = counts[proposal.id];
+  }
+}
+
+// ::::::::::::: INDEXER ::::::::::::: //
+
+/**
+ * Indexe les événements du contrat Voting dans un fichier JSON
+ */
+class VotingIndexer {
+  /**
+   * @param {object} options
+   * @param {import("../sdk").VotingClient} options.client Client connecté au contrat à indexer
+   * @param {string} options.file Fichier JSON du store
+   * @param {number} [options.fromBlock] Premier bloc à indexer (bloc de déploiement du contrat)
+   * @param {number} [options.confirmations] Nombre de blocs au-delà duquel un bloc n'est plus réorganisable
+   * @param {number} [options.batchSize] Nombre maximum de blocs par requête eth_getLogs
+   * @param {(message: string) => void} [options.log]
+   */
+  constructor({ client, file, fromBlock = 0, confirmations = 12, batchSize = 2000, log = console.log }) {
+    this.client = client;
+    this.file = file;
+    this.fromBlock = fromBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.log = log;
+    this.store = undefined;
+    // Le nœud a refusé une lecture au bloc d'un événement : l'avertissement n'est affiché qu'une fois
+    this.prunedState = false;
+  }
+
+  get provider() {
+    return this.client.contract.runner.provider ?? this.client.contract.runner;
+  }
+
+  /**
+   * Charge le store existant, ou en crée un vide
+   * @returns {Promise<object>} Le store
+   */
+  async load() {
+    const { chainId } = await this.provider.getNetwork();
+    const identity = { chainId: chainId.toString(), address: this.client.address };
+
+    if (fs.existsSync(this.file)) {
+      const store = JSON.parse(fs.readFileSync(this.file, "utf8"));
+      if (store.version !== STORE_VERSION || store.chainId !== identity.chainId || store.address !== identity.address) {
+        throw new Error(`${this.file} indexes another contract or network (${store.address} on chain ${store.chainId})`);
+      }
+      this.store = store;
+    } else {
+      this.store = {
+        version: STORE_VERSION,
+        ...identity,
+        fromBlock: this.fromBlock,
+        lastBlock: this.fromBlock - 1,
+        unconfirmedBlocks: [],
+        events: [],
+      };
+    }
+    return this.store;
+  }
+
+  /**
+   * Indexe les blocs produits depuis la dernière synchronisation
+   * @returns {Promise<{ fromBlock: number, toBlock: number, events: number, rolledBackTo?: number }>}
+   */
+  async sync() {
+    if (!this.store) await this.load();
+
+    const rolledBackTo = await this._rollbackReorg();
+    const head = await this.provider.getBlockNumber();
+    const fromBlock = this.store.lastBlock + 1;
+    let indexed = 0;
+
+    for (let from = fromBlock; from <= head; from += this.batchSize) {
+      const to = Math.min(from + this.batchSize - 1, head);
+      const events = await this.client.queryEvents("*", { fromBlock: from, toBlock: to });
+
+      const blockHashes = new Map();
+      const timestamps = new Map();
+      for (const event of events) {
+        if (!timestamps.has(event.blockHash)) {
+          timestamps.set(event.blockHash, (await this.provider.getBlock(event.blockHash)).timestamp);
+        }
+        blockHashes.set(event.blockNumber, event.blockHash);
+        this.store.events.push(await this._enrich({ ...event, timestamp: timestamps.get(event.blockHash) }));
+      }
+
+      await this._trackBlocks(from, to, head, blockHashes);
+      this.store.lastBlock = to;
+      indexed += events.length;
+      if (events.length > 0) this.log(`Indexed ${events.length} event(s) from blocks ${from} to ${to}`);
+    }
+
+    this.save();
+    return { fromBlock, toBlock: this.store.lastBlock, events: indexed, ...(rolledBackTo !== undefined && { rolledBackTo }) };
+  }
+
+  /**
+   * Synchronise en continu jusqu'à l'annulation du signal
+   * @param {{ interval?: number, signal?: AbortSignal }} [options]
+   */
+  async follow({ interval = 4000, signal } = {}) {
+    while (!signal?.aborted) {
+      await this.sync();
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, interval);
+        signal?.addEventListener("abort", () => { clearTimeout(timer); resolve(); }, { once: true });
+      });
+    }
+  }
+
+  /** @returns {{ sessions: object[] }} L'historique des sessions dérivé des événements indexés */
+  history() {
+    return buildHistory(this.store.events);
+  }
+
+  /**
+   * Annule les blocs indexés au-delà d'un bloc donné
+   * @param {number} blockNumber Le dernier bloc à conserver
+   */
+  rollback(blockNumber) {
+    this.store.events = this.store.events.filter((event) => event.blockNumber <= blockNumber);
+    this.store.unconfirmedBlocks = this.store.unconfirmedBlocks.filter((block) => block.number <= blockNumber);
+    this.store.lastBlock = Math.min(this.store.lastBlock, blockNumber);
+  }
+
+  // Écriture atomique du store (fichier temporaire puis renommage)
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ ...this.store, history: this.history() }, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+
+  // ::::::::::::: INTERNALS ::::::::::::: //
+
+  // Compare les hash des blocs non confirmés avec ceux de la chaîne, et annule à partir du premier qui diffère
+  async _rollbackReorg() {
+    for (const block of this.store.unconfirmedBlocks) {
+      const current = await this.provider.getBlock(block.number);
+      if (current?.hash !== block.hash) {
+        this.log(`Reorg detected at block ${block.number}, rolling back`);
+        this.rollback(block.number - 1);
+        return block.number - 1;
+      }
+    }
+    return undefined;
+  }
+
+  // Mémorise les hash des blocs indexés qui peuvent encore être réorganisés
+  async _trackBlocks(from, to, head, blockHashes) {
+    const firstUnconfirmed = head - this.confirmations + 1;
+    for (let number = Math.max(from, firstUnconfirmed); number <= to; number++) {
+      // Pour un bloc qui contient des événements, on garde le hash du bloc d'où ils viennent
+      const hash = blockHashes.get(number) ?? (await this.provider.getBlock(number)).hash;
+      this.store.unconfirmedBlocks.push({ number, hash });
+    }
+    this.store.unconfirmedBlocks = this.store.unconfirmedBlocks.filter((block) => block.number >= firstUnconfirmed);
+  }
+
+  // Ajoute aux événements les données qui ne sont lisibles que dans le stockage du contrat, et garde les voix du jeton
+  // (des bigint au-delà de la précision d'un number) en chaînes décimales. Le stockage est lu au bloc de l'événement :
+  // un départage ou un retrait ultérieur ne doit pas être attribué à un événement plus ancien
+  async _enrich(event) {
+    if (event.name === "ProposalRegistered") {
+      const read = (blockTag) => this.client.getProposals(event.sessionId, { offset: event.proposalId, limit: 1, blockTag });
+      const [proposal] = await this._read(read, event.blockNumber) ?? [];
+      return { ...event, description: proposal?.description ?? null, proposer: proposal?.proposer ?? null };
+    }
+    if (event.name === "VotingPowerUsed") {
+      return { ...event, weight: event.weight.toString() };
+    }
+    if (event.name === "WorkflowStatusChange" && event.newStatus === "VotesTallied") {
+      const session = await this._read((blockTag) => this.client.getSession(event.sessionId, { blockTag }), event.blockNumber);
+      return { ...event, winningProposalId: session?.winningProposalId ?? null };
+    }
+    return event;
+  }
+
+  // Une lecture qui revert (fonction absente d'un ancien déploiement...) ne bloque pas l'indexation. Un nœud élagué
+  // n'a plus l'état des anciens blocs : la lecture est alors faite au dernier bloc (la description et l'auteur d'une
+  // proposition ne changent pas, un départage ultérieur est attribué au dépouillement)
+  async _read(call, blockTag) {
+    try {
+      return await call(blockTag);
+    } catch (error) {
+      if (blockTag !== undefined && isPrunedStateError(error)) {
+        if (!this.prunedState) this.log(`The state of block ${blockTag} is pruned by the node, reading the latest state instead`);
+        this.prunedState = true;
+        return this._read(call);
+      }
+      if (error instanceof VotingError || error.code === "CALL_EXCEPTION") return undefined;
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  buildHistory,
+  VotingIndexer,
+};
@@ -0,0 +1,72 @@
+// Keeper des sessions à calendrier : surveille la chaîne et fait les transitions dont la date est atteinte
+// Avec un calendrier, n'importe quel compte peut faire avancer une phase expirée : le keeper n'a
+// besoin d'aucun droit sur le contrat, seulement d'ETH pour le gas.
+
+const { VotingError } = require("../sdk");
+
+class VotingKeeper {
+  /**
+   * @param {object} options
+   * @param {import("../sdk").VotingClient} options.client Client connecté au contrat avec le signer qui paie les transactions
+   * @param {(message: string) => void} [options.log]
+   */
+  constructor({ client, log = console.log }) {
+    this.client = client;
+    this.log = log;
+  }
+
+  /**
+   * Fait les transitions dues des sessions en cours, qui se déroulent en parallèle
+   * @returns {Promise<string[]>} Les fonctions du contrat appelées
+   */
+  async check() {
+    const performed = [];
+    for (const { sessionId, status } of await this.client.getAllSessions()) {
+      if (status !== "VotesTallied" && status !== "Cancelled") performed.push(...await this._checkSession(this.client.forSession(sessionId)));
+    }
+    return performed;
+  }
+
+  // Fait les transitions dues d'une session, plusieurs phases pouvant avoir expiré d'un coup
+  async _checkSession(client) {
+    const performed = [];
+    for (;;) {
+      const next = await client.getNextTransition();
+      if (!next?.due) return performed;
+
+      try {
+        const receipt = await client[next.method]();
+        this.log(`${next.method} of session #${client.sessionId} confirmed in block ${receipt.blockNumber} (tx ${receipt.hash})`);
+        performed.push(next.method);
+      } catch (error) {
+        // Un autre compte a pu faire la transition entre-temps : l'état est relu au prochain passage
+        if (!(error instanceof VotingError)) throw error;
+        this.log(`${next.method} of session #${client.sessionId} reverted with ${error.reason}: ${error.message}`);
+        return performed;
+      }
+    }
+  }
+
+  /**
+   * Vérifie les transitions dues à intervalle régulier jusqu'à l'annulation du signal
+   * @param {{ interval?: number, signal?: AbortSignal }} [options]
+   */
+  async run({ interval = 15000, signal } = {}) {
+    while (!signal?.aborted) {
+      try {
+        await this.check();
+      } catch (error) {
+        // Une erreur du nœud (réseau, nonce...) ne doit pas arrêter le keeper
+        this.log(`Keeper error: ${error.message}`);
+      }
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, interval);
+        signal?.addEventListener("abort", () => { clearTimeout(timer); resolve(); }, { once: true });
+      });
+    }
+  }
+}
+
+module.exports = {
+  VotingKeeper,
+};
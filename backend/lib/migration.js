@@ -0,0 +1,53 @@
+// Participation des sessions d'un proxy à migrer lors de sa mise à jour (réinitialiseur migrateSessions)
+
+const { countEventVotes, countRegisteredVoters, querySessionEvents } = require("./report");
+
+// Sessions dont la participation et les propositions en tête ne servent plus
+const CLOSED_STATUSES = ["VotesTallied", "Cancelled"];
+
+/**
+ * Compte d'après leurs événements la participation des sessions ni dépouillées ni annulées : une implémentation qui ne
+ * la suivait pas l'a laissée à zéro, et migrateSessions la reprend telle quelle. Les votants comptés sont ceux du
+ * rapport de session (délégants représentés compris) ; dans une session pondérée par jeton, le poids des voix
+ * exprimées est la somme des événements VotingPowerUsed.
+ * @param {import("../sdk").VotingClient} client
+ * @param {{ fromBlock?: number, batchSize?: number }} [options] fromBlock : bloc de déploiement du proxy
+ * @returns {Promise<{ sessionId: number, participation: { registeredVoters: number, votesCast: number, castWeight: bigint } }[]>}
+ *   Les arguments de migrateSessions (paramètre sessions du module VotingUpgrade)
+ */
+async function countSessionMigrations(client, { fromBlock = 0, batchSize = 2000 } = {}) {
+  const provider = client.contract.runner.provider ?? client.contract.runner;
+  const toBlock = await provider.getBlockNumber();
+
+  const migrations = [];
+  for (const session of await client.getAllSessions()) {
+    if (CLOSED_STATUSES.includes(session.status)) continue;
+    const { sessionId } = session;
+    const tokenWeighted = (await client.getVotingToken(sessionId)) !== null;
+    const range = { sessionId, fromBlock, toBlock, batchSize };
+
+    const registrations = [
+      ...(await querySessionEvents(client, "VoterRegistered", range)),
+      ...(await querySessionEvents(client, "VoterRemoved", range)),
+    ];
+    const powers = tokenWeighted ? await querySessionEvents(client, "VotingPowerUsed", range) : [];
+    const { voters } = countEventVotes(
+      [
+        ...(await querySessionEvents(client, "Voted", range)),
+        ...(await querySessionEvents(client, "BallotCast", range)),
+        ...(await querySessionEvents(client, "VoteDelegated", range)),
+        ...powers,
+      ],
+      { method: await client.getVotingMethod(sessionId), proposalsCount: session.proposalsCount, tokenWeighted }
+    );
+
+    const votesCast = voters.size;
+    const castWeight = tokenWeighted ? powers.reduce((sum, event) => sum + BigInt(event.weight), 0n) : BigInt(votesCast);
+    migrations.push({ sessionId, participation: { registeredVoters: countRegisteredVoters(registrations), votesCast, castWeight } });
+  }
+  return migrations;
+}
+
+module.exports = {
+  countSessionMigrations,
+};
@@ -0,0 +1,247 @@
+// Relayeur des votes et propositions signés (EIP-712)
+// Les votants envoient leurs messages signés en HTTP, le relayeur les vérifie puis les envoie
+// au contrat par lots (multicall) en payant le gas.
+
+const http = require("http");
+
+const { VotingError, MESSAGE_TYPES, RELAYED_CALLS } = require("../sdk");
+
+// Route HTTP de chaque type de message
+const ROUTES = {
+  "/ballots": "Ballot",
+  "/proposals": "ProposalSubmission",
+};
+
+// Taille maximale du corps d'une requête
+const MAX_BODY_SIZE = 16 * 1024;
+
+/**
+ * Erreur renvoyée au client HTTP
+ * status : le code HTTP, reason : le nom de la custom error du contrat le cas échéant
+ */
+class RelayerError extends Error {
+  constructor(status, message, reason) {
+    super(message);
+    this.name = "RelayerError";
+    this.status = status;
+    this.reason = reason;
+  }
+}
+
+// Vérifie la forme d'un message avant de le soumettre au contrat
+function parseMessage(type, body) {
+  if (typeof body !== "object" || body === null) throw new RelayerError(400, "The body must be a JSON object");
+
+  const message = { type };
+  for (const { name, type: fieldType } of MESSAGE_TYPES[type]) {
+    const value = body[name];
+    const valid = fieldType === "string" ? typeof value === "string"
+      : fieldType === "address" ? typeof value === "string" && /^0x[0-9a-fA-F]{40}$/.test(value)
+      : Number.isSafeInteger(value) && value >= 0;
+    if (!valid) throw new RelayerError(400, `Invalid or missing field "${name}" (${fieldType})`);
+    message[name] = value;
+  }
+  if (typeof body.signature !== "string" || !/^0x[0-9a-fA-F]+$/.test(body.signature)) {
+    throw new RelayerError(400, "Invalid or missing field \"signature\"");
+  }
+  message.signature = body.signature;
+  return message;
+}
+
+/**
+ * Relayeur HTTP des messages signés du contrat Voting
+ */
+class VotingRelayer {
+  /**
+   * @param {object} options
+   * @param {import("../sdk").VotingClient} options.client Client connecté avec le signer qui paie les transactions
+   * @param {number} [options.batchSize] Nombre de messages au-delà duquel un lot est envoyé sans attendre
+   * @param {number} [options.interval] Délai maximum en millisecondes avant l'envoi d'un lot incomplet
+   * @param {(message: string) => void} [options.log]
+   */
+  constructor({ client, batchSize = 20, interval = 2000, log = console.log }) {
+    this.client = client;
+    this.batchSize = batchSize;
+    this.interval = interval;
+    this.log = log;
+    this.queue = [];
+    // Votants des lots en cours d'envoi, retirés une fois leur lot envoyé
+    this.sendingVoters = new Set();
+    this.timer = null;
+    // Les lots sont envoyés l'un après l'autre pour ne pas mélanger les nonces du relayeur
+    this.sending = Promise.resolve();
+    this.server = null;
+  }
+
+  /**
+   * Vérifie un message signé et le met en attente du prochain lot
+   * @param {import("../sdk").SignedMessage} message
+   * @returns {Promise<{ transactionHash: string, blockNumber: number }>} La transaction qui a inclus le message
+   * @throws {RelayerError} si le message est refusé
+   */
+  async submit(message) {
+    const { status } = RELAYED_CALLS[message.type];
+    // Un message signé pendant que le précédent du votant attend prend le nonce suivant : il n'est valable qu'une fois
+    // le précédent envoyé, à soumettre à nouveau ensuite
+    this._checkNotPending(message);
+    // Les sessions se déroulent en parallèle : l'état vérifié est celui de la session du message
+    const session = await this.client.getSession(message.sessionId);
+    if (session.status !== status) {
+      throw new RelayerError(409, `${message.type} messages are only accepted in ${status} (status of session #${session.sessionId}: ${session.status})`, "WorkflowStatus");
+    }
+
+    try {
+      await this.client.checkRelay(message);
+    } catch (error) {
+      if (error instanceof VotingError) throw new RelayerError(422, error.message, error.reason);
+      throw error;
+    }
+
+    // Le nonce du message n'est valable qu'une fois le message précédent du votant envoyé
+    // (vérifié juste avant la mise en attente, sans await entre les deux)
+    this._checkNotPending(message);
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ message, resolve, reject });
+      if (this.queue.length >= this.batchSize) this.flush();
+      else if (!this.timer) this.timer = setTimeout(() => this.flush(), this.interval);
+    });
+  }
+
+  /**
+   * Envoie les messages en attente
+   * @returns {Promise<void>} Résolue une fois le lot envoyé
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    const batch = this.queue.splice(0);
+    if (batch.length > 0) {
+      const voters = batch.map((item) => item.message.voter.toLowerCase());
+      for (const voter of voters) this.sendingVoters.add(voter);
+      this.sending = this.sending
+        .then(() => this._send(batch))
+        .finally(() => voters.forEach((voter) => this.sendingVoters.delete(voter)));
+    }
+    return this.sending;
+  }
+
+  // Un message du votant attend le prochain lot ou fait partie d'un lot en cours d'envoi
+  _checkNotPending(message) {
+    const voter = message.voter.toLowerCase();
+    if (this.sendingVoters.has(voter) || this.queue.some((pending) => pending.message.voter.toLowerCase() === voter)) {
+      throw new RelayerError(409, `A message of ${message.voter} is already waiting to be sent`, "Pending");
+    }
+  }
+
+  async _send(batch) {
+    let pending = batch;
+    // L'état du contrat a pu changer depuis la vérification : les messages devenus invalides
+    // sont retirés du lot, qui est renvoyé une fois
+    for (let attempt = 0; attempt < 2 && pending.length > 0; attempt++) {
+      try {
+        const receipt = await this.client.relayBatch(pending.map((item) => item.message));
+        this.log(`Relayed ${pending.length} message(s) in block ${receipt.blockNumber} (tx ${receipt.hash})`);
+        for (const item of pending) item.resolve({ transactionHash: receipt.hash, blockNumber: receipt.blockNumber });
+        return;
+      } catch (error) {
+        if (attempt === 1) {
+          for (const item of pending) item.reject(error);
+          return;
+        }
+        pending = await this._dropInvalid(pending);
+      }
+    }
+  }
+
+  async _dropInvalid(batch) {
+    const valid = [];
+    for (const item of batch) {
+      try {
+        await this.client.checkRelay(item.message);
+        valid.push(item);
+      } catch (error) {
+        item.reject(error instanceof VotingError ? new RelayerError(422, error.message, error.reason) : error);
+      }
+    }
+    return valid;
+  }
+
+  // ::::::::::::: HTTP ::::::::::::: //
+
+  /**
+   * Démarre le serveur HTTP
+   * POST /ballots et POST /proposals : un message signé en JSON, réponse une fois le lot envoyé
+   * GET /status : la dernière session créée et le nombre de messages en attente
+   * @param {number} [port] 0 pour un port libre
+   * @param {string} [host]
+   * @returns {Promise<import("net").AddressInfo>}
+   */
+  async listen(port = 8546, host = "127.0.0.1") {
+    this.server = http.createServer((request, response) => this._handle(request, response));
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, resolve);
+    });
+    return this.server.address();
+  }
+
+  /** Arrête le serveur HTTP après avoir envoyé les messages en attente */
+  async close() {
+    if (this.server) await new Promise((resolve) => this.server.close(resolve));
+    await this.flush();
+  }
+
+  async _handle(request, response) {
+    const reply = (status, body) => {
+      response.writeHead(status, { "Content-Type": "application/json" });
+      response.end(JSON.stringify(body));
+    };
+
+    try {
+      if (request.method === "GET" && request.url === "/status") {
+        const session = await this.client.getCurrentSession();
+        return reply(200, { contract: this.client.address, session, pending: this.queue.length });
+      }
+
+      const type = ROUTES[request.url];
+      if (request.method !== "POST" || !type) throw new RelayerError(404, `Unknown route ${request.method} ${request.url}`);
+
+      const message = parseMessage(type, await readJson(request));
+      reply(200, await this.submit(message));
+    } catch (error) {
+      if (error instanceof RelayerError) return reply(error.status, { error: error.message, reason: error.reason });
+      if (error instanceof VotingError) return reply(422, { error: error.message, reason: error.reason });
+      this.log(`Relayer error: ${error.message}`);
+      reply(500, { error: "Internal relayer error" });
+    }
+  }
+}
+
+function readJson(request) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    request.setEncoding("utf8");
+    request.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new RelayerError(413, "The request body is too large"));
+        request.destroy();
+      }
+    });
+    request.on("end", () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch {
+        reject(new RelayerError(400, "The body must be valid JSON"));
+      }
+    });
+    request.on("error", reject);
+  });
+}
+
+module.exports = {
+  VotingRelayer,
+  RelayerError,
+  parseMessage,
+};
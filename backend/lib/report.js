@@ -0,0 +1,315 @@
+// Rapport de résultats d'une session de vote, exportable en JSON, CSV et Markdown
+
+const { countVotes } = require("../sdk");
+
+/**
+ * Récupère les événements d'une session par tranches de blocs (limite des requêtes eth_getLogs)
+ * @param {import("../sdk").VotingClient} client
+ * @param {string} eventName
+ * @param {{ sessionId: number, fromBlock: number, toBlock: number, batchSize: number }} range
+ */
+async function querySessionEvents(client, eventName, { sessionId, fromBlock, toBlock, batchSize }) {
+  const events = [];
+  for (let from = fromBlock; from <= toBlock; from += batchSize) {
+    const to = Math.min(from + batchSize - 1, toBlock);
+    events.push(...(await client.queryEvents(eventName, { sessionId, fromBlock: from, toBlock: to })));
+  }
+  return events;
+}
+
+/**
+ * Compte les voix de chaque proposition d'après les événements Voted, BallotCast et VoteDelegated, rejoués dans l'ordre
+ * de la chaîne, avec le dépouillement de référence du mode de scrutin de la session. Dans une session pondérée par
+ * jeton, chaque bulletin pèse les voix du jeton de son événement VotingPowerUsed, comptées en bigint.
+ * @param {import("../sdk").VotingEvent[]} events
+ * @param {{ method: import("../sdk").VotingMethodName, proposalsCount: number, tokenWeighted?: boolean }} session
+ * @returns {{ counts: (number|bigint)[], voters: Set<string> }} voters : les votants dont la voix a été comptée
+ */
+function countEventVotes(events, { method, proposalsCount, tokenWeighted = false }) {
+  const sorted = [...events].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  const ballots = new Map();
+  const received = new Map();
+  const represented = new Map();
+  const powers = new Map();
+
+  for (const event of sorted) {
+    if (event.name === "Voted") {
+      ballots.set(event.voter, [event.proposalId]);
+    } else if (event.name === "BallotCast") {
+      ballots.set(event.voter, event.proposalIds);
+    } else if (event.name === "VotingPowerUsed") {
+      powers.set(event.voter, BigInt(event.weight));
+    } else if (event.name === "VoteDelegated") {
+      // Le délégant transmet aussi les voix qu'il avait reçues : avant ou après son vote, elles comptent pour le délégué
+      received.set(event.delegate, (received.get(event.delegate) ?? 0) + event.weight);
+      const delegators = [event.delegator, ...(represented.get(event.delegator) ?? [])];
+      represented.set(event.delegate, [...(represented.get(event.delegate) ?? []), ...delegators]);
+    }
+  }
+
+  const voters = new Set();
+  const weighted = [];
+  for (const [voter, proposalIds] of ballots) {
+    weighted.push({ proposalIds, weight: tokenWeighted ? powers.get(voter) ?? 0n : 1 + (received.get(voter) ?? 0) });
+    voters.add(voter);
+    for (const delegator of represented.get(voter) ?? []) voters.add(delegator);
+  }
+  return { counts: countVotes(method, weighted, proposalsCount).counts, voters };
+}
+
+/**
+ * Compte les votants inscrits d'après les événements VoterRegistered et VoterRemoved. Un votant retiré pendant
+ * l'enregistrement peut être enregistré à nouveau : les événements sont rejoués dans l'ordre de la chaîne.
+ * @param {import("../sdk").VotingEvent[]} events
+ * @returns {number}
+ */
+function countRegisteredVoters(events) {
+  const registered = new Set();
+  for (const event of [...events].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)) {
+    if (event.name === "VoterRemoved") registered.delete(event.voterAddress);
+    else registered.add(event.voterAddress);
+  }
+  return registered.size;
+}
+
+function percent(part, total) {
+  if (typeof total === "bigint") return total === 0n ? 0 : Number((part * 10000n) / total) / 100;
+  return total === 0 ? 0 : Math.round((part / total) * 10000) / 100;
+}
+
+/**
+ * Construit le rapport de résultats d'une session
+ * @param {import("../sdk").VotingClient} client
+ * @param {number} sessionId
+ * @param {{ fromBlock?: number, batchSize?: number }} [options] fromBlock : bloc de déploiement du contrat
+ */
+async function buildSessionReport(client, sessionId, { fromBlock = 0, batchSize = 2000 } = {}) {
+  const provider = client.contract.runner.provider ?? client.contract.runner;
+  const { chainId } = await provider.getNetwork();
+  const toBlock = await provider.getBlockNumber();
+
+  const session = await client.getSession(sessionId);
+  const method = await client.getVotingMethod(sessionId);
+  const votingToken = await client.getVotingToken(sessionId);
+  const thresholds = await client.getThresholds(sessionId);
+  const tokenWeighted = votingToken !== null;
+  const proposals = [];
+  while (proposals.length < session.proposalsCount) {
+    const page = await client.getProposals(sessionId, { offset: proposals.length });
+    if (page.length === 0) break;
+    proposals.push(...page);
+  }
+
+  const range = { sessionId, fromBlock, toBlock, batchSize };
+  const registrations = await querySessionEvents(client, "VoterRegistered", range);
+  const removals = await querySessionEvents(client, "VoterRemoved", range);
+  const votes = await querySessionEvents(client, "Voted", range);
+  const ballots = await querySessionEvents(client, "BallotCast", range);
+  const delegations = await querySessionEvents(client, "VoteDelegated", range);
+  const powers = tokenWeighted ? await querySessionEvents(client, "VotingPowerUsed", range) : [];
+  const transitions = await querySessionEvents(client, "WorkflowStatusChange", range);
+  const [cancellation] = session.status === "Cancelled" ? await querySessionEvents(client, "SessionCancelled", range) : [];
+
+  // Voix par proposition d'après les événements, pour le contrôle de cohérence
+  const { counts, voters: countedVoters } = countEventVotes([...votes, ...ballots, ...delegations, ...powers], {
+    method,
+    proposalsCount: proposals.length,
+    tokenWeighted,
+  });
+  const tallied = session.status === "VotesTallied";
+  // Les voix d'une session pondérée par jeton sont des montants du jeton : exportées en chaînes décimales
+  const zero = tokenWeighted ? 0n : 0;
+  const toCount = (count) => (tokenWeighted ? count.toString() : count);
+  // Les bulletins préférentiels ne sont comptés on-chain qu'au dépouillement
+  const votedEvents = method === "InstantRunoff" && !tallied ? counts.map(() => zero) : counts;
+
+  // En approbation, une voix peut aller à plusieurs propositions : la part est rapportée au total des voix des propositions
+  const totalVotes = votedEvents.reduce((sum, count) => sum + count, zero);
+  const results = proposals.map((proposal) => {
+    const voteCount = tokenWeighted ? proposal.voteCount : Number(proposal.voteCount);
+    return {
+      id: proposal.id,
+      description: proposal.description,
+      withdrawn: proposal.withdrawn,
+      voteCount: toCount(voteCount),
+      votedEvents: toCount(votedEvents[proposal.id] ?? zero),
+      share: percent(voteCount, totalVotes),
+    };
+  });
+  const mismatches = results
+    .filter((result) => result.voteCount !== result.votedEvents)
+    .map(({ id, voteCount, votedEvents }) => ({ proposalId: id, voteCount, votedEvents }));
+
+  const timestamps = new Map();
+  const timeline = [];
+  for (const transition of transitions) {
+    if (!timestamps.has(transition.blockHash)) {
+      timestamps.set(transition.blockHash, (await provider.getBlock(transition.blockHash)).timestamp);
+    }
+    const timestamp = timestamps.get(transition.blockHash);
+    timeline.push({
+      previousStatus: transition.previousStatus,
+      newStatus: transition.newStatus,
+      blockNumber: transition.blockNumber,
+      timestamp,
+      date: new Date(timestamp * 1000).toISOString(),
+      transactionHash: transition.transactionHash,
+    });
+  }
+
+  // GENESIS (0) n'est jamais élue : pas de gagnant sans vote, sans résultat, ou tant que l'égalité n'est pas départagée
+  const winner = tallied && session.winningProposalId !== 0 ? results[session.winningProposalId] : undefined;
+  const tie = tallied ? await client.getTie(sessionId) : undefined;
+  const registeredVoters = countRegisteredVoters([...registrations, ...removals]);
+  // Un votant qui a délégué sa voix a participé si son délégué a voté
+  const voters = countedVoters.size;
+
+  return {
+    contract: client.address,
+    chainId: Number(chainId),
+    blockNumber: toBlock,
+    sessionId,
+    name: session.name,
+    status: session.status,
+    cancelReason: cancellation ? cancellation.reason : null,
+    votingMethod: method,
+    votingToken,
+    thresholds,
+    noResult: tallied ? await client.getNoResult(sessionId) : null,
+    winner: winner ? { id: winner.id, description: winner.description, voteCount: winner.voteCount } : null,
+    tie: tie?.isTie
+      ? { proposalIds: tie.proposalIds, policy: await client.getTiePolicy(sessionId), runoffSessionId: tie.runoffSessionId }
+      : null,
+    turnout: { registeredVoters, voters, rate: percent(voters, registeredVoters) },
+    proposals: results,
+    timeline,
+    consistency: { ok: mismatches.length === 0, votedEvents: toCount(totalVotes), mismatches },
+  };
+}
+
+// ::::::::::::: FORMATS ::::::::::::: //
+
+function toJson(report) {
+  return JSON.stringify(report, null, 2) + "\n";
+}
+
+function csvCell(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Le CSV contient une ligne par proposition
+function toCsv(report) {
+  const header = ["session_id", "session_name", "proposal_id", "description", "vote_count", "share_percent", "winner"];
+  const rows = report.proposals.map((proposal) => [
+    report.sessionId,
+    report.name,
+    proposal.id,
+    proposal.description,
+    proposal.voteCount,
+    proposal.share,
+    report.winner?.id === proposal.id,
+  ]);
+  return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+function mdCell(value) {
+  return String(value).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+const NO_RESULT_TEXTS = {
+  QuorumNotReached: "No result, the quorum was not reached",
+  WinnerShareNotReached: "No result, no proposal reached the winner share",
+};
+
+function winnerCell({ status, winner, noResult }) {
+  if (winner) return `#${winner.id} ${mdCell(winner.description)} (${winner.voteCount} vote(s))`;
+  if (noResult) return NO_RESULT_TEXTS[noResult] ?? `No result (${noResult})`;
+  if (status === "Cancelled") return "No winner, the session was cancelled";
+  return status === "VotesTallied" ? "No winner" : "Votes not tallied yet";
+}
+
+function tieCell({ tie: { proposalIds, policy, runoffSessionId }, winner }) {
+  const tied = proposalIds.map((id) => `#${id}`).join(", ");
+  if (runoffSessionId !== null) return `${tied}: runoff in session #${runoffSessionId}`;
+  if (policy === "LowestId") return `${tied}: broken by the lowest id`;
+  return `${tied}: ${winner ? "broken by" : "waiting for"} the admin's decision`;
+}
+
+function thresholdsCell({ thresholds: { quorumVoters, quorumBps, winnerShareBps } }) {
+  const conditions = [];
+  if (quorumVoters !== 0) conditions.push(`quorum of ${quorumVoters} voter(s)`);
+  if (quorumBps !== 0) conditions.push(`quorum of ${quorumBps / 100}% of the registered voters`);
+  if (winnerShareBps !== 0) conditions.push(`winner share of ${winnerShareBps / 100}%`);
+  return conditions.join(", ");
+}
+
+function votingPowerCell({ votingToken }) {
+  if (!votingToken) return "One vote per voter";
+  return `Token \`${votingToken.token}\`${votingToken.snapshot !== 0 ? ` (snapshot at ${votingToken.snapshot})` : ""}`;
+}
+
+function toMarkdown(report) {
+  const { turnout, tie, consistency } = report;
+  const events = report.votingToken
+    ? "`Voted`, `BallotCast` and `VotingPowerUsed` events"
+    : "`Voted`, `BallotCast` and `VoteDelegated` events";
+  const lines = [
+    `# Session #${report.sessionId}: ${mdCell(report.name)}`,
+    "",
+    "| | |",
+    "|---|---|",
+    `| Contract | \`${report.contract}\` (chain ${report.chainId}, block ${report.blockNumber}) |`,
+    `| Status | ${report.status} |`,
+    ...(report.cancelReason !== null ? [`| Cancel reason | ${mdCell(report.cancelReason)} |`] : []),
+    `| Voting method | ${report.votingMethod} |`,
+    `| Voting power | ${votingPowerCell(report)} |`,
+    ...(report.thresholds ? [`| Thresholds | ${thresholdsCell(report)} |`] : []),
+    `| Winner | ${winnerCell(report)} |`,
+    ...(tie ? [`| Tie | ${tieCell(report)} |`] : []),
+    `| Turnout | ${turnout.voters} / ${turnout.registeredVoters} registered voters (${turnout.rate}%) |`,
+    "",
+    "## Results",
+    "",
+    "| # | Proposal | Votes | Share |",
+    "|---|---|---|---|",
+    ...report.proposals.map((p) => `| ${p.id} | ${mdCell(p.description)}${p.withdrawn ? " (withdrawn)" : ""} | ${p.voteCount} | ${p.share}% |`),
+    "",
+    "## Timeline",
+    "",
+    "| Date (UTC) | Block | Transition |",
+    "|---|---|---|",
+    ...report.timeline.map((t) => `| ${t.date} | ${t.blockNumber} | ${t.previousStatus} → ${t.newStatus} |`),
+    "",
+    "## Consistency check",
+    "",
+  ];
+
+  if (consistency.ok) {
+    lines.push(`The vote counts of the proposals match the ${consistency.votedEvents} vote(s) of the ${events}.`);
+  } else {
+    lines.push(`The vote counts of the proposals do not match the ${events}:`, "");
+    for (const m of consistency.mismatches) {
+      lines.push(`- proposal #${m.proposalId}: ${m.voteCount} vote(s) on-chain, ${m.votedEvents} vote(s) in the events`);
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+const FORMATS = {
+  json: { extension: "json", render: toJson },
+  csv: { extension: "csv", render: toCsv },
+  markdown: { extension: "md", render: toMarkdown },
+};
+
+module.exports = {
+  FORMATS,
+  querySessionEvents,
+  countEventVotes,
+  countRegisteredVoters,
+  buildSessionReport,
+  toJson,
+  toCsv,
+  toMarkdown,
+};
@@ -0,0 +1,131 @@
+// Lecture des listes de votants (CSV ou JSON) et suivi de l'enregistrement par lots
+
+const fs = require("fs");
+const path = require("path");
+const { getAddress, solidityPackedKeccak256 } = require("ethers");
+
+// ::::::::::::: PARSING ::::::::::::: //
+
+// Retire les espaces et les guillemets autour d'une cellule CSV
+function cleanCell(cell) {
+  return cell.trim().replace(/^"(.*)"$/, "$1").trim();
+}
+
+// CSV : une adresse par ligne, éventuellement avec d'autres colonnes et un en-tête.
+// La colonne "address" est utilisée si l'en-tête en contient une, sinon la première.
+function parseCsv(content) {
+  const entries = [];
+  let column = 0;
+  let headerChecked = false;
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    if (line.trim() === "" || line.trim().startsWith("#")) return;
+    const cells = line.split(/[,;\t]/).map(cleanCell);
+
+    if (!headerChecked) {
+      headerChecked = true;
+      if (!cells.some((cell) => cell.startsWith("0x"))) {
+        const addressColumn = cells.findIndex((cell) => cell.toLowerCase() === "address");
+        column = addressColumn === -1 ? 0 : addressColumn;
+        return;
+      }
+    }
+    entries.push({ value: cells[column] ?? "", location: `line ${index + 1}` });
+  });
+
+  return entries;
+}
+
+// JSON : tableau d'adresses, ou d'objets avec un champ "address", éventuellement sous une clé "voters"
+function parseJson(content) {
+  const data = JSON.parse(content);
+  const list = Array.isArray(data) ? data : data?.voters;
+  if (!Array.isArray(list)) throw new Error("The JSON voter list must be an array or an object with a \"voters\" array");
+
+  return list.map((item, index) => ({
+    value: typeof item === "string" ? item.trim() : String(item?.address ?? "").trim(),
+    location: `entry ${index}`,
+  }));
+}
+
+/**
+ * Lit et valide une liste de votants
+ * @param {string} file Fichier .csv, .txt ou .json
+ * @returns {{ addresses: string[], duplicates: string[], errors: string[] }}
+ *   addresses : adresses uniques au format checksum, dans l'ordre du fichier
+ */
+function readVoterList(file) {
+  const content = fs.readFileSync(file, "utf8");
+  const extension = path.extname(file).toLowerCase();
+
+  let entries;
+  if (extension === ".json") entries = parseJson(content);
+  else if (extension === ".csv" || extension === ".txt") entries = parseCsv(content);
+  else throw new Error(`Unsupported voter list format "${extension}" (expected .csv or .json)`);
+
+  const addresses = [];
+  const duplicates = [];
+  const errors = [];
+  const seen = new Set();
+
+  for (const { value, location } of entries) {
+    let address;
+    try {
+      // getAddress rejette aussi les adresses dont la casse ne respecte pas le checksum EIP-55
+      address = getAddress(value);
+    } catch {
+      errors.push(`${location}: invalid address "${value}"`);
+      continue;
+    }
+    if (seen.has(address)) {
+      duplicates.push(address);
+      continue;
+    }
+    seen.add(address);
+    addresses.push(address);
+  }
+
+  return { addresses, duplicates, errors };
+}
+
+/**
+ * Empreinte d'une liste d'adresses, pour vérifier qu'une reprise porte sur la même liste
+ * @param {string[]} addresses
+ * @returns {string}
+ */
+function hashVoterList(addresses) {
+  return solidityPackedKeccak256(["address[]"], [addresses]);
+}
+
+// ::::::::::::: PROGRESS ::::::::::::: //
+
+/**
+ * Fichier de progression associé à une liste de votants
+ * @param {string} file
+ * @returns {string}
+ */
+function progressFile(file) {
+  return `${file}.progress.json`;
+}
+
+function readProgress(file) {
+  const progress = progressFile(file);
+  return fs.existsSync(progress) ? JSON.parse(fs.readFileSync(progress, "utf8")) : undefined;
+}
+
+function writeProgress(file, progress) {
+  fs.writeFileSync(progressFile(file), JSON.stringify(progress, null, 2));
+}
+
+function clearProgress(file) {
+  fs.rmSync(progressFile(file), { force: true });
+}
+
+module.exports = {
+  readVoterList,
+  hashVoterList,
+  progressFile,
+  readProgress,
+  writeProgress,
+  clearProgress,
+};
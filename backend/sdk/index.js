@@ -0,0 +1,27 @@
+// Point d'entrée du SDK JavaScript du contrat Voting
+
+const abi = require("./abi/Voting.json");
+const { VotingClient, EVENTS, formatEvent, probeContract } = require("./src/VotingClient");
+const commitReveal = require("./src/commitReveal");
+const counting = require("./src/counting");
+const { DEPLOYMENTS, findDeployment } = require("./src/deployments");
+const errors = require("./src/errors");
+const roles = require("./src/roles");
+const signatures = require("./src/signatures");
+const workflow = require("./src/workflow");
+
+module.exports = {
+  abi,
+  VotingClient,
+  EVENTS,
+  formatEvent,
+  probeContract,
+  DEPLOYMENTS,
+  findDeployment,
+  ...commitReveal,
+  ...counting,
+  ...errors,
+  ...roles,
+  ...signatures,
+  ...workflow,
+};
@@ -0,0 +1,1072 @@
+const { Contract, ZeroAddress } = require("ethers");
+
+const abi = require("../abi/Voting.json");
+const { findDeployment } = require("./deployments");
+const { computeCommitment, generateSalt } = require("./commitReveal");
+const { toVotingError } = require("./errors");
+const { ROLE_NAMES, roleId, roleName } = require("./roles");
+const { getDomain, getRelayedCall, signMessage } = require("./signatures");
+const {
+  WorkflowStatus, statusName, TiePolicy, tiePolicyName, VotingMethod, votingMethodName, noResultReasonName, nextTransition,
+  transitionDueTime,
+} = require("./workflow");
+
+// Événements du contrat auxquels on peut s'abonner
+const EVENTS = [
+  "SessionCreated",
+  "VoterRegistered",
+  "VoterAlreadyRegistered",
+  "VoterRemoved",
+  "VoterMerkleRootSet",
+  "ProposalRegistered",
+  "ProposalWithdrawn",
+  "Voted",
+  "BallotCast",
+  "VoteDelegated",
+  "CommitRevealSet",
+  "VoteCommitted",
+  "ScheduleSet",
+  "TiePolicySet",
+  "TieDetected",
+  "TieResolved",
+  "RunoffSessionCreated",
+  "VotingMethodSet",
+  "VotingTokenSet",
+  "VotingPowerUsed",
+  "ThresholdsSet",
+  "NoResult",
+  "WorkflowStatusChange",
+  "SessionAdminSet",
+  "SessionCancelled",
+  // Événements d'AccessControl et de la pause, hors session
+  "RoleGranted",
+  "RoleRevoked",
+  "Paused",
+  "Unpaused",
+];
+
+/**
+ * @typedef {import("./workflow").WorkflowStatusName} WorkflowStatusName
+ *
+ * @typedef {object} Session
+ * @property {number} sessionId
+ * @property {string} name
+ * @property {WorkflowStatusName} status
+ * @property {number} proposalsCount
+ * @property {number} winningProposalId
+ * @property {number} registeredVoters Le nombre de votants inscrits
+ * @property {number} votesCast Le nombre de votants dont la voix est comptée, délégants représentés compris
+ *
+ * @typedef {object} Proposal
+ * @property {number} id
+ * @property {string} description
+ * @property {bigint} voteCount
+ * @property {string|null} proposer Le votant qui a soumis la proposition (null pour GENESIS)
+ * @property {boolean} withdrawn La proposition a été retirée par son auteur et ne peut plus recevoir de voix
+ *
+ * @typedef {object} Voter
+ * @property {boolean} isRegistered
+ * @property {boolean} hasVoted
+ * @property {number} votedProposalId
+ * @property {string|null} delegate Le votant à qui la voix a été déléguée
+ * @property {number} delegatedWeight Le nombre de voix reçues par délégation
+ *
+ * @typedef {object} VotingToken
+ * @property {string} token L'adresse du jeton ERC20Votes
+ * @property {number} snapshot Le point de l'horloge du jeton où les voix sont lues, 0 avant l'ouverture du vote
+ *
+ * @typedef {object} Participation
+ * @property {number} registeredVoters Le nombre de votants inscrits
+ * @property {number} votesCast Le nombre de votants dont la voix est comptée, délégants représentés compris
+ * @property {bigint} castWeight Le poids total des voix exprimées (voix du jeton dans une session pondérée par jeton)
+ *
+ * @typedef {object} Tie
+ * @property {boolean} isTie Plusieurs propositions sont arrivées en tête au dépouillement
+ * @property {number[]} proposalIds Les propositions à égalité
+ * @property {number|null} runoffSessionId La session du second tour (règle Runoff)
+ *
+ * @typedef {object} VotingEvent
+ * @property {string} name Le nom de l'événement
+ * @property {number} blockNumber
+ * @property {string} blockHash
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ *   ainsi que les arguments de l'événement (sessionId, voter, proposalId, newStatus...)
+ */
+
+// ::::::::::::: FORMATTERS ::::::::::::: //
+
+// Les identifiants (sessions, propositions) tiennent dans un number
+function toNumber(value) {
+  return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+}
+
+function formatSession(session) {
+  return {
+    sessionId: Number(session.sessionId),
+    name: session.name,
+    status: statusName(session.status),
+    proposalsCount: Number(session.proposalsCount),
+    winningProposalId: Number(session.winningProposalId),
+    registeredVoters: Number(session.registeredVoters),
+    votesCast: Number(session.votesCast),
+  };
+}
+
+function formatProposal(proposal, id) {
+  return {
+    id,
+    description: proposal.description,
+    voteCount: proposal.voteCount,
+    proposer: proposal.proposer === ZeroAddress ? null : proposal.proposer,
+    withdrawn: proposal.withdrawn,
+  };
+}
+
+// Calendrier d'une session, null si votingEnd est à 0 (pas de calendrier)
+function formatSchedule(schedule) {
+  if (Number(schedule.votingEnd) === 0) return null;
+  return {
+    proposalsStart: Number(schedule.proposalsStart),
+    proposalsEnd: Number(schedule.proposalsEnd),
+    votingStart: Number(schedule.votingStart),
+    votingEnd: Number(schedule.votingEnd),
+    revealEnd: Number(schedule.revealEnd),
+  };
+}
+
+// Conditions de validité d'une session, null si aucune n'est fixée
+function formatThresholds(thresholds) {
+  const formatted = {
+    quorumVoters: Number(thresholds.quorumVoters),
+    quorumBps: Number(thresholds.quorumBps),
+    winnerShareBps: Number(thresholds.winnerShareBps),
+  };
+  return Object.values(formatted).every((value) => value === 0) ? null : formatted;
+}
+
+function formatVoter(voter) {
+  return {
+    isRegistered: voter.isRegistered,
+    hasVoted: voter.hasVoted,
+    votedProposalId: Number(voter.votedProposalId),
+    delegate: voter.delegate === ZeroAddress ? null : voter.delegate,
+    delegatedWeight: Number(voter.delegatedWeight),
+  };
+}
+
+/**
+ * Convertit un log décodé par ethers en objet lisible
+ * @param {import("ethers").EventLog} log
+ * @returns {VotingEvent}
+ */
+function formatEvent(log) {
+  const event = {
+    name: log.fragment.name,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: log.index,
+  };
+  log.fragment.inputs.forEach((input, index) => {
+    const value = log.args[index];
+    if (input.type === "uint8" && input.name.endsWith("Status")) event[input.name] = statusName(value);
+    else if (input.type === "uint8" && input.name === "policy") event[input.name] = tiePolicyName(value);
+    else if (input.type === "uint8" && input.name === "method") event[input.name] = votingMethodName(value);
+    else if (input.type === "uint8" && input.name === "reason") event[input.name] = noResultReasonName(value);
+    else if (input.name === "role") event[input.name] = roleName(value);
+    else if (input.name === "schedule") event[input.name] = formatSchedule(value);
+    else if (input.name === "thresholds") event[input.name] = formatThresholds(value);
+    else if (input.type.startsWith("uint") && input.type.endsWith("[]")) event[input.name] = value.map(toNumber);
+    else if (input.type.startsWith("uint")) event[input.name] = toNumber(value);
+    else event[input.name] = value;
+  });
+  return event;
+}
+
+// Options d'un appel en lecture : sans blockTag, l'état du dernier bloc
+function readOverrides(blockTag) {
+  return blockTag === undefined ? [] : [{ blockTag }];
+}
+
+// Identifiant ERC-165 de l'interface IAccessControl
+const ACCESS_CONTROL_INTERFACE_ID = "0x7965db0b";
+// Nombre maximum de blocs par requête eth_getLogs (limite des fournisseurs RPC)
+const EVENTS_BATCH_SIZE = 2000;
+
+// Vérifie que le contrat répond à l'ABI du SDK : les rôles d'AccessControl et les sessions concurrentes, absents des
+// versions précédentes du contrat, dont les appels échouent ou se décodent mal. Renvoie la dernière session créée,
+// ou null si le contrat n'est pas compatible
+async function probeContract(contract) {
+  try {
+    const [supportsRoles, operatorRole, sessionId] = await Promise.all([
+      contract.supportsInterface(ACCESS_CONTROL_INTERFACE_ID),
+      contract.OPERATOR_ROLE(),
+      contract.currentSessionId(),
+    ]);
+    return supportsRoles && operatorRole === roleId("operator") ? Number(sessionId) : null;
+  } catch {
+    return null;
+  }
+}
+
+// ::::::::::::: CLIENT ::::::::::::: //
+
+/**
+ * Client JavaScript du contrat Voting
+ * @notice Les lectures fonctionnent avec un provider, les écritures nécessitent un signer. Les sessions se déroulent
+ * en parallèle : le client agit sur sa session, la dernière créée quand il s'est connecté (connect) ou celle choisie
+ * avec forSession. Une session créée ensuite ne change pas la session du client.
+ */
+class VotingClient {
+  /**
+   * @param {import("ethers").Contract} contract Le contrat Voting, connecté à un provider ou un signer
+   * @param {{ sessionId?: number, fromBlock?: number, pendingNonces?: Map<string, { nonce: number, deadline: number }[]> }} [options]
+   *   sessionId : la session du client ; sans session, les lectures portent sur la dernière session créée au moment de
+   *   l'appel et les écritures dans une session sont refusées ; fromBlock : le bloc de déploiement du contrat, où
+   *   commencent les recherches d'événements ; pendingNonces : les nonces des messages signés et pas encore envoyés,
+   *   par votant, partagés avec les clients dérivés (connect, forSession)
+   */
+  constructor(contract, { sessionId, fromBlock = 0, pendingNonces = new Map() } = {}) {
+    this.contract = contract;
+    this.sessionId = sessionId;
+    this.fromBlock = fromBlock;
+    this.pendingNonces = pendingNonces;
+  }
+
+  /**
+   * Se connecte au contrat Voting, sur la dernière session créée
+   * @param {object} options
+   * @param {import("ethers").ContractRunner} options.runner Provider (lecture seule) ou signer
+   * @param {string} [options.address] Adresse du contrat, sinon celle du déploiement connu du réseau. Obligatoire tant
+   *   que DEPLOYMENTS est vide : le seul déploiement public (Sepolia) est une version incompatible du contrat
+   * @param {string} [options.network] Nom du réseau ("sepolia"), sinon déduit du provider
+   * @param {number} [options.fromBlock] Bloc de déploiement du contrat, sinon celui du déploiement connu du réseau
+   *   (0 pour une adresse passée explicitement)
+   * @returns {Promise<VotingClient>}
+   */
+  static async connect({ runner, address, network, fromBlock }) {
+    if (!runner) throw new Error("A provider or a signer is required");
+
+    let target = address;
+    let deploymentBlock = fromBlock ?? 0;
+    if (!target) {
+      const chainId = network === undefined ? (await (runner.provider ?? runner).getNetwork()).chainId : undefined;
+      const deployment = findDeployment({ network, chainId });
+      if (!deployment) {
+        throw new Error(`No known Voting deployment on ${network ?? `chain ${chainId}`}, the contract address is required`);
+      }
+      target = deployment.address;
+      deploymentBlock = fromBlock ?? deployment.blockNumber ?? 0;
+    }
+
+    const contract = new Contract(target, abi, runner);
+    const sessionId = await probeContract(contract);
+    if (sessionId === null) {
+      throw new Error(`The contract at ${target} is not a Voting contract compatible with this SDK`);
+    }
+    return new VotingClient(contract, { sessionId, fromBlock: deploymentBlock });
+  }
+
+  /** @returns {string} L'adresse du contrat */
+  get address() {
+    return this.contract.target;
+  }
+
+  /**
+   * Retourne un nouveau client qui envoie les transactions avec un autre signer
+   * @param {import("ethers").Signer} signer
+   * @returns {VotingClient}
+   */
+  connect(signer) {
+    return new VotingClient(this.contract.connect(signer), {
+      sessionId: this.sessionId,
+      fromBlock: this.fromBlock,
+      pendingNonces: this.pendingNonces,
+    });
+  }
+
+  /**
+   * Retourne un nouveau client qui lit et modifie une session donnée
+   * @param {number} sessionId
+   * @returns {VotingClient}
+   */
+  forSession(sessionId) {
+    return new VotingClient(this.contract, { sessionId, fromBlock: this.fromBlock, pendingNonces: this.pendingNonces });
+  }
+
+  // ::::::::::::: GETTERS ::::::::::::: //
+
+  /**
+   * @param {import("./roles").RoleName|string} role
+   * @param {string} address
+   * @returns {Promise<boolean>} true si le compte a le rôle
+   */
+  async hasRole(role, address) {
+    return this._call("hasRole", roleId(role), address);
+  }
+
+  /**
+   * @param {string} address
+   * @returns {Promise<import("./roles").RoleName[]>} Les rôles d'administration du compte
+   */
+  async getRoles(address) {
+    const granted = await Promise.all(ROLE_NAMES.map((role) => this.hasRole(role, address)));
+    return ROLE_NAMES.filter((_, index) => granted[index]);
+  }
+
+  /** @returns {Promise<WorkflowStatusName>} L'état du workflow de la session du client */
+  async getWorkflowStatus() {
+    return (await this.getCurrentSession()).status;
+  }
+
+  /** @returns {Promise<Session>} La session du client, sinon la dernière session créée */
+  async getCurrentSession() {
+    return formatSession(await this._call("getSession", await this._sessionId()));
+  }
+
+  /**
+   * @param {number} sessionId
+   * @param {{ blockTag?: number|string }} [options] blockTag : lit la session telle qu'elle était à ce bloc
+   * @returns {Promise<Session>}
+   */
+  async getSession(sessionId, { blockTag } = {}) {
+    return formatSession(await this._call("getSession", sessionId, ...readOverrides(blockTag)));
+  }
+
+  /**
+   * Liste les sessions par page
+   * @param {{ offset?: number, limit?: number }} [page]
+   * @returns {Promise<Session[]>}
+   */
+  async getSessions({ offset = 0, limit = 100 } = {}) {
+    return (await this._call("getSessions", offset, limit)).map(formatSession);
+  }
+
+  /**
+   * Liste toutes les sessions, en enchaînant les pages
+   * @param {number} [pageSize]
+   * @returns {Promise<Session[]>}
+   */
+  async getAllSessions(pageSize = 100) {
+    const sessions = [];
+    for (let offset = 0; ; offset += pageSize) {
+      const page = await this.getSessions({ offset, limit: pageSize });
+      sessions.push(...page);
+      if (page.length < pageSize) return sessions;
+    }
+  }
+
+  /**
+   * Récupère une proposition de la session du client
+   * @param {number} proposalId
+   * @returns {Promise<Proposal>}
+   */
+  async getProposal(proposalId) {
+    return formatProposal(await this._call("getOneProposal(uint32,uint256)", await this._sessionId(), proposalId), proposalId);
+  }
+
+  /**
+   * Liste les propositions d'une session par page
+   * @param {number} sessionId
+   * @param {{ offset?: number, limit?: number, blockTag?: number|string }} [page] blockTag : lit les propositions
+   *   telles qu'elles étaient à ce bloc
+   * @returns {Promise<Proposal[]>}
+   */
+  async getProposals(sessionId, { offset = 0, limit = 100, blockTag } = {}) {
+    const proposals = await this._call("getProposals", sessionId, offset, limit, ...readOverrides(blockTag));
+    return proposals.map((proposal, index) => formatProposal(proposal, offset + index));
+  }
+
+  /**
+   * Récupère un votant, dans la session du client ou une session donnée
+   * @param {string} address
+   * @param {number} [sessionId]
+   * @returns {Promise<Voter>}
+   */
+  async getVoter(address, sessionId) {
+    return formatVoter(await this._call("getVoter(uint32,address)", sessionId ?? (await this._sessionId()), address));
+  }
+
+  /**
+   * Récupère la proposition gagnante d'une session dépouillée (par défaut la session du client)
+   * @param {number} [sessionId]
+   * @returns {Promise<Proposal>}
+   */
+  async getWinner(sessionId) {
+    const id = sessionId ?? (await this._sessionId());
+    const [proposalId, proposal] = await this._call("getSessionWinner", id);
+    return formatProposal(proposal, Number(proposalId));
+  }
+
+  /**
+   * @param {number} [sessionId] Par défaut la session du client
+   * @returns {Promise<import("./workflow").VotingMethodName>} Le mode de scrutin de la session
+   */
+  async getVotingMethod(sessionId) {
+    const id = sessionId ?? (await this._sessionId());
+    return votingMethodName(await this._call("votingMethods", id));
+  }
+
+  /**
+   * Récupère le bulletin d'un votant d'une session par approbation ou préférentielle
+   * @param {string} address
+   * @param {number} [sessionId] Par défaut la session du client
+   * @returns {Promise<number[]>} Les propositions approuvées ou classées, vide si le votant n'a pas voté
+   */
+  async getBallot(address, sessionId) {
+    const id = sessionId ?? (await this._sessionId());
+    return (await this._call("getBallot", id, address)).map(Number);
+  }
+
+  /**
+   * @param {number} [sessionId] Par défaut la session du client
+   * @returns {Promise<VotingToken|null>} Le jeton de vote de la session, null si chaque votant a une voix
+   */
+  async getVotingToken(sessionId) {
+    const id = sessionId ?? (await this._sessionId());
+    const [token, snapshot] = await Promise.all([this._call("votingTokens", id), this._call("votingSnapshots", id)]);
+    return token === ZeroAddress ? null : { token, snapshot: Number(snapshot) };
+  }
+
+  /**
+   * Récupère les voix du jeton comptées pour le vote d'un votant, dans une session pondérée par jeton
+   * @param {string} address
+   * @param {number} [sessionId] Par défaut la session du client
+   * @returns {Promise<bigint>} 0 si le votant n'a pas voté
+   */
+  async getVotingPower(address, sessionId) {
+    const id = sessionId ?? (await this._sessionId());
+    return this._call("votingPowers", id, address);
+  }
+
+  /**
+   * @param {number} [sessionId] Par défaut la session du client
+   * @returns {Promise<import("./workflow").TiePolicyName>} La règle de départage d'une égalité de la session
+   */
+  async getTiePolicy(sessionId) {
+    const id = sessionId ?? (await this._sessionId());
+    return tiePolicyName(await this._call("tiePolicies", id));
+  }
+
+  /**
+   * @param {number} [sessionId] Par défaut la session du client
+   * @returns {Promise<import("./workflow").Thresholds|null>} Les conditions de validité de la session, null si elle
+   *   n'en a pas
+   */
+  async getThresholds(sessionId) {
+    const id = sessionId ?? (await this._sessionId());
+    return formatThresholds(await this._call("thresholds", id));
+  }
+
+  /**
+   * @param {number} [sessionId] Par défaut la session du client
+   * @returns {Promise<Participation>} Les votants inscrits et les voix exprimées de la session
+   */
+  async getParticipation(sessionId) {
+    const id = sessionId ?? (await this._sessionId());
+    const [registeredVoters, votesCast, castWeight] = await this._call("participations", id);
+    return { registeredVoters: Number(registeredVoters), votesCast: Number(votesCast), castWeight };
+  }
+
+  /**
+   * Indique pourquoi une session dépouillée (par défaut la session du client) n'a pas de résultat
+   * @param {number} [sessionId]
+   * @returns {Promise<import("./workflow").NoResultReasonName|null>} La condition de validité non remplie, null si la
+   *   session a un résultat ou n'est pas dépouillée
+   */
+  async getNoResult(sessionId) {
+    const id = sessionId ?? (await this._sessionId());
+    const reason = noResultReasonName(await this._call("noResults", id));
+    return reason === "None" ? null : reason;
+  }
+
+  /**
+   * Indique si le dépouillement d'une session (par défaut la session du client) a abouti à une égalité
+   * @param {number} [sessionId]
+   * @returns {Promise<Tie>}
+   */
+  async getTie(sessionId) {
+    const id = sessionId ?? (await this._sessionId());
+    const [[isTie, proposalIds], runoffSessionId] = await Promise.all([
+      this._call("getTie", id),
+      this._call("runoffSessions", id),
+    ]);
+    return {
+      isTie,
+      proposalIds: proposalIds.map(Number),
+      runoffSessionId: runoffSessionId === 0n ? null : Number(runoffSessionId),
+    };
+  }
+
+  /**
+   * Récupère la racine de la liste des votants autorisés d'une session (par défaut la session du client)
+   * @param {number} [sessionId]
+   * @returns {Promise<string>} bytes32(0) si aucune liste n'est publiée
+   */
+  async getVoterMerkleRoot(sessionId) {
+    const id = sessionId ?? (await this._sessionId());
+    return this._call("voterMerkleRoots", id);
+  }
+
+  /**
+   * @param {number} [sessionId] Par défaut la session du client
+   * @returns {Promise<boolean>} true si la session vote à bulletins secrets (commit-reveal)
+   */
+  async isCommitReveal(sessionId) {
+    const id = sessionId ?? (await this._sessionId());
+    return this._call("commitRevealSessions", id);
+  }
+
+  /**
+   * Récupère l'empreinte du vote secret d'un votant
+   * @param {string} address
+   * @param {number} [sessionId] Par défaut la session du client
+   * @returns {Promise<string>} bytes32(0) si le votant n'a pas voté
+   */
+  async getCommitment(address, sessionId) {
+    const id = sessionId ?? (await this._sessionId());
+    return this._call("voteCommitments", id, address);
+  }
+
+  /**
+   * @param {number} [sessionId] Par défaut la session du client
+   * @returns {Promise<import("./workflow").Schedule|null>} Le calendrier de la session, null si elle n'en a pas
+   */
+  async getSchedule(sessionId) {
+    const id = sessionId ?? (await this._sessionId());
+    return formatSchedule(await this._call("schedules", id));
+  }
+
+  /**
+   * Indique la prochaine transition de la session du client et la date à partir de laquelle n'importe qui peut la faire
+   * @returns {Promise<{ method: string, dueTime: number|undefined, due: boolean }|null>}
+   *   dueTime undefined : seul un opérateur peut faire la transition ; due : la date est atteinte au dernier bloc.
+   *   null si les votes sont dépouillés ou la session annulée
+   */
+  async getNextTransition() {
+    const { sessionId, status } = await this.getCurrentSession();
+    const [schedule, commitReveal, block] = await Promise.all([
+      this.getSchedule(sessionId),
+      this._call("commitRevealSessions", sessionId),
+      this._provider().getBlock("latest"),
+    ]);
+    const method = nextTransition(WorkflowStatus[status], { commitReveal });
+    if (!method) return null;
+    const dueTime = transitionDueTime(WorkflowStatus[status], schedule);
+    return { method, dueTime, due: dueTime !== undefined && block.timestamp >= dueTime };
+  }
+
+  /**
+   * Indique pourquoi une session (par défaut la session du client) a été annulée, d'après son événement SessionCancelled
+   * @param {number} [sessionId]
+   * @returns {Promise<string|null>} La raison donnée par l'administrateur, null si la session n'est pas annulée
+   */
+  async getCancelReason(sessionId) {
+    const id = sessionId ?? (await this._sessionId());
+    const [event] = await this.queryEvents("SessionCancelled", { sessionId: id });
+    return event ? event.reason : null;
+  }
+
+  /** @returns {Promise<boolean>} true si le vote et le dépôt de propositions sont suspendus sur tout le contrat */
+  async isPaused() {
+    return this._call("paused");
+  }
+
+  /**
+   * @param {number} [sessionId] Par défaut la session du client
+   * @returns {Promise<string|null>} L'administrateur propre à la session, null si elle n'en a pas
+   */
+  async getSessionAdmin(sessionId) {
+    const id = sessionId ?? (await this._sessionId());
+    const admin = await this._call("sessionAdmins", id);
+    return admin === ZeroAddress ? null : admin;
+  }
+
+  /**
+   * @param {string} address
+   * @returns {Promise<number>} Le nonce attendu dans le prochain message signé du votant
+   */
+  async nonces(address) {
+    return Number(await this._call("nonces", address));
+  }
+
+  // ::::::::::::: WRITES ::::::::::::: //
+
+  /** @param {string} address */
+  async addVoter(address) {
+    return this._sendSession("addVoter", address);
+  }
+
+  /** @param {string[]} addresses */
+  async addVoters(addresses) {
+    return this._sendSession("addVoters", addresses);
+  }
+
+  /**
+   * Retire un votant de la session du client, pendant l'enregistrement des votants
+   * @param {string} address
+   */
+  async removeVoter(address) {
+    return this._sendSession("removeVoter", address);
+  }
+
+  /** @param {string} root Racine de l'arbre de Merkle des votants autorisés, bytes32(0) pour désactiver */
+  async setVoterMerkleRoot(root) {
+    return this._sendSession("setVoterMerkleRoot", root);
+  }
+
+  /** @param {string[]} proof Preuve de Merkle de l'adresse du signer */
+  async registerWithProof(proof) {
+    return this._sendSession("registerWithProof", proof);
+  }
+
+  /** @param {string} description */
+  async addProposal(description) {
+    return this._sendSession("addProposal", description);
+  }
+
+  /**
+   * Retire une proposition du signer, tant que la phase des propositions est ouverte
+   * @param {number} proposalId
+   */
+  async withdrawProposal(proposalId) {
+    return this._sendSession("withdrawProposal", proposalId);
+  }
+
+  /** @param {number} proposalId */
+  async vote(proposalId) {
+    return this._sendSession("setVote", proposalId);
+  }
+
+  /** @param {number[]} proposalIds Les propositions approuvées (session par approbation) */
+  async approve(proposalIds) {
+    return this._sendSession("setApprovalVote", proposalIds);
+  }
+
+  /** @param {number[]} proposalIds Les propositions de la préférée à la moins appréciée (session préférentielle) */
+  async rank(proposalIds) {
+    return this._sendSession("setRankedVote", proposalIds);
+  }
+
+  /** @param {string} address Votant de la session à qui déléguer la voix du signer */
+  async delegate(address) {
+    return this._sendSession("delegateVote", address);
+  }
+
+  /**
+   * Fixe le calendrier de la session du client (pendant l'enregistrement des votants)
+   * @param {import("./workflow").Schedule} schedule Les timestamps des phases, revealEnd optionnel
+   */
+  async setSchedule({ proposalsStart, proposalsEnd, votingStart, votingEnd, revealEnd = 0 }) {
+    return this._sendSession("setSchedule", { proposalsStart, proposalsEnd, votingStart, votingEnd, revealEnd });
+  }
+
+  async startProposalsRegistering() {
+    return this._sendSession("startProposalsRegistering");
+  }
+
+  async endProposalsRegistering() {
+    return this._sendSession("endProposalsRegistering");
+  }
+
+  async startVotingSession() {
+    return this._sendSession("startVotingSession");
+  }
+
+  async startVotesRevealing() {
+    return this._sendSession("startVotesRevealing");
+  }
+
+  async endVotingSession() {
+    return this._sendSession("endVotingSession");
+  }
+
+  async tallyVotes() {
+    return this._sendSession("tallyVotes");
+  }
+
+  /**
+   * Fait passer la session du client à l'état suivant du workflow
+   * @returns {Promise<import("ethers").TransactionReceipt>}
+   */
+  async advancePhase() {
+    const sessionId = this._writeSessionId("advancePhase");
+    const { status } = await this.getSession(sessionId);
+    const commitReveal = await this._call("commitRevealSessions", sessionId);
+    const method = nextTransition(WorkflowStatus[status], { commitReveal });
+    if (status === "Cancelled") throw new Error("This session is cancelled, start a new session instead");
+    if (!method) throw new Error("Votes are already tallied, start a new session instead");
+    return this._send(method, sessionId);
+  }
+
+  /**
+   * Crée une session, qui se déroule en parallèle des sessions en cours (administrateur uniquement)
+   * @param {string} [name] Nom de la session, "Session <n>" par défaut
+   * @param {{ method?: import("./workflow").VotingMethodName }} [options] method : Plurality par défaut
+   * @returns {Promise<import("ethers").TransactionReceipt>} L'identifiant de la session est celui de son événement
+   *   SessionCreated, et de currentSessionId
+   */
+  async startNewVotingSession(name = "", { method = "Plurality" } = {}) {
+    const value = VotingMethod[method];
+    if (value === undefined) throw new Error(`Unknown voting method ${method}, expected one of ${Object.keys(VotingMethod).join(", ")}`);
+    // Sans mode de scrutin, la surcharge à un paramètre reste compatible avec les déploiements antérieurs ;
+    // ethers ne distingue pas les deux surcharges par leur nombre d'arguments (le dernier peut être des overrides)
+    return value === VotingMethod.Plurality
+      ? this._send("startNewVotingSession(string)", name)
+      : this._send("startNewVotingSession(string,uint8)", name, value);
+  }
+
+  // ::::::::::::: EMERGENCY ::::::::::::: //
+
+  /** Suspend le vote et le dépôt de propositions dans toutes les sessions (administrateur uniquement) */
+  async pause() {
+    return this._send("pause");
+  }
+
+  /** Lève la suspension du vote et du dépôt de propositions (administrateur uniquement) */
+  async unpause() {
+    return this._send("unpause");
+  }
+
+  /**
+   * Annule la session du client avant son dépouillement : elle passe à l'état final Cancelled (administrateur du
+   * contrat ou de la session uniquement)
+   * @param {string} reason La raison de l'annulation, publiée dans l'événement SessionCancelled
+   */
+  async cancelSession(reason) {
+    return this._sendSession("cancelSession", reason);
+  }
+
+  // ::::::::::::: ROLES ::::::::::::: //
+
+  /**
+   * Attribue un rôle à un compte (administrateur uniquement)
+   * @param {import("./roles").RoleName|string} role
+   * @param {string} address
+   */
+  async grantRole(role, address) {
+    return this._send("grantRole", roleId(role), address);
+  }
+
+  /**
+   * Retire un rôle à un compte (administrateur uniquement)
+   * @param {import("./roles").RoleName|string} role
+   * @param {string} address
+   */
+  async revokeRole(role, address) {
+    return this._send("revokeRole", roleId(role), address);
+  }
+
+  /**
+   * Renonce à un rôle du signer
+   * @param {import("./roles").RoleName|string} role
+   */
+  async renounceRole(role) {
+    if (typeof this.contract.runner?.getAddress !== "function") throw new Error("A signer is required to call renounceRole");
+    return this._send("renounceRole", roleId(role), await this.contract.runner.getAddress());
+  }
+
+  /**
+   * Cède tous les rôles du signer à un autre compte (administrateur uniquement)
+   * @param {string} address
+   */
+  async transferRoles(address) {
+    return this._send("transferRoles", address);
+  }
+
+  /**
+   * Désigne l'administrateur de la session du client, qui y exerce les trois rôles (administrateur du contrat ou
+   * administrateur actuel de la session uniquement)
+   * @param {string|null} address null pour retirer l'administrateur de la session
+   */
+  async setSessionAdmin(address) {
+    return this._sendSession("setSessionAdmin", address ?? ZeroAddress);
+  }
+
+  // ::::::::::::: TIE-BREAK ::::::::::::: //
+
+  /**
+   * Choisit la règle de départage d'une égalité de la session du client (avant le début du vote)
+   * @param {import("./workflow").TiePolicyName|number} policy
+   */
+  async setTiePolicy(policy) {
+    const value = typeof policy === "string" ? TiePolicy[policy] : policy;
+    if (value === undefined) throw new Error(`Unknown tie policy ${policy}, expected one of ${Object.keys(TiePolicy).join(", ")}`);
+    return this._sendSession("setTiePolicy", value);
+  }
+
+  /**
+   * Départage l'égalité de la session du client (règle OwnerDecision)
+   * @param {number} proposalId Le gagnant, parmi les propositions à égalité
+   */
+  async resolveTie(proposalId) {
+    return this._sendSession("resolveTie", proposalId);
+  }
+
+  // ::::::::::::: THRESHOLDS ::::::::::::: //
+
+  /**
+   * Fixe les conditions de validité de la session du client (avant le début du vote)
+   * @param {Partial<import("./workflow").Thresholds>} thresholds Les conditions omises valent 0 (pas de condition)
+   */
+  async setThresholds({ quorumVoters = 0, quorumBps = 0, winnerShareBps = 0 } = {}) {
+    return this._sendSession("setThresholds", { quorumVoters, quorumBps, winnerShareBps });
+  }
+
+  // ::::::::::::: TOKEN-WEIGHTED VOTING ::::::::::::: //
+
+  /**
+   * Pondère les votes de la session du client par un jeton ERC20Votes (avant le début du vote)
+   * @param {string|null} token L'adresse du jeton, null pour revenir à une voix par votant
+   */
+  async setVotingToken(token) {
+    return this._sendSession("setVotingToken", token ?? ZeroAddress);
+  }
+
+  // ::::::::::::: SECRET BALLOT ::::::::::::: //
+
+  /** @param {boolean} enabled Vote à bulletins secrets (commit-reveal) pour la session du client */
+  async setCommitReveal(enabled) {
+    return this._sendSession("setCommitReveal", enabled);
+  }
+
+  /**
+   * Vote en secret : publie l'empreinte du vote et conserve son secret dans le store jusqu'à la révélation
+   * @notice Le secret est enregistré avant l'envoi de la transaction, pour ne pas le perdre si elle est confirmée
+   * sans que le processus en ait connaissance
+   * @param {number} proposalId
+   * @param {{ store: import("./commitReveal").BallotStore }} options
+   */
+  async commitVote(proposalId, { store } = {}) {
+    const ref = await this._ballotRef("commitVote", store);
+    const salt = generateSalt();
+    const commitment = computeCommitment({ voter: ref.voter, sessionId: ref.sessionId, proposalId, salt });
+
+    // Le contrat refuserait-il le commit (déjà voté...) ? On ne remplace pas alors le secret d'un vote existant
+    try {
+      await this.contract.commitVote.staticCall(ref.sessionId, commitment);
+    } catch (error) {
+      throw toVotingError(this.contract.interface, error);
+    }
+    await store.save(ref, { proposalId, salt, commitment });
+    return this._send("commitVote", ref.sessionId, commitment);
+  }
+
+  /**
+   * Révèle le vote secret conservé dans le store, puis l'en retire
+   * @param {{ store: import("./commitReveal").BallotStore }} options
+   */
+  async revealVote({ store } = {}) {
+    const ref = await this._ballotRef("revealVote", store);
+    const ballot = await store.load(ref);
+    if (!ballot) throw new Error(`No stored ballot of ${ref.voter} for session #${ref.sessionId}`);
+
+    const receipt = await this._send("revealVote", ref.sessionId, ballot.proposalId, ballot.salt);
+    await store.remove(ref);
+    return receipt;
+  }
+
+  // ::::::::::::: SIGNED MESSAGES ::::::::::::: //
+
+  /** @returns {Promise<ReturnType<typeof getDomain>>} Le domaine EIP-712 du contrat */
+  async getDomain() {
+    const { chainId } = await this._provider().getNetwork();
+    return getDomain({ chainId, verifyingContract: this.address });
+  }
+
+  /**
+   * Signe un vote pour la session du client, à relayer par un tiers (le signer n'a pas besoin d'ETH)
+   * @notice Les votes et les propositions d'un votant partagent un nonce, consommé dans l'ordre : un message signé avant
+   * l'envoi du précédent prend le nonce suivant. Un message qui ne sera jamais envoyé bloque les suivants jusqu'à son
+   * délai, sauf à signer à nouveau avec le nonce on-chain (options.nonce = await client.nonces(voter))
+   * @param {number} proposalId
+   * @param {{ deadline?: number, nonce?: number }} [options] deadline : timestamp limite, une heure après le dernier
+   *   bloc par défaut ; nonce : le nonce du message, par défaut le nonce on-chain suivi des messages en attente
+   * @returns {Promise<import("./signatures").SignedMessage>}
+   */
+  async signBallot(proposalId, options) {
+    return this._sign("Ballot", { proposalId }, options);
+  }
+
+  /**
+   * Signe une proposition pour la session du client, à relayer par un tiers
+   * @param {string} description
+   * @param {{ deadline?: number, nonce?: number }} [options]
+   * @returns {Promise<import("./signatures").SignedMessage>}
+   */
+  async signProposal(description, options) {
+    return this._sign("ProposalSubmission", { description }, options);
+  }
+
+  /**
+   * Simule l'envoi d'un message signé, sans transaction
+   * @param {import("./signatures").SignedMessage} message
+   * @throws {VotingError} si le contrat refuserait le message
+   */
+  async checkRelay(message) {
+    const { method, args } = getRelayedCall(message.type);
+    try {
+      await this.contract[method].staticCall(...args(message));
+    } catch (error) {
+      throw toVotingError(this.contract.interface, error);
+    }
+  }
+
+  /**
+   * Envoie un message signé par un votant (le signer du client paie le gas)
+   * @param {import("./signatures").SignedMessage} message
+   */
+  async relay(message) {
+    const { method, args } = getRelayedCall(message.type);
+    return this._send(method, ...args(message));
+  }
+
+  /**
+   * Envoie plusieurs messages signés en une seule transaction (multicall) : un message refusé fait échouer le lot
+   * @param {import("./signatures").SignedMessage[]} messages
+   */
+  async relayBatch(messages) {
+    const calls = messages.map((message) => {
+      const { method, args } = getRelayedCall(message.type);
+      return this.contract.interface.encodeFunctionData(method, args(message));
+    });
+    return this._send("multicall", calls);
+  }
+
+  // ::::::::::::: EVENTS ::::::::::::: //
+
+  /**
+   * S'abonne à un événement du contrat
+   * @param {string} eventName SessionCreated, VoterRegistered, ProposalRegistered, Voted, WorkflowStatusChange...
+   * @param {(event: VotingEvent) => void} listener
+   * @param {{ sessionId?: number }} [options] sessionId : ne reçoit que les événements d'une session
+   * @returns {Promise<() => Promise<void>>} Une fonction qui annule l'abonnement
+   */
+  async on(eventName, listener, { sessionId } = {}) {
+    if (!EVENTS.includes(eventName)) throw new Error(`Unknown Voting event: ${eventName}`);
+    const filter = this._eventFilter(eventName, sessionId);
+
+    // ethers passe les arguments de l'événement puis un ContractEventPayload en dernier
+    const handler = (...args) => listener(formatEvent(args[args.length - 1].log));
+    await this.contract.on(filter, handler);
+    return () => this.contract.off(filter, handler);
+  }
+
+  /**
+   * Récupère les événements passés du contrat, par tranches de blocs (limite des requêtes eth_getLogs)
+   * @param {string} eventName Nom de l'événement, ou "*" pour tous
+   * @param {{ fromBlock?: number, toBlock?: number|string, sessionId?: number, batchSize?: number }} [range]
+   *   fromBlock : par défaut le bloc de déploiement du client ; sessionId : ne garde que les événements d'une session
+   *   (filtre sur le topic indexé) ; batchSize : nombre maximum de blocs par requête
+   * @returns {Promise<VotingEvent[]>}
+   */
+  async queryEvents(eventName, { fromBlock = this.fromBlock, toBlock = "latest", sessionId, batchSize = EVENTS_BATCH_SIZE } = {}) {
+    if (eventName !== "*" && !EVENTS.includes(eventName)) throw new Error(`Unknown Voting event: ${eventName}`);
+    if (eventName === "*" && sessionId !== undefined) throw new Error("Filtering by session requires an event name");
+
+    const filter = this._eventFilter(eventName, sessionId);
+    const lastBlock = typeof toBlock === "number" ? toBlock : (await this._provider().getBlock(toBlock)).number;
+    const logs = [];
+    for (let from = fromBlock; from <= lastBlock; from += batchSize) {
+      logs.push(...(await this.contract.queryFilter(filter, from, Math.min(from + batchSize - 1, lastBlock))));
+    }
+    return logs.filter((log) => log.fragment).map(formatEvent);
+  }
+
+  // ::::::::::::: INTERNALS ::::::::::::: //
+
+  // Filtre d'un événement, restreint à une session sur son topic indexé
+  _eventFilter(eventName, sessionId) {
+    if (sessionId === undefined) return eventName;
+    if (this.contract.interface.getEvent(eventName).inputs[0].name !== "sessionId") {
+      throw new Error(`${eventName} is not a session event`);
+    }
+    return this.contract.filters[eventName](sessionId);
+  }
+
+  _provider() {
+    return this.contract.runner.provider ?? this.contract.runner;
+  }
+
+  // La session du client, ou la dernière session créée
+  async _sessionId() {
+    return this.sessionId ?? Number(await this._call("currentSessionId"));
+  }
+
+  // La session d'une écriture : celle du client, jamais la dernière session créée au moment de l'appel, qu'une session
+  // créée entre deux appels changerait
+  _writeSessionId(action) {
+    if (this.sessionId === undefined) {
+      throw new Error(`The client has no session for ${action}, choose one with forSession(sessionId)`);
+    }
+    return this.sessionId;
+  }
+
+  async _ballotRef(method, store) {
+    if (!store) throw new Error(`A BallotStore is required to call ${method}`);
+    if (typeof this.contract.runner?.sendTransaction !== "function") {
+      throw new Error(`A signer is required to call ${method}`);
+    }
+    const sessionId = this._writeSessionId(method);
+    const voter = await this.contract.runner.getAddress();
+    const { chainId } = await this._provider().getNetwork();
+    return { chainId: chainId.toString(), contract: this.address, sessionId, voter };
+  }
+
+  async _sign(type, fields, { deadline, nonce } = {}) {
+    if (typeof this.contract.runner?.signTypedData !== "function") {
+      throw new Error(`A signer is required to sign a ${type}`);
+    }
+    const sessionId = this._writeSessionId(`signing a ${type}`);
+    const voter = await this.contract.runner.getAddress();
+    const [domain, onChainNonce, { timestamp }] = await Promise.all([
+      this.getDomain(), this.nonces(voter), this._provider().getBlock("latest"),
+    ]);
+    const expiry = deadline ?? timestamp + 3600;
+    const messageNonce = this._reserveNonce(voter, { nonce, onChainNonce, deadline: expiry, now: timestamp });
+    return signMessage(this.contract.runner, type, domain, { sessionId, ...fields, nonce: messageNonce, deadline: expiry });
+  }
+
+  // Réserve le nonce d'un message : le nonce donné, sinon le suivant du nonce on-chain et des messages en attente
+  // (ni envoyés ni expirés). Sans await, deux signatures simultanées ne peuvent pas réserver le même nonce
+  _reserveNonce(voter, { nonce, onChainNonce, deadline, now }) {
+    const key = voter.toLowerCase();
+    const pending = (this.pendingNonces.get(key) ?? []).filter((message) => message.nonce >= onChainNonce && message.deadline >= now);
+    const reserved = nonce ?? pending.reduce((next, message) => Math.max(next, message.nonce + 1), onChainNonce);
+    this.pendingNonces.set(key, [...pending, { nonce: reserved, deadline }]);
+    return reserved;
+  }
+
+  async _call(method, ...args) {
+    try {
+      return await this.contract[method](...args);
+    } catch (error) {
+      throw toVotingError(this.contract.interface, error);
+    }
+  }
+
+  // Envoie une transaction qui porte sur la session du client (son identifiant est le premier argument)
+  async _sendSession(method, ...args) {
+    return this._send(method, this._writeSessionId(method), ...args);
+  }
+
+  async _send(method, ...args) {
+    if (typeof this.contract.runner?.sendTransaction !== "function") {
+      throw new Error(`A signer is required to call ${method}`);
+    }
+    try {
+      const tx = await this.contract[method](...args);
+      return await tx.wait();
+    } catch (error) {
+      throw toVotingError(this.contract.interface, error);
+    }
+  }
+}
+
+module.exports = {
+  VotingClient,
+  EVENTS,
+  formatEvent,
+  probeContract,
+};
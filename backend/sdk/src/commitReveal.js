@@ -0,0 +1,99 @@
+// Vote à bulletins secrets (commit-reveal) : empreinte du vote et conservation locale de son secret
+// Le vote n'est publié qu'à la révélation : perdre le secret (salt) d'un vote, c'est ne plus pouvoir
+// le révéler, et il n'est alors pas compté.
+
+const { AbiCoder, getAddress, hexlify, keccak256, randomBytes } = require("ethers");
+
+/**
+ * @typedef {object} BallotRef Identifie le vote d'un votant dans une session d'un contrat
+ * @property {string|bigint} chainId
+ * @property {string} contract
+ * @property {number} sessionId
+ * @property {string} voter
+ *
+ * @typedef {object} StoredBallot
+ * @property {number} proposalId
+ * @property {string} salt
+ * @property {string} commitment
+ *
+ * @typedef {object} KeyValueStorage Interface de Web Storage (localStorage), éventuellement asynchrone
+ * @property {(key: string) => string|null|Promise<string|null>} getItem
+ * @property {(key: string, value: string) => void|Promise<void>} setItem
+ * @property {(key: string) => void|Promise<void>} removeItem
+ */
+
+/** @returns {string} Un secret aléatoire de 32 octets */
+function generateSalt() {
+  return hexlify(randomBytes(32));
+}
+
+/**
+ * Calcule l'empreinte d'un vote, comme VotingBase.computeCommitment
+ * @param {{ voter: string, sessionId: number, proposalId: number, salt: string }} ballot
+ * @returns {string}
+ */
+function computeCommitment({ voter, sessionId, proposalId, salt }) {
+  return keccak256(AbiCoder.defaultAbiCoder().encode(
+    ["address", "uint32", "uint32", "bytes32"],
+    [voter, sessionId, proposalId, salt]
+  ));
+}
+
+/** @returns {KeyValueStorage} Un stockage en mémoire, perdu à la fin du processus */
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => { items.set(key, String(value)); },
+    removeItem: (key) => { items.delete(key); },
+  };
+}
+
+/**
+ * Conserve le secret de chaque vote jusqu'à sa révélation
+ */
+class BallotStore {
+  /**
+   * @param {KeyValueStorage} [storage] localStorage dans un navigateur, FileStorage (lib/ballots) en Node
+   */
+  constructor(storage = memoryStorage()) {
+    this.storage = storage;
+  }
+
+  /**
+   * @param {BallotRef} ref
+   * @returns {string}
+   */
+  static key({ chainId, contract, sessionId, voter }) {
+    return `voting:ballot:${chainId}:${getAddress(contract)}:${sessionId}:${getAddress(voter)}`;
+  }
+
+  /**
+   * @param {BallotRef} ref
+   * @param {StoredBallot} ballot
+   */
+  async save(ref, ballot) {
+    await this.storage.setItem(BallotStore.key(ref), JSON.stringify(ballot));
+  }
+
+  /**
+   * @param {BallotRef} ref
+   * @returns {Promise<StoredBallot|undefined>}
+   */
+  async load(ref) {
+    const value = await this.storage.getItem(BallotStore.key(ref));
+    return value == null ? undefined : JSON.parse(value);
+  }
+
+  /** @param {BallotRef} ref */
+  async remove(ref) {
+    await this.storage.removeItem(BallotStore.key(ref));
+  }
+}
+
+module.exports = {
+  generateSalt,
+  computeCommitment,
+  memoryStorage,
+  BallotStore,
+};
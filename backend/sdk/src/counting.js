@@ -0,0 +1,105 @@
+// Dépouillement de référence des modes de scrutin, avec les règles du contrat (VotingBase.tallyVotes) :
+// il permet de recompter hors chaîne les bulletins publiés dans les événements, et de vérifier les résultats on-chain.
+
+/**
+ * @typedef {object} WeightedBallot Un bulletin et son poids
+ * @property {number[]} proposalIds La proposition choisie, les propositions approuvées, ou les propositions classées
+ *   de la préférée à la moins appréciée
+ * @property {number|bigint} weight La voix du votant et celles qui lui ont été déléguées, ou ses voix du jeton de vote
+ *   (bigint, dans une session pondérée par jeton : tous les bulletins ont alors un poids bigint)
+ *
+ * @typedef {object} TallyResult
+ * @property {(number|bigint)[]} counts Le nombre de voix de chaque proposition (au dernier tour d'un vote préférentiel),
+ *   du type des poids des bulletins
+ * @property {number} winningProposalId 0 (GENESIS) s'il n'y a aucune voix
+ * @property {number[]} tiedProposalIds Les propositions arrivées en tête à égalité (vide s'il n'y a pas d'égalité)
+ */
+
+// Zéro du type des poids des bulletins (Math.max et Math.min ne comparent pas des bigint)
+function zeroOf(ballots) {
+  return typeof ballots[0]?.weight === "bigint" ? 0n : 0;
+}
+
+function max(values, initial) {
+  return values.reduce((result, value) => (value > result ? value : result), initial);
+}
+
+// Chaque bulletin donne son poids à toutes ses propositions : une seule en uninominal, plusieurs en approbation
+function countEachChoice(ballots, proposalsCount) {
+  const counts = new Array(proposalsCount).fill(zeroOf(ballots));
+  for (const { proposalIds, weight } of ballots) {
+    for (const id of proposalIds) counts[id] += weight;
+  }
+  return counts;
+}
+
+/**
+ * Compte des bulletins préférentiels par tours, comme le contrat : à chaque tour, chaque bulletin va à sa proposition
+ * préférée encore en lice. On s'arrête quand une proposition a la majorité des voix du tour, ou quand les propositions
+ * en lice sont à égalité ; sinon la moins soutenue est éliminée (à égalité, celle d'identifiant le plus haut), avec
+ * toutes celles sans voix.
+ * @param {WeightedBallot[]} ballots
+ * @param {number} proposalsCount Le nombre de propositions de la session, GENESIS comprise
+ * @returns {{ counts: (number|bigint)[], rounds: (number|bigint)[][] }} counts : le dernier tour ; rounds : les voix de
+ *   chaque tour
+ */
+function countInstantRunoff(ballots, proposalsCount) {
+  const zero = zeroOf(ballots);
+  const eliminated = new Set([0]);
+  const rounds = [];
+
+  for (;;) {
+    const counts = new Array(proposalsCount).fill(zero);
+    let total = zero;
+    for (const { proposalIds, weight } of ballots) {
+      const choice = proposalIds.find((id) => !eliminated.has(id));
+      if (choice === undefined) continue;
+      counts[choice] += weight;
+      total += weight;
+    }
+    rounds.push(counts);
+
+    const running = counts.map((count, id) => ({ id, count })).filter(({ id }) => !eliminated.has(id));
+    const maxVotes = max(running.map(({ count }) => count), zero);
+    const minVotes = running.reduce((result, { count }) => (count < result ? count : result), maxVotes);
+    if (maxVotes === zero || maxVotes + maxVotes > total || maxVotes === minVotes) return { counts, rounds };
+
+    eliminated.add(running.findLast(({ count }) => count === minVotes).id);
+    if (minVotes === zero) running.filter(({ count }) => count === zero).forEach(({ id }) => eliminated.add(id));
+  }
+}
+
+/**
+ * Désigne le gagnant d'après le nombre de voix des propositions, comme tallyVotes : GENESIS n'est jamais élue,
+ * et une égalité est départagée par le plus petit identifiant (règle LowestId)
+ * @param {(number|bigint)[]} counts
+ * @returns {{ winningProposalId: number, tiedProposalIds: number[] }}
+ */
+function findWinner(counts) {
+  const zero = typeof counts[0] === "bigint" ? 0n : 0;
+  const maxVotes = max(counts.slice(1), zero);
+  if (maxVotes === zero) return { winningProposalId: 0, tiedProposalIds: [] };
+  const leaders = counts.map((count, id) => (id !== 0 && count === maxVotes ? id : -1)).filter((id) => id !== -1);
+  return { winningProposalId: leaders[0], tiedProposalIds: leaders.length > 1 ? leaders : [] };
+}
+
+/**
+ * Dépouille des bulletins selon le mode de scrutin de la session
+ * @param {import("./workflow").VotingMethodName} method
+ * @param {WeightedBallot[]} ballots
+ * @param {number} proposalsCount Le nombre de propositions de la session, GENESIS comprise
+ * @returns {TallyResult}
+ */
+function countVotes(method, ballots, proposalsCount) {
+  let counts;
+  if (method === "InstantRunoff") ({ counts } = countInstantRunoff(ballots, proposalsCount));
+  else if (method === "Plurality" || method === "Approval") counts = countEachChoice(ballots, proposalsCount);
+  else throw new Error(`Unknown voting method ${method}`);
+  return { counts, ...findWinner(counts) };
+}
+
+module.exports = {
+  countInstantRunoff,
+  findWinner,
+  countVotes,
+};
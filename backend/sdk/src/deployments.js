@@ -0,0 +1,25 @@
+// Déploiements connus du contrat Voting, par chainId : { network, address, blockNumber }
+// (repris de ignition/deployments/chain-<id>, blockNumber : bloc de déploiement du journal Ignition)
+// Le contrat 0x7Ccd0C731c6a3631EDb22b0FD089eF0B5431af89 de Sepolia est la version d'origine, dont l'ABI ne correspond
+// plus à abi/Voting.json : il n'est pas repris ici. La liste est vide jusqu'au prochain déploiement public : les
+// appelants doivent passer l'adresse à connect, qui échoue sinon avec "No known Voting deployment"
+const DEPLOYMENTS = {};
+
+/**
+ * Recherche l'adresse du contrat Voting déployé sur un réseau
+ * @param {{ network?: string, chainId?: number|bigint }} query Nom du réseau ou chainId
+ * @returns {{ chainId: number, network: string, address: string, blockNumber?: number } | undefined}
+ */
+function findDeployment({ network, chainId }) {
+  for (const [id, deployment] of Object.entries(DEPLOYMENTS)) {
+    if ((network !== undefined && deployment.network === network) || (chainId !== undefined && id === chainId.toString())) {
+      return { chainId: Number(id), ...deployment };
+    }
+  }
+  return undefined;
+}
+
+module.exports = {
+  DEPLOYMENTS,
+  findDeployment,
+};
@@ -0,0 +1,178 @@
+const { roleName } = require("./roles");
+
+// Messages lisibles pour les custom errors du contrat Voting (et d'AccessControl)
+const ERROR_MESSAGES = {
+  SessionNotFound: "This session does not exist",
+  SessionNotTallied: "The votes of this session are not tallied yet",
+  NotVoter: "The sender is not a registered voter of this session",
+  AlreadyRegistered: "This address is already registered as a voter",
+  VotersRegistrationClosed: "Voters can only be added or removed while registering voters",
+  AllowlistNotSet: "No voter allowlist is published for this session",
+  InvalidMerkleProof: "The sender is not in the voter allowlist of this session",
+  VoterInDelegation: "A voter who delegated its vote or received delegations cannot be removed",
+  EmptyProposal: "The proposal description cannot be empty",
+  ProposalsNotAllowed: "Proposals registration is not open",
+  ProposalNotFound: "This proposal does not exist",
+  NotProposer: "Only the voter who submitted this proposal can withdraw it",
+  WithdrawnProposal: "This proposal has been withdrawn",
+  AlreadyVoted: "The sender has already voted",
+  VotingNotStarted: "The voting session is not open",
+  SelfDelegation: "A voter cannot delegate to itself",
+  DelegationLoop: "This delegation would create a loop",
+  DelegationClosed: "Votes can only be delegated until the end of the voting session",
+  VotingAlreadyStarted: "The voting settings cannot change once the vote has started",
+  CommitRevealDisabled: "This session does not use secret ballots",
+  CommitRevealRequired: "This session uses secret ballots, commit the vote instead",
+  InvalidCommitment: "The vote commitment cannot be empty",
+  NoCommitment: "The sender has not committed a vote",
+  InvalidReveal: "The proposal and salt do not match the committed vote",
+  RevealNotStarted: "The votes reveal is not open",
+  RegistrationNotStarted: "This action is not allowed in the current workflow status",
+  ProposalsRegistrationNotEnded: "Proposals registration must be ended first",
+  VotingSessionNotEnded: "The voting session must be ended before tallying",
+  InvalidSchedule: "The phases of the schedule must follow each other",
+  InvalidThresholds: "The quorum and the winner share cannot exceed 10000 basis points (100%)",
+  PhaseExpired: "The deadline of the current phase has passed",
+  TransitionNotDue: "The schedule does not allow this transition yet",
+  WrongVotingMethod: "This ballot or mode is not available with the voting method of this session",
+  InvalidBallot: "The ballot must list between 1 and 32 proposals, without duplicates",
+  NoVotingPower: "The sender held no delegated voting tokens when the vote opened",
+  TokenDelegationRequired: "Votes of a token-weighted session are delegated with the token, not with delegateVote",
+  NoWinner: "No proposal won this session: nobody voted, the tie is not broken yet or the thresholds were not met",
+  NoPendingTie: "This session has no tie waiting for the admin's decision",
+  NotTiedProposal: "This proposal is not one of the tied proposals",
+  SessionAlreadyTallied: "A tallied session cannot be cancelled",
+  CancelledSession: "This session has been cancelled",
+  EnforcedPause: "Voting and proposal submission are paused",
+  ExpectedPause: "The contract is not paused",
+  SignatureExpired: "The deadline of the signed message has passed",
+  InvalidSignature: "The signature does not match the voter, the message or its nonce",
+  AccessControlUnauthorizedAccount: "The sender does not have the role required for this action",
+  AccessControlBadConfirmation: "An account can only renounce its own roles",
+};
+
+// Erreurs levées quand l'action n'est pas permise dans l'état courant du workflow
+const WORKFLOW_ERRORS = new Set([
+  "SessionNotTallied",
+  "VotersRegistrationClosed",
+  "ProposalsNotAllowed",
+  "VotingNotStarted",
+  "VotingAlreadyStarted",
+  "DelegationClosed",
+  "CommitRevealDisabled",
+  "CommitRevealRequired",
+  "RevealNotStarted",
+  "WrongVotingMethod",
+  "TokenDelegationRequired",
+  "RegistrationNotStarted",
+  "ProposalsRegistrationNotEnded",
+  "VotingSessionNotEnded",
+  "PhaseExpired",
+  "TransitionNotDue",
+  "NoWinner",
+  "NoPendingTie",
+  "SessionAlreadyTallied",
+  "CancelledSession",
+  "EnforcedPause",
+  "ExpectedPause",
+]);
+
+// Erreurs levées quand l'appelant n'a pas le droit de faire l'action
+const ACCESS_ERRORS = new Set([
+  "NotVoter",
+  "InvalidMerkleProof",
+  "NoVotingPower",
+  "InvalidSignature",
+  "NotProposer",
+  "AccessControlUnauthorizedAccount",
+]);
+
+// ::::::::::::: TYPED ERRORS ::::::::::::: //
+
+/**
+ * Erreur de base pour les reverts du contrat Voting
+ * reason : le nom de la custom error Solidity (ou "Error" pour un require avec message)
+ * args : les arguments de la custom error
+ */
+class VotingError extends Error {
+  constructor(reason, args, message, cause) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.reason = reason;
+    this.args = args;
+  }
+}
+
+// L'action n'est pas permise dans l'état courant du workflow
+class WorkflowStatusError extends VotingError {}
+
+// L'appelant n'est pas autorisé (rôle manquant, pas votant...)
+class UnauthorizedError extends VotingError {}
+
+// Les paramètres de l'appel sont invalides (doublon, proposition inconnue...)
+class InvalidRequestError extends VotingError {}
+
+// Les erreurs ethers encapsulent les données de revert à des profondeurs variables
+// selon le provider (Hardhat en process, JSON-RPC, ...)
+function findRevertData(error) {
+  let current = error;
+  for (let depth = 0; current && depth < 5; depth++) {
+    if (typeof current.data === "string" && current.data.startsWith("0x")) return current.data;
+    if (current.data && typeof current.data.data === "string") return current.data.data;
+    current = current.error ?? current.info?.error ?? current.cause;
+  }
+  return undefined;
+}
+
+/**
+ * Décode une erreur de revert du contrat Voting
+ * @param {import("ethers").Interface} iface L'interface du contrat (contract.interface)
+ * @param {Error} error L'erreur levée par ethers
+ * @returns {{ name: string, args: any[], message: string } | null} null si l'erreur ne vient pas du contrat
+ */
+function decodeVotingError(iface, error) {
+  let name;
+  let args = [];
+  if (error?.revert?.name) {
+    ({ name, args } = error.revert);
+  } else {
+    const data = findRevertData(error);
+    if (!data) return null;
+    const parsed = iface.parseError(data);
+    if (!parsed) return null;
+    ({ name, args } = parsed);
+  }
+  // Erreurs de type require(..., "message")
+  if (name === "Error") return { name, args: [...args], message: args[0] };
+  // Le rôle manquant est un bytes32 : on donne son nom
+  if (name === "AccessControlUnauthorizedAccount") {
+    return { name, args: [...args], message: `The sender does not have the ${roleName(args[1])} role` };
+  }
+  return { name, args: [...args], message: ERROR_MESSAGES[name] ?? name };
+}
+
+/**
+ * Convertit une erreur de revert du contrat en erreur typée
+ * @param {import("ethers").Interface} iface L'interface du contrat
+ * @param {Error} error L'erreur levée par ethers
+ * @returns {Error} Une VotingError, ou l'erreur d'origine si elle ne vient pas du contrat
+ */
+function toVotingError(iface, error) {
+  const decoded = decodeVotingError(iface, error);
+  if (!decoded) return error;
+
+  let ErrorClass = InvalidRequestError;
+  if (WORKFLOW_ERRORS.has(decoded.name)) ErrorClass = WorkflowStatusError;
+  else if (ACCESS_ERRORS.has(decoded.name)) ErrorClass = UnauthorizedError;
+  return new ErrorClass(decoded.name, decoded.args, decoded.message, error);
+}
+
+module.exports = {
+  ERROR_MESSAGES,
+  VotingError,
+  WorkflowStatusError,
+  UnauthorizedError,
+  InvalidRequestError,
+  decodeVotingError,
+  toVotingError,
+};
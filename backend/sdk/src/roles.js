@@ -0,0 +1,44 @@
+const { ZeroHash, id } = require("ethers");
+
+// Rôles d'administration du contrat, par nom : leur identifiant bytes32 est celui des constantes du contrat
+const ROLES = Object.freeze({
+  // Attribue et retire les rôles, crée et configure les sessions, départage les égalités (DEFAULT_ADMIN_ROLE)
+  admin: ZeroHash,
+  // Enregistre et retire les votants, publie la liste des votants autorisés (REGISTRAR_ROLE)
+  registrar: id("REGISTRAR_ROLE"),
+  // Fait avancer les sessions sans calendrier et les dépouille (OPERATOR_ROLE)
+  operator: id("OPERATOR_ROLE"),
+});
+
+/**
+ * @typedef {"admin"|"registrar"|"operator"} RoleName
+ */
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+/**
+ * Retourne l'identifiant bytes32 d'un rôle
+ * @param {RoleName|string} role Le nom du rôle, ou directement son identifiant
+ * @returns {string}
+ */
+function roleId(role) {
+  if (ROLES[role] !== undefined) return ROLES[role];
+  if (/^0x[0-9a-fA-F]{64}$/.test(role)) return role;
+  throw new Error(`Unknown role ${role}, expected one of ${ROLE_NAMES.join(", ")}`);
+}
+
+/**
+ * Retourne le nom lisible d'un rôle
+ * @param {string} roleHash L'identifiant bytes32 renvoyé par le contrat
+ * @returns {RoleName|string} L'identifiant lui-même pour un rôle inconnu
+ */
+function roleName(roleHash) {
+  return ROLE_NAMES.find((name) => ROLES[name] === roleHash) ?? roleHash;
+}
+
+module.exports = {
+  ROLES,
+  ROLE_NAMES,
+  roleId,
+  roleName,
+};
@@ -0,0 +1,100 @@
+// Messages EIP-712 signés par les votants et relayés par un tiers (setVoteBySig, addProposalBySig)
+
+const { verifyTypedData } = require("ethers");
+
+// Domaine EIP-712 du contrat (constantes de VotingBase._EIP712Name et _EIP712Version)
+const EIP712_NAME = "Voting";
+const EIP712_VERSION = "1";
+
+// Types des messages, dans l'ordre des champs de BALLOT_TYPEHASH et PROPOSAL_TYPEHASH
+const MESSAGE_TYPES = {
+  Ballot: [
+    { name: "voter", type: "address" },
+    { name: "sessionId", type: "uint32" },
+    { name: "proposalId", type: "uint32" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+  ProposalSubmission: [
+    { name: "voter", type: "address" },
+    { name: "sessionId", type: "uint32" },
+    { name: "description", type: "string" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// Fonction du contrat qui exécute chaque type de message, et état du workflow dans lequel elle est permise
+const RELAYED_CALLS = {
+  Ballot: {
+    method: "setVoteBySig",
+    status: "VotingSessionStarted",
+    args: (message) => [message.sessionId, message.voter, message.proposalId, message.deadline, message.signature],
+  },
+  ProposalSubmission: {
+    method: "addProposalBySig",
+    status: "ProposalsRegistrationStarted",
+    args: (message) => [message.sessionId, message.voter, message.description, message.deadline, message.signature],
+  },
+};
+
+/**
+ * @typedef {object} SignedMessage Message signé, sérialisable en JSON pour être transmis à un relayeur
+ * @property {"Ballot"|"ProposalSubmission"} type
+ * @property {string} voter
+ * @property {number} sessionId
+ * @property {number} [proposalId] Ballot uniquement
+ * @property {string} [description] ProposalSubmission uniquement
+ * @property {number} nonce
+ * @property {number} deadline Timestamp au-delà duquel la signature n'est plus valable
+ * @property {string} signature
+ */
+
+/**
+ * Domaine EIP-712 d'un contrat Voting
+ * @param {{ chainId: number|bigint, verifyingContract: string }} contract
+ */
+function getDomain({ chainId, verifyingContract }) {
+  return { name: EIP712_NAME, version: EIP712_VERSION, chainId, verifyingContract };
+}
+
+function getRelayedCall(type) {
+  const call = RELAYED_CALLS[type];
+  if (!call) throw new Error(`Unknown signed message type: ${type}`);
+  return call;
+}
+
+/**
+ * Signe un message
+ * @param {import("ethers").Signer} signer Le votant
+ * @param {"Ballot"|"ProposalSubmission"} type
+ * @param {ReturnType<typeof getDomain>} domain
+ * @param {object} message Les champs du type, sauf voter
+ * @returns {Promise<SignedMessage>}
+ */
+async function signMessage(signer, type, domain, message) {
+  getRelayedCall(type);
+  const fields = { voter: await signer.getAddress(), ...message };
+  const signature = await signer.signTypedData(domain, { [type]: MESSAGE_TYPES[type] }, fields);
+  return { type, ...fields, signature };
+}
+
+/**
+ * Retrouve l'adresse qui a signé un message (votants EOA uniquement, pas les contrats ERC-1271)
+ * @param {ReturnType<typeof getDomain>} domain
+ * @param {SignedMessage} signed
+ * @returns {string}
+ */
+function recoverSigner(domain, { type, signature, ...fields }) {
+  getRelayedCall(type);
+  return verifyTypedData(domain, { [type]: MESSAGE_TYPES[type] }, fields, signature);
+}
+
+module.exports = {
+  MESSAGE_TYPES,
+  RELAYED_CALLS,
+  getDomain,
+  getRelayedCall,
+  signMessage,
+  recoverSigner,
+};
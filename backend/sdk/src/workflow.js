@@ -0,0 +1,197 @@
+// Noms des états du workflow, dans l'ordre de l'énumération WorkflowStatus du contrat
+// (les enums Solidity sont exposés comme de simples uint8 dans l'ABI)
+const WORKFLOW_STATUSES = [
+  "RegisteringVoters",
+  "ProposalsRegistrationStarted",
+  "ProposalsRegistrationEnded",
+  "VotingSessionStarted",
+  "VotingSessionEnded",
+  "VotesTallied",
+  // Révélation des votes d'une session à bulletins secrets, entre VotingSessionStarted et VotingSessionEnded
+  "RevealingVotes",
+  // État final d'une session annulée par son administrateur avant le dépouillement
+  "Cancelled",
+];
+
+/**
+ * @typedef {"RegisteringVoters"|"ProposalsRegistrationStarted"|"ProposalsRegistrationEnded"|"VotingSessionStarted"|"VotingSessionEnded"|"VotesTallied"|"RevealingVotes"|"Cancelled"} WorkflowStatusName
+ */
+
+/** @type {Readonly<Record<WorkflowStatusName, number>>} */
+const WorkflowStatus = Object.freeze(
+  Object.fromEntries(WORKFLOW_STATUSES.map((name, index) => [name, index]))
+);
+
+// Fonction du contrat à appeler pour passer à l'état suivant, depuis chaque état
+const NEXT_TRANSITION = {
+  [WorkflowStatus.RegisteringVoters]: "startProposalsRegistering",
+  [WorkflowStatus.ProposalsRegistrationStarted]: "endProposalsRegistering",
+  [WorkflowStatus.ProposalsRegistrationEnded]: "startVotingSession",
+  [WorkflowStatus.VotingSessionStarted]: "endVotingSession",
+  [WorkflowStatus.VotingSessionEnded]: "tallyVotes",
+};
+
+// Transitions propres aux sessions à bulletins secrets (commit-reveal)
+const NEXT_COMMIT_REVEAL_TRANSITION = {
+  ...NEXT_TRANSITION,
+  [WorkflowStatus.VotingSessionStarted]: "startVotesRevealing",
+  [WorkflowStatus.RevealingVotes]: "endVotingSession",
+};
+
+/**
+ * @typedef {object} Schedule Calendrier d'une session (timestamps en secondes)
+ * @property {number} proposalsStart
+ * @property {number} proposalsEnd
+ * @property {number} votingStart
+ * @property {number} votingEnd
+ * @property {number} revealEnd 0 si la fin de la révélation est décidée par un opérateur
+ */
+
+// Date du calendrier à partir de laquelle n'importe qui peut faire la transition depuis chaque état
+const DUE_TIME_FIELD = {
+  [WorkflowStatus.RegisteringVoters]: "proposalsStart",
+  [WorkflowStatus.ProposalsRegistrationStarted]: "proposalsEnd",
+  [WorkflowStatus.ProposalsRegistrationEnded]: "votingStart",
+  [WorkflowStatus.VotingSessionStarted]: "votingEnd",
+  [WorkflowStatus.RevealingVotes]: "revealEnd",
+  [WorkflowStatus.VotingSessionEnded]: "votingEnd",
+};
+
+// Règles de départage d'une égalité, dans l'ordre de l'énumération TiePolicy du contrat
+const TIE_POLICIES = [
+  // La proposition d'identifiant le plus bas l'emporte (règle par défaut)
+  "LowestId",
+  // Un second tour est créé avec les seules propositions à égalité
+  "Runoff",
+  // L'administrateur choisit le gagnant parmi les propositions à égalité
+  "OwnerDecision",
+];
+
+/**
+ * @typedef {"LowestId"|"Runoff"|"OwnerDecision"} TiePolicyName
+ */
+
+/** @type {Readonly<Record<TiePolicyName, number>>} */
+const TiePolicy = Object.freeze(
+  Object.fromEntries(TIE_POLICIES.map((name, index) => [name, index]))
+);
+
+// Modes de scrutin, dans l'ordre de l'énumération VotingMethod du contrat
+const VOTING_METHODS = [
+  // Scrutin uninominal : une voix pour une seule proposition
+  "Plurality",
+  // Vote par approbation : une voix pour chaque proposition approuvée
+  "Approval",
+  // Vote préférentiel, dépouillé par éliminations successives
+  "InstantRunoff",
+];
+
+/**
+ * @typedef {"Plurality"|"Approval"|"InstantRunoff"} VotingMethodName
+ */
+
+/** @type {Readonly<Record<VotingMethodName, number>>} */
+const VotingMethod = Object.freeze(
+  Object.fromEntries(VOTING_METHODS.map((name, index) => [name, index]))
+);
+
+// Conditions de validité non remplies au dépouillement, dans l'ordre de l'énumération NoResultReason du contrat
+const NO_RESULT_REASONS = [
+  // La session a un résultat
+  "None",
+  // Trop peu de votants au regard du quorum
+  "QuorumNotReached",
+  // La proposition arrivée en tête n'a pas la part minimum des voix exprimées
+  "WinnerShareNotReached",
+];
+
+/**
+ * @typedef {"None"|"QuorumNotReached"|"WinnerShareNotReached"} NoResultReasonName
+ */
+
+/** @type {Readonly<Record<NoResultReasonName, number>>} */
+const NoResultReason = Object.freeze(
+  Object.fromEntries(NO_RESULT_REASONS.map((name, index) => [name, index]))
+);
+
+/**
+ * @typedef {object} Thresholds Conditions de validité d'une session (0 : pas de condition)
+ * @property {number} quorumVoters Le nombre minimum de votants
+ * @property {number} quorumBps La part minimum des inscrits qui votent, en points de base (10000 = 100 %)
+ * @property {number} winnerShareBps La part minimum des voix exprimées du gagnant, en points de base
+ */
+
+/**
+ * Retourne le nom lisible d'un état du workflow
+ * @param {number|bigint} status La valeur numérique renvoyée par le contrat
+ * @returns {WorkflowStatusName}
+ */
+function statusName(status) {
+  return WORKFLOW_STATUSES[Number(status)] ?? `Unknown(${status})`;
+}
+
+/**
+ * Retourne le nom lisible d'une règle de départage
+ * @param {number|bigint} policy La valeur numérique renvoyée par le contrat
+ * @returns {TiePolicyName}
+ */
+function tiePolicyName(policy) {
+  return TIE_POLICIES[Number(policy)] ?? `Unknown(${policy})`;
+}
+
+/**
+ * Retourne le nom lisible d'un mode de scrutin
+ * @param {number|bigint} method La valeur numérique renvoyée par le contrat
+ * @returns {VotingMethodName}
+ */
+function votingMethodName(method) {
+  return VOTING_METHODS[Number(method)] ?? `Unknown(${method})`;
+}
+
+/**
+ * Retourne le nom lisible d'une condition de validité non remplie
+ * @param {number|bigint} reason La valeur numérique renvoyée par le contrat
+ * @returns {NoResultReasonName}
+ */
+function noResultReasonName(reason) {
+  return NO_RESULT_REASONS[Number(reason)] ?? `Unknown(${reason})`;
+}
+
+/**
+ * Retourne le nom de la fonction qui fait avancer le workflow depuis l'état donné
+ * @param {number|bigint} status L'état courant
+ * @param {{ commitReveal?: boolean }} [session] commitReveal : la session vote à bulletins secrets
+ * @returns {string|undefined} undefined si l'état est final (VotesTallied, Cancelled)
+ */
+function nextTransition(status, { commitReveal = false } = {}) {
+  return (commitReveal ? NEXT_COMMIT_REVEAL_TRANSITION : NEXT_TRANSITION)[Number(status)];
+}
+
+/**
+ * Retourne la date à partir de laquelle n'importe qui peut faire passer la session à l'état suivant
+ * @param {number|bigint} status L'état courant
+ * @param {Schedule|null} schedule Le calendrier de la session, null si elle n'en a pas
+ * @returns {number|undefined} undefined si seul un opérateur peut faire la transition
+ */
+function transitionDueTime(status, schedule) {
+  const field = DUE_TIME_FIELD[Number(status)];
+  if (!schedule || !field || !schedule[field]) return undefined;
+  return schedule[field];
+}
+
+module.exports = {
+  WORKFLOW_STATUSES,
+  WorkflowStatus,
+  statusName,
+  TIE_POLICIES,
+  TiePolicy,
+  tiePolicyName,
+  VOTING_METHODS,
+  VotingMethod,
+  votingMethodName,
+  NO_RESULT_REASONS,
+  NoResultReason,
+  noResultReasonName,
+  nextTransition,
+  transitionDueTime,
+};
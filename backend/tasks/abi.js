@@ -0,0 +1,26 @@
+// Exporte l'ABI du contrat Voting dans le SDK après chaque compilation,
+// pour que le paquet sdk/ reste synchronisé avec le contrat
+
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const { TASK_COMPILE } = require("hardhat/builtin-tasks/task-names");
+
+const SDK_ABI_FILE = path.join(__dirname, "..", "sdk", "abi", "Voting.json");
+
+task("voting:export-abi", "Writes the ABI of the Voting contract into the SDK package")
+  .setAction(async (_, hre) => {
+    const { abi } = await hre.artifacts.readArtifact("Voting");
+    const content = JSON.stringify(abi, null, 2) + "\n";
+    if (fs.existsSync(SDK_ABI_FILE) && fs.readFileSync(SDK_ABI_FILE, "utf8") === content) return false;
+
+    fs.writeFileSync(SDK_ABI_FILE, content);
+    console.log(`Exported the Voting ABI to ${path.relative(hre.config.paths.root, SDK_ABI_FILE)}`);
+    return true;
+  });
+
+task(TASK_COMPILE).setAction(async (args, hre, runSuper) => {
+  const result = await runSuper(args);
+  await hre.run("voting:export-abi");
+  return result;
+});
@@ -0,0 +1,97 @@
+// Tâches Hardhat de déploiement du contrat Voting avec Ignition, et de préparation de sa mise à jour
+// Exemples : npx hardhat voting:deploy --network sepolia
+//            npx hardhat voting:upgrade-parameters --network sepolia
+
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+const { getDeployedAddress, getDeploymentBlock, getParametersFile, readDeploymentParameters } = require("../lib/deployment");
+const { countSessionMigrations } = require("../lib/migration");
+const { VotingClient } = require("../sdk");
+
+const PLUGIN_NAME = "voting";
+// Réseaux sans explorateur de blocs : le contrat n'y est pas vérifié
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+// Identifiants Ignition du proxy et de son ProxyAdmin (module VotingUpgradeable)
+const PROXY_FUTURE_ID = "VotingUpgradeable#TransparentUpgradeableProxy";
+const PROXY_ADMIN_FUTURE_ID = "VotingUpgradeable#ProxyAdmin";
+
+task("voting:deploy", "Deploys the Voting contract with Ignition, registers the initial voters and hands the roles over")
+  .addOptionalParam("parameters", "JSON file with the module parameters (defaults to ignition/parameters/<network>.json)")
+  .addOptionalParam("deploymentId", "Id of the Ignition deployment (defaults to chain-<chainId>)")
+  .addFlag("upgradeable", "Deploys VotingUpgradeable behind a TransparentUpgradeableProxy")
+  .addFlag("noVerify", "Skips the Etherscan verification")
+  .setAction(async (args, hre) => {
+    const file = args.parameters ?? getParametersFile(hre.network.name);
+    let parameters = {};
+    if (file) {
+      try {
+        parameters = readDeploymentParameters(file);
+      } catch (error) {
+        throw new HardhatPluginError(PLUGIN_NAME, error.message, error);
+      }
+      console.log(`Using the parameters of ${path.relative(process.cwd(), path.resolve(file))}`);
+    }
+
+    const verify = !args.noVerify && !LOCAL_NETWORKS.includes(hre.network.name);
+    if (verify && !hre.config.etherscan.apiKey) {
+      throw new HardhatPluginError(PLUGIN_NAME, "ETHERSCAN_API_KEY is not set, set it to verify the contract or use --no-verify");
+    }
+
+    await hre.run("compile", { quiet: true });
+    const VotingModule = require(args.upgradeable ? "../ignition/modules/VotingUpgradeable" : "../ignition/modules/Voting");
+    const { voting } = await hre.ignition.deploy(VotingModule, {
+      parameters: { [VotingModule.id]: parameters },
+      deploymentId: args.deploymentId,
+      displayUi: true,
+    });
+
+    const address = await voting.getAddress();
+    const session = await voting.getSession(0);
+    // Le déployeur cède tous ses rôles à finalOwner, ou les garde
+    const admin = parameters.finalOwner ?? (await hre.ethers.getSigners())[0].address;
+    console.log(`Voting deployed at ${address} on ${hre.network.name}`);
+    console.log(`Session:  #${session.sessionId} "${session.name}"`);
+    console.log(`Voters:   ${parameters.voters?.length ?? 0} registered`);
+    console.log(`Admin:    ${admin}`);
+
+    if (verify) {
+      const { chainId } = await hre.ethers.provider.getNetwork();
+      await hre.run({ scope: "ignition", task: "verify" }, { deploymentId: args.deploymentId ?? `chain-${chainId}` });
+    }
+
+    return { address, admin, sessionName: session.name, voters: parameters.voters ?? [] };
+  });
+
+task("voting:upgrade-parameters", "Writes the parameters of the VotingUpgrade module, with the participation of the sessions in progress")
+  .addOptionalParam("proxy", "Proxy address (defaults to the VotingUpgradeable Ignition deployment of the network)")
+  .addOptionalParam("proxyAdmin", "ProxyAdmin address (defaults to the VotingUpgradeable Ignition deployment of the network)")
+  .addOptionalParam("output", "JSON file of the parameters", "upgrade.json")
+  .addOptionalParam("fromBlock", "First block to search for events (defaults to the deployment block of the proxy)", undefined, types.int)
+  .addOptionalParam("batchSize", "Maximum number of blocks per eth_getLogs request", 2000, types.int)
+  .setAction(async (args, hre) => {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    let proxy, proxyAdmin;
+    try {
+      proxy = args.proxy ?? getDeployedAddress(chainId, PROXY_FUTURE_ID);
+      proxyAdmin = args.proxyAdmin ?? getDeployedAddress(chainId, PROXY_ADMIN_FUTURE_ID);
+    } catch (error) {
+      throw new HardhatPluginError(PLUGIN_NAME, error.message, error);
+    }
+    const fromBlock = args.fromBlock ?? (args.proxy ? undefined : getDeploymentBlock(chainId, PROXY_FUTURE_ID)) ?? 0;
+
+    const client = await VotingClient.connect({ runner: hre.ethers.provider, address: proxy });
+    const sessions = await countSessionMigrations(client, { fromBlock, batchSize: args.batchSize });
+    const parameters = { proxy, proxyAdmin, sessions };
+
+    // Ignition lit les bigint des fichiers de paramètres sous la forme "<nombre>n"
+    const json = JSON.stringify({ VotingUpgrade: parameters }, (key, value) => (typeof value === "bigint" ? `${value}n` : value), 2);
+    fs.writeFileSync(args.output, json + "\n");
+    for (const { sessionId, participation } of sessions) {
+      console.log(`Session #${sessionId}: ${participation.votesCast}/${participation.registeredVoters} voter(s) voted`);
+    }
+    console.log(`Parameters of ${sessions.length} session(s) in progress written to ${args.output}`);
+    return parameters;
+  });
@@ -0,0 +1,59 @@
+// Tâche Hardhat de l'indexeur local des événements Voting
+// Exemple : npx hardhat voting:index --network sepolia --follow
+
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+const { resolveDeployment } = require("../lib/deployment");
+const { VotingIndexer } = require("../lib/indexer");
+const { VotingClient } = require("../sdk");
+
+const PLUGIN_NAME = "voting";
+
+task("voting:index", "Indexes the Voting events into a local JSON store")
+  .addOptionalParam("address", "Voting contract address (defaults to the Ignition deployment of the network)")
+  .addOptionalParam("store", "JSON file of the index (defaults to data/voting-index-<chainId>.json)")
+  .addOptionalParam("fromBlock", "First block to index (defaults to the deployment block of the Ignition journal)", undefined, types.int)
+  .addOptionalParam("confirmations", "Number of blocks after which a block can no longer be reorganized", 12, types.int)
+  .addOptionalParam("batchSize", "Maximum number of blocks per eth_getLogs request", 2000, types.int)
+  .addOptionalParam("interval", "Polling interval in milliseconds with --follow", 4000, types.int)
+  .addFlag("follow", "Keeps indexing new blocks until interrupted")
+  .setAction(async (args, hre) => {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+
+    let deployment;
+    try {
+      deployment = resolveDeployment(chainId, args.address);
+    } catch (error) {
+      throw new HardhatPluginError(PLUGIN_NAME, error.message, error);
+    }
+    const { address } = deployment;
+
+    const indexer = new VotingIndexer({
+      client: await VotingClient.connect({ runner: hre.ethers.provider, address }),
+      file: args.store ?? path.join(hre.config.paths.root, "data", `voting-index-${chainId}.json`),
+      fromBlock: args.fromBlock ?? deployment.fromBlock,
+      confirmations: args.confirmations,
+      batchSize: args.batchSize,
+    });
+
+    try {
+      await indexer.load();
+    } catch (error) {
+      throw new HardhatPluginError(PLUGIN_NAME, error.message, error);
+    }
+    console.log(`Indexing ${address} on ${hre.network.name} into ${path.relative(process.cwd(), indexer.file)}`);
+
+    if (!args.follow) {
+      const result = await indexer.sync();
+      const { sessions } = indexer.history();
+      console.log(`Up to date at block ${result.toBlock}: ${indexer.store.events.length} event(s), ${sessions.length} session(s)`);
+      return result;
+    }
+
+    const controller = new AbortController();
+    process.once("SIGINT", () => controller.abort());
+    console.log("Following new blocks, press Ctrl+C to stop");
+    await indexer.follow({ interval: args.interval, signal: controller.signal });
+  });
@@ -0,0 +1,39 @@
+// Tâche Hardhat du keeper qui fait avancer les sessions à calendrier
+// Exemple : npx hardhat voting:keeper --network sepolia
+
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+const { getVotingContract, resolveSigner } = require("../lib/deployment");
+const { VotingKeeper } = require("../lib/keeper");
+const { VotingClient } = require("../sdk");
+
+const PLUGIN_NAME = "voting";
+
+task("voting:keeper", "Triggers the transitions of the scheduled sessions once their date is reached")
+  .addOptionalParam("address", "Voting contract address (defaults to the Ignition deployment of the network)")
+  .addOptionalParam("from", "Account that pays the transitions: index in the network accounts or address")
+  .addOptionalParam("interval", "Polling interval in milliseconds", 15000, types.int)
+  .addFlag("once", "Triggers the due transitions once and exits")
+  .setAction(async (args, hre) => {
+    let client;
+    try {
+      const signer = await resolveSigner(hre, args.from);
+      const voting = await getVotingContract(hre, { address: args.address, signer });
+      client = await VotingClient.connect({ runner: signer, address: await voting.getAddress() });
+    } catch (error) {
+      throw new HardhatPluginError(PLUGIN_NAME, error.message, error);
+    }
+
+    const keeper = new VotingKeeper({ client });
+    if (args.once) {
+      const performed = await keeper.check();
+      if (performed.length === 0) console.log("No transition is due");
+      return performed;
+    }
+
+    const controller = new AbortController();
+    process.once("SIGINT", () => controller.abort());
+    console.log(`Watching the schedule of ${client.address} on ${hre.network.name}, press Ctrl+C to stop`);
+    await keeper.run({ interval: args.interval, signal: controller.signal });
+  });
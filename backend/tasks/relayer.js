@@ -0,0 +1,36 @@
+// Tâche Hardhat du relayeur HTTP des votes et propositions signés
+// Exemple : npx hardhat voting:relayer --network localhost
+
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+const { getVotingContract, resolveSigner } = require("../lib/deployment");
+const { VotingRelayer } = require("../lib/relayer");
+const { VotingClient } = require("../sdk");
+
+const PLUGIN_NAME = "voting";
+
+task("voting:relayer", "Relays the EIP-712 signed ballots and proposals received over HTTP, in batches")
+  .addOptionalParam("address", "Voting contract address (defaults to the Ignition deployment of the network)")
+  .addOptionalParam("from", "Account that pays the relayed transactions: index in the network accounts or address")
+  .addOptionalParam("port", "HTTP port", 8546, types.int)
+  .addOptionalParam("host", "HTTP host", "127.0.0.1")
+  .addOptionalParam("batchSize", "Number of messages that triggers a batch", 20, types.int)
+  .addOptionalParam("interval", "Maximum delay in milliseconds before sending an incomplete batch", 2000, types.int)
+  .setAction(async (args, hre) => {
+    let client;
+    try {
+      const signer = await resolveSigner(hre, args.from);
+      const voting = await getVotingContract(hre, { address: args.address, signer });
+      client = await VotingClient.connect({ runner: signer, address: await voting.getAddress() });
+    } catch (error) {
+      throw new HardhatPluginError(PLUGIN_NAME, error.message, error);
+    }
+
+    const relayer = new VotingRelayer({ client, batchSize: args.batchSize, interval: args.interval });
+    const { address, port } = await relayer.listen(args.port, args.host);
+    console.log(`Relaying signed messages to ${client.address} on ${hre.network.name} from http://${address}:${port}, press Ctrl+C to stop`);
+
+    await new Promise((resolve) => process.once("SIGINT", resolve));
+    await relayer.close();
+  });
@@ -0,0 +1,64 @@
+// Tâche Hardhat d'export des résultats d'une session
+// Exemple : npx hardhat voting:report 0 --network sepolia
+
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+const { resolveDeployment } = require("../lib/deployment");
+const { FORMATS, buildSessionReport, toMarkdown } = require("../lib/report");
+const { VotingClient, VotingError } = require("../sdk");
+
+const PLUGIN_NAME = "voting";
+
+task("voting:report", "Exports the results of a session as JSON, CSV and Markdown reports")
+  .addPositionalParam("session", "Identifier of the session", undefined, types.int)
+  .addOptionalParam("address", "Voting contract address (defaults to the Ignition deployment of the network)")
+  .addOptionalParam("format", `Report format: ${Object.keys(FORMATS).join(", ")} or all`, "all")
+  .addOptionalParam("output", "Directory of the reports", "reports")
+  .addOptionalParam("fromBlock", "First block to search for events (defaults to the deployment block of the Ignition journal)", undefined, types.int)
+  .addOptionalParam("batchSize", "Maximum number of blocks per eth_getLogs request", 2000, types.int)
+  .setAction(async (args, hre) => {
+    const formats = args.format === "all" ? Object.keys(FORMATS) : [args.format];
+    const unknown = formats.filter((format) => !FORMATS[format]);
+    if (unknown.length > 0) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Unknown report format: ${unknown.join(", ")}`);
+    }
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    let deployment;
+    try {
+      deployment = resolveDeployment(chainId, args.address);
+    } catch (error) {
+      throw new HardhatPluginError(PLUGIN_NAME, error.message, error);
+    }
+
+    const client = await VotingClient.connect({ runner: hre.ethers.provider, address: deployment.address });
+    let report;
+    try {
+      report = await buildSessionReport(client, args.session, {
+        fromBlock: args.fromBlock ?? deployment.fromBlock,
+        batchSize: args.batchSize,
+      });
+    } catch (error) {
+      if (!(error instanceof VotingError)) throw error;
+      throw new HardhatPluginError(PLUGIN_NAME, `Session ${args.session}: ${error.message}`, error);
+    }
+
+    fs.mkdirSync(args.output, { recursive: true });
+    const files = formats.map((format) => {
+      const { extension, render } = FORMATS[format];
+      const file = path.join(args.output, `session-${args.session}.${extension}`);
+      fs.writeFileSync(file, render(report));
+      return file;
+    });
+
+    console.log(toMarkdown(report));
+    console.log(`Report written to ${files.join(", ")}`);
+
+    if (!report.consistency.ok) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Consistency check failed for session ${args.session}: the vote counts do not match the Voted events`);
+    }
+    return report;
+  });
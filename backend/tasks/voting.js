@@ -0,0 +1,699 @@
+// Tâches Hardhat pour piloter le contrat Voting en ligne de commande
+// Exemple : npx hardhat voting:status --network localhost
+
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+const { getVotingContract, resolveDeployment, resolveSigner } = require("../lib/deployment");
+const {
+  decodeVotingError, VotingClient, VotingError, BallotStore, WorkflowStatus, statusName, TiePolicy, tiePolicyName,
+  VotingMethod, votingMethodName, noResultReasonName, nextTransition, ROLES, ROLE_NAMES, roleId, roleName,
+} = require("../sdk");
+const { FileStorage } = require("../lib/ballots");
+const { readVoterList, hashVoterList, progressFile, readProgress, writeProgress, clearProgress } = require("../lib/voters");
+const { buildAllowlist, writeAllowlist, readAllowlist, getProof } = require("../lib/allowlist");
+
+const PLUGIN_NAME = "voting";
+
+// ::::::::::::: HELPERS ::::::::::::: //
+
+// Lit et valide une liste de votants, en échouant sur la première adresse invalide
+function loadVoterList(file) {
+  let list;
+  try {
+    list = readVoterList(file);
+  } catch (error) {
+    throw new HardhatPluginError(PLUGIN_NAME, `Cannot read ${file}: ${error.message}`, error);
+  }
+  if (list.errors.length > 0) {
+    throw new HardhatPluginError(PLUGIN_NAME, `Invalid voter list ${file}:\n  ${list.errors.join("\n  ")}`);
+  }
+  if (list.duplicates.length > 0) {
+    console.log(`Ignoring ${list.duplicates.length} duplicate address(es) of the file`);
+  }
+  return list;
+}
+
+// Déclare une tâche voting:* avec les paramètres communs --address et --from
+function votingTask(name, description) {
+  return task(`voting:${name}`, description)
+    .addOptionalParam("address", "Voting contract address (defaults to the Ignition deployment of the network)")
+    .addOptionalParam("from", "Account used to send transactions: index in the network accounts or address");
+}
+
+// Déclare une tâche voting:* qui porte sur une session, choisie avec --session
+function sessionTask(name, description) {
+  return votingTask(name, description)
+    .addOptionalParam("session", "Identifier of the session (defaults to the last session created)", undefined, types.int);
+}
+
+async function connect(hre, { address, from }) {
+  try {
+    const signer = await resolveSigner(hre, from);
+    return await getVotingContract(hre, { address, signer });
+  } catch (error) {
+    throw new HardhatPluginError(PLUGIN_NAME, error.message, error);
+  }
+}
+
+// Se connecte au contrat et renvoie la session de la tâche : --session, sinon la dernière session créée
+async function connectSession(hre, args) {
+  const voting = await connect(hre, args);
+  const sessionId = args.session ?? Number(await voting.currentSessionId());
+  if (sessionId >= Number(await voting.totalSessions())) {
+    throw new HardhatPluginError(PLUGIN_NAME, `Session #${sessionId} does not exist`);
+  }
+  return { voting, sessionId };
+}
+
+// Recherche les événements d'un filtre depuis fromBlock, sinon depuis le bloc de déploiement du journal Ignition, par
+// tranches de batchSize blocs : les RPC publics limitent la plage des requêtes eth_getLogs
+async function queryFilter(hre, voting, filter, { fromBlock, batchSize = 2000 } = {}) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const start = fromBlock ?? resolveDeployment(chainId, await voting.getAddress()).fromBlock;
+  const head = await hre.ethers.provider.getBlockNumber();
+  const events = [];
+  for (let from = start; from <= head; from += batchSize) {
+    events.push(...await voting.queryFilter(filter, from, Math.min(from + batchSize - 1, head)));
+  }
+  return events;
+}
+
+// Traduit les custom errors du contrat en message lisible
+function rethrow(voting, method, error) {
+  const decoded = decodeVotingError(voting.interface, error);
+  if (!decoded) throw error;
+  throw new HardhatPluginError(PLUGIN_NAME, `${method} reverted with ${decoded.name}: ${decoded.message}`, error);
+}
+
+// Envoie une transaction et attend sa confirmation
+async function send(voting, method, ...args) {
+  try {
+    const tx = await voting[method](...args);
+    const receipt = await tx.wait();
+    console.log(`${method} confirmed in block ${receipt.blockNumber} (tx ${receipt.hash})`);
+    return receipt;
+  } catch (error) {
+    rethrow(voting, method, error);
+  }
+}
+
+async function estimateGas(voting, method, ...args) {
+  try {
+    return await voting[method].estimateGas(...args);
+  } catch (error) {
+    rethrow(voting, method, error);
+  }
+}
+
+function checkAddress(hre, value) {
+  if (!hre.ethers.isAddress(value)) {
+    throw new HardhatPluginError(PLUGIN_NAME, `Invalid address: ${value}`);
+  }
+  return hre.ethers.getAddress(value);
+}
+
+// Nom en ligne de commande d'un paramètre de tâche (votingEnd -> --voting-end)
+function optionName(param) {
+  return `--${param.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+}
+
+// Date ISO 8601 ou timestamp Unix en secondes
+function parseTime(value, param) {
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value) / 1000;
+  if (!Number.isInteger(time)) {
+    throw new HardhatPluginError(PLUGIN_NAME, `Invalid date for ${optionName(param)}: ${value} (expected an ISO 8601 date or a Unix timestamp)`);
+  }
+  return time;
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp * 1000).toISOString();
+}
+
+// Pourcentage ("12.5%", le signe % est facultatif) en points de base
+function parseShare(value, param) {
+  const match = /^(\d+(?:\.\d{1,2})?)%?$/.exec(value);
+  const bps = match ? Math.round(Number(match[1]) * 100) : NaN;
+  if (!(bps <= 10000)) {
+    throw new HardhatPluginError(PLUGIN_NAME, `Invalid percentage for ${optionName(param)}: ${value} (expected a value between 0% and 100%)`);
+  }
+  return bps;
+}
+
+function formatShare(bps) {
+  return `${Number(bps) / 100}%`;
+}
+
+// Conditions de validité d'une session, "none" si aucune n'est fixée
+function formatThresholds({ quorumVoters, quorumBps, winnerShareBps }) {
+  const conditions = [];
+  if (quorumVoters !== 0n) conditions.push(`quorum of ${quorumVoters} voter(s)`);
+  if (quorumBps !== 0n) conditions.push(`quorum of ${formatShare(quorumBps)} of the registered voters`);
+  if (winnerShareBps !== 0n) conditions.push(`winner share of ${formatShare(winnerShareBps)}`);
+  return conditions.length > 0 ? conditions.join(", ") : "none";
+}
+
+// Nom de rôle (admin, registrar, operator) ou identifiant bytes32
+function parseRole(value) {
+  try {
+    return roleId(value);
+  } catch (error) {
+    throw new HardhatPluginError(PLUGIN_NAME, error.message, error);
+  }
+}
+
+// Rôles d'administration d'un compte, "none" s'il n'en a aucun
+async function formatRoles(voting, account) {
+  const granted = await Promise.all(ROLE_NAMES.map((role) => voting.hasRole(ROLES[role], account)));
+  const roles = ROLE_NAMES.filter((_, index) => granted[index]);
+  return roles.length > 0 ? roles.join(", ") : "none";
+}
+
+async function readStatus(voting, sessionId) {
+  const session = await voting.getSession(sessionId);
+  return {
+    sessionId: Number(session.sessionId),
+    name: session.name,
+    status: Number(session.status),
+    statusName: statusName(session.status),
+    proposalsCount: Number(session.proposalsCount),
+    winningProposalId: Number(session.winningProposalId),
+    registeredVoters: Number(session.registeredVoters),
+    votesCast: Number(session.votesCast),
+    commitReveal: await voting.commitRevealSessions(session.sessionId),
+    tiePolicy: tiePolicyName(await voting.tiePolicies(session.sessionId)),
+    votingMethod: votingMethodName(await voting.votingMethods(session.sessionId)),
+    votingToken: await voting.votingTokens(session.sessionId),
+    sessionAdmin: await voting.sessionAdmins(session.sessionId),
+    paused: await voting.paused(),
+  };
+}
+
+// Affiche le gagnant d'une session dépouillée, l'égalité qui reste à départager, ou la condition de validité non remplie
+async function printResult(voting, sessionId) {
+  const session = await voting.getSession(sessionId);
+  const [isTie, tiedIds] = await voting.getTie(sessionId);
+  const winningProposalId = Number(session.winningProposalId);
+  const noResult = noResultReasonName(await voting.noResults(sessionId));
+
+  if (noResult !== "None") {
+    console.log(`Winning proposal: none, ${noResult === "QuorumNotReached" ? "the quorum was not reached" : "no proposal reached the winner share"}`);
+    return;
+  }
+  if (isTie) console.log(`Tie:              proposals ${tiedIds.map((id) => `#${id}`).join(", ")}`);
+  if (winningProposalId !== 0) {
+    const [winner] = await voting.getProposals(sessionId, winningProposalId, 1);
+    console.log(`Winning proposal: #${winningProposalId} "${winner.description}" (${winner.voteCount} vote(s))`);
+  } else if (!isTie) {
+    console.log("Winning proposal: none, nobody voted");
+  } else {
+    const runoffSessionId = await voting.runoffSessions(sessionId);
+    console.log(runoffSessionId !== 0n
+      ? `Winning proposal: none, runoff in session #${runoffSessionId}`
+      : "Winning proposal: none, waiting for the admin's decision (voting:resolve-tie)");
+  }
+}
+
+// Secrets des votes à bulletins secrets, par défaut dans ballots.json à la racine du projet
+function ballotStore(hre, file) {
+  return new BallotStore(new FileStorage(file ?? path.join(hre.config.paths.root, "ballots.json")));
+}
+
+// Envoie une transaction avec le client du SDK (commit-reveal)
+async function sendWithClient(voting, sessionId, method, call) {
+  try {
+    const receipt = await call(new VotingClient(voting, { sessionId }));
+    console.log(`${method} confirmed in block ${receipt.blockNumber} (tx ${receipt.hash})`);
+    return receipt;
+  } catch (error) {
+    if (!(error instanceof VotingError)) throw new HardhatPluginError(PLUGIN_NAME, error.message, error);
+    throw new HardhatPluginError(PLUGIN_NAME, `${method} reverted with ${error.reason}: ${error.message}`, error);
+  }
+}
+
+// ::::::::::::: TASKS ::::::::::::: //
+
+sessionTask("status", "Prints a session and its workflow status")
+  .addFlag("proposals", "Also lists the proposals of the session")
+  .addOptionalParam("fromBlock", "First block to search for the cancellation of the session (defaults to the deployment block of the Ignition journal)", undefined, types.int)
+  .addOptionalParam("batchSize", "Maximum number of blocks per eth_getLogs request", 2000, types.int)
+  .setAction(async (args, hre) => {
+    const { voting, sessionId } = await connectSession(hre, args);
+    const status = await readStatus(voting, sessionId);
+    const totalSessions = await voting.totalSessions();
+
+    console.log(`Voting contract ${await voting.getAddress()} on ${hre.network.name}`);
+    console.log(`Sender roles:     ${await formatRoles(voting, voting.runner.address)}`);
+    console.log(`Session:          #${status.sessionId} "${status.name}" (${totalSessions} session(s) in total)`);
+    if (status.sessionAdmin !== hre.ethers.ZeroAddress) console.log(`Session admin:    ${status.sessionAdmin}`);
+    console.log(`Workflow status:  ${status.statusName}`);
+    if (status.status === WorkflowStatus.Cancelled) {
+      const range = { fromBlock: args.fromBlock, batchSize: args.batchSize };
+      const [cancellation] = await queryFilter(hre, voting, voting.filters.SessionCancelled(status.sessionId), range);
+      status.cancelReason = cancellation?.args.reason ?? null;
+      console.log(`Cancel reason:    ${status.cancelReason ?? "unknown"}`);
+    }
+    if (status.paused) console.log("Contract:         paused, voting and proposals are suspended in every session");
+    console.log(`Voting method:    ${status.votingMethod}`);
+    console.log(`Ballots:          ${status.commitReveal ? "secret (commit-reveal)" : "public"}`);
+    console.log(`Tie-break:        ${status.tiePolicy}`);
+    if (status.votingToken !== hre.ethers.ZeroAddress) {
+      const snapshot = await voting.votingSnapshots(status.sessionId);
+      console.log(`Voting power:     token ${status.votingToken}${snapshot !== 0n ? ` (snapshot at ${snapshot})` : ""}`);
+    } else {
+      console.log("Voting power:     one vote per voter");
+    }
+
+    const schedule = await voting.schedules(status.sessionId);
+    if (schedule.votingEnd !== 0n) {
+      console.log(`Proposals:        ${formatTime(Number(schedule.proposalsStart))} -> ${formatTime(Number(schedule.proposalsEnd))}`);
+      console.log(`Voting:           ${formatTime(Number(schedule.votingStart))} -> ${formatTime(Number(schedule.votingEnd))}`);
+      if (schedule.revealEnd !== 0n) console.log(`Reveal until:     ${formatTime(Number(schedule.revealEnd))}`);
+    }
+    console.log(`Proposals:        ${status.proposalsCount}`);
+    console.log(`Participation:    ${status.votesCast}/${status.registeredVoters} voter(s) voted`);
+    console.log(`Thresholds:       ${formatThresholds(await voting.thresholds(status.sessionId))}`);
+
+    if (status.status === WorkflowStatus.VotesTallied) await printResult(voting, status.sessionId);
+
+    if (args.proposals) {
+      for (let id = 0; id < status.proposalsCount; id++) {
+        const proposal = await voting["getOneProposal(uint32,uint256)"](sessionId, id);
+        const withdrawn = proposal.withdrawn ? " [withdrawn]" : "";
+        console.log(`  #${id} ${proposal.description} (${proposal.voteCount} vote(s))${withdrawn}`);
+      }
+    }
+
+    return status;
+  });
+
+sessionTask("add-voter", "Registers a voter in the session (registrar only)")
+  .addPositionalParam("voter", "Address of the voter to register")
+  .setAction(async (args, hre) => {
+    const voter = checkAddress(hre, args.voter);
+    const { voting, sessionId } = await connectSession(hre, args);
+    return send(voting, "addVoter", sessionId, voter);
+  });
+
+sessionTask("remove-voter", "Removes a voter from the session while registering voters (registrar only)")
+  .addPositionalParam("voter", "Address of the voter to remove")
+  .setAction(async (args, hre) => {
+    const voter = checkAddress(hre, args.voter);
+    const { voting, sessionId } = await connectSession(hre, args);
+    return send(voting, "removeVoter", sessionId, voter);
+  });
+
+// Les lots sont limités à la moitié du gas limit du bloc, et la progression est
+// sauvegardée après chaque lot confirmé pour pouvoir reprendre après un échec.
+// Renvoyer un lot déjà enregistré est sans risque : le contrat ignore les doublons.
+sessionTask("add-voters", "Registers the voters of a CSV or JSON file in batches (registrar only)")
+  .addPositionalParam("file", "CSV or JSON file with the voter addresses")
+  .addOptionalParam("batchSize", "Maximum number of voters per transaction", 200, types.int)
+  .addFlag("restart", "Ignores the progress saved by a previous run")
+  .setAction(async (args, hre) => {
+    if (args.batchSize < 1) {
+      throw new HardhatPluginError(PLUGIN_NAME, "The batch size must be at least 1");
+    }
+    const list = loadVoterList(args.file);
+
+    const { voting, sessionId } = await connectSession(hre, args);
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const run = {
+      contract: await voting.getAddress(),
+      chainId: chainId.toString(),
+      sessionId,
+      listHash: hashVoterList(list.addresses),
+    };
+
+    const total = list.addresses.length;
+    let next = 0;
+    const saved = args.restart ? undefined : readProgress(args.file);
+    if (saved) {
+      if (saved.contract !== run.contract || saved.chainId !== run.chainId || saved.sessionId !== run.sessionId || saved.listHash !== run.listHash) {
+        throw new HardhatPluginError(PLUGIN_NAME, `${progressFile(args.file)} was saved for another list, contract or session, use --restart to ignore it`);
+      }
+      next = saved.next;
+      console.log(`Resuming after ${next}/${total} voters`);
+    }
+
+    const { gasLimit } = await hre.ethers.provider.getBlock("latest");
+    const maxGas = gasLimit / 2n;
+    const result = { registered: 0, alreadyRegistered: 0, duplicates: list.duplicates.length };
+
+    while (next < total) {
+      let batch = list.addresses.slice(next, next + args.batchSize);
+      while (batch.length > 1 && (await estimateGas(voting, "addVoters", sessionId, batch)) > maxGas) {
+        batch = batch.slice(0, Math.ceil(batch.length / 2));
+      }
+
+      const receipt = await send(voting, "addVoters", sessionId, batch);
+      for (const log of receipt.logs) {
+        const event = voting.interface.parseLog(log);
+        if (event?.name === "VoterRegistered") result.registered++;
+        if (event?.name === "VoterAlreadyRegistered") result.alreadyRegistered++;
+      }
+
+      next += batch.length;
+      writeProgress(args.file, { ...run, next });
+      console.log(`${next}/${total} voters processed`);
+    }
+
+    clearProgress(args.file);
+    console.log(`${result.registered} voter(s) registered, ${result.alreadyRegistered} already registered`);
+    return result;
+  });
+
+// L'arbre est construit hors chaîne : seule sa racine est publiée, et chaque votant
+// s'enregistre lui-même avec sa preuve (voting:register)
+sessionTask("allowlist", "Builds the Merkle allowlist of a CSV or JSON voter list and writes the proof of each voter")
+  .addPositionalParam("file", "CSV or JSON file with the voter addresses")
+  .addOptionalParam("output", "JSON file of the root and proofs (defaults to <file>.allowlist.json)")
+  .addFlag("publish", "Publishes the root for the session (registrar only)")
+  .setAction(async (args, hre) => {
+    const list = loadVoterList(args.file);
+    let allowlist;
+    try {
+      allowlist = buildAllowlist(list.addresses);
+    } catch (error) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Invalid voter list ${args.file}: ${error.message}`, error);
+    }
+
+    const output = args.output ?? `${args.file}.allowlist.json`;
+    writeAllowlist(output, allowlist);
+    console.log(`Merkle root ${allowlist.root} of ${list.addresses.length} voter(s), proofs written to ${output}`);
+
+    if (args.publish) {
+      const { voting, sessionId } = await connectSession(hre, args);
+      await send(voting, "setVoterMerkleRoot", sessionId, allowlist.root);
+    }
+    return { root: allowlist.root, voters: list.addresses.length, output };
+  });
+
+sessionTask("register", "Registers the sender in the session with its proof of the allowlist")
+  .addPositionalParam("allowlist", "JSON file written by voting:allowlist")
+  .setAction(async (args, hre) => {
+    let allowlist;
+    try {
+      allowlist = readAllowlist(args.allowlist);
+    } catch (error) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Cannot read ${args.allowlist}: ${error.message}`, error);
+    }
+
+    const { voting, sessionId } = await connectSession(hre, args);
+    const voter = await voting.runner.getAddress();
+    const proof = getProof(allowlist, voter);
+    if (!proof) {
+      throw new HardhatPluginError(PLUGIN_NAME, `${voter} is not in the allowlist ${args.allowlist}`);
+    }
+
+    const root = await voting.voterMerkleRoots(sessionId);
+    if (root !== allowlist.root) {
+      throw new HardhatPluginError(PLUGIN_NAME, `The root of ${args.allowlist} is not the one published for session #${sessionId} (${root})`);
+    }
+    return send(voting, "registerWithProof", sessionId, proof);
+  });
+
+sessionTask("add-proposal", "Submits a proposal in the session (registered voters only)")
+  .addPositionalParam("description", "Description of the proposal")
+  .setAction(async (args, hre) => {
+    const { voting, sessionId } = await connectSession(hre, args);
+    return send(voting, "addProposal", sessionId, args.description);
+  });
+
+sessionTask("withdraw-proposal", "Withdraws a proposal of the sender while proposals are registered (its proposer only)")
+  .addPositionalParam("proposal", "Identifier of the proposal", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { voting, sessionId } = await connectSession(hre, args);
+    return send(voting, "withdrawProposal", sessionId, args.proposal);
+  });
+
+sessionTask("vote", "Votes for a proposal of the session (registered voters only)")
+  .addPositionalParam("proposal", "Identifier of the proposal", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { voting, sessionId } = await connectSession(hre, args);
+    return send(voting, "setVote", sessionId, args.proposal);
+  });
+
+sessionTask("approve", "Approves one or several proposals of the session (approval sessions, registered voters only)")
+  .addVariadicPositionalParam("proposals", "Identifiers of the approved proposals", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { voting, sessionId } = await connectSession(hre, args);
+    return send(voting, "setApprovalVote", sessionId, args.proposals);
+  });
+
+sessionTask("rank", "Ranks proposals of the session from the preferred one (instant-runoff sessions, registered voters only)")
+  .addVariadicPositionalParam("proposals", "Identifiers of the proposals, preferred first", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { voting, sessionId } = await connectSession(hre, args);
+    return send(voting, "setRankedVote", sessionId, args.proposals);
+  });
+
+// Une fois une date atteinte, n'importe qui (voting:keeper) peut faire passer la session à la phase suivante
+sessionTask("schedule", "Sets the schedule of the session while registering voters (admin only)")
+  .addOptionalParam("proposalsStart", "Opening of the proposals (ISO 8601 date or Unix timestamp)")
+  .addOptionalParam("proposalsEnd", "Closing of the proposals")
+  .addOptionalParam("votingStart", "Opening of the vote")
+  .addOptionalParam("votingEnd", "Closing of the vote")
+  .addOptionalParam("revealEnd", "Closing of the votes reveal, for secret ballots (defaults to a decision of an operator)")
+  .addFlag("clear", "Removes the schedule of the session")
+  .setAction(async (args, hre) => {
+    const fields = ["proposalsStart", "proposalsEnd", "votingStart", "votingEnd"];
+    const schedule = { proposalsStart: 0, proposalsEnd: 0, votingStart: 0, votingEnd: 0, revealEnd: 0 };
+    if (!args.clear) {
+      const missing = fields.filter((field) => args[field] === undefined);
+      if (missing.length > 0) {
+        throw new HardhatPluginError(PLUGIN_NAME, `Missing dates: ${missing.map(optionName).join(", ")}`);
+      }
+      for (const field of [...fields, "revealEnd"]) {
+        if (args[field] !== undefined) schedule[field] = parseTime(args[field], field);
+      }
+    }
+
+    const { voting, sessionId } = await connectSession(hre, args);
+    return send(voting, "setSchedule", sessionId, schedule);
+  });
+
+sessionTask("delegate", "Delegates the vote of the sender to another voter of the session")
+  .addPositionalParam("to", "Address of the voter to delegate to")
+  .setAction(async (args, hre) => {
+    const to = checkAddress(hre, args.to);
+    const { voting, sessionId } = await connectSession(hre, args);
+    return send(voting, "delegateVote", sessionId, to);
+  });
+
+// Les voix sont lues à l'instantané pris à l'ouverture du vote : les détenteurs doivent avoir délégué leurs voix avant
+sessionTask("token", "Weights the votes of the session by an ERC20Votes token, before the vote starts (admin only)")
+  .addOptionalPositionalParam("token", "Address of the ERC20Votes token")
+  .addFlag("clear", "Switches the session back to one vote per voter")
+  .setAction(async (args, hre) => {
+    if (args.clear === (args.token !== undefined)) {
+      throw new HardhatPluginError(PLUGIN_NAME, "Either a token address or --clear is required");
+    }
+    const token = args.clear ? hre.ethers.ZeroAddress : checkAddress(hre, args.token);
+    const { voting, sessionId } = await connectSession(hre, args);
+    return send(voting, "setVotingToken", sessionId, token);
+  });
+
+// Une session qui ne remplit pas ses conditions au dépouillement est close sans gagnant
+sessionTask("thresholds", "Sets the quorum and the winner share of the session, before the vote starts (admin only)")
+  .addOptionalParam("quorum", "Minimum number of voters (10), or share of the registered voters (25%)")
+  .addOptionalParam("winnerShare", "Minimum share of the votes cast for the winner (50%)")
+  .addFlag("clear", "Removes the thresholds of the session")
+  .setAction(async (args, hre) => {
+    if (args.clear === (args.quorum !== undefined || args.winnerShare !== undefined)) {
+      throw new HardhatPluginError(PLUGIN_NAME, "Either --quorum, --winner-share or --clear is required");
+    }
+    const thresholds = { quorumVoters: 0, quorumBps: 0, winnerShareBps: 0 };
+    if (args.quorum?.endsWith("%")) {
+      thresholds.quorumBps = parseShare(args.quorum, "quorum");
+    } else if (args.quorum !== undefined) {
+      if (!/^\d+$/.test(args.quorum) || Number(args.quorum) > 2 ** 32 - 1) {
+        throw new HardhatPluginError(PLUGIN_NAME, `Invalid quorum: ${args.quorum} (expected a number of voters or a percentage)`);
+      }
+      thresholds.quorumVoters = Number(args.quorum);
+    }
+    if (args.winnerShare !== undefined) thresholds.winnerShareBps = parseShare(args.winnerShare, "winnerShare");
+
+    const { voting, sessionId } = await connectSession(hre, args);
+    return send(voting, "setThresholds", sessionId, thresholds);
+  });
+
+sessionTask("commit-reveal", "Makes the session vote with secret ballots before the vote starts (admin only)")
+  .addFlag("disable", "Switches the session back to public ballots")
+  .setAction(async (args, hre) => {
+    const { voting, sessionId } = await connectSession(hre, args);
+    return send(voting, "setCommitReveal", sessionId, !args.disable);
+  });
+
+// Le secret du vote est conservé localement jusqu'à voting:reveal : sans lui, le vote ne peut pas être compté
+sessionTask("commit", "Commits a secret vote for a proposal of the session (registered voters only)")
+  .addPositionalParam("proposal", "Identifier of the proposal", undefined, types.int)
+  .addOptionalParam("ballots", "JSON file keeping the salts of the votes until they are revealed (defaults to ballots.json)")
+  .setAction(async (args, hre) => {
+    const { voting, sessionId } = await connectSession(hre, args);
+    const store = ballotStore(hre, args.ballots);
+    return sendWithClient(voting, sessionId, "commitVote", (client) => client.commitVote(args.proposal, { store }));
+  });
+
+sessionTask("reveal", "Reveals the secret vote committed by the sender in the session")
+  .addOptionalParam("ballots", "JSON file of the salts written by voting:commit (defaults to ballots.json)")
+  .setAction(async (args, hre) => {
+    const { voting, sessionId } = await connectSession(hre, args);
+    const store = ballotStore(hre, args.ballots);
+    return sendWithClient(voting, sessionId, "revealVote", (client) => client.revealVote({ store }));
+  });
+
+sessionTask("advance-phase", "Moves the session to the next workflow status (operator only)")
+  .setAction(async (args, hre) => {
+    const { voting, sessionId } = await connectSession(hre, args);
+    const { status, commitReveal } = await readStatus(voting, sessionId);
+    const method = nextTransition(status, { commitReveal });
+    if (status === WorkflowStatus.Cancelled) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Session #${sessionId} is cancelled, use voting:new-session to start a new session`);
+    }
+    if (!method) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Votes are already tallied, use voting:new-session to start a new session`);
+    }
+
+    const receipt = await send(voting, method, sessionId);
+    const next = await readStatus(voting, sessionId);
+    console.log(`Workflow status: ${statusName(status)} -> ${next.statusName}`);
+    return receipt;
+  });
+
+sessionTask("tally", "Tallies the votes of the session and prints the winner (operator only)")
+  .setAction(async (args, hre) => {
+    const { voting, sessionId } = await connectSession(hre, args);
+    const receipt = await send(voting, "tallyVotes", sessionId);
+
+    await printResult(voting, sessionId);
+    return receipt;
+  });
+
+sessionTask("tie-policy", "Sets how a tie of the session is broken, before the vote starts (admin only)")
+  .addPositionalParam("policy", `Tie-break rule: ${Object.keys(TiePolicy).join(", ")}`)
+  .setAction(async (args, hre) => {
+    const policy = TiePolicy[args.policy];
+    if (policy === undefined) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Unknown tie policy ${args.policy}, expected one of ${Object.keys(TiePolicy).join(", ")}`);
+    }
+    const { voting, sessionId } = await connectSession(hre, args);
+    return send(voting, "setTiePolicy", sessionId, policy);
+  });
+
+sessionTask("resolve-tie", "Picks the winner among the tied proposals of the session (admin only, OwnerDecision policy)")
+  .addPositionalParam("proposal", "Identifier of the winning proposal", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { voting, sessionId } = await connectSession(hre, args);
+    return send(voting, "resolveTie", sessionId, args.proposal);
+  });
+
+votingTask("new-session", "Starts a new voting session, alongside the sessions in progress (admin only)")
+  .addOptionalPositionalParam("name", "Name of the session (defaults to \"Session <n>\")", "")
+  .addOptionalParam("method", `Voting method: ${Object.keys(VotingMethod).join(", ")}`, "Plurality")
+  .setAction(async (args, hre) => {
+    const method = VotingMethod[args.method];
+    if (method === undefined) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Unknown voting method ${args.method}, expected one of ${Object.keys(VotingMethod).join(", ")}`);
+    }
+    const voting = await connect(hre, args);
+    // La surcharge à un paramètre reste compatible avec les déploiements antérieurs aux modes de scrutin
+    const receipt = method === VotingMethod.Plurality
+      ? await send(voting, "startNewVotingSession(string)", args.name)
+      : await send(voting, "startNewVotingSession(string,uint8)", args.name, method);
+
+    // D'autres sessions peuvent être créées en même temps : l'identifiant est lu dans l'événement
+    const { sessionId, sessionName } = receipt.logs
+      .map((log) => voting.interface.parseLog(log))
+      .find((event) => event?.name === "SessionCreated").args;
+    console.log(`Session #${sessionId} "${sessionName}" created`);
+    return receipt;
+  });
+
+sessionTask("session-admin", "Appoints the administrator of a session, who holds the three roles in it (admin or session admin only)")
+  .addOptionalPositionalParam("account", "Address of the session administrator")
+  .addFlag("clear", "Removes the administrator of the session")
+  .setAction(async (args, hre) => {
+    if (args.clear === (args.account !== undefined)) {
+      throw new HardhatPluginError(PLUGIN_NAME, "Either an account address or --clear is required");
+    }
+    const account = args.clear ? hre.ethers.ZeroAddress : checkAddress(hre, args.account);
+    const { voting, sessionId } = await connectSession(hre, args);
+    return send(voting, "setSessionAdmin", sessionId, account);
+  });
+
+votingTask("pause", "Suspends voting and proposal submission in every session (admin only)")
+  .setAction(async (args, hre) => {
+    const voting = await connect(hre, args);
+    return send(voting, "pause");
+  });
+
+votingTask("unpause", "Resumes voting and proposal submission (admin only)")
+  .setAction(async (args, hre) => {
+    const voting = await connect(hre, args);
+    return send(voting, "unpause");
+  });
+
+sessionTask("cancel", "Cancels the session before its tally, for good (admin or session admin only)")
+  .addPositionalParam("reason", "Why the session is cancelled, published in the SessionCancelled event")
+  .setAction(async (args, hre) => {
+    const { voting, sessionId } = await connectSession(hre, args);
+    return send(voting, "cancelSession", sessionId, args.reason);
+  });
+
+votingTask("grant-role", "Grants an administration role to an account (admin only)")
+  .addPositionalParam("role", `Role: ${ROLE_NAMES.join(", ")}`)
+  .addPositionalParam("account", "Address of the account")
+  .setAction(async (args, hre) => {
+    const role = parseRole(args.role);
+    const account = checkAddress(hre, args.account);
+    const voting = await connect(hre, args);
+    return send(voting, "grantRole", role, account);
+  });
+
+votingTask("revoke-role", "Revokes an administration role from an account (admin only)")
+  .addPositionalParam("role", `Role: ${ROLE_NAMES.join(", ")}`)
+  .addPositionalParam("account", "Address of the account")
+  .setAction(async (args, hre) => {
+    const role = parseRole(args.role);
+    const account = checkAddress(hre, args.account);
+    const voting = await connect(hre, args);
+    return send(voting, "revokeRole", role, account);
+  });
+
+votingTask("roles", "Lists the accounts of each administration role, or the roles of an account")
+  .addOptionalPositionalParam("account", "Address of the account (defaults to all the role holders)")
+  .addOptionalParam("fromBlock", "First block to search for role events (defaults to the deployment block of the Ignition journal)", undefined, types.int)
+  .addOptionalParam("batchSize", "Maximum number of blocks per eth_getLogs request", 2000, types.int)
+  .setAction(async (args, hre) => {
+    const voting = await connect(hre, args);
+    if (args.account) {
+      const account = checkAddress(hre, args.account);
+      const roles = await formatRoles(voting, account);
+      console.log(`${account}: ${roles}`);
+      return roles === "none" ? [] : roles.split(", ");
+    }
+
+    // Le contrat n'énumère pas les comptes d'un rôle : on rejoue les attributions et les retraits
+    const range = { fromBlock: args.fromBlock, batchSize: args.batchSize };
+    const events = [
+      ...await queryFilter(hre, voting, voting.filters.RoleGranted(), range),
+      ...await queryFilter(hre, voting, voting.filters.RoleRevoked(), range),
+    ].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+    const holders = Object.fromEntries(ROLE_NAMES.map((role) => [role, new Set()]));
+    for (const event of events) {
+      const role = roleName(event.args.role);
+      if (!holders[role]) continue;
+      if (event.fragment.name === "RoleGranted") holders[role].add(event.args.account);
+      else holders[role].delete(event.args.account);
+    }
+
+    const result = {};
+    for (const role of ROLE_NAMES) {
+      result[role] = [...holders[role]];
+      console.log(`${role.padEnd(10)} ${result[role].length > 0 ? result[role].join(", ") : "none"}`);
+    }
+    return result;
+  });
@@ -1,7 +1,12 @@
 const { expect } = require("chai");
 const hre = require("hardhat");
 const { PANIC_CODES } = require("@nomicfoundation/hardhat-chai-matchers/panic");
-const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { deployVoting } = require("../lib/deployment");
+const GovernanceTokenMockModule = require("../ignition/modules/GovernanceTokenMock");
+const { buildAllowlist, getProof } = require("../lib/allowlist");
+const { getDomain, signMessage, generateSalt, computeCommitment, ROLES } = require("../sdk");
 
 describe("Voting contract", function () {
   const DEFAULT_PROPOSAL = "Proposal 1";
@@ -15,13 +20,15 @@ describe("Voting contract", function () {
     VotingSessionStarted: 3,
     VotingSessionEnded: 4,
     VotesTallied: 5,
+    RevealingVotes: 6,
+    Cancelled: 7,
   };
 
   // *********** FIXTURES *********** //
   
   async function deployVotingFixture() {
     const [owner, voter1, voter2, voter3] = await ethers.getSigners();
-    const voting = await ethers.deployContract("Voting");
+    const voting = await deployVoting(hre);
     
     return { voting, owner, voter1, voter2, voter3 };
   }
@@ -29,9 +36,9 @@ describe("Voting contract", function () {
   async function votingWithVotersFixture() {
     const { voting, owner, voter1, voter2, voter3 } = await loadFixture(deployVotingFixture);
     
-    await voting.addVoter(voter1);
-    await voting.addVoter(voter2);
-    await voting.addVoter(voter3);
+    await voting.addVoter(DEFAULT_SESSION_ID, voter1);
+    await voting.addVoter(DEFAULT_SESSION_ID, voter2);
+    await voting.addVoter(DEFAULT_SESSION_ID, voter3);
     
     return { voting, owner, voter1, voter2, voter3 };
   }
@@ -39,7 +46,7 @@ describe("Voting contract", function () {
   async function proposalRegistrationStartedFixture() {
     const { voting, owner, voter1, voter2, voter3 } = await loadFixture(votingWithVotersFixture);
     
-    await voting.startProposalsRegistering();
+    await voting.startProposalsRegistering(DEFAULT_SESSION_ID);
     
     return { voting, owner, voter1, voter2, voter3 };
   }
@@ -47,8 +54,8 @@ describe("Voting contract", function () {
   async function proposalRegistrationEndedFixture() {
     const { voting, owner, voter1, voter2, voter3 } = await loadFixture(proposalRegistrationStartedFixture);
     
-    await voting.connect(voter1).addProposal(DEFAULT_PROPOSAL);
-    await voting.endProposalsRegistering();
+    await voting.connect(voter1).addProposal(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL);
+    await voting.endProposalsRegistering(DEFAULT_SESSION_ID);
     
     return { voting, owner, voter1, voter2, voter3 };
   }
@@ -56,7 +63,7 @@ describe("Voting contract", function () {
   async function votingSessionStartedFixture() {
     const { voting, owner, voter1, voter2, voter3 } = await loadFixture(proposalRegistrationEndedFixture);
     
-    await voting.startVotingSession();
+    await voting.startVotingSession(DEFAULT_SESSION_ID);
     
     return { voting, owner, voter1, voter2, voter3 };
   }
@@ -64,8 +71,8 @@ describe("Voting contract", function () {
   async function votingSessionEndedFixture() {
     const { voting, owner, voter1, voter2, voter3 } = await loadFixture(votingSessionStartedFixture);
     
-    await voting.connect(voter1).setVote(DEFAULT_PROPOSAL_ID);
-    await voting.endVotingSession();
+    await voting.connect(voter1).setVote(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL_ID);
+    await voting.endVotingSession(DEFAULT_SESSION_ID);
     
     return { voting, owner, voter1, voter2, voter3 };
   }
@@ -73,7 +80,7 @@ describe("Voting contract", function () {
   async function votesTalliedFixture() {
     const { voting, owner, voter1, voter2, voter3 } = await loadFixture(votingSessionEndedFixture);
     
-    await voting.tallyVotes();
+    await voting.tallyVotes(DEFAULT_SESSION_ID);
     
     return { voting, owner, voter1, voter2, voter3 };
   }
@@ -81,479 +88,2599 @@ describe("Voting contract", function () {
   async function multipleProposalsFixture() {
     const { voting, owner, voter1, voter2, voter3 } = await loadFixture(proposalRegistrationStartedFixture);
     
-    await voting.connect(voter1).addProposal(DEFAULT_PROPOSAL);
-    await voting.connect(voter2).addProposal("Proposal 2");
-    await voting.connect(voter3).addProposal("Proposal 3");
-    await voting.endProposalsRegistering();
+    await voting.connect(voter1).addProposal(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL);
+    await voting.connect(voter2).addProposal(DEFAULT_SESSION_ID, "Proposal 2");
+    await voting.connect(voter3).addProposal(DEFAULT_SESSION_ID, "Proposal 3");
+    await voting.endProposalsRegistering(DEFAULT_SESSION_ID);
     
     return { voting, owner, voter1, voter2, voter3 };
   }
 
   // *********** Get one proposal *********** //
-  describe("getOneProposal(uint proposalId)", function () {
+  describe("getOneProposal(uint32 sessionId, uint proposalId)", function () {
     it("Should get an existing proposal", async function () {
       const { voting, voter1 } = await loadFixture(proposalRegistrationEndedFixture);
       
-      expect((await voting.connect(voter1).getOneProposal(DEFAULT_PROPOSAL_ID)).description).to.equal(DEFAULT_PROPOSAL);
+      expect((await voting.connect(voter1)["getOneProposal(uint32,uint256)"](DEFAULT_SESSION_ID, DEFAULT_PROPOSAL_ID)).description).to.equal(DEFAULT_PROPOSAL);
     });
 
     it("Should fail trying to get a non existing proposal", async function () {
       const { voting, voter1 } = await loadFixture(proposalRegistrationEndedFixture);
       
-      await expect(voting.connect(voter1).getOneProposal(424242)).to.be.revertedWithPanic(PANIC_CODES.ARRAY_ACCESS_OUT_OF_BOUNDS);
+      await expect(voting.connect(voter1)["getOneProposal(uint32,uint256)"](DEFAULT_SESSION_ID, 424242)).to.be.revertedWithPanic(PANIC_CODES.ARRAY_ACCESS_OUT_OF_BOUNDS);
+    });
+
+    it("Should fail trying to get a proposal of a non existing session", async function () {
+      const { voting, voter1 } = await loadFixture(proposalRegistrationEndedFixture);
+
+      await expect(voting.connect(voter1)["getOneProposal(uint32,uint256)"](1, DEFAULT_PROPOSAL_ID)).to.be.revertedWithCustomError(voting, "SessionNotFound");
     });
 
   });
 
   // *********** Get one voter *********** //
-  describe("getVoter(address voterAddress)", function () {
+  describe("getVoter(uint32 sessionId, address voterAddress)", function () {
     it("Should get existing voters", async function () {
       const { voting, voter1, voter2, voter3 } = await loadFixture(votingWithVotersFixture);
 
-      expect((await voting.connect(voter1).getVoter(voter1)).isRegistered).to.equal(true);
-      expect((await voting.connect(voter1).getVoter(voter2)).isRegistered).to.equal(true);
-      expect((await voting.connect(voter1).getVoter(voter3)).isRegistered).to.equal(true);
+      expect((await voting.connect(voter1)["getVoter(uint32,address)"](DEFAULT_SESSION_ID, voter1)).isRegistered).to.equal(true);
+      expect((await voting.connect(voter1)["getVoter(uint32,address)"](DEFAULT_SESSION_ID, voter2)).isRegistered).to.equal(true);
+      expect((await voting.connect(voter1)["getVoter(uint32,address)"](DEFAULT_SESSION_ID, voter3)).isRegistered).to.equal(true);
     });
 
     it("Should not fail trying to get a voter without being a voter", async function () {
       const { voting, voter1 } = await loadFixture(deployVotingFixture);
       
-      await expect(voting.getVoter(voter1)).to.not.be.reverted;
+      await expect(voting["getVoter(uint32,address)"](DEFAULT_SESSION_ID, voter1)).to.not.be.reverted;
+    });
+  });
+
+  // *********** Latest session getters *********** //
+  describe("Latest session getters", function () {
+    it("Should read the last session created", async function () {
+      const { voting, voter1 } = await loadFixture(votesTalliedFixture);
+
+      expect(await voting.workflowStatus()).to.equal(WorkflowStatus.VotesTallied);
+      expect(await voting.winningProposalID()).to.equal(DEFAULT_PROPOSAL_ID);
+      expect((await voting["getVoter(address)"](voter1)).votedProposalId).to.equal(DEFAULT_PROPOSAL_ID);
+      expect((await voting["getOneProposal(uint256)"](DEFAULT_PROPOSAL_ID)).description).to.equal(DEFAULT_PROPOSAL);
+      expect((await voting.getCurrentSession()).toObject()).to.deep.equal({
+        sessionId: 0n,
+        name: "Session 1",
+        status: BigInt(WorkflowStatus.VotesTallied),
+        proposalsCount: 2n,
+        winningProposalId: BigInt(DEFAULT_PROPOSAL_ID),
+        registeredVoters: 3n,
+        votesCast: 1n,
+      });
+
+      await voting.startNewVotingSession("Session 2");
+
+      expect(await voting.workflowStatus()).to.equal(WorkflowStatus.RegisteringVoters);
+      expect(await voting.winningProposalID()).to.equal(0);
+      expect((await voting["getVoter(address)"](voter1)).isRegistered).to.equal(false);
+      expect((await voting.getCurrentSession()).sessionId).to.equal(1);
+      expect((await voting.getCurrentSession()).name).to.equal("Session 2");
+      await expect(voting["getOneProposal(uint256)"](DEFAULT_PROPOSAL_ID)).to.be.revertedWithPanic(PANIC_CODES.ARRAY_ACCESS_OUT_OF_BOUNDS);
     });
   });
 
   // *********** Add voter *********** //
-  describe("addVoter(address voterAddress)", function () {
+  describe("addVoter(uint32 sessionId, address voterAddress)", function () {
     it("Should add a voter", async function () {
       const { voting, owner } = await loadFixture(deployVotingFixture);
       
-      await voting.addVoter(owner);
-      expect((await voting.connect(owner).getVoter(owner)).isRegistered).to.equal(true);
+      await voting.addVoter(DEFAULT_SESSION_ID, owner);
+      expect((await voting.connect(owner)["getVoter(uint32,address)"](DEFAULT_SESSION_ID, owner)).isRegistered).to.equal(true);
     });
 
     it("Should fail trying to add an already registered voter", async function () {
       const { voting, voter1 } = await loadFixture(votingWithVotersFixture);
 
-      await expect(voting.addVoter(voter1)).to.be.revertedWithCustomError(voting, "AlreadyRegistered");
+      await expect(voting.addVoter(DEFAULT_SESSION_ID, voter1)).to.be.revertedWithCustomError(voting, "AlreadyRegistered");
     });
 
     it("Should fail trying to add a voter in the wrong workflow status", async function () {
       const { voting, voter2 } = await loadFixture(proposalRegistrationStartedFixture);
 
-      await expect(voting.addVoter(voter2)).to.be.revertedWithCustomError(voting, "VotersRegistrationClosed");
+      await expect(voting.addVoter(DEFAULT_SESSION_ID, voter2)).to.be.revertedWithCustomError(voting, "VotersRegistrationClosed");
     });
 
-    it("Should fail trying to add a voter without being the owner", async function () {
+    it("Should fail trying to add a voter without the registrar role", async function () {
       const { voting, voter1, voter2 } = await loadFixture(deployVotingFixture);
       
-      await expect(voting.connect(voter1).addVoter(voter2))
-        .to.be.revertedWithCustomError(voting, "OwnableUnauthorizedAccount")
-        .withArgs(voter1);
+      await expect(voting.connect(voter1).addVoter(DEFAULT_SESSION_ID, voter2))
+        .to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount")
+        .withArgs(voter1, ROLES.registrar);
     });
 
     it("Should emit an event when adding a voter", async function () {
       const { voting, voter1 } = await loadFixture(deployVotingFixture);
       
-      await expect(voting.addVoter(voter1)).to.emit(voting, "VoterRegistered").withArgs(DEFAULT_SESSION_ID, voter1);
+      await expect(voting.addVoter(DEFAULT_SESSION_ID, voter1)).to.emit(voting, "VoterRegistered").withArgs(DEFAULT_SESSION_ID, voter1);
+    });
+  });
+
+  // *********** Add voters (batch) *********** //
+  describe("addVoters(uint32 sessionId, address[] voterAddresses)", function () {
+    it("Should add several voters at once", async function () {
+      const { voting, voter1, voter2, voter3 } = await loadFixture(deployVotingFixture);
+
+      await voting.addVoters(DEFAULT_SESSION_ID, [voter1, voter2, voter3]);
+
+      expect((await voting["getVoter(uint32,address)"](DEFAULT_SESSION_ID, voter1)).isRegistered).to.equal(true);
+      expect((await voting["getVoter(uint32,address)"](DEFAULT_SESSION_ID, voter2)).isRegistered).to.equal(true);
+      expect((await voting["getVoter(uint32,address)"](DEFAULT_SESSION_ID, voter3)).isRegistered).to.equal(true);
+    });
+
+    it("Should skip already registered voters instead of reverting", async function () {
+      const { voting, owner, voter1 } = await loadFixture(votingWithVotersFixture);
+
+      expect(await voting.addVoters.staticCall(DEFAULT_SESSION_ID, [voter1, owner, owner])).to.equal(1);
+      await expect(voting.addVoters(DEFAULT_SESSION_ID, [voter1, owner, owner]))
+        .to.emit(voting, "VoterAlreadyRegistered").withArgs(DEFAULT_SESSION_ID, voter1)
+        .and.to.emit(voting, "VoterRegistered").withArgs(DEFAULT_SESSION_ID, owner)
+        .and.to.emit(voting, "VoterAlreadyRegistered").withArgs(DEFAULT_SESSION_ID, owner);
+      expect((await voting["getVoter(uint32,address)"](DEFAULT_SESSION_ID, owner)).isRegistered).to.equal(true);
+    });
+
+    it("Should fail trying to add voters in the wrong workflow status", async function () {
+      const { voting, owner } = await loadFixture(proposalRegistrationStartedFixture);
+
+      await expect(voting.addVoters(DEFAULT_SESSION_ID, [owner])).to.be.revertedWithCustomError(voting, "VotersRegistrationClosed");
+    });
+
+    it("Should fail trying to add voters without the registrar role", async function () {
+      const { voting, voter1, voter2 } = await loadFixture(deployVotingFixture);
+
+      await expect(voting.connect(voter1).addVoters(DEFAULT_SESSION_ID, [voter2]))
+        .to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount")
+        .withArgs(voter1, ROLES.registrar);
+    });
+  });
+
+  // *********** Remove voter *********** //
+  describe("removeVoter(uint32 sessionId, address voterAddress)", function () {
+    it("Should remove a voter and update the participation", async function () {
+      const { voting, voter1 } = await loadFixture(votingWithVotersFixture);
+
+      await expect(voting.removeVoter(DEFAULT_SESSION_ID, voter1)).to.emit(voting, "VoterRemoved").withArgs(DEFAULT_SESSION_ID, voter1);
+
+      expect((await voting["getVoter(uint32,address)"](DEFAULT_SESSION_ID, voter1)).isRegistered).to.equal(false);
+      expect((await voting.participations(DEFAULT_SESSION_ID)).registeredVoters).to.equal(2);
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).registeredVoters).to.equal(2);
+    });
+
+    it("Should let a removed voter be registered again", async function () {
+      const { voting, voter1 } = await loadFixture(votingWithVotersFixture);
+
+      await voting.removeVoter(DEFAULT_SESSION_ID, voter1);
+      await voting.addVoter(DEFAULT_SESSION_ID, voter1);
+
+      expect((await voting["getVoter(uint32,address)"](DEFAULT_SESSION_ID, voter1)).isRegistered).to.equal(true);
+      expect((await voting.participations(DEFAULT_SESSION_ID)).registeredVoters).to.equal(3);
+    });
+
+    it("Should fail trying to remove an unregistered voter", async function () {
+      const { voting, owner } = await loadFixture(votingWithVotersFixture);
+
+      await expect(voting.removeVoter(DEFAULT_SESSION_ID, owner)).to.be.revertedWithCustomError(voting, "NotVoter");
+    });
+
+    it("Should fail trying to remove a voter involved in a delegation", async function () {
+      const { voting, voter1, voter2, voter3 } = await loadFixture(votingWithVotersFixture);
+
+      await voting.connect(voter1).delegateVote(DEFAULT_SESSION_ID, voter2);
+
+      await expect(voting.removeVoter(DEFAULT_SESSION_ID, voter1)).to.be.revertedWithCustomError(voting, "VoterInDelegation");
+      await expect(voting.removeVoter(DEFAULT_SESSION_ID, voter2)).to.be.revertedWithCustomError(voting, "VoterInDelegation");
+      await voting.removeVoter(DEFAULT_SESSION_ID, voter3);
+    });
+
+    it("Should fail trying to remove a voter after the registration", async function () {
+      const { voting, voter1 } = await loadFixture(proposalRegistrationStartedFixture);
+
+      await expect(voting.removeVoter(DEFAULT_SESSION_ID, voter1)).to.be.revertedWithCustomError(voting, "VotersRegistrationClosed");
     });
   });
 
   // *********** Add proposal *********** //
-  describe("addProposal(string proposalDescription)", function () {
+  describe("addProposal(uint32 sessionId, string proposalDescription)", function () {
     it("Should add a proposal", async function () {
       const { voting, voter1 } = await loadFixture(proposalRegistrationStartedFixture);
       
-      await voting.connect(voter1).addProposal("New proposal");
-      expect((await voting.connect(voter1).getOneProposal(1)).description).to.equal("New proposal");
+      await voting.connect(voter1).addProposal(DEFAULT_SESSION_ID, "New proposal");
+      expect((await voting.connect(voter1)["getOneProposal(uint32,uint256)"](DEFAULT_SESSION_ID, 1)).description).to.equal("New proposal");
     });
 
     it("Should fail trying to add an empty proposal", async function () {
       const { voting, voter1 } = await loadFixture(proposalRegistrationStartedFixture);
       
-      await expect(voting.connect(voter1).addProposal("")).to.be.revertedWithCustomError(voting, "EmptyProposal");
+      await expect(voting.connect(voter1).addProposal(DEFAULT_SESSION_ID, "")).to.be.revertedWithCustomError(voting, "EmptyProposal");
     });
 
     it("Should fail trying to add a proposal in the wrong workflow status", async function () {
       const { voting, voter1 } = await loadFixture(proposalRegistrationEndedFixture);
       
-      await expect(voting.connect(voter1).addProposal("New proposal")).to.be.revertedWithCustomError(voting, "ProposalsNotAllowed");
+      await expect(voting.connect(voter1).addProposal(DEFAULT_SESSION_ID, "New proposal")).to.be.revertedWithCustomError(voting, "ProposalsNotAllowed");
     });
 
     it("Should fail trying to add a proposal without being voter", async function () {
       const { voting } = await loadFixture(proposalRegistrationStartedFixture);
       
-      await expect(voting.addProposal("New proposal")).to.be.revertedWithCustomError(voting, "NotVoter");
+      await expect(voting.addProposal(DEFAULT_SESSION_ID, "New proposal")).to.be.revertedWithCustomError(voting, "NotVoter");
     });
 
     it("Should emit an event when adding a proposal", async function () {
       const { voting, voter1 } = await loadFixture(proposalRegistrationStartedFixture);
       
-      await expect(voting.connect(voter1).addProposal("New proposal")).to.emit(voting, "ProposalRegistered").withArgs(DEFAULT_SESSION_ID, 1);
+      await expect(voting.connect(voter1).addProposal(DEFAULT_SESSION_ID, "New proposal")).to.emit(voting, "ProposalRegistered").withArgs(DEFAULT_SESSION_ID, 1);
+    });
+
+    it("Should record the proposer", async function () {
+      const { voting, voter1 } = await loadFixture(proposalRegistrationStartedFixture);
+
+      await voting.connect(voter1).addProposal(DEFAULT_SESSION_ID, "New proposal");
+
+      expect((await voting["getOneProposal(uint32,uint256)"](DEFAULT_SESSION_ID, 1)).proposer).to.equal(voter1.address);
+      expect((await voting["getOneProposal(uint32,uint256)"](DEFAULT_SESSION_ID, 0)).proposer).to.equal(ethers.ZeroAddress);
+    });
+  });
+
+  // *********** Withdraw proposal *********** //
+  describe("withdrawProposal(uint32 sessionId, uint32 proposalId)", function () {
+    it("Should withdraw a proposal and keep the ids of the others", async function () {
+      const { voting, voter1, voter2 } = await loadFixture(proposalRegistrationStartedFixture);
+
+      await voting.connect(voter1).addProposal(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL);
+      await voting.connect(voter2).addProposal(DEFAULT_SESSION_ID, "Proposal 2");
+      await expect(voting.connect(voter1).withdrawProposal(DEFAULT_SESSION_ID, 1)).to.emit(voting, "ProposalWithdrawn").withArgs(DEFAULT_SESSION_ID, 1);
+      await voting.connect(voter2).addProposal(DEFAULT_SESSION_ID, "Proposal 3");
+
+      const proposals = await voting.getProposals(DEFAULT_SESSION_ID, 0, 10);
+      expect(proposals.map((p) => [p.description, p.withdrawn])).to.deep.equal([
+        ["GENESIS", false],
+        [DEFAULT_PROPOSAL, true],
+        ["Proposal 2", false],
+        ["Proposal 3", false],
+      ]);
+    });
+
+    it("Should only let the proposer withdraw a proposal", async function () {
+      const { voting, owner, voter1, voter2 } = await loadFixture(proposalRegistrationStartedFixture);
+
+      await voting.connect(voter1).addProposal(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL);
+
+      await expect(voting.connect(voter2).withdrawProposal(DEFAULT_SESSION_ID, 1)).to.be.revertedWithCustomError(voting, "NotProposer");
+      await expect(voting.withdrawProposal(DEFAULT_SESSION_ID, 1)).to.be.revertedWithCustomError(voting, "NotProposer");
+      await expect(voting.connect(voter1).withdrawProposal(DEFAULT_SESSION_ID, 0)).to.be.revertedWithCustomError(voting, "NotProposer");
+      await expect(voting.connect(voter1).withdrawProposal(DEFAULT_SESSION_ID, 2)).to.be.revertedWithCustomError(voting, "ProposalNotFound");
+    });
+
+    it("Should fail trying to withdraw a proposal twice", async function () {
+      const { voting, voter1 } = await loadFixture(proposalRegistrationStartedFixture);
+
+      await voting.connect(voter1).addProposal(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL);
+      await voting.connect(voter1).withdrawProposal(DEFAULT_SESSION_ID, 1);
+
+      await expect(voting.connect(voter1).withdrawProposal(DEFAULT_SESSION_ID, 1)).to.be.revertedWithCustomError(voting, "WithdrawnProposal");
+    });
+
+    it("Should fail trying to withdraw a proposal after the proposals registration", async function () {
+      const { voting, voter1 } = await loadFixture(proposalRegistrationEndedFixture);
+
+      await expect(voting.connect(voter1).withdrawProposal(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL_ID)).to.be.revertedWithCustomError(voting, "ProposalsNotAllowed");
+    });
+
+    it("Should refuse votes for a withdrawn proposal and never elect it", async function () {
+      const { voting, voter1, voter2 } = await loadFixture(proposalRegistrationStartedFixture);
+
+      await voting.connect(voter1).addProposal(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL);
+      await voting.connect(voter2).addProposal(DEFAULT_SESSION_ID, "Proposal 2");
+      await voting.connect(voter1).withdrawProposal(DEFAULT_SESSION_ID, 1);
+      await voting.endProposalsRegistering(DEFAULT_SESSION_ID);
+      await voting.startVotingSession(DEFAULT_SESSION_ID);
+
+      await expect(voting.connect(voter1).setVote(DEFAULT_SESSION_ID, 1)).to.be.revertedWithCustomError(voting, "WithdrawnProposal");
+      await voting.connect(voter1).setVote(DEFAULT_SESSION_ID, 0);
+      await voting.connect(voter2).setVote(DEFAULT_SESSION_ID, 2);
+      await voting.endVotingSession(DEFAULT_SESSION_ID);
+      await voting.tallyVotes(DEFAULT_SESSION_ID);
+
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).winningProposalId).to.equal(2);
+      expect((await voting.getTie(DEFAULT_SESSION_ID)).isTie).to.equal(false);
     });
   });
 
   // *********** Add vote *********** //
-  describe("setVote(uint proposalId)", function () {
+  describe("setVote(uint32 sessionId, uint proposalId)", function () {
     it("Should add a vote", async function () {
       const { voting, voter1 } = await loadFixture(votingSessionStartedFixture);
       
-      await voting.connect(voter1).setVote(DEFAULT_PROPOSAL_ID);
+      await voting.connect(voter1).setVote(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL_ID);
 
-      expect((await voting.connect(voter1).getVoter(voter1)).hasVoted).to.equal(true);
-      expect((await voting.connect(voter1).getVoter(voter1)).votedProposalId).to.equal(DEFAULT_PROPOSAL_ID);
+      expect((await voting.connect(voter1)["getVoter(uint32,address)"](DEFAULT_SESSION_ID, voter1)).hasVoted).to.equal(true);
+      expect((await voting.connect(voter1)["getVoter(uint32,address)"](DEFAULT_SESSION_ID, voter1)).votedProposalId).to.equal(DEFAULT_PROPOSAL_ID);
     });
 
     it("Should fail trying to vote for a non existing proposal", async function () {
       const { voting, voter1 } = await loadFixture(votingSessionStartedFixture);
       
-      await expect(voting.connect(voter1).setVote(42424242)).to.be.revertedWithCustomError(voting, "ProposalNotFound");
+      await expect(voting.connect(voter1).setVote(DEFAULT_SESSION_ID, 42424242)).to.be.revertedWithCustomError(voting, "ProposalNotFound");
     });
 
     it("Should fail trying to vote in a wrong workflow status", async function () {
       const { voting, voter1 } = await loadFixture(votingSessionEndedFixture);
       
-      await expect(voting.connect(voter1).setVote(DEFAULT_PROPOSAL_ID)).to.be.revertedWithCustomError(voting, "VotingNotStarted");
+      await expect(voting.connect(voter1).setVote(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL_ID)).to.be.revertedWithCustomError(voting, "VotingNotStarted");
     });
 
     it("Should fail trying to vote twice", async function () {
       const { voting, voter1 } = await loadFixture(votingSessionStartedFixture);
       
-      await voting.connect(voter1).setVote(DEFAULT_PROPOSAL_ID);
-      await expect(voting.connect(voter1).setVote(DEFAULT_PROPOSAL_ID)).to.be.revertedWithCustomError(voting, "AlreadyVoted");
+      await voting.connect(voter1).setVote(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL_ID);
+      await expect(voting.connect(voter1).setVote(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL_ID)).to.be.revertedWithCustomError(voting, "AlreadyVoted");
     });
 
     it("Should fail trying to vote without being a voter", async function () {
       const { voting } = await loadFixture(votingSessionStartedFixture);
       
-      await expect(voting.setVote(DEFAULT_PROPOSAL_ID)).to.be.revertedWithCustomError(voting, "NotVoter");
+      await expect(voting.setVote(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL_ID)).to.be.revertedWithCustomError(voting, "NotVoter");
     });
 
     it("Should emit an event when voting", async function () {
       const { voting, voter1 } = await loadFixture(votingSessionStartedFixture);
       
-      await expect(voting.connect(voter1).setVote(DEFAULT_PROPOSAL_ID)).to.emit(voting, "Voted").withArgs(DEFAULT_SESSION_ID, voter1, DEFAULT_PROPOSAL_ID);
+      await expect(voting.connect(voter1).setVote(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL_ID)).to.emit(voting, "Voted").withArgs(DEFAULT_SESSION_ID, voter1, DEFAULT_PROPOSAL_ID);
     });
   });
 
   // *********** Change workflow status *********** //
   // *********** Start proposal time *********** //
-  describe("startProposalRegistering()", function () {
+  describe("startProposalRegistering(uint32 sessionId)", function () {
     it("Should start proposal time", async function () {
       const { voting } = await loadFixture(votingWithVotersFixture);
       
-      await voting.startProposalsRegistering();
-      expect(await voting.workflowStatus()).to.equal(WorkflowStatus.ProposalsRegistrationStarted);
+      await voting.startProposalsRegistering(DEFAULT_SESSION_ID);
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).status).to.equal(WorkflowStatus.ProposalsRegistrationStarted);
     });
 
     it("Should fail trying to start proposal time in wrong workflow status", async function () {
       const { voting } = await loadFixture(proposalRegistrationEndedFixture);
 
-      await expect(voting.startProposalsRegistering()).to.be.revertedWithCustomError(voting, "RegistrationNotStarted");
+      await expect(voting.startProposalsRegistering(DEFAULT_SESSION_ID)).to.be.revertedWithCustomError(voting, "RegistrationNotStarted");
     });
 
-    it("Should fail trying to start proposal time without being owner", async function () {
+    it("Should fail trying to start proposal time without the operator role", async function () {
       const { voting, voter1 } = await loadFixture(votingWithVotersFixture);
       
-      await expect(voting.connect(voter1).startProposalsRegistering())
-        .to.be.revertedWithCustomError(voting, "OwnableUnauthorizedAccount")
-        .withArgs(voter1);
+      await expect(voting.connect(voter1).startProposalsRegistering(DEFAULT_SESSION_ID))
+        .to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount")
+        .withArgs(voter1, ROLES.operator);
     });
 
     it("Should emit an event when starting proposal time", async function () {
       const { voting } = await loadFixture(votingWithVotersFixture);
       
-      await expect(voting.startProposalsRegistering())
+      await expect(voting.startProposalsRegistering(DEFAULT_SESSION_ID))
         .to.emit(voting, "WorkflowStatusChange")
         .withArgs(DEFAULT_SESSION_ID, WorkflowStatus.RegisteringVoters, WorkflowStatus.ProposalsRegistrationStarted);
     });
   });
 
   // *********** End proposal time *********** //
-  describe("endProposalRegistering()", function () {
+  describe("endProposalRegistering(uint32 sessionId)", function () {
     it("Should end proposal time", async function () {
       const { voting, voter1 } = await loadFixture(proposalRegistrationStartedFixture);
       
-      await voting.connect(voter1).addProposal("Test proposal");
-      await voting.endProposalsRegistering();
-      expect(await voting.workflowStatus()).to.equal(WorkflowStatus.ProposalsRegistrationEnded);
+      await voting.connect(voter1).addProposal(DEFAULT_SESSION_ID, "Test proposal");
+      await voting.endProposalsRegistering(DEFAULT_SESSION_ID);
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).status).to.equal(WorkflowStatus.ProposalsRegistrationEnded);
     });
 
     it("Should fail trying to end proposal time in wrong workflow status", async function () {
       const { voting } = await loadFixture(proposalRegistrationEndedFixture);
       
-      await expect(voting.endProposalsRegistering()).to.be.revertedWithCustomError(voting, "RegistrationNotStarted");
+      await expect(voting.endProposalsRegistering(DEFAULT_SESSION_ID)).to.be.revertedWithCustomError(voting, "RegistrationNotStarted");
     });
 
-    it("Should fail trying to end proposal time without being owner", async function () {
+    it("Should fail trying to end proposal time without the operator role", async function () {
       const { voting, voter1 } = await loadFixture(proposalRegistrationStartedFixture);
       
-      await expect(voting.connect(voter1).endProposalsRegistering())
-        .to.be.revertedWithCustomError(voting, "OwnableUnauthorizedAccount")
-        .withArgs(voter1);
+      await expect(voting.connect(voter1).endProposalsRegistering(DEFAULT_SESSION_ID))
+        .to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount")
+        .withArgs(voter1, ROLES.operator);
     });
 
     it("Should emit an event when ending proposal time", async function () {
       const { voting, voter1 } = await loadFixture(proposalRegistrationStartedFixture);
       
-      await voting.connect(voter1).addProposal("Test proposal");
-      await expect(voting.endProposalsRegistering())
+      await voting.connect(voter1).addProposal(DEFAULT_SESSION_ID, "Test proposal");
+      await expect(voting.endProposalsRegistering(DEFAULT_SESSION_ID))
         .to.emit(voting, "WorkflowStatusChange")
         .withArgs(DEFAULT_SESSION_ID, WorkflowStatus.ProposalsRegistrationStarted, WorkflowStatus.ProposalsRegistrationEnded);
     });
   });
 
   // *********** Start voting session *********** //
-  describe("startVotingSession()", function () {
+  describe("startVotingSession(uint32 sessionId)", function () {
     it("Should start voting session", async function () {
       const { voting } = await loadFixture(proposalRegistrationEndedFixture);
       
-      await voting.startVotingSession();
-      expect(await voting.workflowStatus()).to.equal(WorkflowStatus.VotingSessionStarted);
+      await voting.startVotingSession(DEFAULT_SESSION_ID);
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).status).to.equal(WorkflowStatus.VotingSessionStarted);
     });
 
     it("Should fail trying to start voting session in wrong workflow status", async function () {
       const { voting } = await loadFixture(votingSessionStartedFixture);
       
-      await expect(voting.startVotingSession()).to.be.revertedWithCustomError(voting, "ProposalsRegistrationNotEnded");
+      await expect(voting.startVotingSession(DEFAULT_SESSION_ID)).to.be.revertedWithCustomError(voting, "ProposalsRegistrationNotEnded");
     });
 
-    it("Should fail trying to start voting session without being owner", async function () {
+    it("Should fail trying to start voting session without the operator role", async function () {
       const { voting, voter1 } = await loadFixture(proposalRegistrationEndedFixture);
       
-      await expect(voting.connect(voter1).startVotingSession())
-        .to.be.revertedWithCustomError(voting, "OwnableUnauthorizedAccount")
-        .withArgs(voter1);
+      await expect(voting.connect(voter1).startVotingSession(DEFAULT_SESSION_ID))
+        .to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount")
+        .withArgs(voter1, ROLES.operator);
     });
 
     it("Should emit an event when starting voting session", async function () {
       const { voting } = await loadFixture(proposalRegistrationEndedFixture);
       
-      await expect(voting.startVotingSession())
+      await expect(voting.startVotingSession(DEFAULT_SESSION_ID))
         .to.emit(voting, "WorkflowStatusChange")
         .withArgs(DEFAULT_SESSION_ID, WorkflowStatus.ProposalsRegistrationEnded, WorkflowStatus.VotingSessionStarted);
     });
   });
 
   // *********** End voting session *********** //
-  describe("endVotingSession()", function () {
+  describe("endVotingSession(uint32 sessionId)", function () {
     it("Should end voting session", async function () {
       const { voting } = await loadFixture(votingSessionStartedFixture);
       
-      await voting.endVotingSession();
-      expect(await voting.workflowStatus()).to.equal(WorkflowStatus.VotingSessionEnded);
+      await voting.endVotingSession(DEFAULT_SESSION_ID);
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).status).to.equal(WorkflowStatus.VotingSessionEnded);
     });
 
     it("Should fail trying to end voting session in wrong workflow status", async function () {
       const { voting } = await loadFixture(votingSessionEndedFixture);
       
-      await expect(voting.endVotingSession()).to.be.revertedWithCustomError(voting, "VotingNotStarted");
+      await expect(voting.endVotingSession(DEFAULT_SESSION_ID)).to.be.revertedWithCustomError(voting, "VotingNotStarted");
     });
 
-    it("Should fail trying to end voting session without being owner", async function () {
+    it("Should fail trying to end voting session without the operator role", async function () {
       const { voting, voter1 } = await loadFixture(votingSessionStartedFixture);
       
-      await expect(voting.connect(voter1).endVotingSession())
-        .to.be.revertedWithCustomError(voting, "OwnableUnauthorizedAccount")
-        .withArgs(voter1);
+      await expect(voting.connect(voter1).endVotingSession(DEFAULT_SESSION_ID))
+        .to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount")
+        .withArgs(voter1, ROLES.operator);
     });
 
     it("Should emit an event when ending voting session", async function () {
       const { voting } = await loadFixture(votingSessionStartedFixture);
       
-      await expect(voting.endVotingSession())
+      await expect(voting.endVotingSession(DEFAULT_SESSION_ID))
         .to.emit(voting, "WorkflowStatusChange")
         .withArgs(DEFAULT_SESSION_ID, WorkflowStatus.VotingSessionStarted, WorkflowStatus.VotingSessionEnded);
     });
   });
 
   // *********** Tally *********** //
-  describe("tallyVotes()", function () {
+  describe("tallyVotes(uint32 sessionId)", function () {
     it("Should tally voters (with only 1 proposal)", async function () {
       const { voting } = await loadFixture(votesTalliedFixture);
 
-      expect(await voting.winningProposalID()).to.equal(DEFAULT_PROPOSAL_ID);
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).winningProposalId).to.equal(DEFAULT_PROPOSAL_ID);
     });
 
     it("Should tally vote (with multiple proposals)", async function () {
       const { voting, voter1, voter2, voter3 } = await loadFixture(multipleProposalsFixture);
       
-      await voting.startVotingSession();
-      await voting.connect(voter1).setVote(1); // Proposal 1
-      await voting.connect(voter2).setVote(2); // Proposal 2
-      await voting.connect(voter3).setVote(1); // Proposal 1
-      await voting.endVotingSession();
-      await voting.tallyVotes();
-
-      expect(await voting.winningProposalID()).to.equal(1);
+      await voting.startVotingSession(DEFAULT_SESSION_ID);
+      await voting.connect(voter1).setVote(DEFAULT_SESSION_ID, 1); // Proposal 1
+      await voting.connect(voter2).setVote(DEFAULT_SESSION_ID, 2); // Proposal 2
+      await voting.connect(voter3).setVote(DEFAULT_SESSION_ID, 1); // Proposal 1
+      await voting.endVotingSession(DEFAULT_SESSION_ID);
+      await voting.tallyVotes(DEFAULT_SESSION_ID);
+
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).winningProposalId).to.equal(1);
     });
 
     it("Should tally vote (with tie vote)", async function () {
       const { voting, voter1, voter2 } = await loadFixture(multipleProposalsFixture);
       
-      await voting.startVotingSession();
-      await voting.connect(voter1).setVote(1); // Proposal 1
-      await voting.connect(voter2).setVote(2); // Proposal 2
-      await voting.endVotingSession();
-      await voting.tallyVotes();
+      await voting.startVotingSession(DEFAULT_SESSION_ID);
+      await voting.connect(voter1).setVote(DEFAULT_SESSION_ID, 1); // Proposal 1
+      await voting.connect(voter2).setVote(DEFAULT_SESSION_ID, 2); // Proposal 2
+      await voting.endVotingSession(DEFAULT_SESSION_ID);
+      await voting.tallyVotes(DEFAULT_SESSION_ID);
+
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).winningProposalId).to.equal(1); // First proposal wins in case of tie
+      expect(await voting.getTie(DEFAULT_SESSION_ID)).to.deep.equal([true, [1n, 2n]]);
+    });
 
-      expect(await voting.winningProposalID()).to.equal(1); // First proposal wins in case of tie
+    it("Should emit events when tallying a tie vote", async function () {
+      const { voting, voter1, voter2 } = await loadFixture(multipleProposalsFixture);
+      
+      await voting.startVotingSession(DEFAULT_SESSION_ID);
+      await voting.connect(voter1).setVote(DEFAULT_SESSION_ID, 1);
+      await voting.connect(voter2).setVote(DEFAULT_SESSION_ID, 2);
+      await voting.endVotingSession(DEFAULT_SESSION_ID);
+
+      await expect(voting.tallyVotes(DEFAULT_SESSION_ID))
+        .to.emit(voting, "TieDetected").withArgs(DEFAULT_SESSION_ID, [1, 2])
+        .and.to.emit(voting, "TieResolved").withArgs(DEFAULT_SESSION_ID, 1);
     });
 
     it("Should tally votes (without any votes)", async function () {
       const { voting } = await loadFixture(proposalRegistrationEndedFixture);
       
-      await voting.startVotingSession();
-      await voting.endVotingSession();
-      await voting.tallyVotes();
+      await voting.startVotingSession(DEFAULT_SESSION_ID);
+      await voting.endVotingSession(DEFAULT_SESSION_ID);
+
+      // Toutes les propositions ont 0 voix : ce n'est pas une égalité, il n'y a pas de gagnant
+      await expect(voting.tallyVotes(DEFAULT_SESSION_ID)).not.to.emit(voting, "TieDetected");
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).winningProposalId).to.equal(0);
+      expect(await voting.getTie(DEFAULT_SESSION_ID)).to.deep.equal([false, []]);
+      await expect(voting.getSessionWinner(DEFAULT_SESSION_ID)).to.be.revertedWithCustomError(voting, "NoWinner");
+    });
 
-      expect(await voting.winningProposalID()).to.equal(0);
+    it("Should never elect GENESIS", async function () {
+      const { voting, voter1, voter2, voter3 } = await loadFixture(multipleProposalsFixture);
+      
+      await voting.startVotingSession(DEFAULT_SESSION_ID);
+      await voting.connect(voter1).setVote(DEFAULT_SESSION_ID, 0);
+      await voting.connect(voter2).setVote(DEFAULT_SESSION_ID, 0);
+      await voting.connect(voter3).setVote(DEFAULT_SESSION_ID, 3);
+      await voting.endVotingSession(DEFAULT_SESSION_ID);
+      await voting.tallyVotes(DEFAULT_SESSION_ID);
+
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).winningProposalId).to.equal(3);
+    });
+
+    it("Should sort the tied proposals whatever the order of the votes", async function () {
+      const { voting, voter1, voter2, voter3 } = await loadFixture(multipleProposalsFixture);
+
+      await voting.startVotingSession(DEFAULT_SESSION_ID);
+      await voting.connect(voter1).setVote(DEFAULT_SESSION_ID, 3);
+      await voting.connect(voter2).setVote(DEFAULT_SESSION_ID, 2);
+      await voting.connect(voter3).setVote(DEFAULT_SESSION_ID, 1);
+      await voting.endVotingSession(DEFAULT_SESSION_ID);
+
+      await expect(voting.tallyVotes(DEFAULT_SESSION_ID)).to.emit(voting, "TieDetected").withArgs(DEFAULT_SESSION_ID, [1, 2, 3]);
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).winningProposalId).to.equal(1);
+    });
+
+    it("Should let a proposal that overtakes a tie win alone", async function () {
+      const { voting, voter1, voter2, voter3 } = await loadFixture(multipleProposalsFixture);
+
+      await voting.startVotingSession(DEFAULT_SESSION_ID);
+      await voting.connect(voter1).setVote(DEFAULT_SESSION_ID, 3);
+      await voting.connect(voter2).setVote(DEFAULT_SESSION_ID, 1);
+      // La voix déléguée après le vote de voter1 départage 1 et 3
+      await voting.connect(voter3).delegateVote(DEFAULT_SESSION_ID, voter1);
+      await voting.endVotingSession(DEFAULT_SESSION_ID);
+
+      await expect(voting.tallyVotes(DEFAULT_SESSION_ID)).not.to.emit(voting, "TieDetected");
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).winningProposalId).to.equal(3);
+      expect(await voting.getTie(DEFAULT_SESSION_ID)).to.deep.equal([false, []]);
     });
 
-    it("Should fail trying to tally votes without being owner", async function () {
+    it("Should fail trying to tally votes without the operator role", async function () {
       const { voting, voter1 } = await loadFixture(votingSessionEndedFixture);
       
-      await expect(voting.connect(voter1).tallyVotes())
-        .to.be.revertedWithCustomError(voting, "OwnableUnauthorizedAccount")
-        .withArgs(voter1);
+      await expect(voting.connect(voter1).tallyVotes(DEFAULT_SESSION_ID))
+        .to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount")
+        .withArgs(voter1, ROLES.operator);
     });
 
     it("Should fail trying to tally votes in wrong workflow status", async function () {
       const { voting } = await loadFixture(deployVotingFixture);
       
-      await expect(voting.tallyVotes()).to.be.revertedWithCustomError(voting, "VotingSessionNotEnded");
+      await expect(voting.tallyVotes(DEFAULT_SESSION_ID)).to.be.revertedWithCustomError(voting, "VotingSessionNotEnded");
     });
 
     it("Should emit an event when tallying votes", async function () {
       const { voting } = await loadFixture(votingSessionEndedFixture);
 
-      await expect(voting.tallyVotes())
+      await expect(voting.tallyVotes(DEFAULT_SESSION_ID))
         .to.emit(voting, "WorkflowStatusChange")
         .withArgs(DEFAULT_SESSION_ID, WorkflowStatus.VotingSessionEnded, WorkflowStatus.VotesTallied);
     });
   });
 
-// *********** LOAD TESTING *********** //
-  describe("Load Testing - DOS Prevention", function () {
-    // Augmenter le timeout pour les tests de charge
-    this.timeout(300000); // 5 minutes
+  describe("setTiePolicy() and resolveTie()", function () {
+    const TiePolicy = { LowestId: 0, Runoff: 1, OwnerDecision: 2 };
+
+    // Égalité entre les propositions 1 et 2, départagée selon la règle donnée
+    async function tallyTie(voting, voter1, voter2, policy) {
+      await voting.setTiePolicy(DEFAULT_SESSION_ID, policy);
+      await voting.startVotingSession(DEFAULT_SESSION_ID);
+      await voting.connect(voter1).setVote(DEFAULT_SESSION_ID, 1);
+      await voting.connect(voter2).setVote(DEFAULT_SESSION_ID, 2);
+      await voting.endVotingSession(DEFAULT_SESSION_ID);
+      return voting.tallyVotes(DEFAULT_SESSION_ID);
+    }
 
-    const LARGE_DESCRIPTION = "ABC".repeat(332); // 996 caractères
-    const MAX_PROPOSALS_TEST = 999;
+    it("Should set the tie policy of a session", async function () {
+      const { voting } = await loadFixture(deployVotingFixture);
 
-    async function loadTestFixture() {
-      const { voting, owner, voter1, voter2, voter3 } = await loadFixture(deployVotingFixture);
-      
-      // Ajouter plusieurs votants pour répartir la charge
-      const voters = [voter1, voter2, voter3];
-      for (let i = 0; i < voters.length; i++) {
-        await voting.addVoter(voters[i]);
-      }
-      
-      await voting.startProposalsRegistering();
-      
-      return { voting, owner, voters };
-    }
+      await expect(voting.setTiePolicy(DEFAULT_SESSION_ID, TiePolicy.Runoff))
+        .to.emit(voting, "TiePolicySet")
+        .withArgs(DEFAULT_SESSION_ID, TiePolicy.Runoff);
+      expect(await voting.tiePolicies(DEFAULT_SESSION_ID)).to.equal(TiePolicy.Runoff);
+    });
 
-    it("Should fail trying to add a very large description", async function () {
-      const { voting, voter1 } = await loadFixture(proposalRegistrationStartedFixture);
-      await expect(voting.connect(voter1).addProposal(LARGE_DESCRIPTION+"ZZZZ")).to.be.reverted;
+    it("Should fail trying to set the tie policy once the vote has started", async function () {
+      const { voting } = await loadFixture(votingSessionStartedFixture);
+
+      await expect(voting.setTiePolicy(DEFAULT_SESSION_ID, TiePolicy.Runoff)).to.be.revertedWithCustomError(voting, "VotingAlreadyStarted");
     });
 
-    describe("Large number of proposals", function () {
-      it("Should handle adding MAX proposals with large descriptions", async function () {
-        const { voting, voters } = await loadFixture(loadTestFixture);
-        
-        console.log("Starting to add MAX proposals...");
-        const startTime = Date.now();
-        
-        // Ajouter MAX propositions avec descriptions de 999 caractères
-        for (let i = 0; i < MAX_PROPOSALS_TEST; i++) {
-          const voterIndex = i % voters.length;
-          const description = `${LARGE_DESCRIPTION}${i}`;
-          
-          await voting.connect(voters[voterIndex]).addProposal(description);
-          
-          // Log du progrès tous les 100 propositions
-          if ((i + 1) % 100 === 0) {
-            console.log(`  Added ${i + 1}/${MAX_PROPOSALS_TEST} proposals`);
-          }
-        }
-        
-        const endTime = Date.now();
-        console.log(`Completed adding ${MAX_PROPOSALS_TEST} proposals in ${endTime - startTime}ms`);
-        
-        // Vérifier qu'on a bien 999 propositions (GENESIS + 998)
-        const proposal = await voting.connect(voters[0]).getOneProposal(MAX_PROPOSALS_TEST);
-        expect(proposal.description).to.include(`${LARGE_DESCRIPTION}${MAX_PROPOSALS_TEST - 1}`);
-      });
+    it("Should fail trying to set the tie policy without the admin role", async function () {
+      const { voting, voter1 } = await loadFixture(deployVotingFixture);
 
-      it("Should fail trying to add too many proposals", async function () {
-        const { voting, voter1 } = await loadFixture(proposalRegistrationStartedFixture);
-        // Ajouter MAX propositions
-        for (let i = 0; i < MAX_PROPOSALS_TEST; i++) {
-          const description = `desc${i}`;
-          await voting.connect(voter1).addProposal(description);
-        }        
-        await expect(voting.connect(voter1).addProposal("extra proposal")).to.be.reverted;
-      });
+      await expect(voting.connect(voter1).setTiePolicy(DEFAULT_SESSION_ID, TiePolicy.Runoff))
+        .to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount")
+        .withArgs(voter1, ROLES.admin);
+    });
+
+    it("Should create a runoff session with the tied proposals", async function () {
+      const { voting, voter1, voter2 } = await loadFixture(multipleProposalsFixture);
+
+      await expect(tallyTie(voting, voter1, voter2, TiePolicy.Runoff))
+        .to.emit(voting, "TieDetected").withArgs(DEFAULT_SESSION_ID, [1, 2])
+        .and.to.emit(voting, "SessionCreated").withArgs(1, "Runoff: Session 1")
+        .and.to.emit(voting, "RunoffSessionCreated").withArgs(DEFAULT_SESSION_ID, 1)
+        .and.not.to.emit(voting, "TieResolved");
 
+      await expect(voting.getSessionWinner(DEFAULT_SESSION_ID)).to.be.revertedWithCustomError(voting, "NoWinner");
+      expect(await voting.runoffSessions(DEFAULT_SESSION_ID)).to.equal(1);
+      expect(await voting.currentSessionId()).to.equal(1);
+      expect(await voting.isRunoffSession(1)).to.equal(true);
+      expect((await voting.getProposals(1, 0, 10)).map((proposal) => proposal.description))
+        .to.deep.equal(["GENESIS", DEFAULT_PROPOSAL, "Proposal 2"]);
     });
 
-  });
+    it("Should run the runoff session without new proposals", async function () {
+      const { voting, voter1, voter2, voter3 } = await loadFixture(multipleProposalsFixture);
+      await tallyTie(voting, voter1, voter2, TiePolicy.Runoff);
+
+      await voting.addVoters(1, [voter1, voter2, voter3]);
+      await voting.startProposalsRegistering(1);
+      expect((await voting.getSession(1)).proposalsCount).to.equal(3);
+      await expect(voting.connect(voter1).addProposal(1, "Proposal 4")).to.be.revertedWithCustomError(voting, "ProposalsNotAllowed");
+      await voting.endProposalsRegistering(1);
+      await voting.startVotingSession(1);
+      await voting.connect(voter1).setVote(1, 2);
+      await voting.connect(voter3).setVote(1, 2);
+      await voting.endVotingSession(1);
+      await voting.tallyVotes(1);
+
+      const [proposalId, proposal] = await voting.getSessionWinner(1);
+      expect(proposalId).to.equal(2);
+      expect(proposal.description).to.equal("Proposal 2");
+    });
 
-  // *********** SESSION MANAGEMENT *********** //
-  describe("Session Management", function () {
-    
-    it("Should initialize with first session", async function () {
-      const { voting } = await loadFixture(deployVotingFixture);
-      
-      expect(await voting.currentSessionId()).to.equal(0);
-      expect(await voting.totalSessions()).to.equal(1);
-      expect(await voting.workflowStatus()).to.equal(WorkflowStatus.RegisteringVoters);
+    it("Should let the admin pick the winner among the tied proposals", async function () {
+      const { voting, voter1, voter2 } = await loadFixture(multipleProposalsFixture);
+
+      await expect(tallyTie(voting, voter1, voter2, TiePolicy.OwnerDecision)).not.to.emit(voting, "TieResolved");
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).winningProposalId).to.equal(0);
+
+      await expect(voting.resolveTie(DEFAULT_SESSION_ID, 2)).to.emit(voting, "TieResolved").withArgs(DEFAULT_SESSION_ID, 2);
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).winningProposalId).to.equal(2);
+    });
+
+    it("Should fail trying to pick a proposal that is not tied", async function () {
+      const { voting, voter1, voter2 } = await loadFixture(multipleProposalsFixture);
+      await tallyTie(voting, voter1, voter2, TiePolicy.OwnerDecision);
+
+      await expect(voting.resolveTie(DEFAULT_SESSION_ID, 3)).to.be.revertedWithCustomError(voting, "NotTiedProposal");
+      await expect(voting.resolveTie(DEFAULT_SESSION_ID, 0)).to.be.revertedWithCustomError(voting, "NotTiedProposal");
+    });
+
+    it("Should fail trying to resolve a tie already broken", async function () {
+      const { voting, voter1, voter2 } = await loadFixture(multipleProposalsFixture);
+      await tallyTie(voting, voter1, voter2, TiePolicy.OwnerDecision);
+      await voting.resolveTie(DEFAULT_SESSION_ID, 1);
+
+      await expect(voting.resolveTie(DEFAULT_SESSION_ID, 2)).to.be.revertedWithCustomError(voting, "NoPendingTie");
     });
 
-    it("Should start a new session after completing first one", async function () {
+    it("Should fail trying to resolve a tie without tie", async function () {
       const { voting } = await loadFixture(votesTalliedFixture);
-      
-      await voting.startNewVotingSession("Session 2");
-      
-      expect(await voting.currentSessionId()).to.equal(1);
-      expect(await voting.totalSessions()).to.equal(2);
-      expect(await voting.workflowStatus()).to.equal(WorkflowStatus.RegisteringVoters);
+
+      await expect(voting.resolveTie(DEFAULT_SESSION_ID, 1)).to.be.revertedWithCustomError(voting, "NoPendingTie");
     });
 
-    it("Should use default name when session name is empty", async function () {
+    it("Should fail trying to resolve a tie without the admin role", async function () {
+      const { voting, voter1, voter2 } = await loadFixture(multipleProposalsFixture);
+      await tallyTie(voting, voter1, voter2, TiePolicy.OwnerDecision);
+
+      await expect(voting.connect(voter1).resolveTie(DEFAULT_SESSION_ID, 1))
+        .to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount")
+        .withArgs(voter1, ROLES.admin);
+    });
+  });
+
+  // *********** APPROVAL AND INSTANT RUNOFF *********** //
+  describe("setApprovalVote() and setRankedVote()", function () {
+    const VotingMethod = { Plurality: 0, Approval: 1, InstantRunoff: 2 };
+
+    // Nouvelle session avec le mode de scrutin donné, cinq votants et trois propositions, en phase de vote
+    async function methodSessionFixture(method) {
+      const { voting, owner, voter1, voter2, voter3 } = await loadFixture(votesTalliedFixture);
+      const [, , , , voter4, voter5] = await ethers.getSigners();
+
+      await voting["startNewVotingSession(string,uint8)"]("Session 2", method);
+      await voting.addVoters(1, [voter1, voter2, voter3, voter4, voter5]);
+      await voting.startProposalsRegistering(1);
+      await voting.connect(voter1).addProposal(1, "Proposal 1");
+      await voting.connect(voter2).addProposal(1, "Proposal 2");
+      await voting.connect(voter3).addProposal(1, "Proposal 3");
+      await voting.endProposalsRegistering(1);
+      await voting.startVotingSession(1);
+
+      return { voting, owner, voter1, voter2, voter3, voter4, voter5, sessionId: 1 };
+    }
+
+    async function approvalSessionFixture() {
+      return methodSessionFixture(VotingMethod.Approval);
+    }
+
+    async function rankedSessionFixture() {
+      return methodSessionFixture(VotingMethod.InstantRunoff);
+    }
+
+    it("Should set the voting method of a new session", async function () {
       const { voting } = await loadFixture(votesTalliedFixture);
-      
-      await voting.startNewVotingSession("");
-      
-      const session = await voting.getCurrentSession();
-      expect(session.name).to.equal("Session 2");
+
+      await expect(voting["startNewVotingSession(string,uint8)"]("Session 2", VotingMethod.Approval))
+        .to.emit(voting, "VotingMethodSet")
+        .withArgs(1, VotingMethod.Approval);
+      expect(await voting.votingMethods(1)).to.equal(VotingMethod.Approval);
+      expect(await voting.votingMethods(DEFAULT_SESSION_ID)).to.equal(VotingMethod.Plurality);
     });
 
-    it("Should fail to start new session if current not finished", async function () {
-      const { voting } = await loadFixture(votingWithVotersFixture);
-      
-      await expect(voting.startNewVotingSession("New Session"))
-        .to.be.revertedWithCustomError(voting, "SessionNotFinished");
+    it("Should give the vote of the voter to every approved proposal", async function () {
+      const { voting, voter1, voter2, sessionId } = await loadFixture(approvalSessionFixture);
+
+      await expect(voting.connect(voter1).setApprovalVote(1, [1, 3]))
+        .to.emit(voting, "BallotCast")
+        .withArgs(sessionId, voter1.address, [1, 3]);
+      await voting.connect(voter2).setApprovalVote(1, [3]);
+
+      expect((await voting.getProposals(sessionId, 0, 4)).map((p) => p.voteCount)).to.deep.equal([0n, 1n, 0n, 2n]);
+      expect(await voting.getBallot(sessionId, voter1)).to.deep.equal([1n, 3n]);
+      expect((await voting["getVoter(uint32,address)"](1, voter1)).votedProposalId).to.equal(1);
+
+      await voting.endVotingSession(1);
+      await voting.tallyVotes(1);
+      expect((await voting.getSession(sessionId)).winningProposalId).to.equal(3);
     });
 
-    it("Should isolate voters between sessions", async function () {
-      const { voting, voter1 } = await loadFixture(votesTalliedFixture);
-      
-      // Start new session
-      await voting.startNewVotingSession("Session 2");
-      
-      // voter1 was registered in session 1 but not in session 2
-      expect((await voting.connect(voter1).getVoter(voter1)).isRegistered).to.equal(false);
+    it("Should eliminate the least supported proposals of a ranked vote until one has a majority", async function () {
+      const { voting, voter1, voter2, voter3, voter4, voter5, sessionId } = await loadFixture(rankedSessionFixture);
+
+      // 2 votants préfèrent 1, 2 préfèrent 2, 1 préfère 3 puis 2 : 3 est éliminée et 2 l'emporte au second tour
+      await voting.connect(voter1).setRankedVote(1, [1, 3]);
+      await voting.connect(voter4).setRankedVote(1, [1]);
+      await voting.connect(voter2).setRankedVote(1, [2, 1]);
+      await voting.connect(voter5).setRankedVote(1, [2]);
+      await voting.connect(voter3).setRankedVote(1, [3, 2]);
+      expect((await voting["getOneProposal(uint32,uint256)"](1, 3)).voteCount).to.equal(0);
+
+      await voting.endVotingSession(1);
+      await voting.tallyVotes(1);
+      expect((await voting.getProposals(sessionId, 0, 4)).map((p) => p.voteCount)).to.deep.equal([0n, 2n, 3n, 0n]);
+      expect((await voting.getSession(sessionId)).winningProposalId).to.equal(2);
     });
 
-    it("Should emit SessionCreated event", async function () {
+    it("Should give the delegated votes to every proposal approved by the delegate", async function () {
+      const { voting, voter1, voter2, voter3, sessionId } = await loadFixture(approvalSessionFixture);
+
+      // Avant et après le vote du délégué
+      await voting.connect(voter1).delegateVote(1, voter2);
+      await voting.connect(voter2).setApprovalVote(1, [1, 2]);
+      await voting.connect(voter3).delegateVote(1, voter2);
+
+      expect((await voting.getProposals(sessionId, 0, 4)).map((p) => p.voteCount)).to.deep.equal([0n, 3n, 3n, 0n]);
+    });
+
+    it("Should weigh a ranked ballot with its delegated votes at tally time", async function () {
+      const { voting, voter1, voter2, voter3, sessionId } = await loadFixture(rankedSessionFixture);
+
+      await voting.connect(voter1).setRankedVote(1, [2]);
+      await voting.connect(voter2).delegateVote(1, voter1);
+      await voting.connect(voter3).setRankedVote(1, [1]);
+      expect((await voting["getVoter(uint32,address)"](1, voter1)).delegatedWeight).to.equal(1);
+      await voting.endVotingSession(1);
+      await voting.tallyVotes(1);
+
+      expect((await voting.getSession(sessionId)).winningProposalId).to.equal(2);
+      expect((await voting["getOneProposal(uint32,uint256)"](1, 2)).voteCount).to.equal(2);
+    });
+
+    it("Should fail trying to cast a ballot of another voting method", async function () {
+      const { voting, voter1 } = await loadFixture(approvalSessionFixture);
+
+      await expect(voting.connect(voter1).setVote(1, 1)).to.be.revertedWithCustomError(voting, "WrongVotingMethod");
+      await expect(voting.connect(voter1).setRankedVote(1, [1])).to.be.revertedWithCustomError(voting, "WrongVotingMethod");
+    });
+
+    it("Should fail trying to cast an approval ballot in a plurality session", async function () {
+      const { voting, voter1 } = await loadFixture(votingSessionStartedFixture);
+
+      await expect(voting.connect(voter1).setApprovalVote(DEFAULT_SESSION_ID, [1])).to.be.revertedWithCustomError(voting, "WrongVotingMethod");
+    });
+
+    it("Should fail trying to cast an invalid ballot", async function () {
+      const { voting, voter1 } = await loadFixture(approvalSessionFixture);
+
+      await expect(voting.connect(voter1).setApprovalVote(1, [])).to.be.revertedWithCustomError(voting, "InvalidBallot");
+      await expect(voting.connect(voter1).setApprovalVote(1, [1, 2, 1])).to.be.revertedWithCustomError(voting, "InvalidBallot");
+      await expect(voting.connect(voter1).setApprovalVote(1, [0])).to.be.revertedWithCustomError(voting, "ProposalNotFound");
+      await expect(voting.connect(voter1).setApprovalVote(1, [1, 4])).to.be.revertedWithCustomError(voting, "ProposalNotFound");
+    });
+
+    it("Should fail trying to cast a ballot with a withdrawn proposal", async function () {
+      const { voting, voter1, voter2 } = await loadFixture(votesTalliedFixture);
+
+      await voting["startNewVotingSession(string,uint8)"]("Session 2", VotingMethod.InstantRunoff);
+      await voting.addVoters(1, [voter1, voter2]);
+      await voting.startProposalsRegistering(1);
+      await voting.connect(voter1).addProposal(1, "Proposal 1");
+      await voting.connect(voter2).addProposal(1, "Proposal 2");
+      await voting.connect(voter2).withdrawProposal(1, 2);
+      await voting.endProposalsRegistering(1);
+      await voting.startVotingSession(1);
+
+      await expect(voting.connect(voter1).setRankedVote(1, [1, 2])).to.be.revertedWithCustomError(voting, "WithdrawnProposal");
+      await voting.connect(voter1).setRankedVote(1, [1]);
+    });
+
+    it("Should fail trying to vote twice", async function () {
+      const { voting, voter1 } = await loadFixture(rankedSessionFixture);
+
+      await voting.connect(voter1).setRankedVote(1, [1, 2]);
+      await expect(voting.connect(voter1).setRankedVote(1, [2])).to.be.revertedWithCustomError(voting, "AlreadyVoted");
+    });
+
+    it("Should fail trying to vote in secret outside a plurality session", async function () {
       const { voting } = await loadFixture(votesTalliedFixture);
-      
-      await expect(voting.startNewVotingSession("Test Session"))
-        .to.emit(voting, "SessionCreated")
-        .withArgs(1, "Test Session");
+      await voting["startNewVotingSession(string,uint8)"]("Session 2", VotingMethod.Approval);
+
+      await expect(voting.setCommitReveal(1, true)).to.be.revertedWithCustomError(voting, "WrongVotingMethod");
+    });
+
+    it("Should keep the voting method in the runoff of a tie", async function () {
+      const { voting, voter1, voter2 } = await loadFixture(votesTalliedFixture);
+      await voting["startNewVotingSession(string,uint8)"]("Session 2", VotingMethod.Approval);
+      await voting.setTiePolicy(1, 1);
+      await voting.addVoters(1, [voter1, voter2]);
+      await voting.startProposalsRegistering(1);
+      await voting.connect(voter1).addProposal(1, "Proposal 1");
+      await voting.connect(voter2).addProposal(1, "Proposal 2");
+      await voting.endProposalsRegistering(1);
+      await voting.startVotingSession(1);
+      await voting.connect(voter1).setApprovalVote(1, [1, 2]);
+      await voting.endVotingSession(1);
+
+      await expect(voting.tallyVotes(1)).to.emit(voting, "RunoffSessionCreated").withArgs(1, 2);
+      expect(await voting.votingMethods(2)).to.equal(VotingMethod.Approval);
+    });
+  });
+
+  describe("setVotingToken(uint32 sessionId, address token)", function () {
+    const VotingMethod = { Plurality: 0, Approval: 1, InstantRunoff: 2 };
+    const TOKENS = ethers.parseEther("100");
+
+    // Session pondérée par le jeton de gouvernance : voter1 détient 150 jetons, voter2 100 et voter3 aucun
+    async function tokenSessionFixture(method = VotingMethod.Plurality) {
+      const { voting, owner, voter1, voter2, voter3 } = await loadFixture(votesTalliedFixture);
+      const { token } = await hre.ignition.deploy(GovernanceTokenMockModule, {
+        parameters: { GovernanceTokenMock: { holders: [voter1.address, voter2.address], amount: TOKENS } },
+      });
+      await token.mint(voter1, ethers.parseEther("50"));
+
+      await voting["startNewVotingSession(string,uint8)"]("Session 2", method);
+      await voting.setVotingToken(1, token);
+      await voting.addVoters(1, [voter1, voter2, voter3]);
+      await voting.startProposalsRegistering(1);
+      await voting.connect(voter1).addProposal(1, "Proposal 1");
+      await voting.connect(voter2).addProposal(1, "Proposal 2");
+      await voting.endProposalsRegistering(1);
+
+      return { voting, token, owner, voter1, voter2, voter3, sessionId: 1 };
+    }
+
+    async function approvalTokenSessionFixture() {
+      return tokenSessionFixture(VotingMethod.Approval);
+    }
+
+    async function rankedTokenSessionFixture() {
+      return tokenSessionFixture(VotingMethod.InstantRunoff);
+    }
+
+    it("Should set the voting token and take the snapshot when the vote starts", async function () {
+      const { voting, token, sessionId } = await loadFixture(tokenSessionFixture);
+
+      expect(await voting.votingTokens(sessionId)).to.equal(await token.getAddress());
+      expect(await voting.votingSnapshots(sessionId)).to.equal(0);
+      await voting.startVotingSession(1);
+      expect(await voting.votingSnapshots(sessionId)).to.equal((await ethers.provider.getBlockNumber()) - 1);
+    });
+
+    it("Should emit VotingTokenSet", async function () {
+      const { voting } = await loadFixture(votingWithVotersFixture);
+      const { token } = await hre.ignition.deploy(GovernanceTokenMockModule);
+
+      await expect(voting.setVotingToken(DEFAULT_SESSION_ID, token)).to.emit(voting, "VotingTokenSet").withArgs(DEFAULT_SESSION_ID, await token.getAddress());
+      await expect(voting.setVotingToken(DEFAULT_SESSION_ID, ethers.ZeroAddress)).to.emit(voting, "VotingTokenSet").withArgs(DEFAULT_SESSION_ID, ethers.ZeroAddress);
+      expect(await voting.votingTokens(DEFAULT_SESSION_ID)).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should weigh each vote by the voting power at the snapshot", async function () {
+      const { voting, voter1, voter2, sessionId } = await loadFixture(tokenSessionFixture);
+      await voting.startVotingSession(1);
+
+      await expect(voting.connect(voter1).setVote(1, 1))
+        .to.emit(voting, "VotingPowerUsed")
+        .withArgs(sessionId, voter1.address, ethers.parseEther("150"));
+      await voting.connect(voter2).setVote(1, 2);
+      await voting.endVotingSession(1);
+      await voting.tallyVotes(1);
+
+      expect(await voting.votingPowers(sessionId, voter1)).to.equal(ethers.parseEther("150"));
+      expect((await voting.getProposals(sessionId, 0, 3)).map((p) => p.voteCount))
+        .to.deep.equal([0n, ethers.parseEther("150"), TOKENS]);
+      expect((await voting.getSession(sessionId)).winningProposalId).to.equal(1);
+    });
+
+    it("Should count the tokens transferred before the snapshot for their new holder", async function () {
+      const { voting, token, voter1, voter2, sessionId } = await loadFixture(tokenSessionFixture);
+
+      await token.connect(voter1).transfer(voter2, ethers.parseEther("100"));
+      await voting.startVotingSession(1);
+      await voting.connect(voter1).setVote(1, 1);
+      await voting.connect(voter2).setVote(1, 2);
+
+      expect((await voting.getProposals(sessionId, 1, 2)).map((p) => p.voteCount))
+        .to.deep.equal([ethers.parseEther("50"), ethers.parseEther("200")]);
+    });
+
+    it("Should not count the tokens transferred after the snapshot a second time", async function () {
+      const { voting, token, voter1, voter2, voter3, sessionId } = await loadFixture(tokenSessionFixture);
+      await voting.startVotingSession(1);
+
+      // voter1 vote, puis transmet ses jetons à voter2 et voter3 : ils gardent les voix de l'instantané
+      await voting.connect(voter1).setVote(1, 1);
+      await token.connect(voter1).transfer(voter2, ethers.parseEther("100"));
+      await token.connect(voter1).transfer(voter3, ethers.parseEther("50"));
+      await voting.connect(voter2).setVote(1, 2);
+
+      expect(await token.getVotes(voter2)).to.equal(ethers.parseEther("200"));
+      expect((await voting.getProposals(sessionId, 1, 2)).map((p) => p.voteCount)).to.deep.equal([ethers.parseEther("150"), TOKENS]);
+      await expect(voting.connect(voter3).setVote(1, 2)).to.be.revertedWithCustomError(voting, "NoVotingPower");
+    });
+
+    it("Should fail trying to vote without voting power at the snapshot", async function () {
+      const { voting, token, voter1, voter2, voter3 } = await loadFixture(tokenSessionFixture);
+
+      // voter2 se sépare de ses jetons avant l'ouverture du vote
+      await token.connect(voter2).transfer(voter1, TOKENS);
+      await voting.startVotingSession(1);
+
+      await expect(voting.connect(voter2).setVote(1, 2)).to.be.revertedWithCustomError(voting, "NoVotingPower");
+      await expect(voting.connect(voter3).setVote(1, 2)).to.be.revertedWithCustomError(voting, "NoVotingPower");
+    });
+
+    it("Should only count the tokens delegated to the voter", async function () {
+      const { voting, token, voter1, voter2, sessionId } = await loadFixture(tokenSessionFixture);
+
+      // Les voix se délèguent avec le jeton : voter2 confie les siennes à voter1
+      await token.connect(voter2).delegate(voter1);
+      await voting.startVotingSession(1);
+
+      await expect(voting.connect(voter2).setVote(1, 2)).to.be.revertedWithCustomError(voting, "NoVotingPower");
+      await voting.connect(voter1).setVote(1, 1);
+      expect((await voting["getOneProposal(uint32,uint256)"](1, 1)).voteCount).to.equal(ethers.parseEther("250"));
+      expect(await voting.votingPowers(sessionId, voter1)).to.equal(ethers.parseEther("250"));
+    });
+
+    it("Should fail trying to delegate a vote with delegateVote", async function () {
+      const { voting, voter1, voter2 } = await loadFixture(tokenSessionFixture);
+      await voting.startVotingSession(1);
+
+      await expect(voting.connect(voter1).delegateVote(1, voter2)).to.be.revertedWithCustomError(voting, "TokenDelegationRequired");
+    });
+
+    it("Should weigh approval ballots by the voting power", async function () {
+      const { voting, voter1, voter2, sessionId } = await loadFixture(approvalTokenSessionFixture);
+      await voting.startVotingSession(1);
+
+      await voting.connect(voter1).setApprovalVote(1, [1, 2]);
+      await voting.connect(voter2).setApprovalVote(1, [2]);
+
+      expect((await voting.getProposals(sessionId, 1, 2)).map((p) => p.voteCount))
+        .to.deep.equal([ethers.parseEther("150"), ethers.parseEther("250")]);
+    });
+
+    it("Should weigh ranked ballots by the voting power at tally time", async function () {
+      const { voting, voter1, voter2, sessionId } = await loadFixture(rankedTokenSessionFixture);
+      await voting.startVotingSession(1);
+
+      await voting.connect(voter1).setRankedVote(1, [1, 2]);
+      await voting.connect(voter2).setRankedVote(1, [2]);
+      await voting.endVotingSession(1);
+      await voting.tallyVotes(1);
+
+      // 150 voix contre 100 : la majorité est atteinte au premier tour
+      expect((await voting.getProposals(sessionId, 1, 2)).map((p) => p.voteCount)).to.deep.equal([ethers.parseEther("150"), TOKENS]);
+      expect((await voting.getSession(sessionId)).winningProposalId).to.equal(1);
+    });
+
+    it("Should keep the voting token in the runoff of a tie", async function () {
+      const { voting, token, voter1, voter2 } = await loadFixture(tokenSessionFixture);
+      await voting.setTiePolicy(1, 1);
+      await token.connect(voter1).transfer(voter2, ethers.parseEther("25"));
+      await voting.startVotingSession(1);
+      await voting.connect(voter1).setVote(1, 1);
+      await voting.connect(voter2).setVote(1, 2);
+      await voting.endVotingSession(1);
+
+      await expect(voting.tallyVotes(1))
+        .to.emit(voting, "VotingTokenSet")
+        .withArgs(2, await token.getAddress());
+      expect(await voting.votingTokens(2)).to.equal(await token.getAddress());
+    });
+
+    it("Should fail trying to set the voting token once the vote has started", async function () {
+      const { voting, token } = await loadFixture(tokenSessionFixture);
+      await voting.startVotingSession(1);
+
+      await expect(voting.setVotingToken(1, token)).to.be.revertedWithCustomError(voting, "VotingAlreadyStarted");
+    });
+
+    it("Should fail trying to set the voting token without the admin role", async function () {
+      const { voting, voter1 } = await loadFixture(votingWithVotersFixture);
+
+      await expect(voting.connect(voter1).setVotingToken(DEFAULT_SESSION_ID, voter1)).to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should fail trying to set an address that is not a voting token", async function () {
+      const { voting, voter1 } = await loadFixture(votingWithVotersFixture);
+
+      await expect(voting.setVotingToken(DEFAULT_SESSION_ID, voter1)).to.be.reverted;
+      await expect(voting.setVotingToken(DEFAULT_SESSION_ID, voting)).to.be.reverted;
+    });
+  });
+
+  // *********** Thresholds *********** //
+  describe("setThresholds(uint32 sessionId, Thresholds thresholds)", function () {
+    const NoResultReason = { None: 0, QuorumNotReached: 1, WinnerShareNotReached: 2 };
+    const thresholds = (values) => ({ quorumVoters: 0, quorumBps: 0, winnerShareBps: 0, ...values });
+
+    // Trois votants inscrits, trois propositions, des conditions de validité fixées avant l'ouverture du vote
+    async function thresholdsFixture(values) {
+      const { voting, owner, voter1, voter2, voter3 } = await loadFixture(multipleProposalsFixture);
+      await voting.setThresholds(DEFAULT_SESSION_ID, thresholds(values));
+      await voting.startVotingSession(DEFAULT_SESSION_ID);
+      return { voting, owner, voter1, voter2, voter3 };
+    }
+
+    async function tallyWith(voting, votes) {
+      for (const [voter, proposalId] of votes) await voting.connect(voter).setVote(DEFAULT_SESSION_ID, proposalId);
+      await voting.endVotingSession(DEFAULT_SESSION_ID);
+      return voting.tallyVotes(DEFAULT_SESSION_ID);
+    }
+
+    it("Should count the registered voters and the votes cast of the session", async function () {
+      const { voting, voter1, voter2 } = await loadFixture(multipleProposalsFixture);
+      await voting.startVotingSession(DEFAULT_SESSION_ID);
+
+      let session = await voting.getSession(DEFAULT_SESSION_ID);
+      expect([session.registeredVoters, session.votesCast]).to.deep.equal([3n, 0n]);
+      await voting.connect(voter1).setVote(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL_ID);
+      // Les voix déléguées à un votant qui a déjà voté sont exprimées dès la délégation
+      await voting.connect(voter2).delegateVote(DEFAULT_SESSION_ID, voter1);
+
+      session = await voting.getSession(DEFAULT_SESSION_ID);
+      expect([session.registeredVoters, session.votesCast]).to.deep.equal([3n, 2n]);
+      expect(await voting.participations(DEFAULT_SESSION_ID)).to.deep.equal([3n, 2n, 2n]);
+    });
+
+    it("Should count the voters registered in a batch once", async function () {
+      const { voting, voter1, voter2, voter3 } = await loadFixture(deployVotingFixture);
+
+      await voting.addVoters(DEFAULT_SESSION_ID, [voter1, voter2]);
+      await voting.addVoters(DEFAULT_SESSION_ID, [voter2, voter3]);
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).registeredVoters).to.equal(3);
+    });
+
+    it("Should set the thresholds and emit ThresholdsSet", async function () {
+      const { voting } = await loadFixture(votingWithVotersFixture);
+      const values = thresholds({ quorumVoters: 2, quorumBps: 5000, winnerShareBps: 4000 });
+
+      await expect(voting.setThresholds(DEFAULT_SESSION_ID, values))
+        .to.emit(voting, "ThresholdsSet")
+        .withArgs(DEFAULT_SESSION_ID, [2, 5000, 4000]);
+      expect(await voting.thresholds(DEFAULT_SESSION_ID)).to.deep.equal([2n, 5000n, 4000n]);
+    });
+
+    it("Should end the session without result when too few voters voted", async function () {
+      const { voting, voter1 } = await thresholdsFixture({ quorumVoters: 2 });
+
+      await expect(tallyWith(voting, [[voter1, 1]]))
+        .to.emit(voting, "NoResult")
+        .withArgs(DEFAULT_SESSION_ID, NoResultReason.QuorumNotReached);
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).winningProposalId).to.equal(0);
+      expect(await voting.noResults(DEFAULT_SESSION_ID)).to.equal(NoResultReason.QuorumNotReached);
+      await expect(voting.getSessionWinner(DEFAULT_SESSION_ID)).to.be.revertedWithCustomError(voting, "NoWinner");
+    });
+
+    it("Should compare the quorum share with the registered voters", async function () {
+      const { voting, voter1, voter2 } = await thresholdsFixture({ quorumBps: 6000 });
+
+      // 2 votants sur 3 inscrits : 66,67 % >= 60 %
+      await expect(tallyWith(voting, [[voter1, 1], [voter2, 1]])).not.to.emit(voting, "NoResult");
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).winningProposalId).to.equal(1);
+      expect(await voting.noResults(DEFAULT_SESSION_ID)).to.equal(NoResultReason.None);
+    });
+
+    it("Should fail the quorum share just below the threshold", async function () {
+      const { voting, voter1, voter2 } = await thresholdsFixture({ quorumBps: 6667 });
+
+      await expect(tallyWith(voting, [[voter1, 1], [voter2, 1]]))
+        .to.emit(voting, "NoResult")
+        .withArgs(DEFAULT_SESSION_ID, NoResultReason.QuorumNotReached);
+    });
+
+    it("Should count the voters represented by a delegate in the quorum", async function () {
+      const { voting, voter1, voter2 } = await thresholdsFixture({ quorumVoters: 2 });
+
+      await voting.connect(voter2).delegateVote(DEFAULT_SESSION_ID, voter1);
+      await expect(tallyWith(voting, [[voter1, 1]])).not.to.emit(voting, "NoResult");
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).votesCast).to.equal(2);
+    });
+
+    it("Should end the session without result when the winner share is not reached", async function () {
+      const { voting, voter1, voter2, voter3 } = await thresholdsFixture({ winnerShareBps: 7000 });
+
+      // 2 voix sur 3 : 66,67 % < 70 %
+      await expect(tallyWith(voting, [[voter1, 1], [voter2, 2], [voter3, 1]]))
+        .to.emit(voting, "NoResult")
+        .withArgs(DEFAULT_SESSION_ID, NoResultReason.WinnerShareNotReached);
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).winningProposalId).to.equal(0);
+    });
+
+    it("Should not record a tie in a session without result", async function () {
+      const { voting, voter1, voter2 } = await thresholdsFixture({ winnerShareBps: 5001 });
+
+      await expect(tallyWith(voting, [[voter1, 1], [voter2, 2]])).not.to.emit(voting, "TieDetected");
+      const [isTie] = await voting.getTie(DEFAULT_SESSION_ID);
+      expect(isTie).to.equal(false);
+    });
+
+    it("Should keep the thresholds in the runoff of a tie", async function () {
+      const { voting, voter1, voter2 } = await loadFixture(multipleProposalsFixture);
+      await voting.setTiePolicy(DEFAULT_SESSION_ID, 1);
+      await voting.setThresholds(DEFAULT_SESSION_ID, thresholds({ quorumVoters: 2 }));
+      await voting.startVotingSession(DEFAULT_SESSION_ID);
+
+      await expect(tallyWith(voting, [[voter1, 1], [voter2, 2]]))
+        .to.emit(voting, "ThresholdsSet")
+        .withArgs(1, [2, 0, 0]);
+      expect(await voting.thresholds(1)).to.deep.equal([2n, 0n, 0n]);
+    });
+
+    it("Should fail trying to set a share above 100%", async function () {
+      const { voting } = await loadFixture(votingWithVotersFixture);
+
+      await expect(voting.setThresholds(DEFAULT_SESSION_ID, thresholds({ quorumBps: 10001 }))).to.be.revertedWithCustomError(voting, "InvalidThresholds");
+      await expect(voting.setThresholds(DEFAULT_SESSION_ID, thresholds({ winnerShareBps: 10001 }))).to.be.revertedWithCustomError(voting, "InvalidThresholds");
+    });
+
+    it("Should fail trying to set the thresholds once the vote has started", async function () {
+      const { voting } = await loadFixture(votingSessionStartedFixture);
+
+      await expect(voting.setThresholds(DEFAULT_SESSION_ID, thresholds({ quorumVoters: 1 }))).to.be.revertedWithCustomError(voting, "VotingAlreadyStarted");
+    });
+
+    it("Should fail trying to set the thresholds without the admin role", async function () {
+      const { voting, voter1 } = await loadFixture(votingWithVotersFixture);
+
+      await expect(voting.connect(voter1).setThresholds(DEFAULT_SESSION_ID, thresholds({ quorumVoters: 1 })))
+        .to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+// *********** LOAD TESTING *********** //
+  describe("Load Testing - DOS Prevention", function () {
+    // Augmenter le timeout pour les tests de charge
+    this.timeout(300000); // 5 minutes
+
+    const LARGE_DESCRIPTION = "ABC".repeat(332); // 996 caractères
+    const MAX_PROPOSALS_TEST = 999;
+
+    async function loadTestFixture() {
+      const { voting, owner, voter1, voter2, voter3 } = await loadFixture(deployVotingFixture);
+      
+      // Ajouter plusieurs votants pour répartir la charge
+      const voters = [voter1, voter2, voter3];
+      for (let i = 0; i < voters.length; i++) {
+        await voting.addVoter(DEFAULT_SESSION_ID, voters[i]);
+      }
+      
+      await voting.startProposalsRegistering(DEFAULT_SESSION_ID);
+      
+      return { voting, owner, voters };
+    }
+
+    it("Should fail trying to add a very large description", async function () {
+      const { voting, voter1 } = await loadFixture(proposalRegistrationStartedFixture);
+      await expect(voting.connect(voter1).addProposal(DEFAULT_SESSION_ID, LARGE_DESCRIPTION+"ZZZZ")).to.be.reverted;
+    });
+
+    describe("Large number of proposals", function () {
+      it("Should handle adding MAX proposals with large descriptions", async function () {
+        const { voting, voters } = await loadFixture(loadTestFixture);
+        
+        console.log("Starting to add MAX proposals...");
+        const startTime = Date.now();
+        
+        // Ajouter MAX propositions avec descriptions de 999 caractères
+        for (let i = 0; i < MAX_PROPOSALS_TEST; i++) {
+          const voterIndex = i % voters.length;
+          const description = `${LARGE_DESCRIPTION}${i}`;
+          
+          await voting.connect(voters[voterIndex]).addProposal(DEFAULT_SESSION_ID, description);
+          
+          // Log du progrès tous les 100 propositions
+          if ((i + 1) % 100 === 0) {
+            console.log(`  Added ${i + 1}/${MAX_PROPOSALS_TEST} proposals`);
+          }
+        }
+        
+        const endTime = Date.now();
+        console.log(`Completed adding ${MAX_PROPOSALS_TEST} proposals in ${endTime - startTime}ms`);
+        
+        // Vérifier qu'on a bien 999 propositions (GENESIS + 998)
+        const proposal = await voting.connect(voters[0])["getOneProposal(uint32,uint256)"](DEFAULT_SESSION_ID, MAX_PROPOSALS_TEST);
+        expect(proposal.description).to.include(`${LARGE_DESCRIPTION}${MAX_PROPOSALS_TEST - 1}`);
+      });
+
+      it("Should fail trying to add too many proposals", async function () {
+        const { voting, voter1 } = await loadFixture(proposalRegistrationStartedFixture);
+        const maxProposals = Number(await voting.MAX_PROPOSALS());
+        // Ajouter MAX propositions (GENESIS comprise), par lots envoyés avec multicall
+        for (let i = 1; i < maxProposals; i += 250) {
+          const calls = [];
+          for (let j = i; j < Math.min(i + 250, maxProposals); j++) {
+            calls.push(voting.interface.encodeFunctionData("addProposal", [DEFAULT_SESSION_ID, `desc${j}`]));
+          }
+          await voting.connect(voter1).multicall(calls);
+        }
+        expect((await voting.getSession(DEFAULT_SESSION_ID)).proposalsCount).to.equal(maxProposals);
+        await expect(voting.connect(voter1).addProposal(DEFAULT_SESSION_ID, "extra proposal")).to.be.revertedWith("Too many proposals");
+      });
+
+      it("Should keep the lower limit of proposals in approval and ranked sessions", async function () {
+        const { voting, voter1 } = await loadFixture(deployVotingFixture);
+        const maxProposals = Number(await voting.MAX_BALLOT_PROPOSALS());
+
+        for (const [name, method] of [["Approval", 1], ["InstantRunoff", 2]]) {
+          await voting["startNewVotingSession(string,uint8)"](name, method);
+          const sessionId = await voting.currentSessionId();
+          await voting.addVoter(sessionId, voter1);
+          await voting.startProposalsRegistering(sessionId);
+          for (let i = 1; i < maxProposals; i += 250) {
+            const calls = [];
+            for (let j = i; j < Math.min(i + 250, maxProposals); j++) {
+              calls.push(voting.interface.encodeFunctionData("addProposal", [sessionId, `desc${j}`]));
+            }
+            await voting.connect(voter1).multicall(calls);
+          }
+          expect((await voting.getSession(sessionId)).proposalsCount).to.equal(maxProposals);
+          await expect(voting.connect(voter1).addProposal(sessionId, "extra proposal")).to.be.revertedWith("Too many proposals");
+        }
+      });
+
+      it("Should tally MAX proposals for the cost of a few", async function () {
+        const { voting, voter1, voter2 } = await loadFixture(proposalRegistrationStartedFixture);
+        await voting.connect(voter1).multicall(
+          Array.from({ length: 500 }, (_, i) => voting.interface.encodeFunctionData("addProposal", [DEFAULT_SESSION_ID, `desc${i}`]))
+        );
+        await voting.endProposalsRegistering(DEFAULT_SESSION_ID);
+        await voting.startVotingSession(DEFAULT_SESSION_ID);
+        await voting.connect(voter1).setVote(DEFAULT_SESSION_ID, 500);
+        await voting.connect(voter2).setVote(DEFAULT_SESSION_ID, 3);
+        await voting.endVotingSession(DEFAULT_SESSION_ID);
+
+        // Même dépouillement que deux propositions à égalité : les propositions en tête sont suivies au fil des votes
+        const receipt = await (await voting.tallyVotes(DEFAULT_SESSION_ID)).wait();
+        expect(receipt.gasUsed).to.be.lessThan(150000n);
+        expect(await voting.getTie(DEFAULT_SESSION_ID)).to.deep.equal([true, [3n, 500n]]);
+        expect((await voting.getSession(DEFAULT_SESSION_ID)).winningProposalId).to.equal(3);
+      });
+
+    });
+
+  });
+
+  // *********** ALLOWLIST SELF-REGISTRATION *********** //
+  describe("registerWithProof(uint32 sessionId, bytes32[] proof)", function () {
+
+    async function allowlistFixture() {
+      const { voting, owner, voter1, voter2, voter3 } = await loadFixture(deployVotingFixture);
+      const allowlist = buildAllowlist([voter1.address, voter2.address]);
+
+      await voting.setVoterMerkleRoot(DEFAULT_SESSION_ID, allowlist.root);
+
+      return { voting, allowlist, owner, voter1, voter2, voter3 };
+    }
+
+    it("Should register a voter of the allowlist with a valid proof", async function () {
+      const { voting, allowlist, voter1 } = await loadFixture(allowlistFixture);
+
+      await expect(voting.connect(voter1).registerWithProof(DEFAULT_SESSION_ID, getProof(allowlist, voter1.address)))
+        .to.emit(voting, "VoterRegistered")
+        .withArgs(DEFAULT_SESSION_ID, voter1.address);
+      expect((await voting["getVoter(uint32,address)"](DEFAULT_SESSION_ID, voter1)).isRegistered).to.equal(true);
+    });
+
+    it("Should publish the root of a session", async function () {
+      const { voting, voter1 } = await loadFixture(deployVotingFixture);
+      const { root } = buildAllowlist([voter1.address]);
+
+      await expect(voting.setVoterMerkleRoot(DEFAULT_SESSION_ID, root))
+        .to.emit(voting, "VoterMerkleRootSet")
+        .withArgs(DEFAULT_SESSION_ID, root);
+      expect(await voting.voterMerkleRoots(DEFAULT_SESSION_ID)).to.equal(root);
+    });
+
+    it("Should fail with the proof of another voter", async function () {
+      const { voting, allowlist, voter1, voter3 } = await loadFixture(allowlistFixture);
+
+      await expect(voting.connect(voter3).registerWithProof(DEFAULT_SESSION_ID, getProof(allowlist, voter1.address)))
+        .to.be.revertedWithCustomError(voting, "InvalidMerkleProof");
+      await expect(voting.connect(voter3).registerWithProof(DEFAULT_SESSION_ID, []))
+        .to.be.revertedWithCustomError(voting, "InvalidMerkleProof");
+    });
+
+    it("Should fail replaying a proof that was already used", async function () {
+      const { voting, allowlist, voter1 } = await loadFixture(allowlistFixture);
+      const proof = getProof(allowlist, voter1.address);
+
+      await voting.connect(voter1).registerWithProof(DEFAULT_SESSION_ID, proof);
+      await expect(voting.connect(voter1).registerWithProof(DEFAULT_SESSION_ID, proof))
+        .to.be.revertedWithCustomError(voting, "AlreadyRegistered");
+    });
+
+    it("Should fail for a voter already registered by a registrar", async function () {
+      const { voting, allowlist, voter1 } = await loadFixture(allowlistFixture);
+
+      await voting.addVoter(DEFAULT_SESSION_ID, voter1);
+      await expect(voting.connect(voter1).registerWithProof(DEFAULT_SESSION_ID, getProof(allowlist, voter1.address)))
+        .to.be.revertedWithCustomError(voting, "AlreadyRegistered");
+    });
+
+    it("Should fail without a published root", async function () {
+      const { voting, voter1 } = await loadFixture(deployVotingFixture);
+      const allowlist = buildAllowlist([voter1.address]);
+
+      await expect(voting.connect(voter1).registerWithProof(DEFAULT_SESSION_ID, getProof(allowlist, voter1.address)))
+        .to.be.revertedWithCustomError(voting, "AllowlistNotSet");
+    });
+
+    it("Should reject the proofs of a replaced root", async function () {
+      const { voting, allowlist, voter1, voter3 } = await loadFixture(allowlistFixture);
+
+      await voting.setVoterMerkleRoot(DEFAULT_SESSION_ID, buildAllowlist([voter3.address]).root);
+      await expect(voting.connect(voter1).registerWithProof(DEFAULT_SESSION_ID, getProof(allowlist, voter1.address)))
+        .to.be.revertedWithCustomError(voting, "InvalidMerkleProof");
+    });
+
+    it("Should fail after the voters registration", async function () {
+      const { voting, allowlist, voter1 } = await loadFixture(allowlistFixture);
+
+      await voting.startProposalsRegistering(DEFAULT_SESSION_ID);
+      await expect(voting.setVoterMerkleRoot(DEFAULT_SESSION_ID, allowlist.root))
+        .to.be.revertedWithCustomError(voting, "VotersRegistrationClosed");
+      await expect(voting.connect(voter1).registerWithProof(DEFAULT_SESSION_ID, getProof(allowlist, voter1.address)))
+        .to.be.revertedWithCustomError(voting, "VotersRegistrationClosed");
+    });
+
+    it("Should fail publishing a root without the registrar role", async function () {
+      const { voting, allowlist, voter1 } = await loadFixture(allowlistFixture);
+
+      await expect(voting.connect(voter1).setVoterMerkleRoot(DEFAULT_SESSION_ID, allowlist.root))
+        .to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should isolate the allowlists and registrations between sessions", async function () {
+      const { voting, allowlist, voter1, voter2 } = await loadFixture(allowlistFixture);
+
+      await voting.connect(voter1).registerWithProof(DEFAULT_SESSION_ID, getProof(allowlist, voter1.address));
+      await voting.startNewVotingSession("Session 2");
+
+      // Ni l'enregistrement ni la liste de la session 1 ne valent pour la session 2
+      expect((await voting["getVoter(uint32,address)"](1, voter1)).isRegistered).to.equal(false);
+      expect(await voting.voterMerkleRoots(1)).to.equal(ethers.ZeroHash);
+      await expect(voting.connect(voter2).registerWithProof(1, getProof(allowlist, voter2.address)))
+        .to.be.revertedWithCustomError(voting, "AllowlistNotSet");
+
+      // La même liste peut être republiée : voter1 s'enregistre à nouveau dans la session 2
+      await voting.setVoterMerkleRoot(1, allowlist.root);
+      await voting.connect(voter1).registerWithProof(1, getProof(allowlist, voter1.address));
+      expect((await voting["getVoter(uint32,address)"](1, voter1)).isRegistered).to.equal(true);
+      expect((await voting["getVoter(uint32,address)"](0, voter2)).isRegistered).to.equal(false);
+      expect(await voting.voterMerkleRoots(0)).to.equal(allowlist.root);
+    });
+  });
+
+  // *********** SIGNED MESSAGES (EIP-712) *********** //
+  describe("setVoteBySig() and addProposalBySig()", function () {
+
+    async function sign(voting, signer, type, fields, { nonce, deadline, sessionId } = {}) {
+      const domain = getDomain({ chainId: 31337, verifyingContract: await voting.getAddress() });
+      return signMessage(signer, type, domain, {
+        sessionId: sessionId ?? Number(await voting.currentSessionId()),
+        ...fields,
+        nonce: nonce ?? Number(await voting.nonces(signer)),
+        deadline: deadline ?? (await time.latest()) + 3600,
+      });
+    }
+
+    function relayVote(voting, relayer, ballot) {
+      return voting.connect(relayer).setVoteBySig(DEFAULT_SESSION_ID, ballot.voter, ballot.proposalId, ballot.deadline, ballot.signature);
+    }
+
+    it("Should record a ballot signed by the voter and sent by anyone", async function () {
+      const { voting, owner, voter1 } = await loadFixture(votingSessionStartedFixture);
+      const ballot = await sign(voting, voter1, "Ballot", { proposalId: DEFAULT_PROPOSAL_ID });
+
+      await expect(relayVote(voting, owner, ballot))
+        .to.emit(voting, "Voted")
+        .withArgs(DEFAULT_SESSION_ID, voter1.address, DEFAULT_PROPOSAL_ID);
+      expect((await voting["getVoter(uint32,address)"](DEFAULT_SESSION_ID, voter1)).votedProposalId).to.equal(DEFAULT_PROPOSAL_ID);
+      expect(await voting.nonces(voter1)).to.equal(1);
+    });
+
+    it("Should register a proposal signed by the voter", async function () {
+      const { voting, owner, voter2 } = await loadFixture(proposalRegistrationStartedFixture);
+      const proposal = await sign(voting, voter2, "ProposalSubmission", { description: "Signed proposal" });
+
+      await expect(voting.connect(owner).addProposalBySig(DEFAULT_SESSION_ID, proposal.voter, proposal.description, proposal.deadline, proposal.signature))
+        .to.emit(voting, "ProposalRegistered")
+        .withArgs(DEFAULT_SESSION_ID, 1);
+      expect((await voting["getOneProposal(uint32,uint256)"](DEFAULT_SESSION_ID, 1)).description).to.equal("Signed proposal");
+    });
+
+    it("Should fail replaying a signed message", async function () {
+      const { voting, owner, voter2 } = await loadFixture(proposalRegistrationStartedFixture);
+      const proposal = await sign(voting, voter2, "ProposalSubmission", { description: "Signed proposal" });
+      const send = () => voting.connect(owner).addProposalBySig(DEFAULT_SESSION_ID, proposal.voter, proposal.description, proposal.deadline, proposal.signature);
+
+      await send();
+      await expect(send()).to.be.revertedWithCustomError(voting, "InvalidSignature");
+    });
+
+    it("Should fail with an expired signature", async function () {
+      const { voting, owner, voter1 } = await loadFixture(votingSessionStartedFixture);
+      const ballot = await sign(voting, voter1, "Ballot", { proposalId: DEFAULT_PROPOSAL_ID }, { deadline: (await time.latest()) + 60 });
+
+      await time.increase(61);
+      await expect(relayVote(voting, owner, ballot)).to.be.revertedWithCustomError(voting, "SignatureExpired");
+    });
+
+    it("Should fail when the message was altered or signed by someone else", async function () {
+      const { voting, owner, voter1, voter2 } = await loadFixture(votingSessionStartedFixture);
+      const ballot = await sign(voting, voter1, "Ballot", { proposalId: DEFAULT_PROPOSAL_ID });
+
+      await expect(relayVote(voting, owner, { ...ballot, proposalId: 0 })).to.be.revertedWithCustomError(voting, "InvalidSignature");
+      await expect(relayVote(voting, owner, { ...ballot, voter: voter2.address })).to.be.revertedWithCustomError(voting, "InvalidSignature");
+      await expect(relayVote(voting, owner, { ...ballot, deadline: ballot.deadline + 1 })).to.be.revertedWithCustomError(voting, "InvalidSignature");
+    });
+
+    it("Should fail with a message signed for another nonce or session", async function () {
+      const { voting, owner, voter1 } = await loadFixture(votingSessionStartedFixture);
+
+      const future = await sign(voting, voter1, "Ballot", { proposalId: DEFAULT_PROPOSAL_ID }, { nonce: 1 });
+      await expect(relayVote(voting, owner, future)).to.be.revertedWithCustomError(voting, "InvalidSignature");
+
+      const otherSession = await sign(voting, voter1, "Ballot", { proposalId: DEFAULT_PROPOSAL_ID }, { sessionId: 1 });
+      await expect(relayVote(voting, owner, otherSession)).to.be.revertedWithCustomError(voting, "InvalidSignature");
+    });
+
+    it("Should apply the same rules as a direct vote", async function () {
+      const { voting, owner, voter1 } = await loadFixture(votingSessionStartedFixture);
+      const [, , , , outsider] = await ethers.getSigners();
+
+      const unregistered = await sign(voting, outsider, "Ballot", { proposalId: DEFAULT_PROPOSAL_ID });
+      await expect(relayVote(voting, owner, unregistered)).to.be.revertedWithCustomError(voting, "NotVoter");
+
+      await voting.connect(voter1).setVote(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL_ID);
+      const again = await sign(voting, voter1, "Ballot", { proposalId: DEFAULT_PROPOSAL_ID });
+      await expect(relayVote(voting, owner, again)).to.be.revertedWithCustomError(voting, "AlreadyVoted");
+
+      const proposal = await sign(voting, voter1, "ProposalSubmission", { description: "Too late" });
+      await expect(voting.addProposalBySig(DEFAULT_SESSION_ID, proposal.voter, proposal.description, proposal.deadline, proposal.signature))
+        .to.be.revertedWithCustomError(voting, "ProposalsNotAllowed");
+    });
+
+    it("Should record a batch of ballots in one transaction with multicall", async function () {
+      const { voting, owner, voter1, voter2, voter3 } = await loadFixture(votingSessionStartedFixture);
+      const ballots = [
+        await sign(voting, voter1, "Ballot", { proposalId: 1 }),
+        await sign(voting, voter2, "Ballot", { proposalId: 1 }),
+        await sign(voting, voter3, "Ballot", { proposalId: 0 }),
+      ];
+      const calls = ballots.map((b) => voting.interface.encodeFunctionData("setVoteBySig", [DEFAULT_SESSION_ID, b.voter, b.proposalId, b.deadline, b.signature]));
+
+      await voting.connect(owner).multicall(calls);
+
+      expect((await voting["getOneProposal(uint32,uint256)"](DEFAULT_SESSION_ID, 1)).voteCount).to.equal(2);
+      expect((await voting["getVoter(uint32,address)"](DEFAULT_SESSION_ID, voter3)).hasVoted).to.equal(true);
+    });
+  });
+
+  // *********** DELEGATION *********** //
+  describe("delegateVote(uint32 sessionId, address delegate)", function () {
+
+    it("Should delegate the vote and count it in the tally", async function () {
+      const { voting, voter1, voter2 } = await loadFixture(votingSessionStartedFixture);
+
+      await expect(voting.connect(voter1).delegateVote(DEFAULT_SESSION_ID, voter2))
+        .to.emit(voting, "VoteDelegated")
+        .withArgs(DEFAULT_SESSION_ID, voter1.address, voter2.address, 1);
+      const delegator = await voting["getVoter(uint32,address)"](DEFAULT_SESSION_ID, voter1);
+      expect([delegator.hasVoted, delegator.delegate]).to.deep.equal([true, voter2.address]);
+      expect((await voting["getVoter(uint32,address)"](DEFAULT_SESSION_ID, voter2)).delegatedWeight).to.equal(1);
+
+      await voting.connect(voter2).setVote(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL_ID);
+      await voting.endVotingSession(DEFAULT_SESSION_ID);
+      await voting.tallyVotes(DEFAULT_SESSION_ID);
+      expect((await voting["getOneProposal(uint32,uint256)"](DEFAULT_SESSION_ID, DEFAULT_PROPOSAL_ID)).voteCount).to.equal(2);
+    });
+
+    it("Should follow delegation chains and pass on the received votes", async function () {
+      const { voting, voter1, voter2, voter3 } = await loadFixture(votingWithVotersFixture);
+      const [, , , , voter4] = await ethers.getSigners();
+      await voting.addVoter(DEFAULT_SESSION_ID, voter4);
+
+      // voter1 -> voter2 puis voter2 -> voter3 : voter2 transmet aussi la voix de voter1
+      await voting.connect(voter1).delegateVote(DEFAULT_SESSION_ID, voter2);
+      await expect(voting.connect(voter2).delegateVote(DEFAULT_SESSION_ID, voter3))
+        .to.emit(voting, "VoteDelegated")
+        .withArgs(DEFAULT_SESSION_ID, voter2.address, voter3.address, 2);
+      // voter4 -> voter1 est suivi jusqu'à voter3
+      await expect(voting.connect(voter4).delegateVote(DEFAULT_SESSION_ID, voter1))
+        .to.emit(voting, "VoteDelegated")
+        .withArgs(DEFAULT_SESSION_ID, voter4.address, voter3.address, 1);
+
+      await voting.startProposalsRegistering(DEFAULT_SESSION_ID);
+      await voting.connect(voter3).addProposal(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL);
+      await voting.endProposalsRegistering(DEFAULT_SESSION_ID);
+      await voting.startVotingSession(DEFAULT_SESSION_ID);
+      await voting.connect(voter3).setVote(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL_ID);
+
+      expect((await voting["getOneProposal(uint32,uint256)"](DEFAULT_SESSION_ID, DEFAULT_PROPOSAL_ID)).voteCount).to.equal(4);
+    });
+
+    it("Should add the delegated votes to the proposal of a delegate that already voted", async function () {
+      const { voting, voter1, voter2 } = await loadFixture(votingSessionStartedFixture);
+
+      await voting.connect(voter2).setVote(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL_ID);
+      await voting.connect(voter1).delegateVote(DEFAULT_SESSION_ID, voter2);
+
+      expect((await voting["getOneProposal(uint32,uint256)"](DEFAULT_SESSION_ID, DEFAULT_PROPOSAL_ID)).voteCount).to.equal(2);
+      expect((await voting["getVoter(uint32,address)"](DEFAULT_SESSION_ID, voter2)).delegatedWeight).to.equal(0);
+    });
+
+    it("Should reject delegation loops and self delegation", async function () {
+      const { voting, voter1, voter2, voter3 } = await loadFixture(votingSessionStartedFixture);
+
+      await expect(voting.connect(voter1).delegateVote(DEFAULT_SESSION_ID, voter1)).to.be.revertedWithCustomError(voting, "SelfDelegation");
+      await voting.connect(voter1).delegateVote(DEFAULT_SESSION_ID, voter2);
+      await voting.connect(voter2).delegateVote(DEFAULT_SESSION_ID, voter3);
+      await expect(voting.connect(voter3).delegateVote(DEFAULT_SESSION_ID, voter1)).to.be.revertedWithCustomError(voting, "DelegationLoop");
+    });
+
+    it("Should fail to delegate to or from a non voter, or once voted", async function () {
+      const { voting, voter1, voter2, voter3 } = await loadFixture(votingSessionStartedFixture);
+      const [, , , , outsider] = await ethers.getSigners();
+
+      await expect(voting.connect(voter1).delegateVote(DEFAULT_SESSION_ID, outsider)).to.be.revertedWithCustomError(voting, "NotVoter");
+      await expect(voting.connect(outsider).delegateVote(DEFAULT_SESSION_ID, voter1)).to.be.revertedWithCustomError(voting, "NotVoter");
+
+      await voting.connect(voter1).setVote(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL_ID);
+      await expect(voting.connect(voter1).delegateVote(DEFAULT_SESSION_ID, voter2)).to.be.revertedWithCustomError(voting, "AlreadyVoted");
+
+      await voting.connect(voter2).delegateVote(DEFAULT_SESSION_ID, voter3);
+      await expect(voting.connect(voter2).setVote(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL_ID)).to.be.revertedWithCustomError(voting, "AlreadyVoted");
+      await expect(voting.connect(voter2).delegateVote(DEFAULT_SESSION_ID, voter1)).to.be.revertedWithCustomError(voting, "AlreadyVoted");
+    });
+
+    it("Should fail to delegate after the voting session", async function () {
+      const { voting, voter2, voter3 } = await loadFixture(votingSessionEndedFixture);
+
+      await expect(voting.connect(voter2).delegateVote(DEFAULT_SESSION_ID, voter3)).to.be.revertedWithCustomError(voting, "DelegationClosed");
+    });
+
+    it("Should count the delegated votes of a secret ballot when it is revealed", async function () {
+      const { voting, voter1, voter2, voter3 } = await loadFixture(multipleProposalsFixture);
+      await voting.setCommitReveal(DEFAULT_SESSION_ID, true);
+      await voting.startVotingSession(DEFAULT_SESSION_ID);
+      const salt = generateSalt();
+
+      await voting.connect(voter2).commitVote(DEFAULT_SESSION_ID, computeCommitment({ voter: voter2.address, sessionId: DEFAULT_SESSION_ID, proposalId: 3, salt }));
+      await voting.connect(voter1).delegateVote(DEFAULT_SESSION_ID, voter2);
+      await voting.connect(voter3).delegateVote(DEFAULT_SESSION_ID, voter2);
+      await expect(voting.connect(voter1).commitVote(DEFAULT_SESSION_ID, ethers.id("vote"))).to.be.revertedWithCustomError(voting, "AlreadyVoted");
+      expect((await voting["getOneProposal(uint32,uint256)"](DEFAULT_SESSION_ID, 3)).voteCount).to.equal(0);
+
+      await voting.startVotesRevealing(DEFAULT_SESSION_ID);
+      await expect(voting.connect(voter1).delegateVote(DEFAULT_SESSION_ID, voter3)).to.be.revertedWithCustomError(voting, "DelegationClosed");
+      await voting.connect(voter2).revealVote(DEFAULT_SESSION_ID, 3, salt);
+      expect((await voting["getOneProposal(uint32,uint256)"](DEFAULT_SESSION_ID, 3)).voteCount).to.equal(3);
+    });
+  });
+
+  // *********** SECRET BALLOTS (COMMIT-REVEAL) *********** //
+  describe("commitVote() and revealVote()", function () {
+
+    async function secretVotingFixture() {
+      const { voting, owner, voter1, voter2, voter3 } = await loadFixture(multipleProposalsFixture);
+
+      await voting.setCommitReveal(DEFAULT_SESSION_ID, true);
+      await voting.startVotingSession(DEFAULT_SESSION_ID);
+
+      return { voting, owner, voter1, voter2, voter3 };
+    }
+
+    function ballot(voter, proposalId) {
+      const salt = generateSalt();
+      return { proposalId, salt, commitment: computeCommitment({ voter: voter.address, sessionId: DEFAULT_SESSION_ID, proposalId, salt }) };
+    }
+
+    async function commitAll(voting, votes) {
+      const ballots = [];
+      for (const [voter, proposalId] of votes) {
+        const b = ballot(voter, proposalId);
+        await voting.connect(voter).commitVote(DEFAULT_SESSION_ID, b.commitment);
+        ballots.push(b);
+      }
+      return ballots;
+    }
+
+    it("Should switch the session to secret ballots until the vote starts (admin only)", async function () {
+      const { voting, voter1 } = await loadFixture(multipleProposalsFixture);
+
+      await expect(voting.setCommitReveal(DEFAULT_SESSION_ID, true))
+        .to.emit(voting, "CommitRevealSet")
+        .withArgs(DEFAULT_SESSION_ID, true);
+      expect(await voting.commitRevealSessions(DEFAULT_SESSION_ID)).to.equal(true);
+      await expect(voting.connect(voter1).setCommitReveal(DEFAULT_SESSION_ID, false))
+        .to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount");
+
+      await voting.startVotingSession(DEFAULT_SESSION_ID);
+      await expect(voting.setCommitReveal(DEFAULT_SESSION_ID, false)).to.be.revertedWithCustomError(voting, "VotingAlreadyStarted");
+    });
+
+    it("Should compute the same commitment as the JS helper", async function () {
+      const { voting, voter1 } = await loadFixture(secretVotingFixture);
+      const { salt, commitment } = ballot(voter1, 2);
+
+      expect(await voting.computeCommitment(voter1, DEFAULT_SESSION_ID, 2, salt)).to.equal(commitment);
+    });
+
+    it("Should keep a committed vote secret until it is revealed", async function () {
+      const { voting, voter1 } = await loadFixture(secretVotingFixture);
+      const { commitment } = ballot(voter1, 2);
+
+      await expect(voting.connect(voter1).commitVote(DEFAULT_SESSION_ID, commitment))
+        .to.emit(voting, "VoteCommitted")
+        .withArgs(DEFAULT_SESSION_ID, voter1.address, commitment)
+        .and.not.to.emit(voting, "Voted");
+      expect(await voting.voteCommitments(DEFAULT_SESSION_ID, voter1)).to.equal(commitment);
+      expect((await voting["getVoter(uint32,address)"](DEFAULT_SESSION_ID, voter1)).hasVoted).to.equal(false);
+      expect((await voting["getOneProposal(uint32,uint256)"](DEFAULT_SESSION_ID, 2)).voteCount).to.equal(0);
+    });
+
+    it("Should go through the reveal phase before ending the vote", async function () {
+      const { voting } = await loadFixture(secretVotingFixture);
+
+      await expect(voting.endVotingSession(DEFAULT_SESSION_ID)).to.be.revertedWithCustomError(voting, "RevealNotStarted");
+      await expect(voting.startVotesRevealing(DEFAULT_SESSION_ID))
+        .to.emit(voting, "WorkflowStatusChange")
+        .withArgs(DEFAULT_SESSION_ID, WorkflowStatus.VotingSessionStarted, WorkflowStatus.RevealingVotes);
+      await expect(voting.tallyVotes(DEFAULT_SESSION_ID)).to.be.revertedWithCustomError(voting, "VotingSessionNotEnded");
+      await expect(voting.endVotingSession(DEFAULT_SESSION_ID))
+        .to.emit(voting, "WorkflowStatusChange")
+        .withArgs(DEFAULT_SESSION_ID, WorkflowStatus.RevealingVotes, WorkflowStatus.VotingSessionEnded);
+    });
+
+    it("Should count the revealed votes and ignore the unrevealed ones", async function () {
+      const { voting, voter1, voter2, voter3 } = await loadFixture(secretVotingFixture);
+      const [b1, b2] = await commitAll(voting, [[voter1, 2], [voter2, 3], [voter3, 3]]);
+
+      await voting.startVotesRevealing(DEFAULT_SESSION_ID);
+      await expect(voting.connect(voter1).revealVote(DEFAULT_SESSION_ID, b1.proposalId, b1.salt))
+        .to.emit(voting, "Voted")
+        .withArgs(DEFAULT_SESSION_ID, voter1.address, 2);
+      await voting.connect(voter2).revealVote(DEFAULT_SESSION_ID, b2.proposalId, b2.salt);
+      await voting.endVotingSession(DEFAULT_SESSION_ID);
+      await voting.tallyVotes(DEFAULT_SESSION_ID);
+
+      expect((await voting["getOneProposal(uint32,uint256)"](DEFAULT_SESSION_ID, 2)).voteCount).to.equal(1);
+      expect((await voting["getOneProposal(uint32,uint256)"](DEFAULT_SESSION_ID, 3)).voteCount).to.equal(1);
+      expect((await voting["getVoter(uint32,address)"](DEFAULT_SESSION_ID, voter3)).hasVoted).to.equal(false);
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).winningProposalId).to.equal(2);
+    });
+
+    it("Should refuse public votes in a secret session and commits in a public one", async function () {
+      const { voting, voter1 } = await loadFixture(secretVotingFixture);
+      await expect(voting.connect(voter1).setVote(DEFAULT_SESSION_ID, 1)).to.be.revertedWithCustomError(voting, "CommitRevealRequired");
+
+      const { voting: publicVoting, voter1: publicVoter } = await loadFixture(votingSessionStartedFixture);
+      await expect(publicVoting.connect(publicVoter).commitVote(DEFAULT_SESSION_ID, ballot(publicVoter, 1).commitment))
+        .to.be.revertedWithCustomError(publicVoting, "CommitRevealDisabled");
+      await expect(publicVoting.startVotesRevealing(DEFAULT_SESSION_ID)).to.be.revertedWithCustomError(publicVoting, "CommitRevealDisabled");
+    });
+
+    it("Should fail to commit twice, an empty commitment or outside the vote", async function () {
+      const { voting, voter1, voter2 } = await loadFixture(secretVotingFixture);
+      const [, , , , outsider] = await ethers.getSigners();
+
+      await voting.connect(voter1).commitVote(DEFAULT_SESSION_ID, ballot(voter1, 1).commitment);
+      await expect(voting.connect(voter1).commitVote(DEFAULT_SESSION_ID, ballot(voter1, 2).commitment)).to.be.revertedWithCustomError(voting, "AlreadyVoted");
+      await expect(voting.connect(voter2).commitVote(DEFAULT_SESSION_ID, ethers.ZeroHash)).to.be.revertedWithCustomError(voting, "InvalidCommitment");
+      await expect(voting.connect(outsider).commitVote(DEFAULT_SESSION_ID, ballot(outsider, 1).commitment)).to.be.revertedWithCustomError(voting, "NotVoter");
+
+      await voting.startVotesRevealing(DEFAULT_SESSION_ID);
+      await expect(voting.connect(voter2).commitVote(DEFAULT_SESSION_ID, ballot(voter2, 1).commitment)).to.be.revertedWithCustomError(voting, "VotingNotStarted");
+    });
+
+    it("Should fail to reveal a vote that does not match its commitment", async function () {
+      const { voting, voter1, voter2, voter3 } = await loadFixture(secretVotingFixture);
+      const [b1] = await commitAll(voting, [[voter1, 2]]);
+      // Recopier l'empreinte d'un autre votant ne permet pas de révéler son vote
+      await voting.connect(voter2).commitVote(DEFAULT_SESSION_ID, b1.commitment);
+
+      await expect(voting.connect(voter1).revealVote(DEFAULT_SESSION_ID, b1.proposalId, b1.salt)).to.be.revertedWithCustomError(voting, "RevealNotStarted");
+      await voting.startVotesRevealing(DEFAULT_SESSION_ID);
+
+      await expect(voting.connect(voter3).revealVote(DEFAULT_SESSION_ID, b1.proposalId, b1.salt)).to.be.revertedWithCustomError(voting, "NoCommitment");
+      await expect(voting.connect(voter1).revealVote(DEFAULT_SESSION_ID, 3, b1.salt)).to.be.revertedWithCustomError(voting, "InvalidReveal");
+      await expect(voting.connect(voter1).revealVote(DEFAULT_SESSION_ID, b1.proposalId, generateSalt())).to.be.revertedWithCustomError(voting, "InvalidReveal");
+      await expect(voting.connect(voter2).revealVote(DEFAULT_SESSION_ID, b1.proposalId, b1.salt)).to.be.revertedWithCustomError(voting, "InvalidReveal");
+
+      await voting.connect(voter1).revealVote(DEFAULT_SESSION_ID, b1.proposalId, b1.salt);
+      await expect(voting.connect(voter1).revealVote(DEFAULT_SESSION_ID, b1.proposalId, b1.salt)).to.be.revertedWithCustomError(voting, "AlreadyVoted");
+    });
+
+    it("Should never count a commitment to a proposal that does not exist", async function () {
+      const { voting, voter1 } = await loadFixture(secretVotingFixture);
+      const [b1] = await commitAll(voting, [[voter1, 42]]);
+
+      await voting.startVotesRevealing(DEFAULT_SESSION_ID);
+      await expect(voting.connect(voter1).revealVote(DEFAULT_SESSION_ID, b1.proposalId, b1.salt)).to.be.revertedWithCustomError(voting, "ProposalNotFound");
+    });
+
+    it("Should start the next session with public ballots", async function () {
+      const { voting } = await loadFixture(secretVotingFixture);
+
+      await voting.startVotesRevealing(DEFAULT_SESSION_ID);
+      await voting.endVotingSession(DEFAULT_SESSION_ID);
+      await voting.tallyVotes(DEFAULT_SESSION_ID);
+      await voting.startNewVotingSession("");
+
+      expect(await voting.commitRevealSessions(1)).to.equal(false);
+    });
+  });
+
+  // *********** SCHEDULE *********** //
+  describe("setSchedule() and deadlines", function () {
+
+    async function scheduledFixture() {
+      const { voting, owner, voter1, voter2, voter3 } = await loadFixture(votingWithVotersFixture);
+      const now = await time.latest();
+      const schedule = { proposalsStart: now + 100, proposalsEnd: now + 200, votingStart: now + 300, votingEnd: now + 400, revealEnd: 0 };
+
+      await voting.setSchedule(DEFAULT_SESSION_ID, schedule);
+
+      return { voting, schedule, owner, voter1, voter2, voter3 };
+    }
+
+    // Fait passer la session à la phase de vote, aux dates du calendrier
+    async function openVoting(voting, schedule, voter) {
+      await time.increaseTo(schedule.proposalsStart);
+      await voting.connect(voter).startProposalsRegistering(DEFAULT_SESSION_ID);
+      await voting.connect(voter).addProposal(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL);
+      await time.increaseTo(schedule.proposalsEnd);
+      await voting.connect(voter).endProposalsRegistering(DEFAULT_SESSION_ID);
+      await time.increaseTo(schedule.votingStart);
+      await voting.connect(voter).startVotingSession(DEFAULT_SESSION_ID);
+    }
+
+    it("Should set the schedule of a session (admin only)", async function () {
+      const { voting, schedule, voter1 } = await loadFixture(scheduledFixture);
+
+      expect(await voting.schedules(DEFAULT_SESSION_ID)).to.deep.equal(Object.values(schedule).map(BigInt));
+      await expect(voting.setSchedule(DEFAULT_SESSION_ID, schedule))
+        .to.emit(voting, "ScheduleSet")
+        .withArgs(DEFAULT_SESSION_ID, Object.values(schedule));
+      await expect(voting.connect(voter1).setSchedule(DEFAULT_SESSION_ID, schedule)).to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should refuse phases that do not follow each other", async function () {
+      const { voting, schedule } = await loadFixture(scheduledFixture);
+      const invalid = [
+        { ...schedule, proposalsStart: 0 },
+        { ...schedule, proposalsEnd: schedule.proposalsStart },
+        { ...schedule, votingStart: schedule.proposalsEnd - 1 },
+        { ...schedule, votingEnd: schedule.votingStart },
+        { ...schedule, revealEnd: schedule.votingEnd },
+      ];
+
+      for (const candidate of invalid) {
+        await expect(voting.setSchedule(DEFAULT_SESSION_ID, candidate)).to.be.revertedWithCustomError(voting, "InvalidSchedule");
+      }
+      await voting.setSchedule(DEFAULT_SESSION_ID, { ...schedule, proposalsEnd: schedule.votingStart, revealEnd: schedule.votingEnd + 1 });
+    });
+
+    it("Should remove the schedule and give the transitions back to the operators", async function () {
+      const { voting, voter1 } = await loadFixture(scheduledFixture);
+
+      await voting.setSchedule(DEFAULT_SESSION_ID, { proposalsStart: 0, proposalsEnd: 0, votingStart: 0, votingEnd: 0, revealEnd: 0 });
+      await expect(voting.connect(voter1).startProposalsRegistering(DEFAULT_SESSION_ID)).to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount");
+      await voting.startProposalsRegistering(DEFAULT_SESSION_ID);
+    });
+
+    it("Should refuse to change the schedule once voters registration is over", async function () {
+      const { voting, schedule } = await loadFixture(scheduledFixture);
+
+      await time.increaseTo(schedule.proposalsStart);
+      await expect(voting.setSchedule(DEFAULT_SESSION_ID, schedule)).to.be.revertedWithCustomError(voting, "PhaseExpired");
+      await voting.startProposalsRegistering(DEFAULT_SESSION_ID);
+      await expect(voting.setSchedule(DEFAULT_SESSION_ID, schedule)).to.be.revertedWithCustomError(voting, "VotersRegistrationClosed");
+    });
+
+    it("Should refuse a transition before its date, even from an operator", async function () {
+      const { voting, schedule } = await loadFixture(scheduledFixture);
+
+      await time.setNextBlockTimestamp(schedule.proposalsStart - 1);
+      await expect(voting.startProposalsRegistering(DEFAULT_SESSION_ID))
+        .to.be.revertedWithCustomError(voting, "TransitionNotDue")
+        .withArgs(schedule.proposalsStart);
+    });
+
+    it("Should let anyone advance an expired phase from its date", async function () {
+      const { voting, schedule } = await loadFixture(scheduledFixture);
+      const [, , , , anyone] = await ethers.getSigners();
+
+      await time.setNextBlockTimestamp(schedule.proposalsStart);
+      await expect(voting.connect(anyone).startProposalsRegistering(DEFAULT_SESSION_ID))
+        .to.emit(voting, "WorkflowStatusChange")
+        .withArgs(DEFAULT_SESSION_ID, WorkflowStatus.RegisteringVoters, WorkflowStatus.ProposalsRegistrationStarted);
+    });
+
+    it("Should close voters registration when the proposals open", async function () {
+      const { voting, schedule } = await loadFixture(scheduledFixture);
+      const [, , , , voter4, voter5] = await ethers.getSigners();
+
+      await time.setNextBlockTimestamp(schedule.proposalsStart - 1);
+      await voting.addVoter(DEFAULT_SESSION_ID, voter4);
+      await expect(voting.addVoter(DEFAULT_SESSION_ID, voter5)).to.be.revertedWithCustomError(voting, "PhaseExpired");
+      await expect(voting.addVoters(DEFAULT_SESSION_ID, [voter5])).to.be.revertedWithCustomError(voting, "PhaseExpired");
+    });
+
+    it("Should refuse proposals and votes after their deadline", async function () {
+      const { voting, schedule, voter1, voter2 } = await loadFixture(scheduledFixture);
+
+      await time.increaseTo(schedule.proposalsStart);
+      await voting.startProposalsRegistering(DEFAULT_SESSION_ID);
+      await time.setNextBlockTimestamp(schedule.proposalsEnd - 1);
+      await voting.connect(voter1).addProposal(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL);
+      await expect(voting.connect(voter2).addProposal(DEFAULT_SESSION_ID, "Too late")).to.be.revertedWithCustomError(voting, "PhaseExpired");
+
+      await voting.connect(voter1).endProposalsRegistering(DEFAULT_SESSION_ID);
+      await time.increaseTo(schedule.votingStart);
+      await voting.connect(voter1).startVotingSession(DEFAULT_SESSION_ID);
+      await time.setNextBlockTimestamp(schedule.votingEnd - 1);
+      await voting.connect(voter1).setVote(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL_ID);
+      await expect(voting.connect(voter2).setVote(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL_ID)).to.be.revertedWithCustomError(voting, "PhaseExpired");
+      await expect(voting.connect(voter2).delegateVote(DEFAULT_SESSION_ID, voter1)).to.be.revertedWithCustomError(voting, "PhaseExpired");
+    });
+
+    it("Should let anyone end the vote and tally it after the voting deadline", async function () {
+      const { voting, schedule, voter1, voter2 } = await loadFixture(scheduledFixture);
+      await openVoting(voting, schedule, voter1);
+      await voting.connect(voter1).setVote(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL_ID);
+
+      await expect(voting.connect(voter2).endVotingSession(DEFAULT_SESSION_ID)).to.be.revertedWithCustomError(voting, "TransitionNotDue");
+      await time.increaseTo(schedule.votingEnd);
+      await voting.connect(voter2).endVotingSession(DEFAULT_SESSION_ID);
+      await voting.connect(voter2).tallyVotes(DEFAULT_SESSION_ID);
+
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).winningProposalId).to.equal(DEFAULT_PROPOSAL_ID);
+    });
+
+    it("Should close the reveal of a secret ballot at its deadline", async function () {
+      const { voting, voter1, voter2 } = await loadFixture(votingWithVotersFixture);
+      const now = await time.latest();
+      const schedule = { proposalsStart: now + 100, proposalsEnd: now + 200, votingStart: now + 300, votingEnd: now + 400, revealEnd: now + 500 };
+      await voting.setSchedule(DEFAULT_SESSION_ID, schedule);
+      await voting.setCommitReveal(DEFAULT_SESSION_ID, true);
+      await openVoting(voting, schedule, voter1);
+      const salts = [generateSalt(), generateSalt()];
+      for (const [i, voter] of [voter1, voter2].entries()) {
+        await voting.connect(voter).commitVote(DEFAULT_SESSION_ID, computeCommitment({ voter: voter.address, sessionId: DEFAULT_SESSION_ID, proposalId: 1, salt: salts[i] }));
+      }
+
+      await time.increaseTo(schedule.votingEnd);
+      await voting.connect(voter2).startVotesRevealing(DEFAULT_SESSION_ID);
+      await time.setNextBlockTimestamp(schedule.revealEnd - 1);
+      await voting.connect(voter1).revealVote(DEFAULT_SESSION_ID, 1, salts[0]);
+      await expect(voting.connect(voter2).revealVote(DEFAULT_SESSION_ID, 1, salts[1])).to.be.revertedWithCustomError(voting, "PhaseExpired");
+      await voting.connect(voter2).endVotingSession(DEFAULT_SESSION_ID);
+
+      expect((await voting["getOneProposal(uint32,uint256)"](DEFAULT_SESSION_ID, 1)).voteCount).to.equal(1);
+    });
+
+    it("Should leave the end of the reveal to the operators without a reveal deadline", async function () {
+      const { voting, schedule, voter1 } = await loadFixture(scheduledFixture);
+      await voting.setCommitReveal(DEFAULT_SESSION_ID, true);
+      await openVoting(voting, schedule, voter1);
+
+      await time.increaseTo(schedule.votingEnd);
+      await voting.connect(voter1).startVotesRevealing(DEFAULT_SESSION_ID);
+      await expect(voting.connect(voter1).endVotingSession(DEFAULT_SESSION_ID)).to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount");
+      await voting.endVotingSession(DEFAULT_SESSION_ID);
+      await voting.connect(voter1).tallyVotes(DEFAULT_SESSION_ID);
+    });
+  });
+
+  // *********** ROLES *********** //
+  describe("Roles", function () {
+    // Chaque rôle est tenu par un compte distinct : l'administrateur renonce aux rôles d'enregistreur et d'opérateur
+    async function separateRolesFixture() {
+      const [admin, registrar, operator, outsider] = await ethers.getSigners();
+      const voting = await deployVoting(hre);
+
+      await voting.grantRole(ROLES.registrar, registrar);
+      await voting.grantRole(ROLES.operator, operator);
+      await voting.renounceRole(ROLES.registrar, admin);
+      await voting.renounceRole(ROLES.operator, admin);
+
+      return { voting, admin, registrar, operator, outsider };
+    }
+
+    // Fait avancer la première session avec le compte opérateur, jusqu'au dépouillement compris si steps vaut 5
+    async function advance({ voting, registrar, operator, outsider }, steps) {
+      if (steps > 0) {
+        await voting.connect(registrar).addVoter(DEFAULT_SESSION_ID, outsider);
+        await voting.connect(operator).startProposalsRegistering(DEFAULT_SESSION_ID);
+      }
+      if (steps > 1) {
+        await voting.connect(outsider).addProposal(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL);
+        await voting.connect(operator).endProposalsRegistering(DEFAULT_SESSION_ID);
+      }
+      if (steps > 2) await voting.connect(operator).startVotingSession(DEFAULT_SESSION_ID);
+      if (steps > 3) await voting.connect(operator).endVotingSession(DEFAULT_SESSION_ID);
+      if (steps > 4) await voting.connect(operator).tallyVotes(DEFAULT_SESSION_ID);
+    }
+
+    // Fonctions d'administration, le rôle qu'elles exigent, les étapes du workflow à franchir avant l'appel et, au
+    // besoin, la préparation de l'appel
+    const PERMISSIONS = [
+      { name: "addVoter", role: "registrar", call: (voting, { outsider }) => voting.addVoter(DEFAULT_SESSION_ID, outsider) },
+      { name: "addVoters", role: "registrar", call: (voting, { outsider }) => voting.addVoters(DEFAULT_SESSION_ID, [outsider]) },
+      {
+        name: "removeVoter",
+        role: "registrar",
+        setup: ({ voting, registrar, outsider }) => voting.connect(registrar).addVoter(DEFAULT_SESSION_ID, outsider),
+        call: (voting, { outsider }) => voting.removeVoter(DEFAULT_SESSION_ID, outsider),
+      },
+      { name: "setVoterMerkleRoot", role: "registrar", call: (voting) => voting.setVoterMerkleRoot(DEFAULT_SESSION_ID, ethers.ZeroHash) },
+      { name: "setSchedule", role: "admin", call: (voting) => voting.setSchedule(DEFAULT_SESSION_ID, [0, 0, 0, 0, 0]) },
+      { name: "setThresholds", role: "admin", call: (voting) => voting.setThresholds(DEFAULT_SESSION_ID, [1, 0, 0]) },
+      { name: "setTiePolicy", role: "admin", call: (voting) => voting.setTiePolicy(DEFAULT_SESSION_ID, 1) },
+      { name: "setCommitReveal", role: "admin", call: (voting) => voting.setCommitReveal(DEFAULT_SESSION_ID, true) },
+      { name: "setVotingToken", role: "admin", call: (voting) => voting.setVotingToken(DEFAULT_SESSION_ID, ethers.ZeroAddress) },
+      { name: "startProposalsRegistering", role: "operator", call: (voting) => voting.startProposalsRegistering(DEFAULT_SESSION_ID) },
+      { name: "endProposalsRegistering", role: "operator", steps: 1, call: (voting) => voting.endProposalsRegistering(DEFAULT_SESSION_ID) },
+      { name: "startVotingSession", role: "operator", steps: 2, call: (voting) => voting.startVotingSession(DEFAULT_SESSION_ID) },
+      { name: "endVotingSession", role: "operator", steps: 3, call: (voting) => voting.endVotingSession(DEFAULT_SESSION_ID) },
+      { name: "tallyVotes", role: "operator", steps: 4, call: (voting) => voting.tallyVotes(DEFAULT_SESSION_ID) },
+      { name: "startNewVotingSession", role: "admin", call: (voting) => voting["startNewVotingSession(string)"]("Next") },
+      { name: "setSessionAdmin", role: "admin", call: (voting, { outsider }) => voting.setSessionAdmin(DEFAULT_SESSION_ID, outsider) },
+      { name: "pause", role: "admin", call: (voting) => voting.pause() },
+      { name: "unpause", role: "admin", setup: ({ voting }) => voting.pause(), call: (voting) => voting.unpause() },
+      { name: "cancelSession", role: "admin", call: (voting) => voting.cancelSession(DEFAULT_SESSION_ID, "Cancelled") },
+      { name: "grantRole", role: "admin", call: (voting, { outsider }) => voting.grantRole(ROLES.operator, outsider) },
+      { name: "revokeRole", role: "admin", call: (voting, { operator }) => voting.revokeRole(ROLES.operator, operator) },
+      { name: "transferRoles", role: "admin", call: (voting, { outsider }) => voting.transferRoles(outsider) },
+    ];
+
+    for (const { name, role, steps = 0, setup, call } of PERMISSIONS) {
+      it(`Should only let the ${role} call ${name}`, async function () {
+        for (const account of ["admin", "registrar", "operator", "outsider"]) {
+          const fixture = await loadFixture(separateRolesFixture);
+          await advance(fixture, steps);
+          if (setup) await setup(fixture);
+          const signer = fixture[account];
+
+          if (account === role) {
+            await expect(call(fixture.voting.connect(signer), fixture)).to.not.be.reverted;
+          } else {
+            await expect(call(fixture.voting.connect(signer), fixture))
+              .to.be.revertedWithCustomError(fixture.voting, "AccessControlUnauthorizedAccount")
+              .withArgs(signer, ROLES[role]);
+          }
+        }
+      });
+    }
+
+    it("Should give every role to the deployer", async function () {
+      const { voting, owner } = await loadFixture(deployVotingFixture);
+
+      for (const role of Object.values(ROLES)) expect(await voting.hasRole(role, owner)).to.equal(true);
+      expect(await voting.REGISTRAR_ROLE()).to.equal(ROLES.registrar);
+      expect(await voting.OPERATOR_ROLE()).to.equal(ROLES.operator);
+      // L'administrateur gère tous les rôles
+      expect(await voting.getRoleAdmin(ROLES.registrar)).to.equal(ROLES.admin);
+      expect(await voting.getRoleAdmin(ROLES.operator)).to.equal(ROLES.admin);
+    });
+
+    it("Should grant and revoke a role with events", async function () {
+      const { voting, admin, registrar, outsider } = await loadFixture(separateRolesFixture);
+
+      await expect(voting.grantRole(ROLES.registrar, outsider))
+        .to.emit(voting, "RoleGranted")
+        .withArgs(ROLES.registrar, outsider, admin);
+      await voting.connect(outsider).addVoter(DEFAULT_SESSION_ID, outsider);
+
+      await expect(voting.revokeRole(ROLES.registrar, registrar))
+        .to.emit(voting, "RoleRevoked")
+        .withArgs(ROLES.registrar, registrar, admin);
+      await expect(voting.connect(registrar).addVoter(DEFAULT_SESSION_ID, admin))
+        .to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should let an account renounce its own roles only", async function () {
+      const { voting, registrar, operator } = await loadFixture(separateRolesFixture);
+
+      await expect(voting.connect(operator).renounceRole(ROLES.registrar, registrar))
+        .to.be.revertedWithCustomError(voting, "AccessControlBadConfirmation");
+
+      await voting.connect(registrar).renounceRole(ROLES.registrar, registrar);
+      expect(await voting.hasRole(ROLES.registrar, registrar)).to.equal(false);
+    });
+
+    it("Should transfer all the roles of the admin to another account", async function () {
+      const { voting, owner, voter1 } = await loadFixture(deployVotingFixture);
+
+      const tx = voting.transferRoles(voter1);
+      for (const role of Object.values(ROLES)) {
+        await expect(tx).to.emit(voting, "RoleGranted").withArgs(role, voter1, owner)
+          .and.to.emit(voting, "RoleRevoked").withArgs(role, owner, owner);
+        expect(await voting.hasRole(role, voter1)).to.equal(true);
+        expect(await voting.hasRole(role, owner)).to.equal(false);
+      }
+
+      await voting.connect(voter1).addVoter(DEFAULT_SESSION_ID, owner);
+      await expect(voting.addVoter(DEFAULT_SESSION_ID, voter1)).to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should only transfer the roles that the admin holds, and keep them when transferring to itself", async function () {
+      const { voting, admin, registrar, outsider } = await loadFixture(separateRolesFixture);
+
+      await expect(voting.transferRoles(admin)).to.not.emit(voting, "RoleRevoked");
+      expect(await voting.hasRole(ROLES.admin, admin)).to.equal(true);
+
+      await voting.transferRoles(outsider);
+      expect(await voting.hasRole(ROLES.admin, outsider)).to.equal(true);
+      expect(await voting.hasRole(ROLES.registrar, outsider)).to.equal(false);
+      expect(await voting.hasRole(ROLES.registrar, registrar)).to.equal(true);
+    });
+
+    it("Should let anyone advance a scheduled session, whatever its roles", async function () {
+      const { voting, registrar, outsider } = await loadFixture(separateRolesFixture);
+      const now = await time.latest();
+
+      await voting.setSchedule(DEFAULT_SESSION_ID, [now + 100, now + 200, now + 300, now + 400, 0]);
+      await voting.connect(registrar).addVoter(DEFAULT_SESSION_ID, outsider);
+      await time.increaseTo(now + 100);
+
+      await expect(voting.connect(outsider).startProposalsRegistering(DEFAULT_SESSION_ID)).to.not.be.reverted;
+    });
+  });
+
+  // *********** SESSION MANAGEMENT *********** //
+  describe("Session Management", function () {
+    
+    it("Should initialize with first session", async function () {
+      const { voting } = await loadFixture(deployVotingFixture);
+      
+      expect(await voting.currentSessionId()).to.equal(0);
+      expect(await voting.totalSessions()).to.equal(1);
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).status).to.equal(WorkflowStatus.RegisteringVoters);
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).name).to.equal("Session 1");
+    });
+
+    it("Should name the first session at deployment", async function () {
+      const voting = await deployVoting(hre, "General assembly");
+
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).name).to.equal("General assembly");
+      await expect(voting.deploymentTransaction())
+        .to.emit(voting, "SessionCreated")
+        .withArgs(0, "General assembly");
+    });
+
+    it("Should start a new session while the first one is running", async function () {
+      const { voting } = await loadFixture(votingSessionStartedFixture);
+      
+      await voting.startNewVotingSession("Session 2");
+      
+      expect(await voting.currentSessionId()).to.equal(1);
+      expect(await voting.totalSessions()).to.equal(2);
+      expect((await voting.getSession(1)).status).to.equal(WorkflowStatus.RegisteringVoters);
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).status).to.equal(WorkflowStatus.VotingSessionStarted);
+    });
+
+    it("Should use default name when session name is empty", async function () {
+      const { voting } = await loadFixture(votesTalliedFixture);
+      
+      await voting.startNewVotingSession("");
+      
+      const session = await voting.getSession(1);
+      expect(session.name).to.equal("Session 2");
+    });
+
+    it("Should isolate voters between sessions", async function () {
+      const { voting, voter1 } = await loadFixture(votesTalliedFixture);
+      
+      // Start new session
+      await voting.startNewVotingSession("Session 2");
+      
+      // voter1 was registered in session 1 but not in session 2
+      expect((await voting.connect(voter1)["getVoter(uint32,address)"](1, voter1)).isRegistered).to.equal(false);
+    });
+
+    it("Should emit SessionCreated event", async function () {
+      const { voting } = await loadFixture(votesTalliedFixture);
+      
+      await expect(voting.startNewVotingSession("Test Session"))
+        .to.emit(voting, "SessionCreated")
+        .withArgs(1, "Test Session");
+    });
+  });
+
+  // *********** CONCURRENT SESSIONS *********** //
+  describe("Concurrent sessions", function () {
+
+    // Deux sessions ouvertes côte à côte : voter1 et voter2 dans la première, voter2 et voter3 dans la seconde
+    async function twoSessionsFixture() {
+      const { voting, owner, voter1, voter2, voter3 } = await loadFixture(deployVotingFixture);
+
+      await voting.startNewVotingSession("Session 2");
+      await voting.addVoters(0, [voter1, voter2]);
+      await voting.addVoters(1, [voter2, voter3]);
+
+      return { voting, owner, voter1, voter2, voter3 };
+    }
+
+    it("Should keep voters, proposals and status apart when actions are interleaved", async function () {
+      const { voting, voter1, voter2, voter3 } = await loadFixture(twoSessionsFixture);
+
+      await voting.startProposalsRegistering(1);
+      await voting.startProposalsRegistering(0);
+      await voting.connect(voter3).addProposal(1, "Session 2 proposal");
+      await voting.connect(voter1).addProposal(0, "Session 1 proposal");
+      await voting.connect(voter2).addProposal(1, "Session 2 other proposal");
+      await voting.endProposalsRegistering(0);
+      await voting.startVotingSession(0);
+      await voting.connect(voter2).setVote(0, 1);
+      await voting.endProposalsRegistering(1);
+      await voting.startVotingSession(1);
+      await voting.connect(voter2).setVote(1, 2);
+      await voting.connect(voter3).setVote(1, 2);
+      await voting.endVotingSession(0);
+      await voting.tallyVotes(0);
+
+      const [first, second] = await voting.getSessions(0, 2);
+      expect(first.status).to.equal(WorkflowStatus.VotesTallied);
+      expect(first.proposalsCount).to.equal(2);
+      expect(first.winningProposalId).to.equal(1);
+      expect(second.status).to.equal(WorkflowStatus.VotingSessionStarted);
+      expect(second.proposalsCount).to.equal(3);
+      expect((await voting.getProposals(1, 1, 2)).map((p) => p.voteCount)).to.deep.equal([0n, 2n]);
+
+      // voter2 a voté une fois dans chaque session, voter1 n'est pas inscrit dans la seconde
+      expect((await voting["getVoter(uint32,address)"](0, voter2)).votedProposalId).to.equal(1);
+      expect((await voting["getVoter(uint32,address)"](1, voter2)).votedProposalId).to.equal(2);
+      expect((await voting["getVoter(uint32,address)"](1, voter1)).isRegistered).to.equal(false);
+    });
+
+    it("Should only let the voters of a session act in it", async function () {
+      const { voting, voter1, voter3 } = await loadFixture(twoSessionsFixture);
+      await voting.startProposalsRegistering(0);
+      await voting.startProposalsRegistering(1);
+
+      await expect(voting.connect(voter1).addProposal(1, DEFAULT_PROPOSAL)).to.be.revertedWithCustomError(voting, "NotVoter");
+      await expect(voting.connect(voter3).addProposal(0, DEFAULT_PROPOSAL)).to.be.revertedWithCustomError(voting, "NotVoter");
+      await expect(voting.connect(voter1).addProposal(2, DEFAULT_PROPOSAL)).to.be.revertedWithCustomError(voting, "NotVoter");
+    });
+
+    it("Should emit the events with the id of the session concerned", async function () {
+      const { voting, voter2 } = await loadFixture(twoSessionsFixture);
+
+      await expect(voting.startProposalsRegistering(1))
+        .to.emit(voting, "WorkflowStatusChange")
+        .withArgs(1, WorkflowStatus.RegisteringVoters, WorkflowStatus.ProposalsRegistrationStarted);
+      await expect(voting.connect(voter2).addProposal(1, DEFAULT_PROPOSAL))
+        .to.emit(voting, "ProposalRegistered")
+        .withArgs(1, 1);
+      expect((await voting.getSession(0)).status).to.equal(WorkflowStatus.RegisteringVoters);
+    });
+
+    it("Should fail trying to manage a non existing session", async function () {
+      const { voting, owner } = await loadFixture(twoSessionsFixture);
+
+      await expect(voting.addVoter(2, owner)).to.be.revertedWithCustomError(voting, "SessionNotFound");
+      await expect(voting.startProposalsRegistering(2)).to.be.revertedWithCustomError(voting, "SessionNotFound");
+      await expect(voting.setSessionAdmin(2, owner)).to.be.revertedWithCustomError(voting, "SessionNotFound");
+    });
+
+    it("Should give the session admin every role in its session only", async function () {
+      const { voting, voter1, voter2, voter3 } = await loadFixture(twoSessionsFixture);
+
+      await expect(voting.setSessionAdmin(1, voter3))
+        .to.emit(voting, "SessionAdminSet")
+        .withArgs(1, voter3.address);
+      expect(await voting.sessionAdmins(1)).to.equal(voter3.address);
+
+      await voting.connect(voter3).addVoter(1, voter1);
+      await voting.connect(voter3).setTiePolicy(1, 1);
+      await voting.connect(voter3).startProposalsRegistering(1);
+      await voting.connect(voter1).addProposal(1, DEFAULT_PROPOSAL);
+      expect((await voting.getSession(1)).status).to.equal(WorkflowStatus.ProposalsRegistrationStarted);
+
+      await expect(voting.connect(voter3).addVoter(0, voter3)).to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount");
+      await expect(voting.connect(voter3).startProposalsRegistering(0)).to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount");
+      await expect(voting.connect(voter3).startNewVotingSession("")).to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount");
+      await expect(voting.connect(voter2).startProposalsRegistering(1)).to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should let the session admin hand over or give up its session", async function () {
+      const { voting, voter2, voter3 } = await loadFixture(twoSessionsFixture);
+      await voting.setSessionAdmin(1, voter3);
+
+      await voting.connect(voter3).setSessionAdmin(1, voter2);
+      await expect(voting.connect(voter3).startProposalsRegistering(1)).to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount");
+      await voting.connect(voter2).startProposalsRegistering(1);
+
+      await expect(voting.connect(voter2).setSessionAdmin(1, ethers.ZeroAddress))
+        .to.emit(voting, "SessionAdminSet")
+        .withArgs(1, ethers.ZeroAddress);
+      await expect(voting.connect(voter2).endProposalsRegistering(1)).to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should give the runoff of a tie the admin of its session", async function () {
+      const { voting, voter1, voter2, voter3 } = await loadFixture(twoSessionsFixture);
+      await voting.setSessionAdmin(1, voter3);
+      await voting.connect(voter3).setTiePolicy(1, 1);
+      await voting.connect(voter3).startProposalsRegistering(1);
+      await voting.connect(voter2).addProposal(1, "Proposal 1");
+      await voting.connect(voter3).addProposal(1, "Proposal 2");
+      await voting.connect(voter3).endProposalsRegistering(1);
+      await voting.connect(voter3).startVotingSession(1);
+      await voting.connect(voter2).setVote(1, 1);
+      await voting.connect(voter3).setVote(1, 2);
+      await voting.connect(voter3).endVotingSession(1);
+
+      await expect(voting.connect(voter3).tallyVotes(1))
+        .to.emit(voting, "SessionAdminSet")
+        .withArgs(2, voter3.address);
+      await voting.connect(voter3).addVoter(2, voter1);
+      expect(await voting.sessionAdmins(0)).to.equal(ethers.ZeroAddress);
+    });
+  });
+
+  // *********** PAST SESSIONS *********** //
+  describe("Past sessions", function () {
+
+    async function secondSessionFixture() {
+      const { voting, owner, voter1, voter2, voter3 } = await loadFixture(votesTalliedFixture);
+
+      await voting.startNewVotingSession("Session 2");
+      await voting.addVoter(1, voter2);
+      await voting.startProposalsRegistering(1);
+      await voting.connect(voter2).addProposal(1, "Session 2 proposal");
+
+      return { voting, owner, voter1, voter2, voter3 };
+    }
+
+    it("Should get the summary of a past session", async function () {
+      const { voting } = await loadFixture(secondSessionFixture);
+
+      const session = await voting.getSession(DEFAULT_SESSION_ID);
+      expect(session.sessionId).to.equal(DEFAULT_SESSION_ID);
+      expect(session.name).to.equal("Session 1");
+      expect(session.status).to.equal(WorkflowStatus.VotesTallied);
+      expect(session.proposalsCount).to.equal(2);
+      expect(session.winningProposalId).to.equal(DEFAULT_PROPOSAL_ID);
+    });
+
+    it("Should get the summary of a running session", async function () {
+      const { voting } = await loadFixture(secondSessionFixture);
+
+      const session = await voting.getSession(1);
+      expect(session.name).to.equal("Session 2");
+      expect(session.status).to.equal(WorkflowStatus.ProposalsRegistrationStarted);
+      expect(session.proposalsCount).to.equal(2);
+    });
+
+    it("Should fail trying to get a non existing session", async function () {
+      const { voting } = await loadFixture(secondSessionFixture);
+
+      await expect(voting.getSession(2)).to.be.revertedWithCustomError(voting, "SessionNotFound");
+      await expect(voting.getProposals(2, 0, 10)).to.be.revertedWithCustomError(voting, "SessionNotFound");
+      await expect(voting["getVoter(uint32,address)"](2, ethers.ZeroAddress)).to.be.revertedWithCustomError(voting, "SessionNotFound");
+      await expect(voting.getSessionWinner(2)).to.be.revertedWithCustomError(voting, "SessionNotFound");
+    });
+
+    it("Should list all sessions", async function () {
+      const { voting } = await loadFixture(secondSessionFixture);
+
+      const sessions = await voting.getSessions(0, 10);
+      expect(sessions.map((s) => s.name)).to.deep.equal(["Session 1", "Session 2"]);
+      expect(sessions.map((s) => s.sessionId)).to.deep.equal([0n, 1n]);
+    });
+
+    it("Should paginate the sessions list", async function () {
+      const { voting } = await loadFixture(secondSessionFixture);
+
+      expect((await voting.getSessions(0, 1)).map((s) => s.name)).to.deep.equal(["Session 1"]);
+      expect((await voting.getSessions(1, 1)).map((s) => s.name)).to.deep.equal(["Session 2"]);
+      expect(await voting.getSessions(2, 10)).to.deep.equal([]);
+      expect(await voting.getSessions(0, 0)).to.deep.equal([]);
+    });
+
+    it("Should list the proposals of a past session", async function () {
+      const { voting } = await loadFixture(secondSessionFixture);
+
+      const proposals = await voting.getProposals(DEFAULT_SESSION_ID, 0, 10);
+      expect(proposals.map((p) => p.description)).to.deep.equal(["GENESIS", DEFAULT_PROPOSAL]);
+      expect(proposals.map((p) => p.voteCount)).to.deep.equal([0n, 1n]);
+    });
+
+    it("Should paginate the proposals list", async function () {
+      const { voting, voter1 } = await loadFixture(multipleProposalsFixture);
+
+      const page = await voting.getProposals(DEFAULT_SESSION_ID, 1, 2);
+      expect(page.map((p) => p.description)).to.deep.equal([DEFAULT_PROPOSAL, "Proposal 2"]);
+      expect((await voting.getProposals(DEFAULT_SESSION_ID, 3, 5)).map((p) => p.description)).to.deep.equal(["Proposal 3"]);
+      expect(await voting.connect(voter1).getProposals(DEFAULT_SESSION_ID, 4, 5)).to.deep.equal([]);
+    });
+
+    it("Should get a voter of a past session", async function () {
+      const { voting, voter1 } = await loadFixture(secondSessionFixture);
+
+      const voter = await voting["getVoter(uint32,address)"](DEFAULT_SESSION_ID, voter1);
+      expect(voter.isRegistered).to.equal(true);
+      expect(voter.hasVoted).to.equal(true);
+      expect(voter.votedProposalId).to.equal(DEFAULT_PROPOSAL_ID);
+      expect((await voting["getVoter(uint32,address)"](1, voter1)).isRegistered).to.equal(false);
+    });
+
+    it("Should get the winner of a past session", async function () {
+      const { voting } = await loadFixture(secondSessionFixture);
+
+      const [proposalId, proposal] = await voting.getSessionWinner(DEFAULT_SESSION_ID);
+      expect(proposalId).to.equal(DEFAULT_PROPOSAL_ID);
+      expect(proposal.description).to.equal(DEFAULT_PROPOSAL);
+      expect(proposal.voteCount).to.equal(1);
+    });
+
+    it("Should fail trying to get the winner of a session not tallied", async function () {
+      const { voting } = await loadFixture(secondSessionFixture);
+
+      await expect(voting.getSessionWinner(1)).to.be.revertedWithCustomError(voting, "SessionNotTallied");
+    });
+  });
+
+  describe("pause() and cancelSession()", function () {
+    // Les fonctions des votants, appelées avec des arguments quelconques : la pause et l'annulation sont vérifiées
+    // avant tout le reste
+    function voterCalls(voting, voter, sessionId) {
+      return {
+        registerWithProof: () => voting.connect(voter).registerWithProof(sessionId, []),
+        addProposal: () => voting.connect(voter).addProposal(sessionId, DEFAULT_PROPOSAL),
+        addProposalBySig: () => voting.addProposalBySig(sessionId, voter, DEFAULT_PROPOSAL, 0, "0x"),
+        withdrawProposal: () => voting.connect(voter).withdrawProposal(sessionId, DEFAULT_PROPOSAL_ID),
+        setVote: () => voting.connect(voter).setVote(sessionId, DEFAULT_PROPOSAL_ID),
+        setVoteBySig: () => voting.setVoteBySig(sessionId, voter, DEFAULT_PROPOSAL_ID, 0, "0x"),
+        setApprovalVote: () => voting.connect(voter).setApprovalVote(sessionId, [DEFAULT_PROPOSAL_ID]),
+        setRankedVote: () => voting.connect(voter).setRankedVote(sessionId, [DEFAULT_PROPOSAL_ID]),
+        delegateVote: () => voting.connect(voter).delegateVote(sessionId, ethers.ZeroAddress),
+        commitVote: () => voting.connect(voter).commitVote(sessionId, ethers.ZeroHash),
+        revealVote: () => voting.connect(voter).revealVote(sessionId, DEFAULT_PROPOSAL_ID, ethers.ZeroHash),
+      };
+    }
+
+    // Les transitions et les réglages d'une session, appelés par l'administrateur avec des arguments quelconques :
+    // l'annulation est vérifiée avant la phase de la session
+    function adminCalls(voting, voter, sessionId) {
+      const noSchedule = { proposalsStart: 0, proposalsEnd: 0, votingStart: 0, votingEnd: 0, revealEnd: 0 };
+      return {
+        addVoter: () => voting.addVoter(sessionId, voter),
+        addVoters: () => voting.addVoters(sessionId, [voter]),
+        removeVoter: () => voting.removeVoter(sessionId, voter),
+        setVoterMerkleRoot: () => voting.setVoterMerkleRoot(sessionId, ethers.ZeroHash),
+        setSchedule: () => voting.setSchedule(sessionId, noSchedule),
+        setThresholds: () => voting.setThresholds(sessionId, { quorumVoters: 0, quorumBps: 0, winnerShareBps: 0 }),
+        setTiePolicy: () => voting.setTiePolicy(sessionId, 0),
+        setCommitReveal: () => voting.setCommitReveal(sessionId, false),
+        setVotingToken: () => voting.setVotingToken(sessionId, ethers.ZeroAddress),
+        startProposalsRegistering: () => voting.startProposalsRegistering(sessionId),
+        endProposalsRegistering: () => voting.endProposalsRegistering(sessionId),
+        startVotingSession: () => voting.startVotingSession(sessionId),
+        startVotesRevealing: () => voting.startVotesRevealing(sessionId),
+        endVotingSession: () => voting.endVotingSession(sessionId),
+        tallyVotes: () => voting.tallyVotes(sessionId),
+      };
+    }
+
+    it("Should pause and unpause the contract", async function () {
+      const { voting, owner } = await loadFixture(deployVotingFixture);
+
+      await expect(voting.pause()).to.emit(voting, "Paused").withArgs(owner.address);
+      expect(await voting.paused()).to.equal(true);
+      await expect(voting.pause()).to.be.revertedWithCustomError(voting, "EnforcedPause");
+
+      await expect(voting.unpause()).to.emit(voting, "Unpaused").withArgs(owner.address);
+      expect(await voting.paused()).to.equal(false);
+      await expect(voting.unpause()).to.be.revertedWithCustomError(voting, "ExpectedPause");
+    });
+
+    it("Should not let a session admin pause the contract", async function () {
+      const { voting, voter3 } = await loadFixture(deployVotingFixture);
+      await voting.setSessionAdmin(DEFAULT_SESSION_ID, voter3);
+
+      await expect(voting.connect(voter3).pause())
+        .to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount")
+        .withArgs(voter3.address, ROLES.admin);
+    });
+
+    it("Should block every voter-facing function while paused", async function () {
+      const { voting, voter1 } = await loadFixture(votingSessionStartedFixture);
+      await voting.pause();
+
+      for (const [name, call] of Object.entries(voterCalls(voting, voter1, DEFAULT_SESSION_ID))) {
+        await expect(call(), name).to.be.revertedWithCustomError(voting, "EnforcedPause");
+      }
+
+      await voting.unpause();
+      await expect(voting.connect(voter1).setVote(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL_ID)).to.emit(voting, "Voted");
+    });
+
+    it("Should keep the administration and the workflow available while paused", async function () {
+      const { voting, owner, voter1 } = await loadFixture(votingWithVotersFixture);
+      await voting.pause();
+
+      await voting.addVoter(DEFAULT_SESSION_ID, owner);
+      await voting.removeVoter(DEFAULT_SESSION_ID, owner);
+      await voting.startProposalsRegistering(DEFAULT_SESSION_ID);
+      await voting.startNewVotingSession("Session 2");
+      await voting.cancelSession(1, "Duplicate session");
+
+      await voting.unpause();
+      await voting.connect(voter1).addProposal(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL);
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).status).to.equal(WorkflowStatus.ProposalsRegistrationStarted);
+    });
+
+    it("Should cancel a session with a reason", async function () {
+      const { voting, voter1 } = await loadFixture(votingSessionStartedFixture);
+      await voting.connect(voter1).setVote(DEFAULT_SESSION_ID, DEFAULT_PROPOSAL_ID);
+
+      await expect(voting.cancelSession(DEFAULT_SESSION_ID, "Compromised voter list"))
+        .to.emit(voting, "WorkflowStatusChange")
+        .withArgs(DEFAULT_SESSION_ID, WorkflowStatus.VotingSessionStarted, WorkflowStatus.Cancelled)
+        .and.to.emit(voting, "SessionCancelled")
+        .withArgs(DEFAULT_SESSION_ID, "Compromised voter list");
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).status).to.equal(WorkflowStatus.Cancelled);
+      await expect(voting.getSessionWinner(DEFAULT_SESSION_ID)).to.be.revertedWithCustomError(voting, "SessionNotTallied");
+    });
+
+    it("Should block every voter-facing function of a cancelled session", async function () {
+      const { voting, voter1 } = await loadFixture(votingSessionStartedFixture);
+      await voting.cancelSession(DEFAULT_SESSION_ID, "Cancelled");
+
+      for (const [name, call] of Object.entries(voterCalls(voting, voter1, DEFAULT_SESSION_ID))) {
+        await expect(call(), name).to.be.revertedWithCustomError(voting, "CancelledSession");
+      }
+    });
+
+    it("Should end the workflow of a session cancelled during the voters registration", async function () {
+      const { voting, owner } = await loadFixture(votingWithVotersFixture);
+      await voting.cancelSession(DEFAULT_SESSION_ID, "Cancelled");
+
+      for (const [name, call] of Object.entries(adminCalls(voting, owner, DEFAULT_SESSION_ID))) {
+        await expect(call(), name).to.be.revertedWithCustomError(voting, "CancelledSession");
+      }
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).status).to.equal(WorkflowStatus.Cancelled);
+    });
+
+    it("Should end the workflow of a session cancelled during the vote", async function () {
+      const { voting, owner } = await loadFixture(votingSessionStartedFixture);
+      await voting.cancelSession(DEFAULT_SESSION_ID, "Cancelled");
+
+      for (const [name, call] of Object.entries(adminCalls(voting, owner, DEFAULT_SESSION_ID))) {
+        await expect(call(), name).to.be.revertedWithCustomError(voting, "CancelledSession");
+      }
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).status).to.equal(WorkflowStatus.Cancelled);
+    });
+
+    it("Should report the cancellation to anyone advancing a scheduled session", async function () {
+      const { voting, voter1 } = await loadFixture(votingWithVotersFixture);
+      const now = await time.latest();
+      await voting.setSchedule(DEFAULT_SESSION_ID, {
+        proposalsStart: now + 100, proposalsEnd: now + 200, votingStart: now + 300, votingEnd: now + 400, revealEnd: 0,
+      });
+      await voting.cancelSession(DEFAULT_SESSION_ID, "Cancelled");
+
+      await expect(voting.connect(voter1).startProposalsRegistering(DEFAULT_SESSION_ID)).to.be.revertedWithCustomError(voting, "CancelledSession");
+      await time.increaseTo(now + 500);
+      await expect(voting.connect(voter1).tallyVotes(DEFAULT_SESSION_ID)).to.be.revertedWithCustomError(voting, "CancelledSession");
+    });
+
+    it("Should only cancel a session before its tally", async function () {
+      const { voting } = await loadFixture(votesTalliedFixture);
+
+      await expect(voting.cancelSession(DEFAULT_SESSION_ID, "Too late")).to.be.revertedWithCustomError(voting, "SessionAlreadyTallied");
+    });
+
+    it("Should fail trying to cancel a session twice or a non existing session", async function () {
+      const { voting } = await loadFixture(votingWithVotersFixture);
+      await voting.cancelSession(DEFAULT_SESSION_ID, "Cancelled");
+
+      await expect(voting.cancelSession(DEFAULT_SESSION_ID, "Again")).to.be.revertedWithCustomError(voting, "CancelledSession");
+      await expect(voting.cancelSession(1, "Unknown")).to.be.revertedWithCustomError(voting, "SessionNotFound");
+    });
+
+    it("Should let a session admin cancel its own session only", async function () {
+      const { voting, voter3 } = await loadFixture(votingWithVotersFixture);
+      await voting.startNewVotingSession("Session 2");
+      await voting.setSessionAdmin(1, voter3);
+
+      await expect(voting.connect(voter3).cancelSession(1, "Cancelled by its admin"))
+        .to.emit(voting, "SessionCancelled")
+        .withArgs(1, "Cancelled by its admin");
+      await expect(voting.connect(voter3).cancelSession(DEFAULT_SESSION_ID, "Cancelled"))
+        .to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should start and run a new session after a cancellation", async function () {
+      const { voting, voter1 } = await loadFixture(votingSessionStartedFixture);
+      await voting.cancelSession(DEFAULT_SESSION_ID, "Cancelled");
+
+      await voting.startNewVotingSession("Session 2");
+      await voting.addVoter(1, voter1);
+      await voting.startProposalsRegistering(1);
+      await voting.connect(voter1).addProposal(1, DEFAULT_PROPOSAL);
+      await voting.endProposalsRegistering(1);
+      await voting.startVotingSession(1);
+      await voting.connect(voter1).setVote(1, DEFAULT_PROPOSAL_ID);
+      await voting.endVotingSession(1);
+      await voting.tallyVotes(1);
+
+      expect((await voting.getSessionWinner(1)).proposalId).to.equal(DEFAULT_PROPOSAL_ID);
+      expect((await voting.getSession(DEFAULT_SESSION_ID)).status).to.equal(WorkflowStatus.Cancelled);
     });
   });
 
@@ -0,0 +1,681 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const {
+  abi,
+  VotingClient,
+  VotingError,
+  WorkflowStatusError,
+  UnauthorizedError,
+  InvalidRequestError,
+  BallotStore,
+  ROLES,
+} = require("../sdk");
+const { buildAllowlist, getProof } = require("../lib/allowlist");
+const { deployVoting } = require("../lib/deployment");
+const GovernanceTokenMockModule = require("../ignition/modules/GovernanceTokenMock");
+
+describe("VotingClient (SDK)", function () {
+
+  // *********** FIXTURES *********** //
+
+  async function deployVotingFixture() {
+    const [owner, voter1, voter2] = await ethers.getSigners();
+    const voting = await deployVoting(hre);
+    const admin = await VotingClient.connect({ runner: owner, address: await voting.getAddress() });
+
+    return { voting, admin, owner, voter1, voter2 };
+  }
+
+  async function talliedSessionFixture() {
+    const { voting, admin, owner, voter1, voter2 } = await loadFixture(deployVotingFixture);
+
+    await admin.addVoters([voter1.address, voter2.address]);
+    await admin.advancePhase();
+    await admin.connect(voter1).addProposal("Proposal 1");
+    await admin.connect(voter2).addProposal("Proposal 2");
+    await admin.advancePhase();
+    await admin.advancePhase();
+    await admin.connect(voter1).vote(2);
+    await admin.connect(voter2).vote(2);
+    await admin.advancePhase();
+    await admin.advancePhase();
+
+    return { voting, admin, owner, voter1, voter2 };
+  }
+
+  // *********** Connection *********** //
+  describe("connect()", function () {
+    it("Should ship the ABI of the compiled contract", async function () {
+      const artifact = await hre.artifacts.readArtifact("Voting");
+
+      expect(abi).to.deep.equal(artifact.abi);
+    });
+
+    it("Should not resolve the outdated Sepolia deployment", async function () {
+      await expect(VotingClient.connect({ runner: ethers.provider, network: "sepolia" }))
+        .to.be.rejectedWith("No known Voting deployment on sepolia");
+    });
+
+    it("Should refuse a contract that does not match the ABI of the SDK", async function () {
+      const [, voter1] = await ethers.getSigners();
+      const { token } = await hre.ignition.deploy(GovernanceTokenMockModule);
+
+      await expect(VotingClient.connect({ runner: ethers.provider, address: await token.getAddress() }))
+        .to.be.rejectedWith("is not a Voting contract compatible with this SDK");
+      await expect(VotingClient.connect({ runner: ethers.provider, address: voter1.address }))
+        .to.be.rejectedWith("is not a Voting contract compatible with this SDK");
+    });
+
+    it("Should fail without address on a network without known deployment", async function () {
+      await expect(VotingClient.connect({ runner: ethers.provider })).to.be.rejectedWith("No known Voting deployment on chain 31337");
+    });
+
+    it("Should read with a provider but refuse to send transactions", async function () {
+      const { voting, voter1 } = await loadFixture(deployVotingFixture);
+      const client = await VotingClient.connect({ runner: ethers.provider, address: await voting.getAddress() });
+
+      expect(await client.getWorkflowStatus()).to.equal("RegisteringVoters");
+      await expect(client.addVoter(voter1.address)).to.be.rejectedWith("A signer is required to call addVoter");
+    });
+  });
+
+  // *********** Getters *********** //
+  describe("Getters", function () {
+    it("Should get the current session with a status name", async function () {
+      const { admin } = await loadFixture(talliedSessionFixture);
+
+      expect(await admin.getCurrentSession()).to.deep.equal({
+        sessionId: 0,
+        name: "Session 1",
+        status: "VotesTallied",
+        proposalsCount: 3,
+        winningProposalId: 2,
+        registeredVoters: 2,
+        votesCast: 2,
+      });
+    });
+
+    it("Should get proposals, voters and winner", async function () {
+      const { admin, voter1, owner } = await loadFixture(talliedSessionFixture);
+
+      expect(await admin.getProposal(1)).to.deep.equal({
+        id: 1,
+        description: "Proposal 1",
+        voteCount: 0n,
+        proposer: voter1.address,
+        withdrawn: false,
+      });
+      expect((await admin.getProposals(0, { offset: 1 })).map((p) => p.id)).to.deep.equal([1, 2]);
+      expect(await admin.getVoter(voter1.address)).to.deep.equal({
+        isRegistered: true,
+        hasVoted: true,
+        votedProposalId: 2,
+        delegate: null,
+        delegatedWeight: 0,
+      });
+      expect((await admin.getVoter(owner.address, 0)).isRegistered).to.equal(false);
+      expect(await admin.getWinner()).to.include({ id: 2, description: "Proposal 2", voteCount: 2n });
+    });
+
+    it("Should delegate a vote and read the delegation", async function () {
+      const { admin, voter1, voter2 } = await loadFixture(deployVotingFixture);
+
+      await admin.addVoters([voter1.address, voter2.address]);
+      await admin.connect(voter1).delegate(voter2.address);
+
+      expect((await admin.getVoter(voter1.address)).delegate).to.equal(voter2.address);
+      expect((await admin.getVoter(voter2.address)).delegatedWeight).to.equal(1);
+      const [event] = await admin.queryEvents("VoteDelegated");
+      expect(event).to.include({ delegator: voter1.address, delegate: voter2.address, weight: 1 });
+      await expect(admin.connect(voter2).delegate(voter1.address)).to.be.rejectedWith(InvalidRequestError, "loop");
+    });
+
+    it("Should list past sessions", async function () {
+      const { admin } = await loadFixture(talliedSessionFixture);
+
+      await admin.startNewVotingSession("Session 2");
+
+      expect((await admin.getAllSessions(1)).map((s) => [s.name, s.status])).to.deep.equal([
+        ["Session 1", "VotesTallied"],
+        ["Session 2", "RegisteringVoters"],
+      ]);
+      expect((await admin.getWinner(0)).description).to.equal("Proposal 2");
+    });
+
+    it("Should keep acting on its session when another one is created between two calls", async function () {
+      const { voting, admin, owner, voter1, voter2 } = await loadFixture(deployVotingFixture);
+      const registrar = await VotingClient.connect({ runner: owner, address: await voting.getAddress() });
+
+      await registrar.addVoter(voter1.address);
+      await admin.startNewVotingSession("Session 2");
+      await registrar.addVoter(voter2.address);
+      await registrar.advancePhase();
+
+      expect(registrar.sessionId).to.equal(0);
+      expect((await registrar.getCurrentSession()).registeredVoters).to.equal(2);
+      expect(await registrar.getWorkflowStatus()).to.equal("ProposalsRegistrationStarted");
+      expect((await admin.getSession(1)).status).to.equal("RegisteringVoters");
+      expect((await admin.getSession(1)).registeredVoters).to.equal(0);
+    });
+
+    it("Should refuse the writes of a client without session", async function () {
+      const { voting, voter1 } = await loadFixture(deployVotingFixture);
+      const client = new VotingClient(voting);
+
+      expect(await client.getWorkflowStatus()).to.equal("RegisteringVoters");
+      await expect(client.addVoter(voter1.address))
+        .to.be.rejectedWith("The client has no session for addVoter, choose one with forSession(sessionId)");
+      await expect(client.connect(voter1).signBallot(1))
+        .to.be.rejectedWith("The client has no session for signing a Ballot");
+      await client.forSession(0).addVoter(voter1.address);
+    });
+
+    it("Should act on the session chosen with forSession while a newer one runs", async function () {
+      const { admin, voter1 } = await loadFixture(deployVotingFixture);
+      await admin.startNewVotingSession("Session 2");
+
+      const first = admin.forSession(0);
+      await first.addVoter(voter1.address);
+      await first.advancePhase();
+      await first.connect(voter1).addProposal("Proposal 1");
+
+      expect(first.connect(voter1).sessionId).to.equal(0);
+      expect((await first.getCurrentSession()).status).to.equal("ProposalsRegistrationStarted");
+      expect((await first.getProposal(1)).description).to.equal("Proposal 1");
+      expect(await admin.forSession(1).getWorkflowStatus()).to.equal("RegisteringVoters");
+      expect((await admin.forSession(1).getVoter(voter1.address)).isRegistered).to.equal(false);
+    });
+
+    it("Should appoint the administrator of a session", async function () {
+      const { admin, voter1, voter2 } = await loadFixture(deployVotingFixture);
+
+      expect(await admin.getSessionAdmin()).to.equal(null);
+      await admin.setSessionAdmin(voter1.address);
+      expect(await admin.getSessionAdmin(0)).to.equal(voter1.address);
+      await admin.connect(voter1).addVoter(voter2.address);
+
+      await admin.setSessionAdmin(null);
+      expect(await admin.getSessionAdmin()).to.equal(null);
+      await expect(admin.connect(voter1).addVoter(voter1.address)).to.be.rejectedWith(UnauthorizedError);
+    });
+  });
+
+  // *********** Errors *********** //
+  describe("Typed errors", function () {
+    it("Should translate workflow errors", async function () {
+      const { admin } = await loadFixture(deployVotingFixture);
+
+      const error = await admin.tallyVotes().catch((e) => e);
+      expect(error).to.be.instanceOf(WorkflowStatusError);
+      expect(error).to.be.instanceOf(VotingError);
+      expect(error.reason).to.equal("VotingSessionNotEnded");
+      expect(error.message).to.equal("The voting session must be ended before tallying");
+    });
+
+    it("Should translate access errors", async function () {
+      const { admin, voter1 } = await loadFixture(deployVotingFixture);
+
+      const error = await admin.connect(voter1).addVoter(voter1.address).catch((e) => e);
+      expect(error).to.be.instanceOf(UnauthorizedError);
+      expect(error.reason).to.equal("AccessControlUnauthorizedAccount");
+      expect(error.args).to.deep.equal([voter1.address, ROLES.registrar]);
+      expect(error.message).to.equal("The sender does not have the registrar role");
+    });
+
+    it("Should translate invalid requests, including on reads", async function () {
+      const { admin, voter1 } = await loadFixture(talliedSessionFixture);
+
+      const error = await admin.getSession(5).catch((e) => e);
+      expect(error).to.be.instanceOf(InvalidRequestError);
+      expect(error.reason).to.equal("SessionNotFound");
+
+      await admin.startNewVotingSession();
+      await admin.forSession(1).addVoter(voter1.address);
+      await expect(admin.forSession(1).addVoter(voter1.address)).to.be.rejectedWith(InvalidRequestError, "already registered");
+    });
+
+    it("Should register with an allowlist proof and translate invalid proofs", async function () {
+      const { admin, voter1, voter2 } = await loadFixture(deployVotingFixture);
+      const allowlist = buildAllowlist([voter1.address]);
+
+      await admin.setVoterMerkleRoot(allowlist.root);
+      expect(await admin.getVoterMerkleRoot()).to.equal(allowlist.root);
+      await admin.connect(voter1).registerWithProof(getProof(allowlist, voter1.address));
+      expect((await admin.getVoter(voter1.address)).isRegistered).to.equal(true);
+
+      const error = await admin.connect(voter2).registerWithProof(getProof(allowlist, voter1.address)).catch((e) => e);
+      expect(error).to.be.instanceOf(UnauthorizedError);
+      expect(error.message).to.equal("The sender is not in the voter allowlist of this session");
+    });
+
+    it("Should refuse to advance a tallied session", async function () {
+      const { admin } = await loadFixture(talliedSessionFixture);
+
+      await expect(admin.advancePhase()).to.be.rejectedWith("Votes are already tallied");
+    });
+  });
+
+  // *********** Withdrawals *********** //
+  describe("removeVoter() and withdrawProposal()", function () {
+    it("Should remove a voter and withdraw a proposal", async function () {
+      const { admin, voter1, voter2 } = await loadFixture(deployVotingFixture);
+
+      await admin.addVoters([voter1.address, voter2.address]);
+      await admin.removeVoter(voter2.address);
+      expect((await admin.getParticipation()).registeredVoters).to.equal(1);
+      await admin.advancePhase();
+      await admin.connect(voter1).addProposal("Proposal 1");
+      await admin.connect(voter1).withdrawProposal(1);
+
+      expect((await admin.getProposal(1)).withdrawn).to.equal(true);
+      expect((await admin.getProposal(0)).proposer).to.equal(null);
+      const [removed] = await admin.queryEvents("VoterRemoved");
+      expect(removed).to.include({ sessionId: 0, voterAddress: voter2.address });
+      const [withdrawn] = await admin.queryEvents("ProposalWithdrawn");
+      expect(withdrawn).to.include({ sessionId: 0, proposalId: 1 });
+    });
+
+    it("Should translate the withdrawal errors", async function () {
+      const { admin, voter1, voter2 } = await loadFixture(deployVotingFixture);
+
+      await admin.addVoters([voter1.address, voter2.address]);
+      await admin.connect(voter1).delegate(voter2.address);
+      await expect(admin.removeVoter(voter2.address)).to.be.rejectedWith(InvalidRequestError, "received delegations cannot be removed");
+      await admin.advancePhase();
+      await admin.connect(voter1).addProposal("Proposal 1");
+
+      await expect(admin.connect(voter2).withdrawProposal(1)).to.be.rejectedWith(UnauthorizedError, "Only the voter who submitted");
+      await admin.connect(voter1).withdrawProposal(1);
+      await expect(admin.connect(voter1).withdrawProposal(1)).to.be.rejectedWith(InvalidRequestError, "has been withdrawn");
+    });
+  });
+
+  // *********** Emergency *********** //
+  describe("pause() and cancelSession()", function () {
+    it("Should pause and unpause voting", async function () {
+      const { admin, owner, voter1 } = await loadFixture(deployVotingFixture);
+      await admin.addVoter(voter1.address);
+      await admin.advancePhase();
+
+      await admin.pause();
+      expect(await admin.isPaused()).to.equal(true);
+      const error = await admin.connect(voter1).addProposal("Proposal 1").catch((e) => e);
+      expect(error).to.be.instanceOf(WorkflowStatusError);
+      expect(error.reason).to.equal("EnforcedPause");
+      expect(error.message).to.equal("Voting and proposal submission are paused");
+
+      await admin.unpause();
+      expect(await admin.isPaused()).to.equal(false);
+      await admin.connect(voter1).addProposal("Proposal 1");
+      await expect(admin.unpause()).to.be.rejectedWith(WorkflowStatusError, "not paused");
+      expect((await admin.queryEvents("Paused")).map((event) => event.account)).to.deep.equal([owner.address]);
+    });
+
+    it("Should cancel a session with a reason and start a new one", async function () {
+      const { admin, voter1 } = await loadFixture(deployVotingFixture);
+      await admin.addVoter(voter1.address);
+      expect(await admin.getCancelReason()).to.equal(null);
+
+      await admin.cancelSession("Compromised voter list");
+      expect((await admin.getCurrentSession()).status).to.equal("Cancelled");
+      expect(await admin.getCancelReason(0)).to.equal("Compromised voter list");
+      expect(await admin.getNextTransition()).to.equal(null);
+      await expect(admin.advancePhase()).to.be.rejectedWith("This session is cancelled");
+      await expect(admin.connect(voter1).vote(1)).to.be.rejectedWith(WorkflowStatusError, "has been cancelled");
+      const [change] = await admin.queryEvents("WorkflowStatusChange", { sessionId: 0 });
+      expect(change).to.include({ previousStatus: "RegisteringVoters", newStatus: "Cancelled" });
+
+      await admin.startNewVotingSession("Session 2");
+      expect((await admin.forSession(1).getCurrentSession()).status).to.equal("RegisteringVoters");
+    });
+
+    it("Should refuse to cancel a tallied session", async function () {
+      const { admin } = await loadFixture(talliedSessionFixture);
+
+      await expect(admin.cancelSession("Too late")).to.be.rejectedWith(WorkflowStatusError, "tallied session cannot be cancelled");
+    });
+  });
+
+  // *********** Roles *********** //
+  describe("Roles", function () {
+    it("Should read, grant and revoke roles by name", async function () {
+      const { admin, owner, voter1 } = await loadFixture(deployVotingFixture);
+
+      expect(await admin.getRoles(owner.address)).to.deep.equal(["admin", "registrar", "operator"]);
+      expect(await admin.getRoles(voter1.address)).to.deep.equal([]);
+
+      await admin.grantRole("registrar", voter1.address);
+      expect(await admin.hasRole(ROLES.registrar, voter1.address)).to.equal(true);
+      await admin.connect(voter1).addVoter(voter1.address);
+      await admin.revokeRole("registrar", voter1.address);
+      expect(await admin.hasRole("registrar", voter1.address)).to.equal(false);
+
+      const events = await admin.queryEvents("RoleGranted");
+      expect(events.at(-1)).to.include({ role: "registrar", account: voter1.address, sender: owner.address });
+      await expect(admin.queryEvents("RoleRevoked", { sessionId: 0 })).to.be.rejectedWith("RoleRevoked is not a session event");
+    });
+
+    it("Should renounce and transfer roles", async function () {
+      const { admin, voter1, voter2 } = await loadFixture(deployVotingFixture);
+
+      await admin.grantRole("operator", voter1.address);
+      await admin.connect(voter1).renounceRole("operator");
+      expect(await admin.getRoles(voter1.address)).to.deep.equal([]);
+
+      await admin.transferRoles(voter2.address);
+      expect(await admin.getRoles(voter2.address)).to.deep.equal(["admin", "registrar", "operator"]);
+      await expect(admin.advancePhase()).to.be.rejectedWith(UnauthorizedError, "The sender does not have the operator role");
+    });
+
+    it("Should refuse an unknown role", async function () {
+      const { admin, voter1 } = await loadFixture(deployVotingFixture);
+
+      await expect(admin.grantRole("owner", voter1.address)).to.be.rejectedWith("Unknown role owner, expected one of admin, registrar, operator");
+    });
+  });
+
+  // *********** Tie-break *********** //
+  describe("setTiePolicy() and resolveTie()", function () {
+    it("Should read a tie and let the admin break it", async function () {
+      const { admin, voter1, voter2 } = await loadFixture(deployVotingFixture);
+
+      await admin.addVoters([voter1.address, voter2.address]);
+      await admin.setTiePolicy("OwnerDecision");
+      await admin.advancePhase();
+      await admin.connect(voter1).addProposal("Proposal 1");
+      await admin.connect(voter2).addProposal("Proposal 2");
+      await admin.advancePhase();
+      await admin.advancePhase();
+      await admin.connect(voter1).vote(1);
+      await admin.connect(voter2).vote(2);
+      await admin.advancePhase();
+      await admin.advancePhase();
+
+      expect(await admin.getTiePolicy()).to.equal("OwnerDecision");
+      expect(await admin.getTie()).to.deep.equal({ isTie: true, proposalIds: [1, 2], runoffSessionId: null });
+      await expect(admin.getWinner()).to.be.rejectedWith(WorkflowStatusError, "the tie is not broken yet");
+      await expect(admin.resolveTie(0)).to.be.rejectedWith(InvalidRequestError, "not one of the tied proposals");
+
+      await admin.resolveTie(2);
+      expect((await admin.getWinner()).description).to.equal("Proposal 2");
+      const [event] = await admin.queryEvents("TieDetected");
+      expect(event).to.include({ sessionId: 0 });
+      expect(event.proposalIds).to.deep.equal([1, 2]);
+    });
+
+    it("Should refuse an unknown tie policy", async function () {
+      const { admin } = await loadFixture(deployVotingFixture);
+
+      await expect(admin.setTiePolicy("Random")).to.be.rejectedWith("Unknown tie policy Random");
+      await admin.setTiePolicy("Runoff");
+      const [event] = await admin.queryEvents("TiePolicySet");
+      expect(event.policy).to.equal("Runoff");
+    });
+  });
+
+  // *********** Voting methods *********** //
+  describe("approve() and rank()", function () {
+    // Nouvelle session avec le mode de scrutin donné, en phase de vote : renvoie le client de cette session
+    async function startMethodSession(admin, method, voters) {
+      await admin.startNewVotingSession("Session 2", { method });
+      const session = admin.forSession(1);
+      await session.addVoters(voters.map((voter) => voter.address));
+      await session.advancePhase();
+      await session.connect(voters[0]).addProposal("Proposal 1");
+      await session.connect(voters[1]).addProposal("Proposal 2");
+      await session.advancePhase();
+      await session.advancePhase();
+      return session;
+    }
+
+    it("Should cast and read an approval ballot", async function () {
+      const { admin, voter1, voter2 } = await loadFixture(talliedSessionFixture);
+      const session = await startMethodSession(admin, "Approval", [voter1, voter2]);
+
+      await session.connect(voter1).approve([1, 2]);
+
+      expect(await session.getVotingMethod()).to.equal("Approval");
+      expect(await session.getVotingMethod(0)).to.equal("Plurality");
+      expect(await session.getBallot(voter1.address)).to.deep.equal([1, 2]);
+      expect(await session.getBallot(voter2.address)).to.deep.equal([]);
+      const [event] = await admin.queryEvents("BallotCast");
+      expect(event).to.include({ sessionId: 1, voter: voter1.address });
+      expect(event.proposalIds).to.deep.equal([1, 2]);
+      const [methodSet] = await admin.queryEvents("VotingMethodSet");
+      expect(methodSet).to.include({ sessionId: 1, method: "Approval" });
+    });
+
+    it("Should tally a ranked vote", async function () {
+      const { admin, voter1, voter2 } = await loadFixture(talliedSessionFixture);
+      const session = await startMethodSession(admin, "InstantRunoff", [voter1, voter2]);
+
+      await session.connect(voter1).rank([2, 1]);
+      await session.connect(voter2).rank([2]);
+      await session.advancePhase();
+      await session.advancePhase();
+
+      expect((await session.getWinner()).description).to.equal("Proposal 2");
+    });
+
+    it("Should reject a ballot of another voting method or an unknown method", async function () {
+      const { admin, voter1, voter2 } = await loadFixture(talliedSessionFixture);
+
+      await expect(admin.startNewVotingSession("Session 2", { method: "Borda" }))
+        .to.be.rejectedWith("Unknown voting method Borda, expected one of Plurality, Approval, InstantRunoff");
+      const session = await startMethodSession(admin, "Approval", [voter1, voter2]);
+      await expect(session.connect(voter1).vote(1)).to.be.rejectedWith(WorkflowStatusError, "not available with the voting method");
+      await expect(session.connect(voter1).approve([1, 1])).to.be.rejectedWith(InvalidRequestError, "between 1 and 32 proposals");
+    });
+  });
+
+  // *********** Token-weighted voting *********** //
+  describe("setVotingToken()", function () {
+    it("Should weigh the votes by the voting token and read the voting power", async function () {
+      const { admin, voter1, voter2 } = await loadFixture(deployVotingFixture);
+      const { token } = await hre.ignition.deploy(GovernanceTokenMockModule, {
+        parameters: { GovernanceTokenMock: { holders: [voter1.address], amount: 40n } },
+      });
+
+      expect(await admin.getVotingToken()).to.equal(null);
+      await admin.setVotingToken(await token.getAddress());
+      await admin.addVoters([voter1.address, voter2.address]);
+      await admin.advancePhase();
+      await admin.connect(voter1).addProposal("Proposal 1");
+      await admin.advancePhase();
+      await admin.advancePhase();
+      await admin.connect(voter1).vote(1);
+
+      const { snapshot } = await admin.getVotingToken();
+      expect(await admin.getVotingToken()).to.deep.equal({ token: await token.getAddress(), snapshot });
+      expect(snapshot).to.be.greaterThan(0);
+      expect(await admin.getVotingPower(voter1.address)).to.equal(40n);
+      const [event] = await admin.queryEvents("VotingPowerUsed");
+      expect(event).to.include({ sessionId: 0, voter: voter1.address, weight: 40 });
+      await expect(admin.connect(voter2).vote(1)).to.be.rejectedWith(UnauthorizedError, "no delegated voting tokens");
+      await expect(admin.connect(voter2).delegate(voter1.address)).to.be.rejectedWith(WorkflowStatusError, "delegated with the token");
+    });
+  });
+
+  // *********** Thresholds *********** //
+  describe("setThresholds()", function () {
+    it("Should set the thresholds and read a session without result", async function () {
+      const { admin, voter1, voter2 } = await loadFixture(deployVotingFixture);
+
+      expect(await admin.getThresholds()).to.equal(null);
+      await admin.setThresholds({ quorumBps: 7500 });
+      await admin.addVoters([voter1.address, voter2.address]);
+      await admin.advancePhase();
+      await admin.connect(voter1).addProposal("Proposal 1");
+      await admin.advancePhase();
+      await admin.advancePhase();
+      await admin.connect(voter1).vote(1);
+      await admin.advancePhase();
+      await admin.advancePhase();
+
+      expect(await admin.getThresholds()).to.deep.equal({ quorumVoters: 0, quorumBps: 7500, winnerShareBps: 0 });
+      expect(await admin.getParticipation()).to.deep.equal({ registeredVoters: 2, votesCast: 1, castWeight: 1n });
+      expect(await admin.getNoResult()).to.equal("QuorumNotReached");
+      const [thresholdsSet] = await admin.queryEvents("ThresholdsSet");
+      expect(thresholdsSet.thresholds).to.deep.equal({ quorumVoters: 0, quorumBps: 7500, winnerShareBps: 0 });
+      const [noResult] = await admin.queryEvents("NoResult");
+      expect(noResult).to.include({ sessionId: 0, reason: "QuorumNotReached" });
+      await expect(admin.getWinner()).to.be.rejectedWith(WorkflowStatusError, "thresholds were not met");
+    });
+
+    it("Should refuse a share above 100%", async function () {
+      const { admin } = await loadFixture(deployVotingFixture);
+
+      await expect(admin.setThresholds({ winnerShareBps: 12000 })).to.be.rejectedWith(InvalidRequestError, "10000 basis points");
+    });
+  });
+
+  // *********** Secret ballots *********** //
+  describe("commitVote() and revealVote()", function () {
+    it("Should commit with a stored salt, advance through the reveal and count the revealed vote", async function () {
+      const { admin, voter1, voter2 } = await loadFixture(deployVotingFixture);
+      const store = new BallotStore();
+
+      await admin.addVoters([voter1.address, voter2.address]);
+      await admin.setCommitReveal(true);
+      await admin.advancePhase();
+      await admin.connect(voter1).addProposal("Proposal 1");
+      await admin.advancePhase();
+      await admin.advancePhase();
+      await admin.connect(voter1).commitVote(1, { store });
+      await admin.connect(voter2).commitVote(0, { store });
+      expect(await admin.isCommitReveal()).to.equal(true);
+
+      await admin.advancePhase();
+      expect(await admin.getWorkflowStatus()).to.equal("RevealingVotes");
+      await admin.connect(voter1).revealVote({ store });
+      await admin.advancePhase();
+      await admin.advancePhase();
+
+      expect((await admin.getWinner()).id).to.equal(1);
+      expect((await admin.getVoter(voter2.address)).hasVoted).to.equal(false);
+      const ref = { chainId: 31337, contract: admin.address, sessionId: 0 };
+      expect(await store.load({ ...ref, voter: voter1.address })).to.equal(undefined);
+      expect(await store.load({ ...ref, voter: voter2.address })).to.include({ proposalId: 0 });
+    });
+
+    it("Should keep the salt of a committed vote when committing again", async function () {
+      const { admin, voter1 } = await loadFixture(deployVotingFixture);
+      const store = new BallotStore();
+
+      await admin.addVoter(voter1.address);
+      await admin.setCommitReveal(true);
+      await admin.advancePhase();
+      await admin.advancePhase();
+      await admin.advancePhase();
+      const voter = admin.connect(voter1);
+      await voter.commitVote(0, { store });
+      const ref = { chainId: 31337, contract: admin.address, sessionId: 0, voter: voter1.address };
+      const stored = await store.load(ref);
+
+      await expect(voter.commitVote(0, { store })).to.be.rejectedWith(InvalidRequestError, "already voted");
+      expect(await store.load(ref)).to.deep.equal(stored);
+      expect(await admin.getCommitment(voter1.address)).to.equal(stored.commitment);
+    });
+
+    it("Should fail to reveal without a stored ballot or a store", async function () {
+      const { admin, voter1 } = await loadFixture(deployVotingFixture);
+
+      await expect(admin.connect(voter1).revealVote({ store: new BallotStore() })).to.be.rejectedWith("No stored ballot of");
+      await expect(admin.connect(voter1).commitVote(1)).to.be.rejectedWith("A BallotStore is required to call commitVote");
+    });
+  });
+
+  // *********** Events *********** //
+  describe("Events", function () {
+    it("Should notify subscribers with decoded events", async function () {
+      const { admin, voter1 } = await loadFixture(deployVotingFixture);
+
+      const received = new Promise((resolve) => admin.on("VoterRegistered", resolve));
+      const receipt = await admin.addVoter(voter1.address);
+      const event = await received;
+      await admin.contract.removeAllListeners();
+
+      expect(event).to.include({
+        name: "VoterRegistered",
+        sessionId: 0,
+        voterAddress: voter1.address,
+        blockNumber: receipt.blockNumber,
+        transactionHash: receipt.hash,
+      });
+    });
+
+    it("Should stop notifying after unsubscribing", async function () {
+      const { admin, voter1, voter2 } = await loadFixture(deployVotingFixture);
+
+      const events = [];
+      const unsubscribe = await admin.on("VoterRegistered", (event) => events.push(event));
+      await admin.addVoter(voter1.address);
+      while (events.length === 0) await new Promise((resolve) => setTimeout(resolve, 50));
+      await unsubscribe();
+      await admin.addVoter(voter2.address);
+      await new Promise((resolve) => setTimeout(resolve, 200));
+
+      expect(events.map((e) => e.voterAddress)).to.deep.equal([voter1.address]);
+    });
+
+    it("Should only notify the events of the given session", async function () {
+      const { admin, voter1, voter2 } = await loadFixture(deployVotingFixture);
+      await admin.startNewVotingSession("Session 2");
+
+      const received = new Promise((resolve) => admin.on("VoterRegistered", resolve, { sessionId: 1 }));
+      await admin.addVoter(voter1.address);
+      await admin.forSession(1).addVoter(voter2.address);
+      const event = await received;
+      await admin.contract.removeAllListeners();
+
+      expect(event).to.include({ sessionId: 1, voterAddress: voter2.address });
+    });
+
+    it("Should refuse unknown events", async function () {
+      const { admin } = await loadFixture(deployVotingFixture);
+
+      await expect(admin.on("Transfer", () => {})).to.be.rejectedWith("Unknown Voting event: Transfer");
+    });
+
+    it("Should query past events with status names", async function () {
+      const { admin } = await loadFixture(talliedSessionFixture);
+
+      const changes = await admin.queryEvents("WorkflowStatusChange");
+      expect(changes.map((e) => e.newStatus)).to.deep.equal([
+        "ProposalsRegistrationStarted",
+        "ProposalsRegistrationEnded",
+        "VotingSessionStarted",
+        "VotingSessionEnded",
+        "VotesTallied",
+      ]);
+
+      const votes = await admin.queryEvents("Voted");
+      expect(votes.map((e) => e.proposalId)).to.deep.equal([2, 2]);
+    });
+
+    it("Should query past events from the deployment block in batches", async function () {
+      const { voting, owner } = await loadFixture(talliedSessionFixture);
+      const deploymentBlock = (await voting.deploymentTransaction().wait()).blockNumber;
+      const head = await ethers.provider.getBlockNumber();
+      const admin = await VotingClient.connect({ runner: owner, address: await voting.getAddress(), fromBlock: deploymentBlock });
+      const client = admin.forSession(0);
+      expect(client.fromBlock).to.equal(deploymentBlock);
+
+      const ranges = [];
+      const queryFilter = client.contract.queryFilter.bind(client.contract);
+      client.contract.queryFilter = (filter, from, to) => {
+        ranges.push([from, to]);
+        return queryFilter(filter, from, to);
+      };
+      const votes = await client.queryEvents("Voted", { sessionId: 0, batchSize: 4 });
+
+      expect(votes.map((e) => e.proposalId)).to.deep.equal([2, 2]);
+      expect(ranges[0]).to.deep.equal([deploymentBlock, deploymentBlock + 3]);
+      expect(ranges.at(-1)[1]).to.equal(head);
+      expect(ranges).to.have.lengthOf(Math.ceil((head - deploymentBlock + 1) / 4));
+    });
+  });
+
+});
@@ -0,0 +1,253 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { getVotingFactory } = require("../lib/deployment");
+const VotingUpgradeableModule = require("../ignition/modules/VotingUpgradeable");
+const VotingUpgradeModule = require("../ignition/modules/VotingUpgrade");
+const { countSessionMigrations } = require("../lib/migration");
+const { ROLES, VotingClient } = require("../sdk");
+
+describe("VotingUpgradeable", function () {
+  // Emplacement ERC-1967 de l'adresse de l'implémentation d'un proxy
+  const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+  // VotingTally et VotingRules sont des bibliothèques externes sans état : les lier ne compromet pas la mise à jour
+  const VALIDATION_OPTIONS = { kind: "transparent", unsafeAllowLinkedLibraries: true };
+
+  // *********** FIXTURES *********** //
+
+  async function deployProxyFixture() {
+    const [owner, voter1, voter2, voter3] = await ethers.getSigners();
+    const { voting, implementation, proxy, proxyAdmin } = await hre.ignition.deploy(VotingUpgradeableModule, {
+      parameters: { VotingUpgradeable: { sessionName: "Session A", voters: [voter1.address, voter2.address] } },
+    });
+
+    return { voting, implementation, proxy, proxyAdmin, owner, voter1, voter2, voter3 };
+  }
+
+  // Deux sessions : la première dépouillée, la seconde en cours de vote et confiée à voter3
+  async function sessionsFixture() {
+    const fixture = await loadFixture(deployProxyFixture);
+    const { voting, voter1, voter2, voter3 } = fixture;
+
+    await voting.startProposalsRegistering(0);
+    await voting.connect(voter1).addProposal(0, "Proposal A1");
+    await voting.connect(voter2).addProposal(0, "Proposal A2");
+    await voting.endProposalsRegistering(0);
+    await voting.startVotingSession(0);
+    await voting.connect(voter1).setVote(0, 2);
+    await voting.connect(voter2).setVote(0, 2);
+    await voting.endVotingSession(0);
+    await voting.tallyVotes(0);
+
+    await voting.startNewVotingSession("Session B");
+    await voting.setSessionAdmin(1, voter3);
+    await voting.addVoters(1, [voter1, voter3]);
+    await voting.startProposalsRegistering(1);
+    await voting.connect(voter3).addProposal(1, "Proposal B1");
+    await voting.endProposalsRegistering(1);
+    await voting.startVotingSession(1);
+    await voting.connect(voter3).setVote(1, 1);
+
+    return fixture;
+  }
+
+  // Proxy mis à jour vers une implémentation qui ne suivait ni la participation ni les propositions en tête : voter3 est
+  // enregistré après voter1 et voter2, et les compteurs de la session sont effacés
+  async function legacyProxyFixture() {
+    const fixture = await loadFixture(deployProxyFixture);
+    const LegacyModule = VotingUpgradeModule.buildUpgradeModule("VotingLegacyMock", "VotingUpgradeableLegacyMock");
+    const { voting } = await upgrade(LegacyModule, fixture);
+
+    await voting.addVoter(0, fixture.voter3);
+    await voting.forgetCounters(0);
+
+    return { ...fixture, voting };
+  }
+
+  // Session en cours de vote sur l'implémentation antérieure : deux voix pour Proposal A2, et voter3 n'a pas encore voté
+  async function legacyVotesFixture() {
+    const fixture = await loadFixture(legacyProxyFixture);
+    const { voting, voter1, voter2 } = fixture;
+
+    await voting.startProposalsRegistering(0);
+    await voting.connect(voter1).addProposal(0, "Proposal A1");
+    await voting.connect(voter2).addProposal(0, "Proposal A2");
+    await voting.endProposalsRegistering(0);
+    await voting.startVotingSession(0);
+    await voting.connect(voter1).setVote(0, 2);
+    await voting.connect(voter2).setVote(0, 2);
+    await voting.forgetCounters(0);
+
+    return fixture;
+  }
+
+  // Paramètre sessions du module VotingUpgrade, compté d'après les événements du proxy
+  async function countMigrations(proxy) {
+    const client = await VotingClient.connect({ runner: ethers.provider, address: await proxy.getAddress() });
+    return countSessionMigrations(client);
+  }
+
+  // État du contrat lu par ses variables publiques, comparé avant et après la mise à jour
+  async function readState(voting, accounts) {
+    const totalSessions = Number(await voting.totalSessions());
+    const sessions = [];
+    for (let id = 0; id < totalSessions; id++) {
+      const session = await voting.getSession(id);
+      sessions.push({
+        session: session.toArray(),
+        // Getters des mappings publics sessions et voters, qui font partie de l'interface externe du proxy
+        storage: (await voting.sessions(id)).toArray(),
+        votersStorage: await Promise.all(accounts.map(async (account) => (await voting.voters(id, account)).toArray())),
+        admin: await voting.sessionAdmins(id),
+        proposals: (await voting.getProposals(id, 0, 0)).map((p) => p.toArray()),
+        voters: await Promise.all(accounts.map(async (account) => (await voting["getVoter(uint32,address)"](id, account)).toArray())),
+      });
+    }
+    return { currentSessionId: await voting.currentSessionId(), totalSessions, admin: await voting.hasRole(ROLES.admin, accounts[0]), sessions };
+  }
+
+  async function getImplementation(proxy) {
+    const slot = await ethers.provider.getStorage(await proxy.getAddress(), IMPLEMENTATION_SLOT);
+    return ethers.getAddress(ethers.dataSlice(slot, 12));
+  }
+
+  async function upgrade(module, { proxy, proxyAdmin }, parameters = {}) {
+    return hre.ignition.deploy(module, {
+      parameters: { [module.id]: { proxy: await proxy.getAddress(), proxyAdmin: await proxyAdmin.getAddress(), ...parameters } },
+    });
+  }
+
+  // *********** Deployment *********** //
+  describe("Deployment", function () {
+    it("Should deploy the proxy, register the voters and create the first session", async function () {
+      const { voting, implementation, proxy, owner, voter1, voter3 } = await loadFixture(deployProxyFixture);
+
+      expect(await getImplementation(proxy)).to.equal(await implementation.getAddress());
+      expect(await voting.hasRole(ROLES.admin, owner)).to.equal(true);
+      expect((await voting.getSession(0)).name).to.equal("Session A");
+      expect((await voting["getVoter(uint32,address)"](0, voter1)).isRegistered).to.equal(true);
+      expect((await voting["getVoter(uint32,address)"](0, voter3)).isRegistered).to.equal(false);
+    });
+
+    it("Should give the contract and its ProxyAdmin to the final owner", async function () {
+      const [, , , , multisig] = await ethers.getSigners();
+
+      const { voting, proxyAdmin } = await hre.ignition.deploy(VotingUpgradeableModule, {
+        parameters: { VotingUpgradeable: { finalOwner: multisig.address } },
+      });
+
+      expect(await voting.hasRole(ROLES.admin, multisig)).to.equal(true);
+      expect(await proxyAdmin.owner()).to.equal(multisig.address);
+    });
+
+    it("Should not initialize twice", async function () {
+      const { voting, implementation, owner } = await loadFixture(deployProxyFixture);
+
+      await expect(voting.initialize("Again", owner)).to.be.revertedWithCustomError(voting, "InvalidInitialization");
+      await expect(implementation.initialize("Implementation", owner)).to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
+
+    it("Should have a storage layout that is safe to upgrade", async function () {
+      await hre.upgrades.validateImplementation(await getVotingFactory(hre, "VotingUpgradeable"), VALIDATION_OPTIONS);
+    });
+  });
+
+  // *********** Upgrade *********** //
+  describe("Upgrade", function () {
+    it("Should keep sessions, voters, currentSessionId and totalSessions through an upgrade", async function () {
+      const fixture = await loadFixture(sessionsFixture);
+      const { proxy, owner, voter1, voter2, voter3 } = fixture;
+      const accounts = [owner, voter1, voter2, voter3];
+      const before = await readState(fixture.voting, accounts);
+
+      const MockUpgradeModule = VotingUpgradeModule.buildUpgradeModule("VotingUpgradeMock", "VotingUpgradeableV2Mock");
+      const { voting, implementation } = await upgrade(MockUpgradeModule, fixture);
+
+      expect(await getImplementation(proxy)).to.equal(await implementation.getAddress());
+      expect(await voting.version()).to.equal(2);
+      expect(await readState(voting, accounts)).to.deep.equal(before);
+      expect(before.currentSessionId).to.equal(1n);
+      expect(before.totalSessions).to.equal(2);
+      expect((await voting.getSessionWinner(0)).proposal.description).to.equal("Proposal A2");
+    });
+
+    it("Should let a running session go on after an upgrade", async function () {
+      const fixture = await loadFixture(sessionsFixture);
+      const { voter1, voter3 } = fixture;
+
+      const { voting } = await upgrade(VotingUpgradeModule, fixture);
+
+      await expect(voting.connect(voter3).setVote(1, 1)).to.be.revertedWithCustomError(voting, "AlreadyVoted");
+      await voting.connect(voter1).setVote(1, 1);
+      await voting.endVotingSession(1);
+      await voting.tallyVotes(1);
+
+      const winner = await voting.getSessionWinner(1);
+      expect(winner.proposal.description).to.equal("Proposal B1");
+      expect(winner.proposal.voteCount).to.equal(2);
+    });
+
+    it("Should tally the votes cast before an upgrade from an implementation without leaders", async function () {
+      const fixture = await loadFixture(legacyVotesFixture);
+      const { proxy, voter3 } = fixture;
+      const sessions = await countMigrations(proxy);
+      expect(sessions).to.deep.equal([{ sessionId: 0, participation: { registeredVoters: 3, votesCast: 2, castWeight: 2n } }]);
+
+      const { voting } = await upgrade(VotingUpgradeModule, fixture, { sessions });
+      await voting.connect(voter3).setVote(0, 1);
+      await voting.endVotingSession(0);
+      await voting.tallyVotes(0);
+
+      const [winnerId, winner] = await voting.getSessionWinner(0);
+      expect(winnerId).to.equal(2);
+      expect(winner.voteCount).to.equal(2);
+      expect((await voting.getTie(0)).isTie).to.equal(false);
+      expect((await voting.getSession(0)).votesCast).to.equal(3);
+      await expect(voting.migrateSessions([])).to.be.revertedWithCustomError(voting, "InvalidInitialization");
+    });
+
+    it("Should remove a voter registered before an upgrade from an implementation without participation", async function () {
+      const fixture = await loadFixture(legacyProxyFixture);
+      const { proxy, voter1, voter2, voter3 } = fixture;
+
+      const { voting } = await upgrade(VotingUpgradeModule, fixture, { sessions: await countMigrations(proxy) });
+      await voting.removeVoter(0, voter1);
+      expect((await voting.getSession(0)).registeredVoters).to.equal(2);
+
+      // Le quorum de tous les inscrits compte les votants enregistrés avant la mise à jour
+      await voting.setThresholds(0, { quorumVoters: 0, quorumBps: 10000, winnerShareBps: 0 });
+      await voting.startProposalsRegistering(0);
+      await voting.connect(voter2).addProposal(0, "Proposal A1");
+      await voting.endProposalsRegistering(0);
+      await voting.startVotingSession(0);
+      await voting.connect(voter3).setVote(0, 1);
+      await voting.endVotingSession(0);
+      await expect(voting.tallyVotes(0)).to.emit(voting, "NoResult").withArgs(0, 1);
+    });
+
+    it("Should only let the ProxyAdmin migrate the sessions", async function () {
+      const { voting } = await loadFixture(deployProxyFixture);
+
+      await expect(voting.migrateSessions([])).to.be.revertedWithCustomError(voting, "NotProxyAdmin");
+    });
+
+    it("Should only be upgraded by the owner of the ProxyAdmin", async function () {
+      const { proxy, proxyAdmin, voter1 } = await loadFixture(deployProxyFixture);
+      const implementation = await (await getVotingFactory(hre, "VotingUpgradeableV2Mock")).deploy();
+
+      await expect(proxyAdmin.connect(voter1).upgradeAndCall(proxy, implementation, "0x"))
+        .to.be.revertedWithCustomError(proxyAdmin, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should validate a compatible storage layout and reject an incompatible one", async function () {
+      const current = await getVotingFactory(hre, "VotingUpgradeable");
+
+      await hre.upgrades.validateUpgrade(current, await getVotingFactory(hre, "VotingUpgradeableV2Mock"), VALIDATION_OPTIONS);
+      await expect(
+        hre.upgrades.validateUpgrade(current, await ethers.getContractFactory("VotingUpgradeableBrokenMock"), VALIDATION_OPTIONS)
+      ).to.be.rejectedWith("New storage layout is incompatible");
+    });
+  });
+
+});
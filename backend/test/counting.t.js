@@ -0,0 +1,189 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { deployVoting } = require("../lib/deployment");
+const { countInstantRunoff, countVotes, findWinner, VOTING_METHODS } = require("../sdk");
+
+describe("Reference vote counting", function () {
+
+  // *********** Reference implementation *********** //
+  describe("countVotes()", function () {
+    const ballot = (proposalIds, weight = 1) => ({ proposalIds, weight });
+
+    it("Should count a plurality vote with its delegated votes", function () {
+      expect(countVotes("Plurality", [ballot([1], 2), ballot([2]), ballot([1])], 3)).to.deep.equal({
+        counts: [0, 3, 1],
+        winningProposalId: 1,
+        tiedProposalIds: [],
+      });
+    });
+
+    it("Should give the vote of an approval ballot to every approved proposal", function () {
+      expect(countVotes("Approval", [ballot([1, 2]), ballot([2, 3], 2)], 4)).to.deep.equal({
+        counts: [0, 1, 3, 2],
+        winningProposalId: 2,
+        tiedProposalIds: [],
+      });
+    });
+
+    it("Should report a tie broken by the lowest id", function () {
+      expect(findWinner([0, 2, 1, 2])).to.deep.equal({ winningProposalId: 1, tiedProposalIds: [1, 3] });
+      expect(findWinner([0, 0, 0])).to.deep.equal({ winningProposalId: 0, tiedProposalIds: [] });
+    });
+
+    it("Should fail with an unknown voting method", function () {
+      expect(() => countVotes("Borda", [], 1)).to.throw("Unknown voting method Borda");
+    });
+  });
+
+  describe("countInstantRunoff()", function () {
+    it("Should eliminate the least supported proposal until one has a majority", function () {
+      const ballots = [
+        { proposalIds: [1, 3], weight: 2 },
+        { proposalIds: [2], weight: 2 },
+        { proposalIds: [3, 2], weight: 1 },
+      ];
+
+      expect(countInstantRunoff(ballots, 4)).to.deep.equal({
+        counts: [0, 2, 3, 0],
+        rounds: [[0, 2, 2, 1], [0, 2, 3, 0]],
+      });
+    });
+
+    it("Should eliminate the highest id among the least supported proposals", function () {
+      const ballots = [
+        { proposalIds: [1], weight: 2 },
+        { proposalIds: [2, 1], weight: 1 },
+        { proposalIds: [3, 2], weight: 1 },
+      ];
+
+      // Tour 1 : 2 et 3 à égalité, 3 est éliminée ; tour 2 : 1 et 2 à égalité, on s'arrête
+      expect(countInstantRunoff(ballots, 4).rounds).to.deep.equal([[0, 2, 1, 1], [0, 2, 2, 0]]);
+    });
+
+    it("Should eliminate the proposals without votes", function () {
+      const ballots = [
+        { proposalIds: [1, 3], weight: 1 },
+        { proposalIds: [2], weight: 1 },
+      ];
+
+      // 3 et 4 n'ont aucune voix au premier tour : elles sont éliminées ensemble, puis 1 et 2 restent à égalité
+      expect(countInstantRunoff(ballots, 5).rounds).to.deep.equal([[0, 1, 1, 0, 0], [0, 1, 1, 0, 0]]);
+    });
+
+    it("Should drop the exhausted ballots", function () {
+      const ballots = [
+        { proposalIds: [1], weight: 2 },
+        { proposalIds: [2], weight: 2 },
+        { proposalIds: [3], weight: 1 },
+      ];
+
+      // La voix pour 3 ne se reporte pas : 1 et 2 restent à égalité au second tour
+      expect(countInstantRunoff(ballots, 4).counts).to.deep.equal([0, 2, 2, 0]);
+    });
+  });
+
+  // *********** Cross-check with the contract *********** //
+  describe("On-chain tally", function () {
+    const VOTERS = 12;
+    const PROPOSALS = 5;
+
+    async function deployVotingFixture() {
+      const signers = (await ethers.getSigners()).slice(1, VOTERS + 1);
+      const voting = await deployVoting(hre);
+
+      return { voting, signers };
+    }
+
+    // Générateur pseudo-aléatoire à graine (mulberry32) : un échec se rejoue à l'identique
+    function random(seed) {
+      return () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      };
+    }
+
+    // Un bulletin aléatoire : une proposition, un sous-ensemble non vide, ou un classement partiel
+    function randomBallot(method, next) {
+      const ids = Array.from({ length: PROPOSALS }, (_, i) => i + 1);
+      for (let i = ids.length - 1; i > 0; i--) {
+        const j = Math.floor(next() * (i + 1));
+        [ids[i], ids[j]] = [ids[j], ids[i]];
+      }
+      return method === "Plurality" ? ids.slice(0, 1) : ids.slice(0, 1 + Math.floor(next() * PROPOSALS));
+    }
+
+    // Chaque votant vote, délègue à un votant d'indice plus élevé (pas de boucle) ou s'abstient, dans un ordre aléatoire
+    function randomActions(method, next) {
+      const actions = Array.from({ length: VOTERS }, (_, voter) => {
+        const draw = next();
+        if (draw < 0.1) return null;
+        if (draw < 0.4 && voter < VOTERS - 1) {
+          return { voter, delegate: voter + 1 + Math.floor(next() * (VOTERS - voter - 1)) };
+        }
+        return { voter, ballot: randomBallot(method, next) };
+      }).filter(Boolean);
+      for (let i = actions.length - 1; i > 0; i--) {
+        const j = Math.floor(next() * (i + 1));
+        [actions[i], actions[j]] = [actions[j], actions[i]];
+      }
+      return actions;
+    }
+
+    // Les voix déléguées vont au bout de la chaîne de délégations, et sont perdues si ce votant ne vote pas
+    function expectedBallots(actions) {
+      const delegates = new Map(actions.filter((a) => a.delegate !== undefined).map((a) => [a.voter, a.delegate]));
+      const weights = new Map();
+      for (const delegator of delegates.keys()) {
+        let end = delegates.get(delegator);
+        while (delegates.has(end)) end = delegates.get(end);
+        weights.set(end, (weights.get(end) ?? 0) + 1);
+      }
+      return actions
+        .filter((a) => a.ballot)
+        .map((a) => ({ proposalIds: a.ballot, weight: 1 + (weights.get(a.voter) ?? 0) }));
+    }
+
+    async function castBallot(voting, sessionId, method, ballot) {
+      if (method === "Plurality") return voting.setVote(sessionId, ballot[0]);
+      if (method === "Approval") return voting.setApprovalVote(sessionId, ballot);
+      return voting.setRankedVote(sessionId, ballot);
+    }
+
+    for (const method of VOTING_METHODS) {
+      for (const seed of [1, 2, 3, 4]) {
+        it(`Should match the reference count of random ${method} ballots (seed ${seed})`, async function () {
+          const { voting, signers } = await loadFixture(deployVotingFixture);
+          const next = random(seed * 7919 + VOTING_METHODS.indexOf(method));
+          const actions = randomActions(method, next);
+          // La première session, uninominale, reste à l'écart : chaque tirage ouvre la sienne avec son mode de scrutin
+          const sessionId = 1;
+
+          await voting["startNewVotingSession(string,uint8)"](`${method} #${seed}`, VOTING_METHODS.indexOf(method));
+          await voting.addVoters(sessionId, signers);
+          await voting.startProposalsRegistering(sessionId);
+          for (let i = 1; i <= PROPOSALS; i++) await voting.connect(signers[0]).addProposal(sessionId, `Proposal ${i}`);
+          await voting.endProposalsRegistering(sessionId);
+          await voting.startVotingSession(sessionId);
+          for (const { voter, delegate, ballot } of actions) {
+            const connected = voting.connect(signers[voter]);
+            await (ballot ? castBallot(connected, sessionId, method, ballot) : connected.delegateVote(sessionId, signers[delegate]));
+          }
+          await voting.endVotingSession(sessionId);
+          await voting.tallyVotes(sessionId);
+
+          const expected = countVotes(method, expectedBallots(actions), PROPOSALS + 1);
+          const proposals = await voting.getProposals(sessionId, 0, PROPOSALS + 1);
+          const [isTie, tiedProposalIds] = await voting.getTie(sessionId);
+          expect(proposals.map((p) => Number(p.voteCount))).to.deep.equal(expected.counts);
+          expect(Number((await voting.getSession(sessionId)).winningProposalId)).to.equal(expected.winningProposalId);
+          expect([isTie, tiedProposalIds.map(Number)]).to.deep.equal([expected.tiedProposalIds.length > 0, expected.tiedProposalIds]);
+        });
+      }
+    }
+  });
+
+});
@@ -0,0 +1,127 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const { getParametersFile, readDeploymentParameters } = require("../lib/deployment");
+const { ROLES } = require("../sdk");
+
+describe("voting:deploy", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deploy-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeParameters(parameters) {
+    const file = path.join(dir, "parameters.json");
+    fs.writeFileSync(file, JSON.stringify({ Voting: parameters }));
+    return file;
+  }
+
+  async function deploy(args = {}) {
+    const result = await hre.run("voting:deploy", args);
+    const voting = await ethers.getContractAt("Voting", result.address);
+    return { result, voting };
+  }
+
+  // *********** Ignition module *********** //
+  describe("Ignition module", function () {
+    it("Should deploy with the default parameters", async function () {
+      const [deployer] = await ethers.getSigners();
+
+      const { voting } = await deploy();
+
+      expect((await voting.getSession(0)).name).to.equal("Session 1");
+      expect(await voting.hasRole(ROLES.admin, deployer)).to.equal(true);
+      expect(await voting.hasRole(ROLES.registrar, deployer)).to.equal(true);
+      expect(await voting.hasRole(ROLES.operator, deployer)).to.equal(true);
+    });
+
+    it("Should name the session, register the voters and hand the roles over", async function () {
+      const [deployer, voter1, voter2, multisig] = await ethers.getSigners();
+      const parameters = writeParameters({
+        sessionName: "General assembly",
+        voters: [voter1.address, voter2.address],
+        finalOwner: multisig.address,
+      });
+
+      const { voting } = await deploy({ parameters });
+
+      const session = await voting.getSession(0);
+      expect(session.name).to.equal("General assembly");
+      expect((await voting["getVoter(uint32,address)"](0, voter1)).isRegistered).to.equal(true);
+      expect((await voting["getVoter(uint32,address)"](0, voter2)).isRegistered).to.equal(true);
+      expect((await voting["getVoter(uint32,address)"](0, multisig)).isRegistered).to.equal(false);
+      for (const role of Object.values(ROLES)) {
+        expect(await voting.hasRole(role, multisig)).to.equal(true);
+        expect(await voting.hasRole(role, deployer)).to.equal(false);
+      }
+
+      // Le déployeur n'a plus la main sur le contrat
+      await expect(voting.connect(deployer).startProposalsRegistering(0))
+        .to.be.revertedWithCustomError(voting, "AccessControlUnauthorizedAccount");
+      await expect(voting.connect(multisig).startProposalsRegistering(0)).to.not.be.reverted;
+    });
+
+    it("Should deploy the upgradeable variant with the same parameters", async function () {
+      const [, voter1, multisig] = await ethers.getSigners();
+      const parameters = writeParameters({ sessionName: "Proxied", voters: [voter1.address], finalOwner: multisig.address });
+
+      const { result } = await deploy({ parameters, upgradeable: true });
+      const voting = await ethers.getContractAt("VotingUpgradeable", result.address);
+
+      expect((await voting.getSession(0)).name).to.equal("Proxied");
+      expect((await voting["getVoter(uint32,address)"](0, voter1)).isRegistered).to.equal(true);
+      expect(await voting.hasRole(ROLES.admin, multisig)).to.equal(true);
+    });
+
+    it("Should emit the creation of the named session", async function () {
+      const { voting } = await deploy({ parameters: writeParameters({ sessionName: "Named" }) });
+
+      const [event] = await voting.queryFilter(voting.filters.SessionCreated());
+      expect(event.args).to.deep.equal([0n, "Named"]);
+    });
+  });
+
+  // *********** Parameters *********** //
+  describe("Parameters", function () {
+    it("Should reject invalid parameters before deploying", async function () {
+      const parameters = writeParameters({ voters: ["0x1234", ethers.ZeroAddress, ethers.ZeroAddress], finalOwner: ethers.ZeroAddress });
+
+      await expect(deploy({ parameters })).to.be.rejectedWith(
+        /voters\[0\]: invalid address "0x1234"\n {2}voters contains duplicate addresses\n {2}finalOwner: invalid address/
+      );
+    });
+
+    it("Should ship valid parameter files for each network", async function () {
+      for (const network of ["localhost", "sepolia"]) {
+        const file = getParametersFile(network);
+
+        expect(file, network).to.not.equal(undefined);
+        expect(() => readDeploymentParameters(file), network).to.not.throw();
+      }
+      expect(getParametersFile("hardhat")).to.equal(undefined);
+    });
+
+    it("Should not verify the contract on local networks", async function () {
+      const verify = hre.scopes.ignition.tasks.verify;
+      const action = verify.action;
+      let verified = false;
+      verify.setAction(async () => { verified = true; });
+
+      try {
+        await deploy();
+      } finally {
+        verify.setAction(action);
+      }
+      expect(verified).to.equal(false);
+    });
+  });
+
+});
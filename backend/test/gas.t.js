@@ -0,0 +1,198 @@
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, setBalance } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { deployVoting } = require("../lib/deployment");
+const { buildAllowlist, getProof } = require("../lib/allowlist");
+const { readGasSnapshot, writeGasSnapshot, compareGas, formatGasComparison } = require("../lib/gas");
+const { getDomain, signMessage, computeCommitment, VotingMethod } = require("../sdk");
+
+// Benchmarks du gas consommé par les fonctions du contrat, comparés à l'instantané versionné : une fonction plus chère
+// que l'instantané au-delà de la tolérance, ou une entrée de l'instantané qui n'est plus mesurée, fait échouer la suite.
+// UPDATE_GAS_SNAPSHOT=1 réécrit l'instantané.
+describe("Gas benchmarks", function () {
+  const SNAPSHOT_FILE = path.join(__dirname, "gas-snapshot.json");
+  const UPDATE = Boolean(process.env.UPDATE_GAS_SNAPSHOT);
+  // Les signatures ne dépendent ainsi que du contrat et du nonce
+  const DEADLINE = ethers.MaxUint256;
+  const SALT = ethers.id("gas benchmark salt");
+
+  const measured = {};
+
+  async function measure(name, txPromise) {
+    const receipt = await (await txPromise).wait();
+    measured[name] = Number(receipt.gasUsed);
+    return receipt;
+  }
+
+  // Votants déterministes : leurs adresses, et donc les données d'appel, sont les mêmes à chaque exécution
+  async function wallets(count, offset = 0) {
+    const list = Array.from({ length: count }, (_, i) => new ethers.Wallet(ethers.id(`gas voter ${offset + i}`), ethers.provider));
+    for (const wallet of list) await setBalance(wallet.address, ethers.parseEther("10"));
+    return list;
+  }
+
+  async function sign(voting, signer, type, sessionId, fields) {
+    const domain = getDomain({ chainId: 31337, verifyingContract: await voting.getAddress() });
+    return signMessage(signer, type, domain, { sessionId, ...fields, nonce: Number(await voting.nonces(signer)), deadline: DEADLINE });
+  }
+
+  async function addProposals(voting, proposer, sessionId, count) {
+    for (let i = 0; i < count; i += 250) {
+      const batch = Array.from({ length: Math.min(250, count - i) }, (_, j) =>
+        voting.interface.encodeFunctionData("addProposal", [sessionId, `Proposal ${i + j + 1}`])
+      );
+      await voting.connect(proposer).multicall(batch);
+    }
+  }
+
+  // *********** FIXTURES *********** //
+
+  async function deployVotingFixture() {
+    const [owner, voter1, voter2, voter3] = await ethers.getSigners();
+    const voting = await deployVoting(hre);
+
+    return { voting, owner, voter1, voter2, voter3 };
+  }
+
+  // Une session au mode de scrutin donné, ouverte au vote avec voterCount votants et proposalCount propositions
+  async function openSession(voting, owner, { method = VotingMethod.Plurality, voterCount, proposalCount }) {
+    await voting["startNewVotingSession(string,uint8)"]("", method);
+    const sessionId = Number(await voting.currentSessionId());
+    const voters = await wallets(voterCount, sessionId * 1000);
+    for (let i = 0; i < voters.length; i += 100) {
+      await voting.addVoters(sessionId, voters.slice(i, i + 100).map((voter) => voter.address));
+    }
+    await voting.startProposalsRegistering(sessionId);
+    await addProposals(voting, voters[0], sessionId, proposalCount);
+    await voting.endProposalsRegistering(sessionId);
+    await voting.startVotingSession(sessionId);
+
+    return { sessionId, voters };
+  }
+
+  // *********** MEASUREMENTS *********** //
+
+  it("Should measure voter registration", async function () {
+    const { voting, voter1, voter2 } = await loadFixture(deployVotingFixture);
+
+    await measure("addVoter", voting.addVoter(0, voter1));
+    await measure("removeVoter", voting.removeVoter(0, voter1));
+    await measure("addVoters (10 voters)", voting.addVoters(0, (await wallets(10, 100)).map((voter) => voter.address)));
+    await measure("addVoters (100 voters)", voting.addVoters(0, (await wallets(100, 200)).map((voter) => voter.address)));
+
+    const allowlist = buildAllowlist([voter1.address, voter2.address]);
+    await measure("setVoterMerkleRoot", voting.setVoterMerkleRoot(0, allowlist.root));
+    await measure("registerWithProof", voting.connect(voter2).registerWithProof(0, getProof(allowlist, voter2.address)));
+  });
+
+  it("Should measure a plurality session from start to tally", async function () {
+    const { voting, voter1, voter2, voter3 } = await loadFixture(deployVotingFixture);
+    await voting.addVoters(0, [voter1.address, voter2.address, voter3.address]);
+
+    await measure("startProposalsRegistering", voting.startProposalsRegistering(0));
+    await measure("addProposal", voting.connect(voter1).addProposal(0, "Proposal 1"));
+    const proposal = await sign(voting, voter2, "ProposalSubmission", 0, { description: "Proposal 2" });
+    await measure("addProposalBySig", voting.addProposalBySig(0, proposal.voter, proposal.description, proposal.deadline, proposal.signature));
+    await voting.connect(voter3).addProposal(0, "Proposal 3");
+    await measure("withdrawProposal", voting.connect(voter3).withdrawProposal(0, 3));
+    await measure("endProposalsRegistering", voting.endProposalsRegistering(0));
+    await measure("startVotingSession", voting.startVotingSession(0));
+
+    await measure("setVote", voting.connect(voter1).setVote(0, 1));
+    const ballot = await sign(voting, voter2, "Ballot", 0, { proposalId: 2 });
+    await measure("setVoteBySig", voting.setVoteBySig(0, ballot.voter, ballot.proposalId, ballot.deadline, ballot.signature));
+    await measure("delegateVote", voting.connect(voter3).delegateVote(0, voter1));
+
+    await measure("endVotingSession", voting.endVotingSession(0));
+    await measure("tallyVotes (Plurality, 3 voters)", voting.tallyVotes(0));
+    await measure("startNewVotingSession", voting["startNewVotingSession(string)"]("Session 2"));
+  });
+
+  it("Should measure approval and ranked ballots", async function () {
+    const { voting, owner } = await loadFixture(deployVotingFixture);
+
+    const approval = await openSession(voting, owner, { method: VotingMethod.Approval, voterCount: 1, proposalCount: 5 });
+    await measure("setApprovalVote (3 proposals)", voting.connect(approval.voters[0]).setApprovalVote(approval.sessionId, [1, 3, 5]));
+
+    const ranked = await openSession(voting, owner, { method: VotingMethod.InstantRunoff, voterCount: 1, proposalCount: 5 });
+    await measure("setRankedVote (3 proposals)", voting.connect(ranked.voters[0]).setRankedVote(ranked.sessionId, [2, 4, 1]));
+  });
+
+  it("Should measure secret ballots", async function () {
+    const { voting } = await loadFixture(deployVotingFixture);
+    await voting["startNewVotingSession(string)"]("");
+    const sessionId = Number(await voting.currentSessionId());
+    const [voter] = await wallets(1, sessionId * 1000);
+    await voting.addVoter(sessionId, voter.address);
+    await voting.setCommitReveal(sessionId, true);
+    await voting.startProposalsRegistering(sessionId);
+    await voting.connect(voter).addProposal(sessionId, "Proposal 1");
+    await voting.endProposalsRegistering(sessionId);
+    await voting.startVotingSession(sessionId);
+
+    const commitment = computeCommitment({ voter: voter.address, sessionId, proposalId: 1, salt: SALT });
+    await measure("commitVote", voting.connect(voter).commitVote(sessionId, commitment));
+    await measure("startVotesRevealing", voting.startVotesRevealing(sessionId));
+    await measure("revealVote", voting.connect(voter).revealVote(sessionId, 1, SALT));
+  });
+
+  it("Should measure the emergency pause and cancellation", async function () {
+    const { voting } = await loadFixture(deployVotingFixture);
+
+    await measure("pause", voting.pause());
+    await measure("unpause", voting.unpause());
+    await measure("cancelSession", voting.cancelSession(0, "Compromised voter list"));
+  });
+
+  it("Should tally a plurality session for the same cost whatever the number of proposals", async function () {
+    const { voting, owner } = await loadFixture(deployVotingFixture);
+    const costs = [];
+
+    for (const proposalCount of [10, 100, 1000]) {
+      const { sessionId, voters } = await openSession(voting, owner, { voterCount: 2, proposalCount });
+      await voting.connect(voters[0]).setVote(sessionId, proposalCount);
+      await voting.connect(voters[1]).setVote(sessionId, 1);
+      await voting.endVotingSession(sessionId);
+      const receipt = await measure(`tallyVotes (Plurality, ${proposalCount} proposals)`, voting.tallyVotes(sessionId));
+      costs.push(receipt.gasUsed);
+    }
+
+    // Seules les propositions en tête sont lues : le coût ne varie qu'avec les données d'appel
+    const [cheapest, dearest] = [costs.reduce((a, b) => (a < b ? a : b)), costs.reduce((a, b) => (a > b ? a : b))];
+    expect(dearest - cheapest).to.be.lessThan(cheapest / 100n);
+  });
+
+  for (const method of ["Plurality", "InstantRunoff"]) {
+    it(`Should measure the ${method} tally by number of voters`, async function () {
+      const { voting, owner } = await loadFixture(deployVotingFixture);
+
+      for (const voterCount of [10, 100]) {
+        const { sessionId, voters } = await openSession(voting, owner, { method: VotingMethod[method], voterCount, proposalCount: 5 });
+        for (const [i, voter] of voters.entries()) {
+          // Les voix se répartissent inégalement, et les bulletins classés éliminent des propositions sur plusieurs tours
+          const first = (i % 7) % 5;
+          if (method === "Plurality") await voting.connect(voter).setVote(sessionId, 1 + first);
+          else await voting.connect(voter).setRankedVote(sessionId, [first, first + 1, first + 3].map((id) => 1 + (id % 5)));
+        }
+        await voting.endVotingSession(sessionId);
+        await measure(`tallyVotes (${method}, ${voterCount} voters)`, voting.tallyVotes(sessionId));
+      }
+    });
+  }
+
+  // *********** SNAPSHOT *********** //
+
+  it("Should not cost more gas than the snapshot", function () {
+    const snapshot = readGasSnapshot(SNAPSHOT_FILE);
+    if (UPDATE) {
+      writeGasSnapshot(SNAPSHOT_FILE, { tolerancePercent: snapshot.tolerancePercent, gas: measured });
+      return;
+    }
+
+    const comparison = compareGas(snapshot, measured);
+    const { regressions, missing, stale } = comparison;
+    expect(regressions.length + missing.length + stale.length, formatGasComparison(comparison, snapshot.tolerancePercent)).to.equal(0);
+  });
+});
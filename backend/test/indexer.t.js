@@ -0,0 +1,398 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { getDeploymentBlock, deployVoting } = require("../lib/deployment");
+const { VotingIndexer } = require("../lib/indexer");
+const GovernanceTokenMockModule = require("../ignition/modules/GovernanceTokenMock");
+const { VotingClient } = require("../sdk");
+
+describe("VotingIndexer", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // *********** FIXTURES *********** //
+
+  async function deployVotingFixture() {
+    const [owner, voter1, voter2] = await ethers.getSigners();
+    const voting = await deployVoting(hre);
+    const deploymentBlock = (await voting.deploymentTransaction().wait()).blockNumber;
+
+    return { voting, deploymentBlock, owner, voter1, voter2 };
+  }
+
+  async function talliedSessionFixture() {
+    const { voting, deploymentBlock, owner, voter1, voter2 } = await loadFixture(deployVotingFixture);
+
+    await voting.addVoters(0, [voter1, voter2]);
+    await voting.startProposalsRegistering(0);
+    await voting.connect(voter1).addProposal(0, "Proposal 1");
+    await voting.connect(voter2).addProposal(0, "Proposal 2");
+    await voting.endProposalsRegistering(0);
+    await voting.startVotingSession(0);
+    await voting.connect(voter1).setVote(0, 2);
+    await voting.connect(voter2).setVote(0, 1);
+    await voting.endVotingSession(0);
+    await voting.tallyVotes(0);
+
+    return { voting, deploymentBlock, owner, voter1, voter2 };
+  }
+
+  async function createIndexer(voting, options = {}) {
+    const client = await VotingClient.connect({ runner: ethers.provider, address: await voting.getAddress() });
+    return new VotingIndexer({ client, file: path.join(dir, "index.json"), log: () => {}, ...options });
+  }
+
+  // *********** Replay *********** //
+  describe("Replay", function () {
+    it("Should read the deployment block from the Ignition journal", async function () {
+      expect(getDeploymentBlock(11155111)).to.equal(8617890);
+      expect(getDeploymentBlock(31337)).to.equal(undefined);
+    });
+
+    it("Should rebuild the history of a session from the deployment block", async function () {
+      const { voting, deploymentBlock, voter1, voter2 } = await loadFixture(talliedSessionFixture);
+      const indexer = await createIndexer(voting, { fromBlock: deploymentBlock, batchSize: 3 });
+
+      await indexer.sync();
+      const [session] = indexer.history().sessions;
+
+      expect(session.name).to.equal("Session 1");
+      expect(session.status).to.equal("VotesTallied");
+      expect(session.winningProposalId).to.equal(1);
+      expect(session.proposals.map((p) => [p.description, p.voteCount])).to.deep.equal([
+        ["GENESIS", 0],
+        ["Proposal 1", 1],
+        ["Proposal 2", 1],
+      ]);
+      expect(Object.keys(session.voters)).to.deep.equal([voter1.address, voter2.address]);
+      expect(session.voters[voter1.address].votedProposalId).to.equal(2);
+      expect(session.votes.map((v) => [v.voter, v.proposalId])).to.deep.equal([[voter1.address, 2], [voter2.address, 1]]);
+      expect(session.transitions.map((t) => t.newStatus)).to.deep.equal([
+        "ProposalsRegistrationStarted",
+        "ProposalsRegistrationEnded",
+        "VotingSessionStarted",
+        "VotingSessionEnded",
+        "VotesTallied",
+      ]);
+      expect(session.transitions[0].timestamp).to.be.a("number");
+    });
+
+    it("Should drop the removed voters and flag the withdrawn proposals", async function () {
+      const { voting, deploymentBlock, voter1, voter2 } = await loadFixture(deployVotingFixture);
+
+      await voting.addVoters(0, [voter1, voter2]);
+      await voting.removeVoter(0, voter2);
+      await voting.startProposalsRegistering(0);
+      await voting.connect(voter1).addProposal(0, "Proposal 1");
+      await voting.connect(voter1).addProposal(0, "Proposal 2");
+      await voting.connect(voter1).withdrawProposal(0, 1);
+
+      const indexer = await createIndexer(voting, { fromBlock: deploymentBlock });
+      await indexer.sync();
+      const [session] = indexer.history().sessions;
+
+      expect(Object.keys(session.voters)).to.deep.equal([voter1.address]);
+      expect(session.proposals.map((p) => [p.id, p.proposer, p.withdrawn])).to.deep.equal([
+        [0, null, false],
+        [1, voter1.address, true],
+        [2, voter1.address, false],
+      ]);
+    });
+
+    it("Should count the delegated votes", async function () {
+      const { voting, deploymentBlock, voter1, voter2 } = await loadFixture(deployVotingFixture);
+      const [, , , voter3] = await ethers.getSigners();
+
+      await voting.addVoters(0, [voter1, voter2, voter3]);
+      await voting.startProposalsRegistering(0);
+      await voting.connect(voter1).addProposal(0, "Proposal 1");
+      await voting.endProposalsRegistering(0);
+      await voting.startVotingSession(0);
+      await voting.connect(voter2).delegateVote(0, voter1);
+      await voting.connect(voter1).setVote(0, 1);
+      await voting.connect(voter3).delegateVote(0, voter1);
+
+      const indexer = await createIndexer(voting, { fromBlock: deploymentBlock });
+      await indexer.sync();
+      const [session] = indexer.history().sessions;
+
+      expect(session.proposals[1].voteCount).to.equal(3);
+      expect(session.voters[voter2.address].delegate).to.equal(voter1.address);
+      expect(session.voters[voter1.address].delegatedWeight).to.equal(1);
+    });
+
+    it("Should record the tie and the proposals of the runoff session", async function () {
+      const { voting, deploymentBlock, voter1, voter2 } = await loadFixture(deployVotingFixture);
+
+      await voting.addVoters(0, [voter1, voter2]);
+      await voting.setTiePolicy(0, 1); // Runoff
+      await voting.startProposalsRegistering(0);
+      await voting.connect(voter1).addProposal(0, "Proposal 1");
+      await voting.connect(voter2).addProposal(0, "Proposal 2");
+      await voting.endProposalsRegistering(0);
+      await voting.startVotingSession(0);
+      await voting.connect(voter1).setVote(0, 2);
+      await voting.connect(voter2).setVote(0, 1);
+      await voting.endVotingSession(0);
+      await voting.tallyVotes(0);
+      await voting.addVoters(1, [voter1, voter2]);
+      await voting.startProposalsRegistering(1);
+
+      const indexer = await createIndexer(voting, { fromBlock: deploymentBlock });
+      await indexer.sync();
+      const [session, runoff] = indexer.history().sessions;
+
+      expect(session).to.include({ tiePolicy: "Runoff", winningProposalId: 0, runoffSessionId: 1 });
+      expect(session.tiedProposalIds).to.deep.equal([1, 2]);
+      expect(runoff).to.include({ name: "Runoff: Session 1", runoffOf: 0, status: "ProposalsRegistrationStarted" });
+      expect(runoff.proposals.map((p) => [p.id, p.description])).to.deep.equal([
+        [0, "GENESIS"],
+        [1, "Proposal 1"],
+        [2, "Proposal 2"],
+      ]);
+    });
+
+    it("Should read the winner at the block of the tally, not at the latest block", async function () {
+      const { voting, deploymentBlock, voter1, voter2 } = await loadFixture(deployVotingFixture);
+
+      await voting.addVoters(0, [voter1, voter2]);
+      await voting.setTiePolicy(0, 2); // OwnerDecision
+      await voting.startProposalsRegistering(0);
+      await voting.connect(voter1).addProposal(0, "Proposal 1");
+      await voting.connect(voter2).addProposal(0, "Proposal 2");
+      await voting.endProposalsRegistering(0);
+      await voting.startVotingSession(0);
+      await voting.connect(voter1).setVote(0, 2);
+      await voting.connect(voter2).setVote(0, 1);
+      await voting.endVotingSession(0);
+      await voting.tallyVotes(0);
+      await voting.resolveTie(0, 2);
+
+      const indexer = await createIndexer(voting, { fromBlock: deploymentBlock });
+      await indexer.sync();
+
+      // Le gagnant désigné après le dépouillement n'est connu que par l'événement TieResolved
+      const tally = indexer.store.events.find((event) => event.name === "WorkflowStatusChange" && event.newStatus === "VotesTallied");
+      expect(tally.winningProposalId).to.equal(0);
+      expect(indexer.history().sessions[0].winningProposalId).to.equal(2);
+    });
+
+    it("Should fall back to the latest state on a node that pruned the state of past blocks", async function () {
+      const { voting, deploymentBlock, voter1, voter2 } = await loadFixture(talliedSessionFixture);
+      // Nœud non archive : les appels à un bloc passé échouent comme sur un RPC public élagué
+      const errors = [];
+      const provider = new Proxy(ethers.provider, {
+        get(target, property) {
+          if (property === "call") {
+            return async (tx) => {
+              if (tx.blockTag === undefined || tx.blockTag === "latest") return target.call(tx);
+              const message = errors.length % 2 === 0 ? `missing trie node ${ethers.ZeroHash} (path )` : "header not found";
+              errors.push(message);
+              throw ethers.makeError("missing revert data", "CALL_EXCEPTION", { info: { error: { code: -32000, message } } });
+            };
+          }
+          const value = target[property];
+          return typeof value === "function" ? value.bind(target) : value;
+        },
+      });
+      const logs = [];
+      const client = await VotingClient.connect({ runner: provider, address: await voting.getAddress() });
+      const indexer = new VotingIndexer({ client, file: path.join(dir, "index.json"), fromBlock: deploymentBlock, log: (line) => logs.push(line) });
+
+      await indexer.sync();
+      const [session] = indexer.history().sessions;
+
+      expect(errors).to.have.lengthOf(3);
+      expect(session.winningProposalId).to.equal(1);
+      expect(session.proposals.map((p) => [p.description, p.proposer])).to.deep.equal([
+        ["GENESIS", null],
+        ["Proposal 1", voter1.address],
+        ["Proposal 2", voter2.address],
+      ]);
+      expect(logs.filter((line) => line.includes("reading the latest state instead"))).to.have.lengthOf(1);
+    });
+
+    it("Should record the thresholds and a session without result", async function () {
+      const { voting, deploymentBlock, voter1, voter2 } = await loadFixture(deployVotingFixture);
+
+      await voting.setThresholds(0, { quorumVoters: 0, quorumBps: 10000, winnerShareBps: 0 });
+      await voting.addVoters(0, [voter1, voter2]);
+      await voting.startProposalsRegistering(0);
+      await voting.connect(voter1).addProposal(0, "Proposal 1");
+      await voting.endProposalsRegistering(0);
+      await voting.startVotingSession(0);
+      await voting.connect(voter1).setVote(0, 1);
+      await voting.endVotingSession(0);
+      await voting.tallyVotes(0);
+
+      const indexer = await createIndexer(voting, { fromBlock: deploymentBlock });
+      await indexer.sync();
+      const [session] = indexer.history().sessions;
+
+      expect(session.thresholds).to.deep.equal({ quorumVoters: 0, quorumBps: 10000, winnerShareBps: 0 });
+      expect(session).to.include({ noResult: "QuorumNotReached", winningProposalId: 0 });
+      expect(session.proposals[1].voteCount).to.equal(1);
+    });
+
+    it("Should recount the ranked ballots at the tally", async function () {
+      const { voting, deploymentBlock, voter1, voter2 } = await loadFixture(talliedSessionFixture);
+      const [, , , voter3, voter4] = await ethers.getSigners();
+
+      await voting["startNewVotingSession(string,uint8)"]("Ranked", 2);
+      await voting.addVoters(1, [voter1, voter2, voter3, voter4]);
+      await voting.startProposalsRegistering(1);
+      await voting.connect(voter1).addProposal(1, "Proposal 1");
+      await voting.connect(voter2).addProposal(1, "Proposal 2");
+      await voting.connect(voter3).addProposal(1, "Proposal 3");
+      await voting.endProposalsRegistering(1);
+      await voting.startVotingSession(1);
+      await voting.connect(voter1).setRankedVote(1, [1]);
+      await voting.connect(voter2).setRankedVote(1, [2, 3]);
+      await voting.connect(voter3).setRankedVote(1, [3, 2]);
+      await voting.connect(voter4).setRankedVote(1, [2]);
+      await voting.endVotingSession(1);
+      await voting.tallyVotes(1);
+
+      const indexer = await createIndexer(voting, { fromBlock: deploymentBlock });
+      await indexer.sync();
+      const ranked = indexer.history().sessions[1];
+
+      expect(ranked).to.include({ votingMethod: "InstantRunoff", winningProposalId: 2 });
+      expect(ranked.voters[voter3.address].ballot).to.deep.equal([3, 2]);
+      expect(ranked.proposals.map((p) => p.voteCount)).to.deep.equal(
+        (await voting.getProposals(1, 0, 4)).map((p) => Number(p.voteCount))
+      );
+    });
+
+    it("Should weigh the ranked ballots of a token-weighted session by their voting power", async function () {
+      const { voting, deploymentBlock, voter1, voter2 } = await loadFixture(talliedSessionFixture);
+      const [, , , voter3] = await ethers.getSigners();
+      const { token } = await hre.ignition.deploy(GovernanceTokenMockModule, {
+        parameters: { GovernanceTokenMock: { holders: [voter1.address, voter2.address, voter3.address] } },
+      });
+      await token.mint(voter2, ethers.parseEther("50"));
+
+      await voting["startNewVotingSession(string,uint8)"]("Token", 2);
+      await voting.setVotingToken(1, token);
+      await voting.addVoters(1, [voter1, voter2, voter3]);
+      await voting.startProposalsRegistering(1);
+      await voting.connect(voter1).addProposal(1, "Proposal 1");
+      await voting.connect(voter2).addProposal(1, "Proposal 2");
+      await voting.connect(voter3).addProposal(1, "Proposal 3");
+      await voting.endProposalsRegistering(1);
+      await voting.startVotingSession(1);
+      await voting.connect(voter1).setRankedVote(1, [1, 2]);
+      await voting.connect(voter2).setRankedVote(1, [2]);
+      await voting.connect(voter3).setRankedVote(1, [3, 1]);
+      await voting.endVotingSession(1);
+      await voting.tallyVotes(1);
+
+      const indexer = await createIndexer(voting, { fromBlock: deploymentBlock });
+      await indexer.sync();
+      const session = indexer.history().sessions[1];
+
+      expect(session.votingToken).to.equal(await token.getAddress());
+      expect(session.voters[voter2.address].votingPower).to.equal(ethers.parseEther("150").toString());
+      // 3 est éliminée au premier tour et ses voix vont à 1 : 200 contre 150
+      expect(session.proposals.map((p) => p.voteCount)).to.deep.equal(
+        (await voting.getProposals(1, 0, 4)).map((p) => p.voteCount.toString())
+      );
+      expect(session.winningProposalId).to.equal(1);
+      expect(JSON.parse(fs.readFileSync(indexer.file, "utf8")).history.sessions[1].proposals[1].voteCount)
+        .to.equal(ethers.parseEther("200").toString());
+    });
+
+    it("Should record the admin of each session", async function () {
+      const { voting, deploymentBlock, voter1, voter2 } = await loadFixture(deployVotingFixture);
+
+      await voting.startNewVotingSession("Session 2");
+      await voting.setSessionAdmin(1, voter1);
+      await voting.connect(voter1).setSessionAdmin(1, voter2);
+
+      const indexer = await createIndexer(voting, { fromBlock: deploymentBlock });
+      await indexer.sync();
+      expect(indexer.history().sessions.map((s) => s.admin)).to.deep.equal([null, voter2.address]);
+    });
+
+    it("Should record a cancelled session and its reason", async function () {
+      const { voting, deploymentBlock, voter1 } = await loadFixture(deployVotingFixture);
+
+      await voting.addVoter(0, voter1);
+      await voting.cancelSession(0, "Compromised voter list");
+
+      const indexer = await createIndexer(voting, { fromBlock: deploymentBlock });
+      await indexer.sync();
+      const [session] = indexer.history().sessions;
+      expect(session).to.include({ status: "Cancelled", cancelReason: "Compromised voter list" });
+      expect(session.transitions.map((t) => t.newStatus)).to.deep.equal(["Cancelled"]);
+    });
+
+    it("Should persist the store and resume incrementally", async function () {
+      const { voting, deploymentBlock } = await loadFixture(talliedSessionFixture);
+      const first = await createIndexer(voting, { fromBlock: deploymentBlock });
+      await first.sync();
+
+      await voting.startNewVotingSession("Session 2");
+
+      const second = await createIndexer(voting, { fromBlock: deploymentBlock });
+      const result = await second.sync();
+      expect(result.fromBlock).to.equal(first.store.lastBlock + 1);
+      expect(result.events).to.equal(1);
+
+      const stored = JSON.parse(fs.readFileSync(second.file, "utf8"));
+      expect(stored.history.sessions.map((s) => s.name)).to.deep.equal(["Session 1", "Session 2"]);
+    });
+
+    it("Should refuse a store of another contract", async function () {
+      const { voting, deploymentBlock } = await loadFixture(deployVotingFixture);
+      const other = await deployVoting(hre);
+      await (await createIndexer(voting, { fromBlock: deploymentBlock })).sync();
+
+      await expect((await createIndexer(other)).load()).to.be.rejectedWith("indexes another contract or network");
+    });
+  });
+
+  // *********** Reorgs *********** //
+  describe("Reorgs", function () {
+    it("Should roll back the events of reorganized blocks", async function () {
+      const { voting, deploymentBlock, voter1, voter2 } = await loadFixture(deployVotingFixture);
+      const indexer = await createIndexer(voting, { fromBlock: deploymentBlock, confirmations: 5 });
+
+      const snapshot = await hre.network.provider.send("evm_snapshot");
+      await voting.addVoter(0, voter1);
+      await indexer.sync();
+      expect(Object.keys(indexer.history().sessions[0].voters)).to.deep.equal([voter1.address]);
+
+      // La chaîne repart du snapshot : le bloc qui contenait l'enregistrement de voter1 est remplacé
+      await hre.network.provider.send("evm_revert", [snapshot]);
+      await voting.addVoter(0, voter2);
+
+      const result = await indexer.sync();
+      expect(result.rolledBackTo).to.equal(deploymentBlock);
+      expect(Object.keys(indexer.history().sessions[0].voters)).to.deep.equal([voter2.address]);
+    });
+
+    it("Should not track blocks that can no longer be reorganized", async function () {
+      const { voting, deploymentBlock } = await loadFixture(deployVotingFixture);
+      const indexer = await createIndexer(voting, { fromBlock: deploymentBlock, confirmations: 3 });
+
+      await mine(10);
+      await indexer.sync();
+
+      const head = await ethers.provider.getBlockNumber();
+      expect(indexer.store.unconfirmedBlocks.map((b) => b.number)).to.deep.equal([head - 2, head - 1, head]);
+    });
+  });
+
+});
@@ -0,0 +1,164 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { deployVoting } = require("../lib/deployment");
+const { VotingKeeper } = require("../lib/keeper");
+const { VotingClient } = require("../sdk");
+
+describe("VotingKeeper", function () {
+
+  // *********** FIXTURES *********** //
+
+  async function scheduledSessionFixture() {
+    const [owner, voter1, voter2, keeperAccount] = await ethers.getSigners();
+    const voting = await deployVoting(hre);
+    const now = await time.latest();
+    const schedule = { proposalsStart: now + 100, proposalsEnd: now + 200, votingStart: now + 300, votingEnd: now + 400, revealEnd: 0 };
+
+    await voting.addVoters(0, [voter1, voter2]);
+    await voting.setSchedule(0, schedule);
+
+    // Le keeper utilise un compte sans droit sur le contrat
+    const client = await VotingClient.connect({ runner: keeperAccount, address: await voting.getAddress() });
+    const logs = [];
+    const keeper = new VotingKeeper({ client, log: (message) => logs.push(message) });
+
+    return { voting, schedule, client, keeper, logs, owner, voter1, voter2 };
+  }
+
+  // *********** Transitions *********** //
+  describe("check()", function () {
+    it("Should do nothing before the next date of the schedule", async function () {
+      const { client, keeper, schedule } = await loadFixture(scheduledSessionFixture);
+
+      expect(await keeper.check()).to.deep.equal([]);
+      expect(await client.getNextTransition()).to.deep.equal({
+        method: "startProposalsRegistering",
+        dueTime: schedule.proposalsStart,
+        due: false,
+      });
+    });
+
+    it("Should trigger a transition once its date is reached", async function () {
+      const { client, keeper, logs, schedule } = await loadFixture(scheduledSessionFixture);
+
+      await time.increaseTo(schedule.proposalsStart);
+
+      expect(await keeper.check()).to.deep.equal(["startProposalsRegistering"]);
+      expect(await client.getWorkflowStatus()).to.equal("ProposalsRegistrationStarted");
+      expect(logs.at(-1)).to.match(/^startProposalsRegistering of session #0 confirmed in block \d+/);
+    });
+
+    it("Should catch up with every expired phase and tally the votes", async function () {
+      const { voting, client, keeper, schedule, voter1 } = await loadFixture(scheduledSessionFixture);
+
+      await time.increaseTo(schedule.proposalsStart);
+      await keeper.check();
+      await voting.connect(voter1).addProposal(0, "Proposal 1");
+      await time.increaseTo(schedule.votingStart);
+      await keeper.check();
+      await voting.connect(voter1).setVote(0, 1);
+      await time.increaseTo(schedule.votingEnd);
+
+      expect(await keeper.check()).to.deep.equal(["endVotingSession", "tallyVotes"]);
+      expect((await client.getWinner()).id).to.equal(1);
+      expect(await client.getNextTransition()).to.equal(null);
+    });
+
+    it("Should go through the reveal phase of a secret ballot", async function () {
+      const { voting, schedule } = await loadFixture(scheduledSessionFixture);
+      const [, , , keeperAccount] = await ethers.getSigners();
+      await voting.setSchedule(0, { ...schedule, revealEnd: schedule.votingEnd + 100 });
+      await voting.setCommitReveal(0, true);
+      const client = await VotingClient.connect({ runner: keeperAccount, address: await voting.getAddress() });
+      const keeper = new VotingKeeper({ client, log: () => {} });
+
+      await time.increaseTo(schedule.votingEnd);
+      expect(await keeper.check()).to.deep.equal([
+        "startProposalsRegistering",
+        "endProposalsRegistering",
+        "startVotingSession",
+        "startVotesRevealing",
+      ]);
+      await time.increaseTo(schedule.votingEnd + 100);
+      expect(await keeper.check()).to.deep.equal(["endVotingSession", "tallyVotes"]);
+    });
+
+    it("Should advance the scheduled sessions that run side by side", async function () {
+      const { voting, client, keeper, logs, schedule } = await loadFixture(scheduledSessionFixture);
+      await voting.startNewVotingSession("Session 2");
+      await voting.setSchedule(1, { ...schedule, proposalsStart: schedule.proposalsEnd, proposalsEnd: schedule.votingStart });
+      await voting.startNewVotingSession("Session 3");
+
+      await time.increaseTo(schedule.proposalsEnd);
+
+      expect(await keeper.check()).to.deep.equal(["startProposalsRegistering", "endProposalsRegistering", "startProposalsRegistering"]);
+      expect(logs.at(-1)).to.match(/^startProposalsRegistering of session #1 confirmed/);
+      expect(await client.forSession(0).getWorkflowStatus()).to.equal("ProposalsRegistrationEnded");
+      expect(await client.forSession(1).getWorkflowStatus()).to.equal("ProposalsRegistrationStarted");
+      expect(await client.forSession(2).getWorkflowStatus()).to.equal("RegisteringVoters");
+    });
+
+    it("Should leave the sessions without schedule to the owner", async function () {
+      const { voting, client, keeper } = await loadFixture(scheduledSessionFixture);
+
+      await voting.setSchedule(0, { proposalsStart: 0, proposalsEnd: 0, votingStart: 0, votingEnd: 0, revealEnd: 0 });
+      await time.increase(3600);
+
+      expect(await keeper.check()).to.deep.equal([]);
+      expect((await client.getNextTransition()).dueTime).to.equal(undefined);
+    });
+
+    it("Should log and stop when another account advanced the session first", async function () {
+      const { voting, client, schedule, voter1 } = await loadFixture(scheduledSessionFixture);
+      await time.increaseTo(schedule.proposalsStart);
+
+      // Le keeper voit la transition due, mais un votant la fait avant lui
+      const logs = [];
+      const keeper = new VotingKeeper({ client, log: (message) => logs.push(message) });
+      const forSession = client.forSession.bind(client);
+      client.forSession = (sessionId) => {
+        const sessionClient = forSession(sessionId);
+        const getNextTransition = sessionClient.getNextTransition.bind(sessionClient);
+        sessionClient.getNextTransition = async () => {
+          const next = await getNextTransition();
+          if (next?.method === "startProposalsRegistering") await voting.connect(voter1).startProposalsRegistering(sessionId);
+          return next;
+        };
+        return sessionClient;
+      };
+
+      expect(await keeper.check()).to.deep.equal([]);
+      expect(logs).to.deep.equal([
+        "startProposalsRegistering of session #0 reverted with RegistrationNotStarted: This action is not allowed in the current workflow status",
+      ]);
+    });
+  });
+
+  // *********** Task *********** //
+  describe("voting:keeper", function () {
+    it("Should trigger the due transitions once with --once", async function () {
+      const { voting, schedule } = await loadFixture(scheduledSessionFixture);
+
+      await time.increaseTo(schedule.proposalsEnd);
+      const performed = await hre.run("voting:keeper", { address: await voting.getAddress(), from: "3", once: true });
+
+      expect(performed).to.deep.equal(["startProposalsRegistering", "endProposalsRegistering"]);
+    });
+
+    it("Should keep running until stopped", async function () {
+      const { keeper, client, schedule } = await loadFixture(scheduledSessionFixture);
+      const controller = new AbortController();
+
+      await time.increaseTo(schedule.proposalsStart);
+      const running = keeper.run({ interval: 50, signal: controller.signal });
+      while ((await client.getWorkflowStatus()) === "RegisteringVoters") await new Promise((resolve) => setTimeout(resolve, 50));
+      controller.abort();
+      await running;
+
+      expect(await client.getWorkflowStatus()).to.equal("ProposalsRegistrationStarted");
+    });
+  });
+
+});
@@ -0,0 +1,268 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { deployVoting } = require("../lib/deployment");
+const { VotingRelayer, parseMessage } = require("../lib/relayer");
+const { VotingClient, recoverSigner } = require("../sdk");
+
+describe("VotingRelayer", function () {
+  let relayer;
+  let url;
+
+  afterEach(async function () {
+    await relayer?.close();
+    relayer = undefined;
+  });
+
+  // *********** FIXTURES *********** //
+
+  async function votingSessionStartedFixture() {
+    const [owner, voter1, voter2, voter3, outsider] = await ethers.getSigners();
+    const voting = await deployVoting(hre);
+    const address = await voting.getAddress();
+
+    await voting.addVoters(0, [voter1, voter2, voter3]);
+    await voting.startProposalsRegistering(0);
+    await voting.connect(voter1).addProposal(0, "Proposal 1");
+    await voting.endProposalsRegistering(0);
+    await voting.startVotingSession(0);
+
+    return { voting, address, signers: { owner, voter1, voter2, voter3, outsider } };
+  }
+
+  // Les clients retiennent les nonces des messages qu'ils ont signés : ils sont recréés à chaque test, dont la chaîne
+  // est restaurée par loadFixture
+  async function votingSessionStarted() {
+    const { voting, address, signers } = await loadFixture(votingSessionStartedFixture);
+    const clients = {};
+    for (const [name, signer] of Object.entries(signers)) {
+      clients[name] = await VotingClient.connect({ runner: signer, address });
+    }
+    return { voting, clients, ...signers };
+  }
+
+  async function startRelayer(client, options = {}) {
+    relayer = new VotingRelayer({ client, batchSize: 2, interval: 200, log: () => {}, ...options });
+    const { port } = await relayer.listen(0);
+    url = `http://127.0.0.1:${port}`;
+  }
+
+  async function post(route, body) {
+    const response = await fetch(`${url}${route}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: typeof body === "string" ? body : JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  // *********** Signing *********** //
+  describe("Signed messages", function () {
+    it("Should sign a ballot of the current session with the next nonce", async function () {
+      const { clients, voter1 } = await votingSessionStarted();
+
+      const ballot = await clients.voter1.signBallot(1);
+
+      expect(ballot).to.include({ type: "Ballot", voter: voter1.address, sessionId: 0, proposalId: 1, nonce: 0 });
+      expect(ballot.deadline).to.equal((await time.latest()) + 3600);
+      expect(recoverSigner(await clients.voter1.getDomain(), ballot)).to.equal(voter1.address);
+    });
+
+    it("Should give the next nonces to the messages signed before the previous ones are sent", async function () {
+      const { voting, clients, owner, voter1 } = await votingSessionStarted();
+      await voting.startNewVotingSession("Session 2");
+      await voting.addVoter(1, voter1);
+      await voting.startProposalsRegistering(1);
+
+      const session = clients.voter1.forSession(1);
+      const [first, second] = await Promise.all([session.signProposal("Proposal A"), session.signProposal("Proposal B")]);
+      const ballot = await clients.voter1.signBallot(1);
+
+      expect([first.nonce, second.nonce, ballot.nonce]).to.deep.equal([0, 1, 2]);
+      await clients.owner.relayBatch([first, second, ballot]);
+      expect((await voting.getProposals(1, 1, 2)).map((p) => p.description)).to.deep.equal(["Proposal A", "Proposal B"]);
+      expect((await voting["getVoter(uint32,address)"](0, voter1)).votedProposalId).to.equal(1);
+      expect(await clients.voter1.nonces(voter1.address)).to.equal(3);
+      expect((await clients.voter1.connect(owner).signBallot(1)).nonce).to.equal(0);
+    });
+
+    it("Should free the nonces of expired messages and sign with an explicit nonce", async function () {
+      const { clients } = await votingSessionStarted();
+
+      const expiring = await clients.voter1.signBallot(1, { deadline: (await time.latest()) + 60 });
+      expect((await clients.voter1.signBallot(1)).nonce).to.equal(1);
+      expect((await clients.voter1.signBallot(1, { nonce: 0 })).nonce).to.equal(0);
+
+      await time.increase(3601);
+      expect(expiring.nonce).to.equal(0);
+      expect((await clients.voter1.signBallot(1)).nonce).to.equal(0);
+    });
+
+    it("Should refuse to sign without a signer", async function () {
+      const { voting } = await votingSessionStarted();
+      const client = await VotingClient.connect({ runner: ethers.provider, address: await voting.getAddress() });
+
+      await expect(client.signBallot(1)).to.be.rejectedWith("A signer is required to sign a Ballot");
+    });
+
+    it("Should validate the fields of a message", async function () {
+      expect(() => parseMessage("Ballot", { voter: "0x1234" })).to.throw('Invalid or missing field "voter"');
+      expect(() => parseMessage("Ballot", { voter: ethers.ZeroAddress, sessionId: 0, proposalId: -1 })).to.throw('"proposalId"');
+    });
+  });
+
+  // *********** HTTP relay *********** //
+  describe("HTTP relay", function () {
+    it("Should relay the signed ballots of several voters in one batch", async function () {
+      const { voting, clients, voter1, voter2 } = await votingSessionStarted();
+      await startRelayer(clients.owner);
+
+      const [first, second] = await Promise.all([
+        post("/ballots", await clients.voter1.signBallot(1)),
+        post("/ballots", await clients.voter2.signBallot(0)),
+      ]);
+
+      expect(first.status).to.equal(200);
+      expect(second.status).to.equal(200);
+      expect(first.body.transactionHash).to.equal(second.body.transactionHash);
+      expect((await voting["getVoter(uint32,address)"](0, voter1)).votedProposalId).to.equal(1);
+      expect((await voting["getVoter(uint32,address)"](0, voter2)).hasVoted).to.equal(true);
+      // Les votants n'ont payé aucun gas : le relayeur a envoyé la transaction
+      const tx = await ethers.provider.getTransaction(first.body.transactionHash);
+      expect(tx.from).to.equal(clients.owner.contract.runner.address);
+    });
+
+    it("Should send an incomplete batch after the interval", async function () {
+      const { voting, clients, voter3 } = await votingSessionStarted();
+      await startRelayer(clients.owner, { batchSize: 10, interval: 100 });
+
+      const { status } = await post("/ballots", await clients.voter3.signBallot(1));
+
+      expect(status).to.equal(200);
+      expect((await voting["getVoter(uint32,address)"](0, voter3)).hasVoted).to.equal(true);
+    });
+
+    it("Should relay the ballots of a session that runs alongside a newer one", async function () {
+      const { voting, clients, voter1 } = await votingSessionStarted();
+      await voting.startNewVotingSession("Session 2");
+      await startRelayer(clients.owner, { batchSize: 1 });
+
+      const { status } = await post("/ballots", await clients.voter1.forSession(0).signBallot(1));
+      const refused = await post("/ballots", await clients.voter2.forSession(1).signBallot(1));
+
+      expect(status).to.equal(200);
+      expect((await voting["getVoter(uint32,address)"](0, voter1)).votedProposalId).to.equal(1);
+      expect(refused.body.error).to.equal("Ballot messages are only accepted in VotingSessionStarted (status of session #1: RegisteringVoters)");
+    });
+
+    it("Should reject messages that do not match the workflow status", async function () {
+      const { clients } = await votingSessionStarted();
+      await startRelayer(clients.owner);
+
+      const proposal = await clients.voter1.signProposal("Too late");
+      const { status, body } = await post("/proposals", proposal);
+
+      expect(status).to.equal(409);
+      expect(body.error).to.equal("ProposalSubmission messages are only accepted in ProposalsRegistrationStarted (status of session #0: VotingSessionStarted)");
+    });
+
+    it("Should reject invalid, replayed and unregistered ballots with the contract error", async function () {
+      const { clients } = await votingSessionStarted();
+      await startRelayer(clients.owner, { batchSize: 1 });
+      const ballot = await clients.voter1.signBallot(1);
+
+      expect((await post("/ballots", { ...ballot, proposalId: 0 })).body.reason).to.equal("InvalidSignature");
+      expect((await post("/ballots", ballot)).status).to.equal(200);
+
+      const replayed = await post("/ballots", ballot);
+      expect(replayed.status).to.equal(422);
+      expect(replayed.body.reason).to.equal("InvalidSignature");
+
+      const unregistered = await post("/ballots", await clients.outsider.signBallot(1));
+      expect(unregistered.body).to.deep.equal({ error: "The sender is not a registered voter of this session", reason: "NotVoter" });
+    });
+
+    it("Should reject a second message of a voter while the first is pending", async function () {
+      const { clients } = await votingSessionStarted();
+      await startRelayer(clients.owner, { batchSize: 10, interval: 300 });
+
+      const first = post("/ballots", await clients.voter1.signBallot(1));
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      const second = await post("/ballots", await clients.voter1.signBallot(0));
+
+      expect(second.status).to.equal(409);
+      expect(second.body.reason).to.equal("Pending");
+      expect((await first).status).to.equal(200);
+    });
+
+    it("Should reject a message of a voter whose previous message is in a batch being sent", async function () {
+      const { clients } = await votingSessionStarted();
+      await startRelayer(clients.owner, { batchSize: 1 });
+
+      // Le lot du premier message reste en cours d'envoi jusqu'à release
+      let release;
+      const relayBatch = clients.owner.relayBatch.bind(clients.owner);
+      clients.owner.relayBatch = async (messages) => {
+        await new Promise((resolve) => (release = resolve));
+        return relayBatch(messages);
+      };
+
+      const first = post("/ballots", await clients.voter1.signBallot(1));
+      while (!release) await new Promise((resolve) => setTimeout(resolve, 20));
+      const second = await post("/ballots", await clients.voter1.signBallot(0));
+
+      expect(second.status).to.equal(409);
+      expect(second.body.reason).to.equal("Pending");
+      release();
+      expect((await first).status).to.equal(200);
+      expect(relayer.sendingVoters.size).to.equal(0);
+    });
+
+    it("Should accept the next message of a voter once the previous one is sent", async function () {
+      const { voting, clients, voter1 } = await votingSessionStarted();
+      await voting.startNewVotingSession("Session 2");
+      await voting.addVoter(1, voter1);
+      await voting.startProposalsRegistering(1);
+      await startRelayer(clients.owner, { batchSize: 10, interval: 300 });
+
+      const firstMessage = await clients.voter1.forSession(1).signProposal("Proposal A");
+      const secondMessage = await clients.voter1.forSession(1).signProposal("Proposal B");
+      const first = post("/proposals", firstMessage);
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      expect((await post("/proposals", secondMessage)).body.reason).to.equal("Pending");
+      expect((await first).status).to.equal(200);
+      expect((await post("/proposals", secondMessage)).status).to.equal(200);
+      expect((await voting.getProposals(1, 1, 2)).map((p) => p.description)).to.deep.equal(["Proposal A", "Proposal B"]);
+    });
+
+    it("Should drop the messages invalidated before the batch is sent", async function () {
+      const { voting, clients, voter1, voter2 } = await votingSessionStarted();
+      await startRelayer(clients.owner, { batchSize: 10, interval: 300 });
+
+      const first = post("/ballots", await clients.voter1.signBallot(1));
+      const second = post("/ballots", await clients.voter2.signBallot(1));
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      // voter1 vote lui-même entre la vérification et l'envoi du lot
+      await voting.connect(voter1).setVote(0, 0);
+
+      expect((await first).body.reason).to.equal("AlreadyVoted");
+      expect((await second).status).to.equal(200);
+      expect((await voting["getVoter(uint32,address)"](0, voter2)).hasVoted).to.equal(true);
+    });
+
+    it("Should answer the status and reject malformed requests", async function () {
+      const { clients } = await votingSessionStarted();
+      await startRelayer(clients.owner);
+
+      const status = await (await fetch(`${url}/status`)).json();
+      expect(status).to.deep.include({ contract: clients.owner.address, pending: 0 });
+      expect(status.session.status).to.equal("VotingSessionStarted");
+
+      expect((await post("/ballots", "{")).status).to.equal(400);
+      expect((await post("/votes", {})).status).to.equal(404);
+    });
+  });
+
+});
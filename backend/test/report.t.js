@@ -0,0 +1,302 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { deployVoting } = require("../lib/deployment");
+const GovernanceTokenMockModule = require("../ignition/modules/GovernanceTokenMock");
+const { toCsv, toMarkdown } = require("../lib/report");
+
+describe("voting:report", function () {
+  let output;
+
+  beforeEach(function () {
+    output = fs.mkdtempSync(path.join(os.tmpdir(), "reports-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(output, { recursive: true, force: true });
+  });
+
+  // *********** FIXTURES *********** //
+
+  async function talliedSessionFixture() {
+    const [owner, voter1, voter2, voter3] = await ethers.getSigners();
+    const voting = await deployVoting(hre);
+    const address = await voting.getAddress();
+
+    await voting.addVoters(0, [voter1, voter2, voter3]);
+    await voting.startProposalsRegistering(0);
+    await voting.connect(voter1).addProposal(0, "Proposal 1");
+    await voting.connect(voter2).addProposal(0, "Proposal, \"quoted\" | piped");
+    await voting.endProposalsRegistering(0);
+    await voting.startVotingSession(0);
+    await voting.connect(voter1).setVote(0, 2);
+    await voting.connect(voter2).setVote(0, 2);
+    await voting.endVotingSession(0);
+    await voting.tallyVotes(0);
+
+    return { voting, address, owner, voter1, voter2, voter3 };
+  }
+
+  function runReport(args) {
+    return hre.run("voting:report", { output, ...args });
+  }
+
+  // *********** Report *********** //
+  describe("Report", function () {
+    it("Should report the results, turnout and timeline of a session", async function () {
+      const { address } = await loadFixture(talliedSessionFixture);
+
+      const report = await runReport({ address, session: 0 });
+
+      expect(report.name).to.equal("Session 1");
+      expect(report.winner).to.deep.equal({ id: 2, description: "Proposal, \"quoted\" | piped", voteCount: 2 });
+      expect(report.turnout).to.deep.equal({ registeredVoters: 3, voters: 2, rate: 66.67 });
+      expect(report.proposals.map((p) => [p.id, p.voteCount, p.share])).to.deep.equal([[0, 0, 0], [1, 0, 0], [2, 2, 100]]);
+      expect(report.timeline.map((t) => t.newStatus)).to.deep.equal([
+        "ProposalsRegistrationStarted",
+        "ProposalsRegistrationEnded",
+        "VotingSessionStarted",
+        "VotingSessionEnded",
+        "VotesTallied",
+      ]);
+      expect(report.timeline[0].date).to.equal(new Date(report.timeline[0].timestamp * 1000).toISOString());
+      expect(report.consistency).to.deep.equal({ ok: true, votedEvents: 2, mismatches: [] });
+    });
+
+    it("Should count the delegated votes in the results and the turnout", async function () {
+      const [, voter1, voter2, voter3, voter4] = await ethers.getSigners();
+      const voting = await deployVoting(hre);
+      const address = await voting.getAddress();
+
+      await voting.addVoters(0, [voter1, voter2, voter3, voter4]);
+      await voting.startProposalsRegistering(0);
+      await voting.connect(voter1).addProposal(0, "Proposal 1");
+      await voting.endProposalsRegistering(0);
+      await voting.startVotingSession(0);
+      // voter3 -> voter2 -> voter1 avant le vote de voter1, voter4 -> voter1 après
+      await voting.connect(voter3).delegateVote(0, voter2);
+      await voting.connect(voter2).delegateVote(0, voter1);
+      await voting.connect(voter1).setVote(0, 1);
+      await voting.connect(voter4).delegateVote(0, voter1);
+      await voting.endVotingSession(0);
+      await voting.tallyVotes(0);
+
+      const report = await runReport({ address, session: 0 });
+
+      expect(report.proposals.map((p) => [p.id, p.voteCount, p.share])).to.deep.equal([[0, 0, 0], [1, 4, 100]]);
+      expect(report.turnout).to.deep.equal({ registeredVoters: 4, voters: 4, rate: 100 });
+      expect(report.consistency).to.deep.equal({ ok: true, votedEvents: 4, mismatches: [] });
+    });
+
+    it("Should write the JSON, CSV and Markdown files", async function () {
+      const { address } = await loadFixture(talliedSessionFixture);
+
+      const report = await runReport({ address, session: 0 });
+
+      expect(JSON.parse(fs.readFileSync(path.join(output, "session-0.json"), "utf8"))).to.deep.equal(report);
+      expect(fs.readFileSync(path.join(output, "session-0.csv"), "utf8").split("\n")).to.deep.equal([
+        "session_id,session_name,proposal_id,description,vote_count,share_percent,winner",
+        "0,Session 1,0,GENESIS,0,0,false",
+        "0,Session 1,1,Proposal 1,0,0,false",
+        "0,Session 1,2,\"Proposal, \"\"quoted\"\" | piped\",2,100,true",
+        "",
+      ]);
+      const markdown = fs.readFileSync(path.join(output, "session-0.md"), "utf8");
+      expect(markdown).to.include("| Winner | #2 Proposal, \"quoted\" \\| piped (2 vote(s)) |");
+      expect(markdown).to.include("| Turnout | 2 / 3 registered voters (66.67%) |");
+    });
+
+    it("Should leave the removed voters out of the turnout and flag the withdrawn proposals", async function () {
+      const [, voter1, voter2, voter3] = await ethers.getSigners();
+      const voting = await deployVoting(hre);
+      const address = await voting.getAddress();
+
+      await voting.addVoters(0, [voter1, voter2, voter3]);
+      await voting.removeVoter(0, voter3);
+      await voting.removeVoter(0, voter2);
+      await voting.addVoter(0, voter2);
+      await voting.startProposalsRegistering(0);
+      await voting.connect(voter1).addProposal(0, "Proposal 1");
+      await voting.connect(voter2).addProposal(0, "Proposal 2");
+      await voting.connect(voter1).withdrawProposal(0, 1);
+      await voting.endProposalsRegistering(0);
+      await voting.startVotingSession(0);
+      await voting.connect(voter1).setVote(0, 2);
+      await voting.endVotingSession(0);
+      await voting.tallyVotes(0);
+
+      const report = await runReport({ address, session: 0 });
+
+      expect(report.turnout).to.deep.equal({ registeredVoters: 2, voters: 1, rate: 50 });
+      expect(report.proposals.map((p) => [p.id, p.withdrawn])).to.deep.equal([[0, false], [1, true], [2, false]]);
+      expect(toMarkdown(report)).to.include("| 1 | Proposal 1 (withdrawn) | 0 | 0% |");
+    });
+
+    it("Should write a single format", async function () {
+      const { address } = await loadFixture(talliedSessionFixture);
+
+      await runReport({ address, session: 0, format: "csv" });
+
+      expect(fs.readdirSync(output)).to.deep.equal(["session-0.csv"]);
+    });
+
+    it("Should report a session that is not tallied yet", async function () {
+      const { voting, address, voter1 } = await loadFixture(talliedSessionFixture);
+
+      await voting.startNewVotingSession("Session 2");
+      await voting.addVoter(1, voter1);
+      const report = await runReport({ address, session: 1 });
+
+      expect(report.winner).to.equal(null);
+      expect(report.turnout).to.deep.equal({ registeredVoters: 1, voters: 0, rate: 0 });
+      expect(toMarkdown(report)).to.include("| Winner | Votes not tallied yet |");
+    });
+
+    it("Should report a cancelled session with its reason", async function () {
+      const { voting, address, voter1 } = await loadFixture(talliedSessionFixture);
+
+      await voting.startNewVotingSession("Session 2");
+      await voting.addVoter(1, voter1);
+      await voting.cancelSession(1, "Wrong | voter list");
+      const report = await runReport({ address, session: 1 });
+
+      expect(report.status).to.equal("Cancelled");
+      expect(report.cancelReason).to.equal("Wrong | voter list");
+      expect(report.timeline.map((t) => t.newStatus)).to.deep.equal(["Cancelled"]);
+      expect(toMarkdown(report)).to.include("| Cancel reason | Wrong \\| voter list |");
+      expect(toMarkdown(report)).to.include("| Winner | No winner, the session was cancelled |");
+    });
+
+    it("Should report a tie broken by a runoff", async function () {
+      const [, voter1, voter2] = await ethers.getSigners();
+      const voting = await deployVoting(hre);
+      const address = await voting.getAddress();
+
+      await voting.addVoters(0, [voter1, voter2]);
+      await voting.setTiePolicy(0, 1); // Runoff
+      await voting.startProposalsRegistering(0);
+      await voting.connect(voter1).addProposal(0, "Proposal 1");
+      await voting.connect(voter2).addProposal(0, "Proposal 2");
+      await voting.endProposalsRegistering(0);
+      await voting.startVotingSession(0);
+      await voting.connect(voter1).setVote(0, 1);
+      await voting.connect(voter2).setVote(0, 2);
+      await voting.endVotingSession(0);
+      await voting.tallyVotes(0);
+
+      const report = await runReport({ address, session: 0 });
+
+      expect(report.winner).to.equal(null);
+      expect(report.tie).to.deep.equal({ proposalIds: [1, 2], policy: "Runoff", runoffSessionId: 1 });
+      const markdown = toMarkdown(report);
+      expect(markdown).to.include("| Winner | No winner |");
+      expect(markdown).to.include("| Tie | #1, #2: runoff in session #1 |");
+    });
+
+    it("Should report a session that did not meet its thresholds", async function () {
+      const { voting, address, voter1 } = await loadFixture(talliedSessionFixture);
+
+      await voting.startNewVotingSession("Session 2");
+      await voting.setThresholds(1, { quorumVoters: 2, quorumBps: 0, winnerShareBps: 6000 });
+      await voting.addVoter(1, voter1);
+      await voting.startProposalsRegistering(1);
+      await voting.connect(voter1).addProposal(1, "Proposal 1");
+      await voting.endProposalsRegistering(1);
+      await voting.startVotingSession(1);
+      await voting.connect(voter1).setVote(1, 1);
+      await voting.endVotingSession(1);
+      await voting.tallyVotes(1);
+
+      const report = await runReport({ address, session: 1 });
+
+      expect(report.winner).to.equal(null);
+      expect(report.thresholds).to.deep.equal({ quorumVoters: 2, quorumBps: 0, winnerShareBps: 6000 });
+      expect(report.noResult).to.equal("QuorumNotReached");
+      const markdown = toMarkdown(report);
+      expect(markdown).to.include("| Winner | No result, the quorum was not reached |");
+      expect(markdown).to.include("| Thresholds | quorum of 2 voter(s), winner share of 60% |");
+    });
+
+    it("Should recount the ballots of an approval session", async function () {
+      const { voting, address, voter1, voter2, voter3 } = await loadFixture(talliedSessionFixture);
+
+      await voting["startNewVotingSession(string,uint8)"]("Approval", 1);
+      await voting.addVoters(1, [voter1, voter2, voter3]);
+      await voting.startProposalsRegistering(1);
+      await voting.connect(voter1).addProposal(1, "Proposal 1");
+      await voting.connect(voter2).addProposal(1, "Proposal 2");
+      await voting.endProposalsRegistering(1);
+      await voting.startVotingSession(1);
+      await voting.connect(voter1).setApprovalVote(1, [1, 2]);
+      await voting.connect(voter3).delegateVote(1, voter1);
+      await voting.connect(voter2).setApprovalVote(1, [2]);
+      await voting.endVotingSession(1);
+      await voting.tallyVotes(1);
+
+      const report = await runReport({ address, session: 1 });
+
+      expect(report.votingMethod).to.equal("Approval");
+      expect(report.proposals.map((p) => [p.id, p.voteCount, p.share])).to.deep.equal([[0, 0, 0], [1, 2, 40], [2, 3, 60]]);
+      expect(report.turnout).to.deep.equal({ registeredVoters: 3, voters: 3, rate: 100 });
+      expect(report.consistency).to.deep.equal({ ok: true, votedEvents: 5, mismatches: [] });
+      expect(toMarkdown(report)).to.include("| Voting method | Approval |");
+    });
+
+    it("Should recount the token-weighted votes beyond the precision of a number", async function () {
+      const { voting, address, voter1, voter2, voter3 } = await loadFixture(talliedSessionFixture);
+      const { token } = await hre.ignition.deploy(GovernanceTokenMockModule, {
+        parameters: { GovernanceTokenMock: { holders: [voter1.address, voter2.address], amount: ethers.parseEther("1") + 1n } },
+      });
+
+      await voting.startNewVotingSession("Token");
+      await voting.setVotingToken(1, token);
+      await voting.addVoters(1, [voter1, voter2, voter3]);
+      await voting.startProposalsRegistering(1);
+      await voting.connect(voter1).addProposal(1, "Proposal 1");
+      await voting.endProposalsRegistering(1);
+      await voting.startVotingSession(1);
+      await voting.connect(voter1).setVote(1, 1);
+      await voting.connect(voter2).setVote(1, 1);
+      await voting.endVotingSession(1);
+      await voting.tallyVotes(1);
+
+      const report = await runReport({ address, session: 1 });
+
+      expect(report.votingToken.token).to.equal(await token.getAddress());
+      expect(report.proposals.map((p) => [p.id, p.voteCount, p.share])).to.deep.equal([[0, "0", 0], [1, "2000000000000000002", 100]]);
+      expect(report.consistency).to.deep.equal({ ok: true, votedEvents: "2000000000000000002", mismatches: [] });
+      expect(report.turnout).to.deep.equal({ registeredVoters: 3, voters: 2, rate: 66.67 });
+      const markdown = toMarkdown(report);
+      expect(markdown).to.include(`| Voting power | Token \`${await token.getAddress()}\` (snapshot at ${report.votingToken.snapshot}) |`);
+      expect(markdown).to.include("`Voted`, `BallotCast` and `VotingPowerUsed` events");
+    });
+
+    it("Should fail with an unknown session or format", async function () {
+      const { address } = await loadFixture(talliedSessionFixture);
+
+      await expect(runReport({ address, session: 3 })).to.be.rejectedWith("Session 3: This session does not exist");
+      await expect(runReport({ address, session: 0, format: "pdf" })).to.be.rejectedWith("Unknown report format: pdf");
+    });
+  });
+
+  // *********** Consistency check *********** //
+  describe("Consistency check", function () {
+    it("Should list the proposals whose vote count does not match the Voted events", async function () {
+      const { address } = await loadFixture(talliedSessionFixture);
+      const report = await runReport({ address, session: 0 });
+
+      const inconsistent = {
+        ...report,
+        consistency: { ok: false, votedEvents: 1, mismatches: [{ proposalId: 2, voteCount: 2, votedEvents: 1 }] },
+      };
+
+      expect(toMarkdown(inconsistent)).to.include("- proposal #2: 2 vote(s) on-chain, 1 vote(s) in the events");
+      expect(toCsv(inconsistent)).to.equal(toCsv(report));
+    });
+  });
+
+});
@@ -0,0 +1,656 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { getDeployedAddress, deployVoting } = require("../lib/deployment");
+const { readVoterList, hashVoterList, progressFile, writeProgress } = require("../lib/voters");
+const { readAllowlist } = require("../lib/allowlist");
+const GovernanceTokenMockModule = require("../ignition/modules/GovernanceTokenMock");
+const VotingUpgradeableModule = require("../ignition/modules/VotingUpgradeable");
+const { decodeVotingError, WorkflowStatus, ROLES } = require("../sdk");
+
+describe("voting:* tasks", function () {
+
+  // *********** FIXTURES *********** //
+
+  async function deployVotingFixture() {
+    const [owner, voter1, voter2] = await ethers.getSigners();
+    const voting = await deployVoting(hre);
+    const address = await voting.getAddress();
+
+    return { voting, address, owner, voter1, voter2 };
+  }
+
+  // *********** Deployment lookup *********** //
+  describe("Deployment lookup", function () {
+    it("Should read the Sepolia address from the Ignition deployment", async function () {
+      expect(getDeployedAddress(11155111)).to.equal("0x7Ccd0C731c6a3631EDb22b0FD089eF0B5431af89");
+    });
+
+    it("Should fail when the network has no Ignition deployment", async function () {
+      await expect(hre.run("voting:status", {})).to.be.rejectedWith("No Ignition deployment found for chain 31337");
+    });
+
+    it("Should fail when no contract is deployed at the given address", async function () {
+      const { voter1 } = await loadFixture(deployVotingFixture);
+
+      await expect(hre.run("voting:status", { address: voter1.address })).to.be.rejectedWith("No contract deployed at");
+    });
+
+    it("Should ask to redeploy when the contract does not match the current ABI", async function () {
+      await loadFixture(deployVotingFixture);
+      const { token } = await hre.ignition.deploy(GovernanceTokenMockModule);
+
+      await expect(hre.run("voting:status", { address: await token.getAddress() }))
+        .to.be.rejectedWith(/is not compatible with the current Voting ABI .*redeploy it with voting:deploy/);
+    });
+  });
+
+  // *********** Workflow *********** //
+  describe("Workflow", function () {
+    it("Should run a whole session from the command line", async function () {
+      const { voting, address, voter1, voter2 } = await loadFixture(deployVotingFixture);
+
+      await hre.run("voting:add-voter", { address, voter: voter1.address });
+      await hre.run("voting:add-voter", { address, voter: voter2.address });
+      await hre.run("voting:advance-phase", { address });
+      await hre.run("voting:add-proposal", { address, from: "1", description: "Proposal 1" });
+      await hre.run("voting:add-proposal", { address, from: voter2.address, description: "Proposal 2" });
+      await hre.run("voting:advance-phase", { address });
+      await hre.run("voting:advance-phase", { address });
+      await hre.run("voting:vote", { address, from: "1", proposal: 2 });
+      await hre.run("voting:vote", { address, from: "2", proposal: 2 });
+      await hre.run("voting:advance-phase", { address });
+      await hre.run("voting:tally", { address });
+
+      const status = await hre.run("voting:status", { address, proposals: true });
+      expect(status.status).to.equal(WorkflowStatus.VotesTallied);
+      expect(status.winningProposalId).to.equal(2);
+
+      await hre.run("voting:new-session", { address, name: "Session 2" });
+      expect(await voting.currentSessionId()).to.equal(1);
+    });
+
+    it("Should target an earlier session with --session", async function () {
+      const { voting, address, voter1 } = await loadFixture(deployVotingFixture);
+      await hre.run("voting:new-session", { address, name: "Session 2" });
+
+      await hre.run("voting:add-voter", { address, session: 0, voter: voter1.address });
+      await hre.run("voting:advance-phase", { address, session: 0 });
+
+      expect((await voting["getVoter(uint32,address)"](0, voter1)).isRegistered).to.equal(true);
+      expect((await hre.run("voting:status", { address, session: 0 })).status).to.equal(WorkflowStatus.ProposalsRegistrationStarted);
+      expect((await hre.run("voting:status", { address })).status).to.equal(WorkflowStatus.RegisteringVoters);
+      await expect(hre.run("voting:status", { address, session: 2 })).to.be.rejectedWith("Session #2 does not exist");
+    });
+
+    it("Should appoint and clear the administrator of a session", async function () {
+      const { voting, address, voter1, voter2 } = await loadFixture(deployVotingFixture);
+
+      await hre.run("voting:session-admin", { address, account: voter1.address });
+      expect((await hre.run("voting:status", { address })).sessionAdmin).to.equal(voter1.address);
+      await hre.run("voting:add-voter", { address, from: "1", voter: voter2.address });
+
+      await hre.run("voting:session-admin", { address, clear: true });
+      expect(await voting.sessionAdmins(0)).to.equal(ethers.ZeroAddress);
+      await expect(hre.run("voting:session-admin", { address })).to.be.rejectedWith("Either an account address or --clear is required");
+    });
+
+    it("Should refuse to advance a tallied session", async function () {
+      const { voting, address } = await loadFixture(deployVotingFixture);
+
+      await voting.startProposalsRegistering(0);
+      await voting.endProposalsRegistering(0);
+      await voting.startVotingSession(0);
+      await voting.endVotingSession(0);
+      await voting.tallyVotes(0);
+
+      await expect(hre.run("voting:advance-phase", { address })).to.be.rejectedWith("use voting:new-session");
+    });
+
+    it("Should pause, unpause and cancel a session", async function () {
+      const { voting, address, voter1 } = await loadFixture(deployVotingFixture);
+      await voting.addVoter(0, voter1);
+      await voting.startProposalsRegistering(0);
+
+      await hre.run("voting:pause", { address });
+      expect((await hre.run("voting:status", { address })).paused).to.equal(true);
+      await expect(hre.run("voting:add-proposal", { address, from: "1", description: "Proposal 1" }))
+        .to.be.rejectedWith("addProposal reverted with EnforcedPause");
+      await hre.run("voting:unpause", { address });
+      await hre.run("voting:add-proposal", { address, from: "1", description: "Proposal 1" });
+
+      await hre.run("voting:cancel", { address, reason: "Wrong voter list" });
+      const status = await hre.run("voting:status", { address, batchSize: 10 });
+      expect(status.status).to.equal(WorkflowStatus.Cancelled);
+      expect(status.cancelReason).to.equal("Wrong voter list");
+      const cancelBlock = await ethers.provider.getBlockNumber();
+      expect((await hre.run("voting:status", { address, fromBlock: cancelBlock + 1 })).cancelReason).to.equal(null);
+      await expect(hre.run("voting:advance-phase", { address })).to.be.rejectedWith("Session #0 is cancelled, use voting:new-session");
+      await expect(hre.run("voting:cancel", { address, reason: "Again" })).to.be.rejectedWith("cancelSession reverted with CancelledSession");
+    });
+
+    it("Should fail with an invalid voter address", async function () {
+      const { address } = await loadFixture(deployVotingFixture);
+
+      await expect(hre.run("voting:add-voter", { address, voter: "0x1234" })).to.be.rejectedWith("Invalid address: 0x1234");
+    });
+  });
+
+  // *********** Bulk registration *********** //
+  describe("voting:add-voters", function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "voters-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function writeList(name, content) {
+      const file = path.join(dir, name);
+      fs.writeFileSync(file, content);
+      return file;
+    }
+
+    it("Should read a CSV list with a header and several columns", async function () {
+      const [, voter1, voter2] = await ethers.getSigners();
+      const file = writeList("voters.csv", `name,address\nAlice,${voter1.address.toLowerCase()}\n\nBob,"${voter2.address}"\n`);
+
+      expect(readVoterList(file)).to.deep.equal({ addresses: [voter1.address, voter2.address], duplicates: [], errors: [] });
+    });
+
+    it("Should report invalid addresses and duplicates of a JSON list", async function () {
+      const [, voter1] = await ethers.getSigners();
+      // Inverse la casse d'une lettre pour casser le checksum EIP-55
+      const letter = voter1.address.search(/[a-fA-F]/);
+      const flipped = voter1.address[letter] === voter1.address[letter].toLowerCase() ? voter1.address[letter].toUpperCase() : voter1.address[letter].toLowerCase();
+      const badChecksum = voter1.address.slice(0, letter) + flipped + voter1.address.slice(letter + 1);
+      const file = writeList("voters.json", JSON.stringify([voter1.address, { address: voter1.address.toLowerCase() }, "0x1234", badChecksum]));
+
+      const list = readVoterList(file);
+      expect(list.addresses).to.deep.equal([voter1.address]);
+      expect(list.duplicates).to.deep.equal([voter1.address]);
+      expect(list.errors).to.deep.equal([`entry 2: invalid address "0x1234"`, `entry 3: invalid address "${badChecksum}"`]);
+    });
+
+    it("Should register all the voters of the file in batches", async function () {
+      const { voting, address } = await loadFixture(deployVotingFixture);
+      const signers = await ethers.getSigners();
+      const file = writeList("voters.txt", signers.slice(1, 6).map((s) => s.address).join("\n"));
+
+      await voting.addVoter(0, signers[2]);
+      const result = await hre.run("voting:add-voters", { address, file, batchSize: 2 });
+
+      expect(result).to.deep.equal({ registered: 4, alreadyRegistered: 1, duplicates: 0 });
+      for (const signer of signers.slice(1, 6)) {
+        expect((await voting["getVoter(uint32,address)"](0, signer)).isRegistered).to.equal(true);
+      }
+      expect(fs.existsSync(progressFile(file))).to.equal(false);
+    });
+
+    it("Should resume from the saved progress", async function () {
+      const { voting, address } = await loadFixture(deployVotingFixture);
+      const addresses = (await ethers.getSigners()).slice(1, 5).map((s) => s.address);
+      const file = writeList("voters.csv", addresses.join("\n"));
+
+      writeProgress(file, { contract: address, chainId: "31337", sessionId: 0, listHash: hashVoterList(addresses), next: 3 });
+      const result = await hre.run("voting:add-voters", { address, file });
+
+      expect(result.registered).to.equal(1);
+      expect((await voting["getVoter(uint32,address)"](0, addresses[2])).isRegistered).to.equal(false);
+      expect((await voting["getVoter(uint32,address)"](0, addresses[3])).isRegistered).to.equal(true);
+    });
+
+    it("Should refuse a progress file saved for another list", async function () {
+      const { address } = await loadFixture(deployVotingFixture);
+      const addresses = (await ethers.getSigners()).slice(1, 3).map((s) => s.address);
+      const file = writeList("voters.csv", addresses.join("\n"));
+
+      writeProgress(file, { contract: address, chainId: "31337", sessionId: 0, listHash: hashVoterList(addresses.slice(1)), next: 1 });
+      await expect(hre.run("voting:add-voters", { address, file })).to.be.rejectedWith("use --restart to ignore it");
+
+      const result = await hre.run("voting:add-voters", { address, file, restart: true });
+      expect(result.registered).to.equal(2);
+    });
+
+    it("Should not send anything when the file has invalid addresses", async function () {
+      const { voting, address, voter1 } = await loadFixture(deployVotingFixture);
+      const file = writeList("voters.csv", `${voter1.address}\nnot-an-address\n`);
+
+      await expect(hre.run("voting:add-voters", { address, file })).to.be.rejectedWith(`line 2: invalid address "not-an-address"`);
+      expect((await voting["getVoter(uint32,address)"](0, voter1)).isRegistered).to.equal(false);
+    });
+  });
+
+  // *********** Allowlist *********** //
+  describe("voting:allowlist and voting:register", function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "allowlist-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should publish the allowlist and let the voters register themselves", async function () {
+      const { voting, address, voter1, voter2 } = await loadFixture(deployVotingFixture);
+      const file = path.join(dir, "voters.csv");
+      fs.writeFileSync(file, `address\n${voter1.address}\n${voter2.address}\n${voter1.address}\n`);
+
+      const result = await hre.run("voting:allowlist", { address, file, publish: true });
+      expect(result.voters).to.equal(2);
+      expect(result.output).to.equal(`${file}.allowlist.json`);
+      expect(await voting.voterMerkleRoots(0)).to.equal(result.root);
+
+      const allowlist = readAllowlist(result.output);
+      expect(Object.keys(allowlist.proofs)).to.deep.equal([voter1.address, voter2.address]);
+
+      await hre.run("voting:register", { address, from: "1", allowlist: result.output });
+      expect((await voting["getVoter(uint32,address)"](0, voter1)).isRegistered).to.equal(true);
+      await expect(hre.run("voting:register", { address, from: "1", allowlist: result.output }))
+        .to.be.rejectedWith("registerWithProof reverted with AlreadyRegistered");
+    });
+
+    it("Should refuse a voter outside the allowlist or an unpublished allowlist", async function () {
+      const { address, voter1 } = await loadFixture(deployVotingFixture);
+      const file = path.join(dir, "voters.json");
+      fs.writeFileSync(file, JSON.stringify([voter1.address]));
+      const { output } = await hre.run("voting:allowlist", { file });
+
+      await expect(hre.run("voting:register", { address, from: "2", allowlist: output }))
+        .to.be.rejectedWith("is not in the allowlist");
+      await expect(hre.run("voting:register", { address, from: "1", allowlist: output }))
+        .to.be.rejectedWith("is not the one published for session #0");
+    });
+
+    it("Should refuse a tampered allowlist file", async function () {
+      const [, voter1, voter2] = await ethers.getSigners();
+      const file = path.join(dir, "voters.json");
+      fs.writeFileSync(file, JSON.stringify([voter1.address, voter2.address]));
+      const { output } = await hre.run("voting:allowlist", { file });
+
+      const data = JSON.parse(fs.readFileSync(output, "utf8"));
+      data.root = ethers.ZeroHash;
+      fs.writeFileSync(output, JSON.stringify(data));
+
+      expect(() => readAllowlist(output)).to.throw("does not match its tree");
+    });
+  });
+
+  // *********** Schedule *********** //
+  describe("voting:schedule", function () {
+    it("Should set the schedule from ISO dates and Unix timestamps", async function () {
+      const { voting, address } = await loadFixture(deployVotingFixture);
+      const now = await time.latest();
+
+      await hre.run("voting:schedule", {
+        address,
+        proposalsStart: new Date((now + 100) * 1000).toISOString(),
+        proposalsEnd: String(now + 200),
+        votingStart: String(now + 300),
+        votingEnd: String(now + 400),
+      });
+
+      expect(await voting.schedules(0)).to.deep.equal([now + 100, now + 200, now + 300, now + 400, 0].map(BigInt));
+      await hre.run("voting:schedule", { address, clear: true });
+      expect((await voting.schedules(0)).votingEnd).to.equal(0);
+    });
+
+    it("Should refuse missing or invalid dates", async function () {
+      const { address } = await loadFixture(deployVotingFixture);
+
+      await expect(hre.run("voting:schedule", { address, proposalsStart: "1" }))
+        .to.be.rejectedWith("Missing dates: --proposals-end, --voting-start, --voting-end");
+      await expect(hre.run("voting:schedule", { address, proposalsStart: "tomorrow", proposalsEnd: "2", votingStart: "3", votingEnd: "4" }))
+        .to.be.rejectedWith("Invalid date for --proposals-start: tomorrow");
+      await expect(hre.run("voting:schedule", { address, proposalsStart: "2", proposalsEnd: "1", votingStart: "3", votingEnd: "4" }))
+        .to.be.rejectedWith("setSchedule reverted with InvalidSchedule");
+    });
+  });
+
+  // *********** Tie-break *********** //
+  describe("voting:tie-policy and voting:resolve-tie", function () {
+    // Égalité entre les propositions 1 et 2, dépouillée en ligne de commande
+    async function tallyTie(voting, address, voter1, voter2, policy) {
+      await voting.addVoters(0, [voter1, voter2]);
+      await hre.run("voting:tie-policy", { address, policy });
+      await voting.startProposalsRegistering(0);
+      await voting.connect(voter1).addProposal(0, "Proposal 1");
+      await voting.connect(voter2).addProposal(0, "Proposal 2");
+      await voting.endProposalsRegistering(0);
+      await voting.startVotingSession(0);
+      await voting.connect(voter1).setVote(0, 1);
+      await voting.connect(voter2).setVote(0, 2);
+      await voting.endVotingSession(0);
+      return hre.run("voting:tally", { address });
+    }
+
+    it("Should let the owner break a tie", async function () {
+      const { voting, address, voter1, voter2 } = await loadFixture(deployVotingFixture);
+
+      await tallyTie(voting, address, voter1, voter2, "OwnerDecision");
+      expect((await hre.run("voting:status", { address })).tiePolicy).to.equal("OwnerDecision");
+      await expect(hre.run("voting:resolve-tie", { address, proposal: 0 }))
+        .to.be.rejectedWith("resolveTie reverted with NotTiedProposal");
+
+      await hre.run("voting:resolve-tie", { address, proposal: 2 });
+      expect((await voting.getSession(0)).winningProposalId).to.equal(2);
+    });
+
+    it("Should move to the runoff session after the tally", async function () {
+      const { voting, address, voter1, voter2 } = await loadFixture(deployVotingFixture);
+
+      await tallyTie(voting, address, voter1, voter2, "Runoff");
+
+      const status = await hre.run("voting:status", { address });
+      expect(status).to.include({ sessionId: 1, name: "Runoff: Session 1", proposalsCount: 3 });
+      expect(await voting.runoffSessions(0)).to.equal(1);
+    });
+
+    it("Should refuse an unknown tie policy", async function () {
+      const { address } = await loadFixture(deployVotingFixture);
+
+      await expect(hre.run("voting:tie-policy", { address, policy: "Random" }))
+        .to.be.rejectedWith("Unknown tie policy Random, expected one of LowestId, Runoff, OwnerDecision");
+    });
+  });
+
+  // *********** Voting methods *********** //
+  describe("voting:token", function () {
+    it("Should weigh the votes of the session by a token and print it in the status", async function () {
+      const { voting, address } = await loadFixture(deployVotingFixture);
+      const { token } = await hre.ignition.deploy(GovernanceTokenMockModule);
+      const tokenAddress = await token.getAddress();
+
+      await hre.run("voting:token", { address, token: tokenAddress });
+      expect(await voting.votingTokens(0)).to.equal(tokenAddress);
+      expect((await hre.run("voting:status", { address })).votingToken).to.equal(tokenAddress);
+
+      await hre.run("voting:token", { address, clear: true });
+      expect(await voting.votingTokens(0)).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should require either a token or --clear", async function () {
+      const { address } = await loadFixture(deployVotingFixture);
+
+      await expect(hre.run("voting:token", { address })).to.be.rejectedWith("Either a token address or --clear is required");
+      await expect(hre.run("voting:token", { address, token: "0x1234" })).to.be.rejectedWith("Invalid address: 0x1234");
+    });
+  });
+
+  describe("voting:thresholds", function () {
+    it("Should set a quorum and a winner share, and end a session without result", async function () {
+      const { voting, address, voter1, voter2 } = await loadFixture(deployVotingFixture);
+
+      await hre.run("voting:thresholds", { address, quorum: "75%", winnerShare: "50.5" });
+      expect(await voting.thresholds(0)).to.deep.equal([0n, 7500n, 5050n]);
+      await hre.run("voting:thresholds", { address, quorum: "2" });
+      expect(await voting.thresholds(0)).to.deep.equal([2n, 0n, 0n]);
+
+      await voting.addVoters(0, [voter1, voter2]);
+      await voting.startProposalsRegistering(0);
+      await voting.connect(voter1).addProposal(0, "Proposal 1");
+      await voting.endProposalsRegistering(0);
+      await voting.startVotingSession(0);
+      await voting.connect(voter1).setVote(0, 1);
+      await voting.endVotingSession(0);
+      await hre.run("voting:tally", { address });
+
+      const status = await hre.run("voting:status", { address });
+      expect([status.winningProposalId, status.registeredVoters, status.votesCast]).to.deep.equal([0, 2, 1]);
+      expect(await voting.noResults(0)).to.equal(1);
+    });
+
+    it("Should clear the thresholds", async function () {
+      const { voting, address } = await loadFixture(deployVotingFixture);
+
+      await hre.run("voting:thresholds", { address, quorum: "3" });
+      await hre.run("voting:thresholds", { address, clear: true });
+      expect(await voting.thresholds(0)).to.deep.equal([0n, 0n, 0n]);
+    });
+
+    it("Should refuse invalid thresholds", async function () {
+      const { address } = await loadFixture(deployVotingFixture);
+
+      await expect(hre.run("voting:thresholds", { address })).to.be.rejectedWith("Either --quorum, --winner-share or --clear is required");
+      await expect(hre.run("voting:thresholds", { address, quorum: "half" })).to.be.rejectedWith("Invalid quorum: half");
+      await expect(hre.run("voting:thresholds", { address, winnerShare: "120%" }))
+        .to.be.rejectedWith("Invalid percentage for --winner-share: 120%");
+    });
+  });
+
+  describe("voting:remove-voter and voting:withdraw-proposal", function () {
+    it("Should remove a voter and withdraw a proposal", async function () {
+      const { voting, address, voter1, voter2 } = await loadFixture(deployVotingFixture);
+
+      await voting.addVoters(0, [voter1, voter2]);
+      await hre.run("voting:remove-voter", { address, voter: voter2.address });
+      expect((await voting["getVoter(uint32,address)"](0, voter2)).isRegistered).to.equal(false);
+
+      await voting.startProposalsRegistering(0);
+      await voting.connect(voter1).addProposal(0, "Proposal 1");
+      await hre.run("voting:withdraw-proposal", { address, from: "1", proposal: 1 });
+      expect((await voting["getOneProposal(uint32,uint256)"](0, 1)).withdrawn).to.equal(true);
+      await expect(hre.run("voting:withdraw-proposal", { address, proposal: 1 }))
+        .to.be.rejectedWith("NotProposer: Only the voter who submitted this proposal can withdraw it");
+    });
+  });
+
+  describe("voting:grant-role, voting:revoke-role and voting:roles", function () {
+    it("Should grant, list and revoke roles", async function () {
+      const { voting, address, owner, voter1, voter2 } = await loadFixture(deployVotingFixture);
+
+      await hre.run("voting:grant-role", { address, role: "registrar", account: voter1.address });
+      await hre.run("voting:grant-role", { address, role: "operator", account: voter2.address });
+      expect(await voting.hasRole(ROLES.registrar, voter1)).to.equal(true);
+      expect(await hre.run("voting:roles", { address, account: voter2.address })).to.deep.equal(["operator"]);
+
+      await hre.run("voting:revoke-role", { address, role: "registrar", account: voter1.address });
+      expect(await hre.run("voting:roles", { address })).to.deep.equal({
+        admin: [owner.address],
+        registrar: [owner.address],
+        operator: [owner.address, voter2.address],
+      });
+      expect(await hre.run("voting:roles", { address, account: voter1.address })).to.deep.equal([]);
+    });
+
+    it("Should search the role events by block ranges from the given block", async function () {
+      const { address, owner, voter2 } = await loadFixture(deployVotingFixture);
+      await hre.run("voting:grant-role", { address, role: "operator", account: voter2.address });
+      const grantBlock = await ethers.provider.getBlockNumber();
+
+      expect(await hre.run("voting:roles", { address, batchSize: 10 })).to.deep.equal({
+        admin: [owner.address],
+        registrar: [owner.address],
+        operator: [owner.address, voter2.address],
+      });
+      expect(await hre.run("voting:roles", { address, fromBlock: grantBlock })).to.deep.equal({
+        admin: [],
+        registrar: [],
+        operator: [voter2.address],
+      });
+    });
+
+    it("Should refuse an unknown role", async function () {
+      const { address, voter1 } = await loadFixture(deployVotingFixture);
+
+      await expect(hre.run("voting:grant-role", { address, role: "owner", account: voter1.address }))
+        .to.be.rejectedWith("Unknown role owner, expected one of admin, registrar, operator");
+      await expect(hre.run("voting:grant-role", { address, from: "1", role: "registrar", account: voter1.address }))
+        .to.be.rejectedWith("AccessControlUnauthorizedAccount: The sender does not have the admin role");
+    });
+  });
+
+  describe("voting:approve and voting:rank", function () {
+    // Nouvelle session avec le mode de scrutin donné, en phase de vote
+    async function startMethodSession(voting, address, method, voter1, voter2) {
+      await hre.run("voting:new-session", { address, name: "Session 2", method });
+      await voting.addVoters(1, [voter1, voter2]);
+      await voting.startProposalsRegistering(1);
+      await voting.connect(voter1).addProposal(1, "Proposal 1");
+      await voting.connect(voter2).addProposal(1, "Proposal 2");
+      await voting.endProposalsRegistering(1);
+      await voting.startVotingSession(1);
+    }
+
+    it("Should cast approval ballots", async function () {
+      const { voting, address, voter1, voter2 } = await loadFixture(deployVotingFixture);
+      await startMethodSession(voting, address, "Approval", voter1, voter2);
+
+      expect((await hre.run("voting:status", { address })).votingMethod).to.equal("Approval");
+      await hre.run("voting:approve", { address, from: "1", proposals: [1, 2] });
+      await hre.run("voting:approve", { address, from: "2", proposals: [2] });
+
+      expect((await voting["getOneProposal(uint32,uint256)"](1, 2)).voteCount).to.equal(2);
+    });
+
+    it("Should cast ranked ballots", async function () {
+      const { voting, address, voter1, voter2 } = await loadFixture(deployVotingFixture);
+      await startMethodSession(voting, address, "InstantRunoff", voter1, voter2);
+
+      await hre.run("voting:rank", { address, from: "1", proposals: [2, 1] });
+      await expect(hre.run("voting:approve", { address, from: "2", proposals: [1] }))
+        .to.be.rejectedWith("setApprovalVote reverted with WrongVotingMethod");
+
+      expect(await voting.getBallot(1, voter1)).to.deep.equal([2n, 1n]);
+    });
+
+    it("Should refuse an unknown voting method", async function () {
+      const { address } = await loadFixture(deployVotingFixture);
+
+      await expect(hre.run("voting:new-session", { address, method: "Borda" }))
+        .to.be.rejectedWith("Unknown voting method Borda, expected one of Plurality, Approval, InstantRunoff");
+    });
+  });
+
+  // *********** Secret ballots *********** //
+  describe("voting:commit and voting:reveal", function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "ballots-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should run a secret session from the command line", async function () {
+      const { voting, address, voter1, voter2 } = await loadFixture(deployVotingFixture);
+      const ballots = path.join(dir, "ballots.json");
+
+      await voting.addVoters(0, [voter1, voter2]);
+      await hre.run("voting:commit-reveal", { address });
+      await hre.run("voting:advance-phase", { address });
+      await hre.run("voting:add-proposal", { address, from: "1", description: "Proposal 1" });
+      await hre.run("voting:advance-phase", { address });
+      await hre.run("voting:advance-phase", { address });
+      await hre.run("voting:commit", { address, from: "1", proposal: 1, ballots });
+      await hre.run("voting:commit", { address, from: "2", proposal: 1, ballots });
+      expect(Object.keys(JSON.parse(fs.readFileSync(ballots, "utf8")))).to.have.length(2);
+      expect((await voting["getOneProposal(uint32,uint256)"](0, 1)).voteCount).to.equal(0);
+
+      await hre.run("voting:advance-phase", { address });
+      expect((await hre.run("voting:status", { address })).status).to.equal(WorkflowStatus.RevealingVotes);
+      await hre.run("voting:reveal", { address, from: "1", ballots });
+      await hre.run("voting:reveal", { address, from: "2", ballots });
+      await hre.run("voting:advance-phase", { address });
+      await hre.run("voting:tally", { address });
+
+      expect((await voting["getOneProposal(uint32,uint256)"](0, 1)).voteCount).to.equal(2);
+      expect(JSON.parse(fs.readFileSync(ballots, "utf8"))).to.deep.equal({});
+    });
+
+    it("Should explain why a secret vote is refused", async function () {
+      const { address } = await loadFixture(deployVotingFixture);
+      const ballots = path.join(dir, "ballots.json");
+
+      await expect(hre.run("voting:reveal", { address, from: "1", ballots })).to.be.rejectedWith("No stored ballot of");
+      await hre.run("voting:add-voter", { address, voter: (await ethers.getSigners())[1].address });
+      await expect(hre.run("voting:commit", { address, from: "1", proposal: 0, ballots }))
+        .to.be.rejectedWith("commitVote reverted with VotingNotStarted");
+      expect(fs.existsSync(ballots)).to.equal(false);
+    });
+  });
+
+  // *********** Custom errors *********** //
+  describe("voting:upgrade-parameters", function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "upgrade-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should write the participation of the sessions in progress", async function () {
+      const [, voter1, voter2] = await ethers.getSigners();
+      const { voting, proxy, proxyAdmin } = await hre.ignition.deploy(VotingUpgradeableModule, {
+        parameters: { VotingUpgradeable: { voters: [voter1.address, voter2.address] } },
+      });
+      await voting.startProposalsRegistering(0);
+      await voting.connect(voter1).addProposal(0, "Proposal 1");
+      await voting.endProposalsRegistering(0);
+      await voting.startVotingSession(0);
+      await voting.connect(voter1).setVote(0, 1);
+      await voting.startNewVotingSession("Cancelled");
+      await voting.cancelSession(1, "Duplicate");
+
+      const output = path.join(dir, "upgrade.json");
+      await hre.run("voting:upgrade-parameters", {
+        proxy: await proxy.getAddress(),
+        proxyAdmin: await proxyAdmin.getAddress(),
+        output,
+      });
+
+      expect(JSON.parse(fs.readFileSync(output, "utf8"))).to.deep.equal({
+        VotingUpgrade: {
+          proxy: await proxy.getAddress(),
+          proxyAdmin: await proxyAdmin.getAddress(),
+          sessions: [{ sessionId: 0, participation: { registeredVoters: 2, votesCast: 1, castWeight: "1n" } }],
+        },
+      });
+    });
+  });
+
+  describe("Custom errors", function () {
+    it("Should decode custom errors into readable messages", async function () {
+      const { address, voter1 } = await loadFixture(deployVotingFixture);
+
+      await hre.run("voting:add-voter", { address, voter: voter1.address });
+      await expect(hre.run("voting:add-voter", { address, voter: voter1.address }))
+        .to.be.rejectedWith("addVoter reverted with AlreadyRegistered: This address is already registered as a voter");
+    });
+
+    it("Should decode workflow errors", async function () {
+      const { address } = await loadFixture(deployVotingFixture);
+
+      await expect(hre.run("voting:tally", { address })).to.be.rejectedWith("VotingSessionNotEnded");
+      await expect(hre.run("voting:resolve-tie", { address, proposal: 1 })).to.be.rejectedWith("NoPendingTie");
+    });
+
+    it("Should decode AccessControl errors with the missing role", async function () {
+      const { address } = await loadFixture(deployVotingFixture);
+
+      await expect(hre.run("voting:advance-phase", { address, from: "1" }))
+        .to.be.rejectedWith("AccessControlUnauthorizedAccount: The sender does not have the operator role");
+    });
+
+    it("Should return null for errors that do not come from the contract", async function () {
+      const { voting } = await loadFixture(deployVotingFixture);
+
+      expect(decodeVotingError(voting.interface, new Error("network down"))).to.equal(null);
+    });
+  });
+
+});
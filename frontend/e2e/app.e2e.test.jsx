@@ -0,0 +1,85 @@
+import { render, screen, waitFor, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { describe, expect, it } from "vitest";
+
+import App from "../src/App.jsx";
+import { ACCOUNTS, createTestWallet } from "./wallet.js";
+
+// Une application par compte, côte à côte dans le document : chacune voit les transactions de l'autre par les événements
+async function openApp(account) {
+  const { container } = render(<App ethereum={createTestWallet(account)} />);
+  const ui = within(container);
+  await userEvent.click(ui.getByRole("button", { name: "Connect wallet" }));
+  await ui.findByTestId("status");
+  return ui;
+}
+
+async function expectStatus(ui, label) {
+  await waitFor(() => expect(ui.getByTestId("status")).toHaveTextContent(label));
+}
+
+describe("Voting dApp on a local node", () => {
+  it("runs the deployed session from the voters registration to the tally", async () => {
+    const admin = await openApp(ACCOUNTS.admin);
+    const voter = await openApp(ACCOUNTS.voter1);
+
+    expect(voter.getByRole("heading", { name: "Local session #0" })).toBeInTheDocument();
+    await expectStatus(voter, "Registering voters");
+    expect(voter.getByText("0 voted / 3 registered")).toBeInTheDocument();
+
+    // L'administrateur inscrit un votant : la participation du votant est mise à jour en direct
+    await userEvent.click(admin.getByRole("tab", { name: "Admin" }));
+    await userEvent.type(admin.getByLabelText("Voter address"), ACCOUNTS.newcomer);
+    await userEvent.click(admin.getByRole("button", { name: "Register voter" }));
+    await voter.findByText("0 voted / 4 registered");
+    await voter.findByText(/^VoterRegistered/);
+
+    await userEvent.click(admin.getByRole("button", { name: "Start proposals registration" }));
+    await expectStatus(voter, "Proposals registration");
+    for (const description of ["Solar panels", "Bike lanes"]) {
+      await userEvent.type(voter.getByLabelText("Proposal"), description);
+      await userEvent.click(voter.getByRole("button", { name: "Submit proposal" }));
+      await voter.findByText(description);
+    }
+
+    await userEvent.click(admin.getByRole("button", { name: "End proposals registration" }));
+    await userEvent.click(await admin.findByRole("button", { name: "Start voting" }));
+    await userEvent.click(await voter.findByRole("button", { name: "Vote for Bike lanes" }));
+    await voter.findByText("You voted for #2 Bike lanes.");
+
+    // Le vote apparaît dans la vue de l'administrateur, qui n'est pas votant
+    await userEvent.click(admin.getByRole("tab", { name: "Voter" }));
+    expect(admin.getByText("You are not registered as a voter in this session.")).toBeInTheDocument();
+    await waitFor(() => expect(admin.getByTestId("votes-2")).toHaveTextContent("1"));
+
+    await userEvent.click(admin.getByRole("tab", { name: "Admin" }));
+    await userEvent.click(admin.getByRole("button", { name: "End voting" }));
+    await userEvent.click(await admin.findByRole("button", { name: "Tally votes" }));
+    await expectStatus(voter, "Votes tallied");
+    expect(voter.getByTestId("winner")).toHaveTextContent("#2 Bike lanes");
+  });
+
+  it("starts a new session and shows it", async () => {
+    const admin = await openApp(ACCOUNTS.admin);
+
+    await userEvent.click(admin.getByRole("tab", { name: "Admin" }));
+    await userEvent.type(admin.getByLabelText("Session name"), "Board election");
+    await userEvent.selectOptions(admin.getByLabelText("Voting method"), "Approval");
+    await userEvent.click(admin.getByRole("button", { name: "Start new session" }));
+
+    await admin.findByRole("heading", { name: "Board election #1" });
+    await expectStatus(admin, "Registering voters");
+    expect(admin.getByText("Approval", { selector: "dd" })).toBeInTheDocument();
+    expect(admin.getByRole("combobox", { name: "Session" })).toHaveValue("1");
+  });
+
+  it("shows the reason of a reverted transaction", async () => {
+    const voter = await openApp(ACCOUNTS.voter2);
+
+    await userEvent.click(voter.getByRole("tab", { name: "Admin" }));
+    await userEvent.click(voter.getByRole("button", { name: "Start proposals registration" }));
+
+    expect(await voter.findByRole("alert")).toHaveTextContent("The sender does not have the operator role");
+    expect(screen.getAllByTestId("status")[0]).toHaveTextContent("Registering voters");
+  });
+});
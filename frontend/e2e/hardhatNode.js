@@ -0,0 +1,55 @@
+// Lance un nœud Hardhat local et y déploie le contrat avec voting:deploy avant les tests de bout en bout
+
+import { execFileSync, spawn } from "node:child_process";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { DEPLOYMENTS_DIR } from "../ignition.js";
+import { RPC_URL } from "./wallet.js";
+
+const BACKEND_DIR = fileURLToPath(new URL("../../backend", import.meta.url));
+// La CLI de Hardhat, lancée sans npx pour que le processus arrêté à la fin soit bien le nœud
+const HARDHAT_CLI = path.join(BACKEND_DIR, "node_modules", "hardhat", "internal", "cli", "cli.js");
+const STARTUP_TIMEOUT = 60_000;
+
+async function isNodeRunning() {
+  try {
+    const response = await fetch(RPC_URL, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "eth_chainId", params: [] }),
+    });
+    return response.ok;
+  } catch {
+    return false;
+  }
+}
+
+export default async function setup() {
+  // Un nœud déjà lancé a son propre état, que les tests ne doivent ni réutiliser ni modifier
+  if (await isNodeRunning()) throw new Error(`A node is already running on ${RPC_URL}, stop it before the end-to-end tests`);
+
+  const node = spawn(process.execPath, [HARDHAT_CLI, "node"], { cwd: BACKEND_DIR, stdio: "ignore" });
+  // Le déploiement local disparaît avec le nœud : il ne doit pas rester dans ignition/deployments pour les tests du backend
+  const stop = () => {
+    node.kill();
+    fs.rmSync(path.join(DEPLOYMENTS_DIR, "chain-31337"), { recursive: true, force: true });
+  };
+  try {
+    const deadline = Date.now() + STARTUP_TIMEOUT;
+    while (!(await isNodeRunning())) {
+      if (node.exitCode !== null) throw new Error(`npx hardhat node exited with code ${node.exitCode}`);
+      if (Date.now() > deadline) throw new Error(`npx hardhat node did not start within ${STARTUP_TIMEOUT / 1000}s`);
+      await new Promise((resolve) => setTimeout(resolve, 500));
+    }
+
+    // Le déploiement local d'un nœud précédent n'existe plus sur ce nœud
+    fs.rmSync(path.join(DEPLOYMENTS_DIR, "chain-31337"), { recursive: true, force: true });
+    execFileSync(process.execPath, [HARDHAT_CLI, "voting:deploy", "--network", "localhost"], { cwd: BACKEND_DIR, stdio: "ignore" });
+  } catch (error) {
+    stop();
+    throw error;
+  }
+  return stop;
+}
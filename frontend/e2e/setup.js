@@ -0,0 +1,5 @@
+import { configure } from "@testing-library/react";
+
+// Les mises à jour viennent des blocs du nœud, pas des actions de test : on les attend au lieu de les envelopper dans act
+globalThis.IS_REACT_ACT_ENVIRONMENT = false;
+configure({ asyncUtilTimeout: 15_000 });
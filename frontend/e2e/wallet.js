@@ -0,0 +1,37 @@
+// Portefeuille EIP-1193 de test : les requêtes sont transmises au nœud Hardhat, qui signe avec ses comptes déverrouillés
+
+export const RPC_URL = "http://127.0.0.1:8545";
+
+// Comptes du nœud Hardhat : le déployeur (tous les rôles) puis les votants de ignition/parameters/localhost.json
+export const ACCOUNTS = {
+  admin: "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266",
+  voter1: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+  voter2: "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC",
+  voter3: "0x90F79bf6EB2c4f870365E785982E1f101E93b906",
+  newcomer: "0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65",
+};
+
+let requestId = 0;
+
+/**
+ * @param {string} account Le compte du nœud connecté à l'application
+ * @returns {import("ethers").Eip1193Provider}
+ */
+export function createTestWallet(account) {
+  return {
+    async request({ method, params = [] }) {
+      if (method === "eth_requestAccounts" || method === "eth_accounts") return [account];
+
+      const response = await fetch(RPC_URL, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ jsonrpc: "2.0", id: ++requestId, method, params }),
+      });
+      const { result, error } = await response.json();
+      if (error) throw Object.assign(new Error(error.message), { code: error.code, data: error.data });
+      return result;
+    },
+    on() {},
+    removeListener() {},
+  };
+}
@@ -0,0 +1,95 @@
+// Déploiements du contrat Voting lus dans les dossiers Ignition du backend, servis à l'application par le module
+// virtuel "virtual:voting-deployments" : l'adresse et l'ABI sont toujours ceux du dernier voting:deploy
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const DEPLOYMENTS_DIR = fileURLToPath(new URL("../backend/ignition/deployments", import.meta.url));
+// Identifiants Ignition du contrat : module Voting, ou le proxy du module VotingUpgradeable (avec l'ABI de VotingUpgradeable)
+export const VOTING_FUTURE_IDS = ["Voting#Voting", "VotingUpgradeable#Voting"];
+
+const VIRTUAL_ID = "virtual:voting-deployments";
+const RESOLVED_VIRTUAL_ID = `\0${VIRTUAL_ID}`;
+
+/**
+ * @typedef {object} Deployment
+ * @property {number} chainId
+ * @property {string} address
+ * @property {object[]} abi L'ABI de l'artefact Ignition du contrat
+ * @property {number} fromBlock Le premier bloc du journal Ignition, où commencent les recherches d'événements
+ */
+
+/**
+ * Lit le premier bloc confirmé du journal Ignition d'un réseau : le contrat Voting (ou le proxy) n'est pas déployé avant
+ * @param {string} chainDir Le dossier chain-<chainId>
+ * @returns {number} 0 sans journal
+ */
+function readJournalBlock(chainDir) {
+  const file = path.join(chainDir, "journal.jsonl");
+  if (!fs.existsSync(file)) return 0;
+
+  const blocks = fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter((line) => line.trim() !== "")
+    .map((line) => JSON.parse(line))
+    .filter((entry) => entry.type === "TRANSACTION_CONFIRM")
+    .map((entry) => entry.receipt.blockNumber);
+  return blocks.length > 0 ? Math.min(...blocks) : 0;
+}
+
+/**
+ * Lit les déploiements du contrat Voting, un par dossier chain-<chainId>
+ * @param {string} [dir] Le dossier des déploiements Ignition
+ * @returns {Record<string, Deployment>} Les déploiements par chainId (les dossiers sans contrat Voting sont ignorés)
+ */
+export function readIgnitionDeployments(dir = DEPLOYMENTS_DIR) {
+  const deployments = {};
+  if (!fs.existsSync(dir)) return deployments;
+
+  for (const entry of fs.readdirSync(dir)) {
+    const match = /^chain-(\d+)$/.exec(entry);
+    const addressesFile = path.join(dir, entry, "deployed_addresses.json");
+    if (!match || !fs.existsSync(addressesFile)) continue;
+
+    const addresses = JSON.parse(fs.readFileSync(addressesFile, "utf8"));
+    const futureId = VOTING_FUTURE_IDS.find((id) => addresses[id]);
+    if (!futureId) continue;
+    const { abi } = JSON.parse(fs.readFileSync(path.join(dir, entry, "artifacts", `${futureId}.json`), "utf8"));
+    deployments[match[1]] = {
+      chainId: Number(match[1]),
+      address: addresses[futureId],
+      abi,
+      fromBlock: readJournalBlock(path.join(dir, entry)),
+    };
+  }
+  return deployments;
+}
+
+/**
+ * Plugin Vite du module virtuel "virtual:voting-deployments"
+ * @param {string} [dir] Le dossier des déploiements Ignition
+ * @returns {import("vite").Plugin}
+ */
+export function ignitionDeployments(dir = DEPLOYMENTS_DIR) {
+  return {
+    name: "voting-ignition-deployments",
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_VIRTUAL_ID : undefined;
+    },
+    load(id) {
+      return id === RESOLVED_VIRTUAL_ID ? `export default ${JSON.stringify(readIgnitionDeployments(dir))};` : undefined;
+    },
+    configureServer(server) {
+      // Un nouveau déploiement recharge l'application
+      server.watcher.add(dir);
+      server.watcher.on("all", (_, file) => {
+        if (!file.startsWith(dir)) return;
+        const module = server.moduleGraph.getModuleById(RESOLVED_VIRTUAL_ID);
+        if (module) server.moduleGraph.invalidateModule(module);
+        server.ws.send({ type: "full-reload" });
+      });
+    },
+  };
+}
@@ -0,0 +1,69 @@
+// @vitest-environment node
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+
+import { DEPLOYMENTS_DIR, readIgnitionDeployments } from "./ignition.js";
+
+const ABI = [{ type: "function", name: "currentSessionId", inputs: [], outputs: [{ name: "", type: "uint32" }], stateMutability: "view" }];
+
+function writeDeployment(dir, chainId, addresses, artifacts = {}, journal = []) {
+  const chainDir = path.join(dir, `chain-${chainId}`);
+  fs.mkdirSync(path.join(chainDir, "artifacts"), { recursive: true });
+  fs.writeFileSync(path.join(chainDir, "deployed_addresses.json"), JSON.stringify(addresses));
+  for (const [futureId, abi] of Object.entries(artifacts)) {
+    fs.writeFileSync(path.join(chainDir, "artifacts", `${futureId}.json`), JSON.stringify({ contractName: futureId, abi }));
+  }
+  if (journal.length > 0) {
+    fs.writeFileSync(path.join(chainDir, "journal.jsonl"), journal.map((entry) => JSON.stringify(entry)).join("\n") + "\n");
+  }
+}
+
+describe("readIgnitionDeployments", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ignition-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("reads the address and the ABI of each network", () => {
+    writeDeployment(dir, 31337, { "Voting#VotingTally": "0x1", "Voting#Voting": "0x2" }, { "Voting#Voting": ABI });
+    writeDeployment(dir, 1337, { "VotingUpgradeable#VotingUpgradeable": "0x3", "VotingUpgradeable#Voting": "0x4" }, { "VotingUpgradeable#Voting": ABI });
+
+    expect(readIgnitionDeployments(dir)).toEqual({
+      31337: { chainId: 31337, address: "0x2", abi: ABI, fromBlock: 0 },
+      1337: { chainId: 1337, address: "0x4", abi: ABI, fromBlock: 0 },
+    });
+  });
+
+  it("reads the first confirmed block of the journal", () => {
+    const confirm = (futureId, blockNumber) => ({ type: "TRANSACTION_CONFIRM", futureId, receipt: { blockNumber } });
+    writeDeployment(dir, 1337, { "VotingUpgradeable#Voting": "0x4" }, { "VotingUpgradeable#Voting": ABI }, [
+      { type: "DEPLOYMENT_INITIALIZE", chainId: 1337 },
+      confirm("VotingUpgradeable#TransparentUpgradeableProxy", 12),
+      confirm("VotingUpgradeable#VotingTally", 10),
+    ]);
+
+    expect(readIgnitionDeployments(dir)[1337].fromBlock).toBe(10);
+  });
+
+  it("ignores the deployments without the Voting contract", () => {
+    writeDeployment(dir, 31337, { "GovernanceTokenMock#GovernanceTokenMock": "0x1" });
+    fs.mkdirSync(path.join(dir, "custom-id"));
+
+    expect(readIgnitionDeployments(dir)).toEqual({});
+    expect(readIgnitionDeployments(path.join(dir, "missing"))).toEqual({});
+  });
+
+  it("reads the deployments of the backend", () => {
+    expect(readIgnitionDeployments(DEPLOYMENTS_DIR)[11155111]).toMatchObject({
+      address: "0x7Ccd0C731c6a3631EDb22b0FD089eF0B5431af89",
+      fromBlock: 8617890,
+    });
+  });
+});
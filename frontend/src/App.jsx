@@ -0,0 +1,98 @@
+import { useMemo, useState } from "react";
+
+import AdminView from "./components/AdminView.jsx";
+import EventFeed from "./components/EventFeed.jsx";
+import SessionSummary from "./components/SessionSummary.jsx";
+import VoterView from "./components/VoterView.jsx";
+import { useSession } from "./hooks/useSession.js";
+import { useSessions } from "./hooks/useSessions.js";
+import { useWallet } from "./hooks/useWallet.js";
+import { shortAddress } from "./labels.js";
+import { createVotingClient, findDeployment } from "./wallet.js";
+
+/**
+ * dApp du contrat Voting, sur le réseau du portefeuille connecté
+ * @param {{ ethereum?: import("ethers").Eip1193Provider }} props ethereum : le portefeuille injecté (window.ethereum)
+ */
+export default function App({ ethereum }) {
+  const { wallet, error: walletError, connect } = useWallet(ethereum);
+  const deployment = wallet ? findDeployment(wallet.chainId) : null;
+  const client = useMemo(() => (deployment ? createVotingClient(deployment, wallet.signer) : null), [deployment, wallet]);
+  const { sessions, sessionId, selectSession } = useSessions(client);
+  const { session, proposals, voter, method, commitReveal, cancelReason, events, error, reload } = useSession(client, sessionId, wallet?.account);
+  const [view, setView] = useState("voter");
+
+  const sessionClient = client && sessionId !== null ? client.forSession(sessionId) : null;
+
+  return (
+    <main>
+      <header>
+        <h1>Voting</h1>
+        {wallet ? (
+          <span className="account" title={wallet.account}>
+            {shortAddress(wallet.account)} · chain {wallet.chainId}
+          </span>
+        ) : (
+          <button type="button" onClick={connect}>
+            Connect wallet
+          </button>
+        )}
+      </header>
+
+      {walletError && <p role="alert">{walletError}</p>}
+      {wallet && !deployment && (
+        <p role="alert">
+          No Voting deployment for chain {wallet.chainId}: deploy it with npx hardhat voting:deploy, or switch network.
+        </p>
+      )}
+      {error && <p role="alert">{error}</p>}
+
+      {session && (
+        <>
+          <nav>
+            <label>
+              Session
+              <select value={sessionId} onChange={(event) => selectSession(Number(event.target.value))}>
+                {sessions.map((item) => (
+                  <option key={item.sessionId} value={item.sessionId}>
+                    #{item.sessionId} {item.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <div role="tablist">
+              <button type="button" role="tab" aria-selected={view === "voter"} onClick={() => setView("voter")}>
+                Voter
+              </button>
+              <button type="button" role="tab" aria-selected={view === "admin"} onClick={() => setView("admin")}>
+                Admin
+              </button>
+            </div>
+          </nav>
+
+          <SessionSummary
+            session={session}
+            proposals={proposals}
+            method={method}
+            commitReveal={commitReveal}
+            cancelReason={cancelReason}
+          />
+          {view === "admin" ? (
+            <AdminView client={sessionClient} session={session} commitReveal={commitReveal} onDone={reload} />
+          ) : (
+            <VoterView
+              client={sessionClient}
+              session={session}
+              proposals={proposals}
+              voter={voter}
+              method={method}
+              commitReveal={commitReveal}
+              onDone={reload}
+            />
+          )}
+          <EventFeed events={events} />
+        </>
+      )}
+    </main>
+  );
+}
@@ -0,0 +1,37 @@
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { describe, expect, it } from "vitest";
+
+import App from "./App.jsx";
+
+const ACCOUNT = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+
+// Portefeuille EIP-1193 minimal, sur un réseau donné
+function wallet(chainId) {
+  return {
+    async request({ method }) {
+      if (method === "eth_chainId") return `0x${chainId.toString(16)}`;
+      if (method === "eth_requestAccounts" || method === "eth_accounts") return [ACCOUNT];
+      throw new Error(`Unexpected request ${method}`);
+    },
+  };
+}
+
+describe("App", () => {
+  it("asks for a browser wallet", async () => {
+    render(<App />);
+
+    await userEvent.click(screen.getByRole("button", { name: "Connect wallet" }));
+
+    expect(await screen.findByRole("alert")).toHaveTextContent("No Ethereum wallet found");
+  });
+
+  it("tells when the network has no Ignition deployment of the contract", async () => {
+    render(<App ethereum={wallet(424242)} />);
+
+    await userEvent.click(screen.getByRole("button", { name: "Connect wallet" }));
+
+    expect(await screen.findByRole("alert")).toHaveTextContent("No Voting deployment for chain 424242");
+    expect(screen.getByText("0xf39F…2266 · chain 424242")).toBeInTheDocument();
+  });
+});
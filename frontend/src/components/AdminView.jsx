@@ -0,0 +1,110 @@
+import { useState } from "react";
+import { isAddress } from "ethers";
+import { VOTING_METHODS, WorkflowStatus, nextTransition } from "voting-sdk";
+
+import { useAction } from "../hooks/useAction.js";
+import { TRANSITION_LABELS } from "../labels.js";
+
+/**
+ * Vue de l'administrateur : inscription des votants, avancement ou annulation du workflow et nouvelles sessions
+ * @param {object} props
+ * @param {import("voting-sdk").VotingClient} props.client Le client de la session affichée (forSession)
+ * @param {import("voting-sdk").Session} props.session
+ * @param {boolean} props.commitReveal
+ * @param {() => Promise<void>} [props.onDone] Appelé après chaque transaction
+ */
+export default function AdminView({ client, session, commitReveal, onDone }) {
+  const { pending, error, run } = useAction(onDone);
+  const [voter, setVoter] = useState("");
+  const [name, setName] = useState("");
+  const [method, setMethod] = useState("Plurality");
+  const [reason, setReason] = useState("");
+
+  const transition = nextTransition(WorkflowStatus[session.status], { commitReveal });
+  const registering = session.status === "RegisteringVoters";
+  const cancelled = session.status === "Cancelled";
+
+  function registerVoter(event) {
+    event.preventDefault();
+    run(async () => {
+      if (!isAddress(voter)) throw new Error(`Invalid address: ${voter}`);
+      await client.addVoter(voter);
+      setVoter("");
+    });
+  }
+
+  function cancelSession(event) {
+    event.preventDefault();
+    run(async () => {
+      await client.cancelSession(reason);
+      setReason("");
+    });
+  }
+
+  function startSession(event) {
+    event.preventDefault();
+    run(async () => {
+      await client.startNewVotingSession(name, { method });
+      setName("");
+    });
+  }
+
+  return (
+    <section aria-label="Admin" className="panel">
+      <h2>Voters</h2>
+      <form onSubmit={registerVoter}>
+        <label>
+          Voter address
+          <input value={voter} onChange={(event) => setVoter(event.target.value.trim())} placeholder="0x…" />
+        </label>
+        <button type="submit" disabled={pending || !registering || voter === ""}>
+          Register voter
+        </button>
+      </form>
+      {!registering && <p className="muted">Voters can only be registered before the proposals registration.</p>}
+
+      <h2>Workflow</h2>
+      {transition ? (
+        <button type="button" disabled={pending} onClick={() => run(() => client.advancePhase())}>
+          {TRANSITION_LABELS[transition]}
+        </button>
+      ) : (
+        <p className="muted">{cancelled ? "This session is cancelled." : "The votes of this session are tallied."}</p>
+      )}
+      {transition && (
+        <form onSubmit={cancelSession}>
+          <label>
+            Cancel reason
+            <input value={reason} onChange={(event) => setReason(event.target.value)} placeholder="Why the session is cancelled" />
+          </label>
+          <button type="submit" disabled={pending || reason.trim() === ""}>
+            Cancel session
+          </button>
+        </form>
+      )}
+
+      <h2>New session</h2>
+      <form onSubmit={startSession}>
+        <label>
+          Session name
+          <input value={name} onChange={(event) => setName(event.target.value)} placeholder="Session name" />
+        </label>
+        <label>
+          Voting method
+          <select value={method} onChange={(event) => setMethod(event.target.value)}>
+            {VOTING_METHODS.map((value) => (
+              <option key={value} value={value}>
+                {value}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button type="submit" disabled={pending}>
+          Start new session
+        </button>
+      </form>
+
+      {error && <p role="alert">{error}</p>}
+    </section>
+  );
+}
@@ -0,0 +1,113 @@
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { describe, expect, it, vi } from "vitest";
+
+import AdminView from "./AdminView.jsx";
+
+const VOTER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+function session(status) {
+  return { sessionId: 1, name: "Budget", status, proposalsCount: 1, winningProposalId: 0, registeredVoters: 0, votesCast: 0 };
+}
+
+function renderView({ status = "RegisteringVoters", commitReveal = false, client: overrides = {} } = {}) {
+  const client = {
+    addVoter: vi.fn().mockResolvedValue({}),
+    advancePhase: vi.fn().mockResolvedValue({}),
+    startNewVotingSession: vi.fn().mockResolvedValue({}),
+    cancelSession: vi.fn().mockResolvedValue({}),
+    ...overrides,
+  };
+  const onDone = vi.fn().mockResolvedValue();
+  render(<AdminView client={client} session={session(status)} commitReveal={commitReveal} onDone={onDone} />);
+  return { client, onDone };
+}
+
+describe("AdminView", () => {
+  it("registers a voter during the voters registration", async () => {
+    const { client, onDone } = renderView();
+
+    await userEvent.type(screen.getByLabelText("Voter address"), VOTER);
+    await userEvent.click(screen.getByRole("button", { name: "Register voter" }));
+
+    expect(client.addVoter).toHaveBeenCalledWith(VOTER);
+    expect(onDone).toHaveBeenCalled();
+    expect(screen.getByLabelText("Voter address")).toHaveValue("");
+  });
+
+  it("rejects an invalid address without sending a transaction", async () => {
+    const { client } = renderView();
+
+    await userEvent.type(screen.getByLabelText("Voter address"), "0x1234");
+    await userEvent.click(screen.getByRole("button", { name: "Register voter" }));
+
+    expect(await screen.findByRole("alert")).toHaveTextContent("Invalid address: 0x1234");
+    expect(client.addVoter).not.toHaveBeenCalled();
+  });
+
+  it("only registers voters before the proposals registration", () => {
+    renderView({ status: "ProposalsRegistrationStarted" });
+
+    expect(screen.getByRole("button", { name: "Register voter" })).toBeDisabled();
+  });
+
+  it("advances the workflow to the next status", async () => {
+    const { client } = renderView({ status: "ProposalsRegistrationStarted" });
+
+    await userEvent.click(screen.getByRole("button", { name: "End proposals registration" }));
+
+    expect(client.advancePhase).toHaveBeenCalled();
+  });
+
+  it("opens the reveal phase of a secret ballot session", () => {
+    renderView({ status: "VotingSessionStarted", commitReveal: true });
+
+    expect(screen.getByRole("button", { name: "Start revealing votes" })).toBeInTheDocument();
+  });
+
+  it("has no transition once the votes are tallied", () => {
+    renderView({ status: "VotesTallied" });
+
+    expect(screen.getByText("The votes of this session are tallied.")).toBeInTheDocument();
+  });
+
+  it("cancels the session with a reason", async () => {
+    const { client, onDone } = renderView({ status: "VotingSessionStarted" });
+
+    expect(screen.getByRole("button", { name: "Cancel session" })).toBeDisabled();
+    await userEvent.type(screen.getByLabelText("Cancel reason"), "Compromised voter list");
+    await userEvent.click(screen.getByRole("button", { name: "Cancel session" }));
+
+    expect(client.cancelSession).toHaveBeenCalledWith("Compromised voter list");
+    expect(onDone).toHaveBeenCalled();
+  });
+
+  it("has no transition nor cancellation once the session is cancelled", () => {
+    renderView({ status: "Cancelled" });
+
+    expect(screen.getByText("This session is cancelled.")).toBeInTheDocument();
+    expect(screen.queryByRole("button", { name: "Cancel session" })).not.toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "Start new session" })).toBeEnabled();
+  });
+
+  it("starts a new session with the chosen voting method", async () => {
+    const { client } = renderView({ status: "VotesTallied" });
+
+    await userEvent.type(screen.getByLabelText("Session name"), "Board election");
+    await userEvent.selectOptions(screen.getByLabelText("Voting method"), "InstantRunoff");
+    await userEvent.click(screen.getByRole("button", { name: "Start new session" }));
+
+    expect(client.startNewVotingSession).toHaveBeenCalledWith("Board election", { method: "InstantRunoff" });
+  });
+
+  it("shows the error decoded from the contract", async () => {
+    const { onDone } = renderView({
+      client: { advancePhase: vi.fn().mockRejectedValue(new Error("The sender does not have the operator role")) },
+    });
+
+    await userEvent.click(screen.getByRole("button", { name: "Start proposals registration" }));
+
+    expect(await screen.findByRole("alert")).toHaveTextContent("The sender does not have the operator role");
+    expect(onDone).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,24 @@
+import { describeEvent } from "../events.js";
+
+/**
+ * Fil des derniers événements de la session, du plus récent au plus ancien
+ * @param {{ events: import("voting-sdk").VotingEvent[] }} props
+ */
+export default function EventFeed({ events }) {
+  return (
+    <section aria-label="Live events" className="panel">
+      <h2>Live events</h2>
+      {events.length === 0 ? (
+        <p className="muted">Waiting for events…</p>
+      ) : (
+        <ol className="events">
+          {events.map((event) => (
+            <li key={`${event.transactionHash}-${event.logIndex}`}>
+              <span className="muted">#{event.blockNumber}</span> {describeEvent(event)}
+            </li>
+          ))}
+        </ol>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,28 @@
+import { render, screen } from "@testing-library/react";
+import { describe, expect, it } from "vitest";
+
+import EventFeed from "./EventFeed.jsx";
+
+const META = { blockHash: "0xabc" };
+
+describe("EventFeed", () => {
+  it("waits for the first event", () => {
+    render(<EventFeed events={[]} />);
+
+    expect(screen.getByText("Waiting for events…")).toBeInTheDocument();
+  });
+
+  it("describes the events without the session and the log fields", () => {
+    const events = [
+      { ...META, transactionHash: "0x03", name: "Voted", blockNumber: 12, logIndex: 1, sessionId: 0, voter: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8", proposalId: 2 },
+      { ...META, transactionHash: "0x02", name: "TieDetected", blockNumber: 11, logIndex: 0, sessionId: 0, proposalIds: [1, 2] },
+      { ...META, transactionHash: "0x01", name: "WorkflowStatusChange", blockNumber: 10, logIndex: 0, sessionId: 0, previousStatus: "RegisteringVoters", newStatus: "ProposalsRegistrationStarted" },
+    ];
+    render(<EventFeed events={events} />);
+
+    const items = screen.getAllByRole("listitem");
+    expect(items[0]).toHaveTextContent("#12 Voted (voter: 0x7099…79C8, proposalId: 2)");
+    expect(items[1]).toHaveTextContent("TieDetected (proposalIds: [1, 2])");
+    expect(items[2]).toHaveTextContent("WorkflowStatusChange (previousStatus: RegisteringVoters, newStatus: ProposalsRegistrationStarted)");
+  });
+});
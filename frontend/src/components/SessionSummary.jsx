@@ -0,0 +1,39 @@
+import { STATUS_LABELS } from "../labels.js";
+
+/**
+ * État, mode de scrutin, participation et résultat de la session
+ * @param {{ session: import("voting-sdk").Session, proposals: import("voting-sdk").Proposal[], method: string, commitReveal: boolean, cancelReason?: string|null }} props
+ */
+export default function SessionSummary({ session, proposals, method, commitReveal, cancelReason }) {
+  const winner = session.winningProposalId > 0 ? proposals[session.winningProposalId] : null;
+
+  return (
+    <section aria-label="Session" className="panel">
+      <h2>
+        {session.name} <span className="muted">#{session.sessionId}</span>
+      </h2>
+      <dl>
+        <dt>Status</dt>
+        <dd data-testid="status">{STATUS_LABELS[session.status]}</dd>
+        <dt>Voting method</dt>
+        <dd>{commitReveal ? `${method} (secret ballots)` : method}</dd>
+        <dt>Participation</dt>
+        <dd>
+          {session.votesCast} voted / {session.registeredVoters} registered
+        </dd>
+        {session.status === "Cancelled" && (
+          <>
+            <dt>Cancel reason</dt>
+            <dd data-testid="cancel-reason">{cancelReason ?? "Unknown"}</dd>
+          </>
+        )}
+        {session.status === "VotesTallied" && (
+          <>
+            <dt>Winner</dt>
+            <dd data-testid="winner">{winner ? `#${winner.id} ${winner.description}` : "No winner"}</dd>
+          </>
+        )}
+      </dl>
+    </section>
+  );
+}
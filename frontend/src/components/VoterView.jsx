@@ -0,0 +1,130 @@
+import { useState } from "react";
+
+import { useAction } from "../hooks/useAction.js";
+import { shortAddress } from "../labels.js";
+
+/**
+ * Vue du votant : soumission des propositions et vote, selon le mode de scrutin de la session
+ * @param {object} props
+ * @param {import("voting-sdk").VotingClient} props.client Le client de la session affichée (forSession)
+ * @param {import("voting-sdk").Session} props.session
+ * @param {import("voting-sdk").Proposal[]} props.proposals Les propositions de la session, GENESIS comprise
+ * @param {import("voting-sdk").Voter|null} props.voter Le compte connecté dans la session
+ * @param {string} props.method Plurality, Approval ou InstantRunoff
+ * @param {boolean} props.commitReveal
+ * @param {() => Promise<void>} [props.onDone] Appelé après chaque transaction
+ */
+export default function VoterView({ client, session, proposals, voter, method, commitReveal, onDone }) {
+  const { pending, error, run } = useAction(onDone);
+  const [description, setDescription] = useState("");
+  // Propositions choisies, dans l'ordre de préférence pour un vote préférentiel
+  const [selection, setSelection] = useState([]);
+
+  const registered = Boolean(voter?.isRegistered);
+  const canPropose = registered && session.status === "ProposalsRegistrationStarted";
+  const canVote = registered && !voter.hasVoted && session.status === "VotingSessionStarted" && !commitReveal;
+  const ranked = method === "InstantRunoff";
+
+  function submitProposal(event) {
+    event.preventDefault();
+    run(async () => {
+      await client.addProposal(description);
+      setDescription("");
+    });
+  }
+
+  function toggle(proposalId) {
+    setSelection((current) => (current.includes(proposalId) ? current.filter((id) => id !== proposalId) : [...current, proposalId]));
+  }
+
+  function castBallot() {
+    run(async () => {
+      await (ranked ? client.rank(selection) : client.approve(selection));
+      setSelection([]);
+    });
+  }
+
+  return (
+    <section aria-label="Voter" className="panel">
+      {!registered && <p>You are not registered as a voter in this session.</p>}
+      {voter?.hasVoted && <p>{describeVote(voter, proposals, method)}</p>}
+      {registered && commitReveal && session.status === "VotingSessionStarted" && (
+        <p className="muted">This session uses secret ballots: vote with npx hardhat voting:commit.</p>
+      )}
+
+      {canPropose && (
+        <form onSubmit={submitProposal}>
+          <label>
+            Proposal
+            <input value={description} onChange={(event) => setDescription(event.target.value)} placeholder="Your proposal" />
+          </label>
+          <button type="submit" disabled={pending || description.trim() === ""}>
+            Submit proposal
+          </button>
+        </form>
+      )}
+
+      <h2>Proposals</h2>
+      {proposals.length <= 1 ? (
+        <p className="muted">No proposal yet.</p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Description</th>
+              <th>Votes</th>
+              {canVote && <th>{method === "Plurality" ? "Vote" : ranked ? "Rank" : "Approve"}</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {proposals.slice(1).map((proposal) => (
+              <tr key={proposal.id} className={proposal.withdrawn ? "withdrawn" : undefined}>
+                <td>{proposal.id}</td>
+                <td>
+                  {proposal.description}
+                  {proposal.withdrawn && <span className="muted"> (withdrawn)</span>}
+                </td>
+                <td data-testid={`votes-${proposal.id}`}>{proposal.voteCount.toString()}</td>
+                {canVote && (
+                  <td>
+                    {proposal.withdrawn ? null : method === "Plurality" ? (
+                      <button type="button" disabled={pending} onClick={() => run(() => client.vote(proposal.id))} aria-label={`Vote for ${proposal.description}`}>
+                        Vote
+                      </button>
+                    ) : (
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={selection.includes(proposal.id)}
+                          onChange={() => toggle(proposal.id)}
+                          aria-label={`Select ${proposal.description}`}
+                        />
+                        {ranked && selection.includes(proposal.id) && ` ${selection.indexOf(proposal.id) + 1}`}
+                      </label>
+                    )}
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {canVote && method !== "Plurality" && (
+        <button type="button" disabled={pending || selection.length === 0} onClick={castBallot}>
+          Cast ballot
+        </button>
+      )}
+
+      {error && <p role="alert">{error}</p>}
+    </section>
+  );
+}
+
+// Le vote du compte connecté
+function describeVote(voter, proposals, method) {
+  if (voter.delegate) return `You delegated your vote to ${shortAddress(voter.delegate)}.`;
+  if (method !== "Plurality") return "Your ballot is cast.";
+  const proposal = proposals[voter.votedProposalId];
+  return proposal ? `You voted for #${proposal.id} ${proposal.description}.` : "You voted.";
+}
@@ -0,0 +1,102 @@
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { describe, expect, it, vi } from "vitest";
+
+import VoterView from "./VoterView.jsx";
+
+const PROPOSALS = ["GENESIS", "Solar panels", "Bike lanes", "Library"].map((description, id) => ({
+  id,
+  description,
+  voteCount: 0n,
+  proposer: null,
+  withdrawn: false,
+}));
+const REGISTERED = { isRegistered: true, hasVoted: false, votedProposalId: 0, delegate: null, delegatedWeight: 0 };
+
+function renderView({ status = "VotingSessionStarted", method = "Plurality", voter = REGISTERED, proposals = PROPOSALS, commitReveal = false } = {}) {
+  const client = {
+    addProposal: vi.fn().mockResolvedValue({}),
+    vote: vi.fn().mockResolvedValue({}),
+    approve: vi.fn().mockResolvedValue({}),
+    rank: vi.fn().mockResolvedValue({}),
+  };
+  const session = { sessionId: 0, name: "Session 1", status, proposalsCount: proposals.length, winningProposalId: 0, registeredVoters: 3, votesCast: 0 };
+  render(
+    <VoterView client={client} session={session} proposals={proposals} voter={voter} method={method} commitReveal={commitReveal} onDone={vi.fn()} />
+  );
+  return client;
+}
+
+describe("VoterView", () => {
+  it("tells an unregistered account that it cannot take part", () => {
+    renderView({ status: "ProposalsRegistrationStarted", voter: { ...REGISTERED, isRegistered: false } });
+
+    expect(screen.getByText("You are not registered as a voter in this session.")).toBeInTheDocument();
+    expect(screen.queryByLabelText("Proposal")).not.toBeInTheDocument();
+  });
+
+  it("submits a proposal during the proposals registration", async () => {
+    const client = renderView({ status: "ProposalsRegistrationStarted", proposals: PROPOSALS.slice(0, 1) });
+
+    expect(screen.getByText("No proposal yet.")).toBeInTheDocument();
+    await userEvent.type(screen.getByLabelText("Proposal"), "Community garden");
+    await userEvent.click(screen.getByRole("button", { name: "Submit proposal" }));
+
+    expect(client.addProposal).toHaveBeenCalledWith("Community garden");
+  });
+
+  it("votes for one proposal in a plurality session", async () => {
+    const client = renderView();
+
+    await userEvent.click(screen.getByRole("button", { name: "Vote for Bike lanes" }));
+
+    expect(client.vote).toHaveBeenCalledWith(2);
+  });
+
+  it("does not offer withdrawn proposals", () => {
+    renderView({ proposals: PROPOSALS.map((proposal) => (proposal.id === 3 ? { ...proposal, withdrawn: true } : proposal)) });
+
+    expect(screen.getByText("(withdrawn)")).toBeInTheDocument();
+    expect(screen.queryByRole("button", { name: "Vote for Library" })).not.toBeInTheDocument();
+  });
+
+  it("casts the ranking of an instant-runoff ballot in the order of selection", async () => {
+    const client = renderView({ method: "InstantRunoff" });
+
+    await userEvent.click(screen.getByLabelText("Select Library"));
+    await userEvent.click(screen.getByLabelText("Select Solar panels"));
+    await userEvent.click(screen.getByRole("button", { name: "Cast ballot" }));
+
+    expect(client.rank).toHaveBeenCalledWith([3, 1]);
+  });
+
+  it("casts the approved proposals of an approval ballot", async () => {
+    const client = renderView({ method: "Approval" });
+
+    expect(screen.getByRole("button", { name: "Cast ballot" })).toBeDisabled();
+    await userEvent.click(screen.getByLabelText("Select Solar panels"));
+    await userEvent.click(screen.getByLabelText("Select Bike lanes"));
+    await userEvent.click(screen.getByLabelText("Select Solar panels"));
+    await userEvent.click(screen.getByRole("button", { name: "Cast ballot" }));
+
+    expect(client.approve).toHaveBeenCalledWith([2]);
+  });
+
+  it("shows the vote of a voter who already voted", () => {
+    renderView({
+      voter: { ...REGISTERED, hasVoted: true, votedProposalId: 1 },
+      proposals: PROPOSALS.map((proposal) => (proposal.id === 1 ? { ...proposal, voteCount: 1n } : proposal)),
+    });
+
+    expect(screen.getByText("You voted for #1 Solar panels.")).toBeInTheDocument();
+    expect(screen.getByTestId("votes-1")).toHaveTextContent("1");
+    expect(screen.queryByRole("button", { name: /Vote for/ })).not.toBeInTheDocument();
+  });
+
+  it("leaves secret ballots to the command line", () => {
+    renderView({ commitReveal: true });
+
+    expect(screen.getByText(/This session uses secret ballots/)).toBeInTheDocument();
+    expect(screen.queryByRole("button", { name: /Vote for/ })).not.toBeInTheDocument();
+  });
+});
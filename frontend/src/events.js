@@ -0,0 +1,25 @@
+// Description lisible d'un événement du fil en direct
+
+import { isAddress } from "ethers";
+
+import { shortAddress } from "./labels.js";
+
+// Champs communs à tous les événements formatés par le SDK, et la session (celle qui est affichée)
+const META_FIELDS = new Set(["name", "blockNumber", "blockHash", "transactionHash", "logIndex", "sessionId"]);
+
+function formatValue(value) {
+  if (Array.isArray(value)) return `[${value.map(formatValue).join(", ")}]`;
+  if (typeof value === "string" && isAddress(value)) return shortAddress(value);
+  return String(value);
+}
+
+/**
+ * @param {import("voting-sdk").VotingEvent} event
+ * @returns {string} "Voted (voter: 0x7099…79C8, proposalId: 1)"
+ */
+export function describeEvent(event) {
+  const args = Object.entries(event)
+    .filter(([key]) => !META_FIELDS.has(key))
+    .map(([key, value]) => `${key}: ${formatValue(value)}`);
+  return args.length > 0 ? `${event.name} (${args.join(", ")})` : event.name;
+}
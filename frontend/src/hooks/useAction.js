@@ -0,0 +1,28 @@
+import { useCallback, useState } from "react";
+
+/**
+ * Exécute les transactions d'une vue une à une, et garde le message de la dernière erreur
+ * @param {() => Promise<void>} [onDone] Appelé après chaque transaction réussie (rechargement de la session)
+ */
+export function useAction(onDone) {
+  const [pending, setPending] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = useCallback(async (action) => {
+    setPending(true);
+    setError(null);
+    try {
+      await action();
+      await onDone?.();
+      return true;
+    } catch (err) {
+      // Les erreurs du contrat sont décodées par le SDK, celles du portefeuille ont un message court
+      setError(err.shortMessage ?? err.message);
+      return false;
+    } finally {
+      setPending(false);
+    }
+  }, [onDone]);
+
+  return { pending, error, run };
+}
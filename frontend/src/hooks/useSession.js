@@ -0,0 +1,80 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+// Événements d'une session qui changent ce qu'affichent les vues
+export const SESSION_EVENTS = [
+  "VoterRegistered",
+  "VoterRemoved",
+  "ProposalRegistered",
+  "ProposalWithdrawn",
+  "Voted",
+  "BallotCast",
+  "VoteDelegated",
+  "WorkflowStatusChange",
+  "TieDetected",
+  "TieResolved",
+  "NoResult",
+  "SessionCancelled",
+];
+// Nombre d'événements gardés dans le fil
+const MAX_EVENTS = 50;
+
+/**
+ * État d'une session, rechargé à chaque événement de la session
+ * @param {import("voting-sdk").VotingClient|null} client
+ * @param {number|null} sessionId
+ * @param {string} [account] Le compte dont on lit l'inscription et le vote
+ */
+export function useSession(client, sessionId, account) {
+  const [state, setState] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [error, setError] = useState(null);
+  // Seul le dernier chargement lancé met à jour l'état (la session affichée a pu changer entre-temps)
+  const latestLoad = useRef(0);
+
+  const reload = useCallback(async () => {
+    if (!client || sessionId === null) return;
+    const loadId = ++latestLoad.current;
+    try {
+      const session = await client.getSession(sessionId);
+      const [proposals, voter, method, commitReveal, cancelReason] = await Promise.all([
+        client.getProposals(sessionId, { limit: session.proposalsCount }),
+        account ? client.getVoter(account, sessionId) : null,
+        client.getVotingMethod(sessionId),
+        client.isCommitReveal(sessionId),
+        session.status === "Cancelled" ? client.getCancelReason(sessionId) : null,
+      ]);
+      if (loadId !== latestLoad.current) return;
+      setState({ session, proposals, voter, method, commitReveal, cancelReason });
+      setError(null);
+    } catch (err) {
+      if (loadId === latestLoad.current) setError(err.shortMessage ?? err.message);
+    }
+  }, [client, sessionId, account]);
+
+  useEffect(() => {
+    setState(null);
+    setEvents([]);
+    setError(null);
+    if (!client || sessionId === null) return undefined;
+    let cancelled = false;
+    const unsubscribes = [];
+
+    reload();
+    for (const name of SESSION_EVENTS) {
+      client.on(name, (event) => {
+        setEvents((previous) => [event, ...previous].slice(0, MAX_EVENTS));
+        reload();
+      }, { sessionId }).then((off) => {
+        if (cancelled) off();
+        else unsubscribes.push(off);
+      });
+    }
+
+    return () => {
+      cancelled = true;
+      unsubscribes.forEach((off) => off());
+    };
+  }, [client, sessionId, reload]);
+
+  return { ...state, events, error, reload };
+}
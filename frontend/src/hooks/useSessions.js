@@ -0,0 +1,42 @@
+import { useCallback, useEffect, useState } from "react";
+
+/**
+ * Liste des sessions du contrat et session affichée, la dernière créée par défaut
+ * @param {import("voting-sdk").VotingClient|null} client
+ */
+export function useSessions(client) {
+  const [sessions, setSessions] = useState([]);
+  const [sessionId, setSessionId] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!client) return [];
+    const all = await client.getAllSessions();
+    setSessions(all);
+    return all;
+  }, [client]);
+
+  useEffect(() => {
+    if (!client) return undefined;
+    let cancelled = false;
+    let unsubscribe;
+
+    load().then((all) => {
+      if (!cancelled && all.length > 0) setSessionId((current) => current ?? all[all.length - 1].sessionId);
+    });
+    // Une nouvelle session (ou un second tour) est affichée dès sa création
+    client.on("SessionCreated", async (event) => {
+      await load();
+      if (!cancelled) setSessionId(event.sessionId);
+    }).then((off) => {
+      if (cancelled) off();
+      else unsubscribe = off;
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe?.();
+    };
+  }, [client, load]);
+
+  return { sessions, sessionId, selectSession: setSessionId };
+}
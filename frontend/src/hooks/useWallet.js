@@ -0,0 +1,34 @@
+import { useCallback, useEffect, useState } from "react";
+
+import { connectWallet } from "../wallet.js";
+
+/**
+ * Compte et réseau du portefeuille, reconnectés quand l'utilisateur en change
+ * @param {import("ethers").Eip1193Provider} [ethereum]
+ */
+export function useWallet(ethereum) {
+  const [wallet, setWallet] = useState(null);
+  const [error, setError] = useState(null);
+
+  const connect = useCallback(async () => {
+    try {
+      setWallet(await connectWallet(ethereum));
+      setError(null);
+    } catch (err) {
+      setWallet(null);
+      setError(err.shortMessage ?? err.message);
+    }
+  }, [ethereum]);
+
+  useEffect(() => {
+    if (!wallet || typeof ethereum?.on !== "function") return undefined;
+    ethereum.on("accountsChanged", connect);
+    ethereum.on("chainChanged", connect);
+    return () => {
+      ethereum.removeListener("accountsChanged", connect);
+      ethereum.removeListener("chainChanged", connect);
+    };
+  }, [ethereum, wallet, connect]);
+
+  return { wallet, error, connect };
+}
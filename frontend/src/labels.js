@@ -0,0 +1,30 @@
+// Libellés des états du workflow et des transitions qui y mènent
+
+export const STATUS_LABELS = {
+  RegisteringVoters: "Registering voters",
+  ProposalsRegistrationStarted: "Proposals registration",
+  ProposalsRegistrationEnded: "Proposals registration ended",
+  VotingSessionStarted: "Voting",
+  RevealingVotes: "Revealing votes",
+  VotingSessionEnded: "Voting ended",
+  VotesTallied: "Votes tallied",
+  Cancelled: "Cancelled",
+};
+
+export const TRANSITION_LABELS = {
+  startProposalsRegistering: "Start proposals registration",
+  endProposalsRegistering: "End proposals registration",
+  startVotingSession: "Start voting",
+  startVotesRevealing: "Start revealing votes",
+  endVotingSession: "End voting",
+  tallyVotes: "Tally votes",
+};
+
+/**
+ * Abrège une adresse pour l'affichage
+ * @param {string} address
+ * @returns {string}
+ */
+export function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
@@ -0,0 +1,45 @@
+// Connexion au portefeuille du navigateur (EIP-1193) et au contrat Voting déployé sur son réseau
+
+import { BrowserProvider, Contract } from "ethers";
+import { VotingClient } from "voting-sdk";
+import deployments from "virtual:voting-deployments";
+
+// Nœud Hardhat local : chaque transaction est minée aussitôt, les événements sont relevés plus souvent
+const LOCAL_CHAIN_ID = 31337;
+const LOCAL_POLLING_INTERVAL = 500;
+
+/**
+ * Retourne le déploiement Ignition du contrat sur un réseau
+ * @param {number} chainId
+ * @param {Record<string, import("../ignition.js").Deployment>} [known] Les déploiements lus par le plugin Ignition
+ * @returns {import("../ignition.js").Deployment|null}
+ */
+export function findDeployment(chainId, known = deployments) {
+  return known[chainId] ?? null;
+}
+
+/**
+ * Demande l'accès au compte du portefeuille
+ * @param {import("ethers").Eip1193Provider} ethereum Le portefeuille injecté (window.ethereum)
+ * @returns {Promise<{ provider: BrowserProvider, signer: import("ethers").JsonRpcSigner, account: string, chainId: number }>}
+ */
+export async function connectWallet(ethereum) {
+  if (!ethereum) throw new Error("No Ethereum wallet found, install MetaMask or another browser wallet");
+
+  const chainId = Number(await ethereum.request({ method: "eth_chainId" }));
+  const options = chainId === LOCAL_CHAIN_ID ? { pollingInterval: LOCAL_POLLING_INTERVAL } : {};
+  const provider = new BrowserProvider(ethereum, chainId, options);
+  const [account] = await provider.send("eth_requestAccounts", []);
+  const signer = await provider.getSigner(account);
+  return { provider, signer, account: signer.address, chainId };
+}
+
+/**
+ * Client du contrat déployé, avec l'ABI de son artefact Ignition
+ * @param {import("../ignition.js").Deployment} deployment
+ * @param {import("ethers").ContractRunner} runner
+ * @returns {VotingClient}
+ */
+export function createVotingClient(deployment, runner) {
+  return new VotingClient(new Contract(deployment.address, deployment.abi, runner), { fromBlock: deployment.fromBlock });
+}
@@ -0,0 +1,18 @@
+import { defineConfig } from "vite";
+import react from "@vitejs/plugin-react";
+
+import { ignitionDeployments } from "./ignition.js";
+
+export default defineConfig({
+  plugins: [react(), ignitionDeployments()],
+  // Le SDK est le module CommonJS du backend, lié par npm (file:../backend/sdk) : Vite le convertit comme une dépendance
+  optimizeDeps: { include: ["voting-sdk"] },
+  build: { commonjsOptions: { include: [/backend[\\/]sdk/, /node_modules/] } },
+  // Le SDK utilise l'ethers de l'application, pas celui du backend
+  resolve: { dedupe: ["ethers"] },
+  test: {
+    environment: "jsdom",
+    setupFiles: ["./src/test/setup.js"],
+    include: ["src/**/*.test.{js,jsx}", "*.test.js"],
+  },
+});
@@ -0,0 +1,16 @@
+import { defineConfig } from "vitest/config";
+
+import viteConfig from "./vite.config.js";
+
+// Tests de bout en bout : l'application, rendue dans jsdom, pilote le contrat déployé sur un nœud Hardhat local
+export default defineConfig({
+  ...viteConfig,
+  test: {
+    ...viteConfig.test,
+    include: ["e2e/**/*.e2e.test.jsx"],
+    setupFiles: [...viteConfig.test.setupFiles, "./e2e/setup.js"],
+    globalSetup: ["./e2e/hardhatNode.js"],
+    testTimeout: 120_000,
+    hookTimeout: 180_000,
+  },
+});